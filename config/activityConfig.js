@@ -0,0 +1,31 @@
+/**
+ * ACTIVITY CONFIGURATION
+ * Defines the kinds of activities that can be logged against a contact
+ */
+
+export const ACTIVITY_TYPES = {
+  CALL: 'call',
+  MEETING: 'meeting',
+  EMAIL: 'email',
+  NOTE: 'note',
+  TASK: 'task'
+};
+
+export const ACTIVITY_TYPE_LABELS = {
+  [ACTIVITY_TYPES.CALL]: 'Call',
+  [ACTIVITY_TYPES.MEETING]: 'Meeting',
+  [ACTIVITY_TYPES.EMAIL]: 'Email',
+  [ACTIVITY_TYPES.NOTE]: 'Note',
+  [ACTIVITY_TYPES.TASK]: 'Task'
+};
+
+/**
+ * Validate an activity type
+ * @param {string} type - Activity type
+ * @returns {boolean} - True if valid
+ */
+export function isValidActivityType(type) {
+  return Object.values(ACTIVITY_TYPES).includes(type);
+}
+
+export default ACTIVITY_TYPES;
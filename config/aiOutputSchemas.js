@@ -0,0 +1,59 @@
+/**
+ * AI OUTPUT SCHEMAS
+ * JSON schemas every AI response must match (validated by StructuredOutputService)
+ *
+ * Supported keywords: type, properties, required, additionalProperties (false),
+ * enum, minimum, maximum, minLength, maxLength, items, minItems, maxItems
+ */
+
+import { LLM_TASKS } from './llmConfig.js';
+
+// Each fit score dimension (0-5 weak, 6-10 partial, 11-15 moderate, 16-20 strong)
+const FIT_DIMENSION = { type: 'integer', minimum: 0, maximum: 20 };
+
+const PARAGRAPH = { type: 'string', minLength: 1 };
+
+export const FIT_SCORE_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['point_of_need', 'pain_alignment', 'willingness_to_pay', 'impact_potential', 'context_fit', 'total_score', 'summary'],
+  additionalProperties: false,
+  properties: {
+    point_of_need: FIT_DIMENSION,
+    pain_alignment: FIT_DIMENSION,
+    willingness_to_pay: FIT_DIMENSION,
+    impact_potential: FIT_DIMENSION,
+    context_fit: FIT_DIMENSION,
+    total_score: { type: 'integer', minimum: 0, maximum: 100 }, // Sum of the five (checked by calculateFitScore)
+    summary: { type: 'string', minLength: 1 }
+  }
+};
+
+// Saved on the Assessment (AssessmentCalculationService.generateAssessmentInsights)
+export const ASSESSMENT_INSIGHTS_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['relateWithUser', 'growthNeeds'],
+  additionalProperties: false,
+  properties: {
+    relateWithUser: PARAGRAPH,
+    growthNeeds: PARAGRAPH
+  }
+};
+
+// Public assessment result (AssessmentDemoService)
+export const ASSESSMENT_DEMO_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['relateWithUser', 'growthNeeds'],
+  additionalProperties: false,
+  properties: {
+    relateWithUser: PARAGRAPH,
+    growthNeeds: PARAGRAPH
+  }
+};
+
+export const AI_OUTPUT_SCHEMAS = {
+  [LLM_TASKS.FIT_SCORE]: FIT_SCORE_OUTPUT_SCHEMA,
+  [LLM_TASKS.ASSESSMENT_INSIGHTS]: ASSESSMENT_INSIGHTS_OUTPUT_SCHEMA,
+  [LLM_TASKS.ASSESSMENT_DEMO]: ASSESSMENT_DEMO_OUTPUT_SCHEMA
+};
+
+export default AI_OUTPUT_SCHEMAS;
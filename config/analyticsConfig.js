@@ -0,0 +1,29 @@
+/**
+ * ANALYTICS CONFIGURATION
+ * BD analytics (funnel, velocity, win rate, pipeline volume) - see PipelineAnalyticsService
+ */
+
+// Volume buckets
+export const ANALYTICS_INTERVALS = {
+  WEEK: 'week',   // Weeks start on Monday (UTC)
+  MONTH: 'month'  // Calendar months (UTC)
+};
+
+// Default date range when none is given (last N days)
+export const DEFAULT_ANALYTICS_RANGE_DAYS = 90;
+
+// Longest date range one request may cover
+export const MAX_ANALYTICS_RANGE_DAYS = 731;
+
+// Win rate: contacts entering the "from" pipeline that later reach the "to" pipeline
+export const WIN_RATE_PIPELINES = {
+  from: 'prospect',
+  to: 'client'
+};
+
+// Breakdown bucket for contacts with no (or an unrecognized) howMet/buyerDecision
+export const UNKNOWN_BREAKDOWN_KEY = 'unknown';
+
+export const isValidAnalyticsInterval = (interval) => Object.values(ANALYTICS_INTERVALS).includes(interval);
+
+export default ANALYTICS_INTERVALS;
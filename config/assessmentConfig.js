@@ -0,0 +1,43 @@
+/**
+ * ASSESSMENT CONFIGURATION
+ * Growth assessment answers (scored by AssessmentCalculationService) and insight states
+ */
+
+export const WORK_TOO_MUCH_OPTIONS = ['always', 'often', 'sometimes', 'rarely'];
+export const ASSIGN_TASKS_OPTIONS = ['never', 'rarely', 'sometimes', 'always'];
+export const WANT_MORE_CLIENTS_OPTIONS = ['yes', 'maybe', 'no'];
+
+// Answers that can be given as choices
+export const ASSESSMENT_CHOICE_FIELDS = {
+  workTooMuch: WORK_TOO_MUCH_OPTIONS,
+  assignTasks: ASSIGN_TASKS_OPTIONS,
+  wantMoreClients: WANT_MORE_CLIENTS_OPTIONS
+};
+
+// Answers that are amounts (optional, non-negative)
+export const ASSESSMENT_NUMBER_FIELDS = ['revenueGrowthPercent', 'totalVolume', 'bdSpend'];
+
+export const ASSESSMENT_INSIGHTS_STATUSES = {
+  GENERATED: 'generated', // AI insights
+  FAILED: 'failed',       // AI call failed or its output was invalid - no insights saved
+  FALLBACK: 'fallback',   // Older assessments: AI call failed - standard insights saved instead
+  SKIPPED: 'skipped',     // Submitted with generateInsights: false
+  PENDING: 'pending'
+};
+
+// Public (embeddable) assessment - rate limited per IP
+export const PUBLIC_ASSESSMENT_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5
+};
+
+// Where a new lead from the public assessment lands (the pipeline's first stage if the CompanyHQ removed "interest")
+export const PUBLIC_ASSESSMENT_PIPELINE = {
+  pipeline: 'prospect',
+  stage: 'interest'
+};
+
+// Recorded as the trigger on the lead's stage history
+export const PUBLIC_ASSESSMENT_TRIGGER = 'public-assessment';
+
+export default ASSESSMENT_CHOICE_FIELDS;
@@ -0,0 +1,60 @@
+/**
+ * FIT SCORE CONFIGURATION
+ * Fit score prompt version, scoring modes and batch fit scoring jobs (a contact list or
+ * pipeline stage scored against a Product)
+ */
+
+// Bump when the fit score prompt changes - stored on every FitScore so old and new scores can be told apart
+export const FIT_SCORE_PROMPT_VERSION = '1';
+
+// How a fit score is calculated
+export const FIT_SCORE_MODES = {
+  AI: 'ai',                 // LLM only - fails when the LLM does
+  RULE_BASED: 'rule-based', // Deterministic rules, no LLM (see RuleBasedFitScoringService)
+  AUTO: 'auto'              // LLM, falling back to rule-based when the LLM call fails
+};
+
+// Mode when a request doesn't choose one (override with FIT_SCORE_MODE - unknown values use auto)
+export const FIT_SCORE_MODE = Object.values(FIT_SCORE_MODES).includes(process.env.FIT_SCORE_MODE)
+  ? process.env.FIT_SCORE_MODE
+  : FIT_SCORE_MODES.AUTO;
+
+// Bump when the scoring rules change - stored as a rule-based FitScore's promptVersion
+export const RULE_BASED_FIT_SCORE_VERSION = 'rules-2';
+
+// Stored as a rule-based FitScore's model
+export const RULE_BASED_FIT_SCORE_MODEL = 'rule-based';
+
+// FitScore columns for the five 0-20 dimensions
+export const FIT_SCORE_DIMENSIONS = ['pointOfNeed', 'painAlignment', 'willingnessToPay', 'impactPotential', 'contextFit'];
+
+// Where a job's contacts come from
+export const FIT_SCORE_JOB_SOURCES = {
+  CONTACT_LIST: 'contact-list',
+  PIPELINE_STAGE: 'pipeline-stage'
+};
+
+export const FIT_SCORE_JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed', // Every item scored or failed
+  FAILED: 'failed'        // The job itself stopped (see error)
+};
+
+export const FIT_SCORE_JOB_ITEM_STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Fit-score LLM calls in flight at once, across all jobs (override with FIT_SCORE_CONCURRENCY)
+export const FIT_SCORE_CONCURRENCY = parseInt(process.env.FIT_SCORE_CONCURRENCY, 10) || 3;
+
+// Largest contact list / stage one job will score
+export const MAX_FIT_SCORE_JOB_CONTACTS = 500;
+
+export const isValidFitScoreMode = (mode) => Object.values(FIT_SCORE_MODES).includes(mode);
+
+export const isValidFitScoreJobSource = (source) => Object.values(FIT_SCORE_JOB_SOURCES).includes(source);
+
+export default FIT_SCORE_JOB_SOURCES;
@@ -0,0 +1,50 @@
+/**
+ * FORECAST CONFIGURATION
+ * Weighted revenue forecast - see RevenueForecastService
+ *
+ * Each CompanyHQ sets a win probability per stage (PipelineStageDefinition.winProbability);
+ * these defaults are seeded with the default pipelines. Stages without one are not forecast.
+ */
+
+import { PROPOSAL_STATUSES } from './proposalConfig.js';
+
+export const DEFAULT_STAGE_WIN_PROBABILITIES = {
+  'prospect': {
+    'interest': 0.1,
+    'meeting': 0.2,
+    'proposal': 0.4,
+    'contract': 0.7,
+    'contract-signed': 1
+  },
+  'client': {
+    'kickoff': 1,
+    'work-started': 1,
+    'work-delivered': 1,
+    'sustainment': 1,
+    'renewal': 0.5,         // Upsell - new work still being won
+    'terminated-contract': 0
+  }
+};
+
+// Proposals still being decided (approved/rejected ones are not forecast)
+export const OPEN_PROPOSAL_STATUSES = [
+  PROPOSAL_STATUSES.DRAFT,
+  PROPOSAL_STATUSES.ACTIVE
+];
+
+// Default forecast horizon (months, starting with the current month)
+export const DEFAULT_FORECAST_MONTHS = 12;
+export const MAX_FORECAST_MONTHS = 36;
+
+/**
+ * Default win probability for a seeded stage
+ * @returns {number|null}
+ */
+export const getDefaultWinProbability = (pipeline, stage) => DEFAULT_STAGE_WIN_PROBABILITIES[pipeline]?.[stage] ?? null;
+
+// Win probability is null (not forecast) or a number from 0 to 1
+export const isValidWinProbability = (value) => (
+  value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1)
+);
+
+export default DEFAULT_STAGE_WIN_PROBABILITIES;
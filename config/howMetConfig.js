@@ -7,14 +7,16 @@ export const HOW_MET_TYPES = {
   PERSONAL_RELATIONSHIP: 'personal-relationship',
   REFERRAL: 'referral',
   EVENT_CONFERENCE: 'event-conference',
-  COLD_OUTREACH: 'cold-outreach'
+  COLD_OUTREACH: 'cold-outreach',
+  INBOUND_ASSESSMENT: 'inbound-assessment' // Took the public growth assessment on the CompanyHQ's website
 };
 
 export const HOW_MET_LABELS = {
   [HOW_MET_TYPES.PERSONAL_RELATIONSHIP]: 'Personal Relationship',
   [HOW_MET_TYPES.REFERRAL]: 'Referral',
   [HOW_MET_TYPES.EVENT_CONFERENCE]: 'Met at Event/Conference',
-  [HOW_MET_TYPES.COLD_OUTREACH]: 'Cold Outreach'
+  [HOW_MET_TYPES.COLD_OUTREACH]: 'Cold Outreach',
+  [HOW_MET_TYPES.INBOUND_ASSESSMENT]: 'Inbound - Website Assessment'
 };
 
 export default HOW_MET_TYPES;
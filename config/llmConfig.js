@@ -0,0 +1,44 @@
+/**
+ * LLM CONFIGURATION
+ * Provider, model and request settings for every AI call (see LLMProviderService)
+ *
+ * Set LLM_PROVIDER=stub for CI and offline development - canned, deterministic
+ * responses and no network access or OPENAI_API_KEY needed.
+ */
+
+export const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  STUB: 'stub' // Deterministic canned responses (offline)
+};
+
+// AI tasks - the stub provider answers each with a canned response
+export const LLM_TASKS = {
+  FIT_SCORE: 'fit-score',
+  ASSESSMENT_INSIGHTS: 'assessment-insights',
+  ASSESSMENT_DEMO: 'assessment-demo'
+};
+
+// Number from the environment, or the fallback when unset/invalid (0 is allowed)
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI;
+
+export const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4';
+
+export const LLM_TEMPERATURE = envNumber('LLM_TEMPERATURE', 0.7);
+
+// Per-request timeout
+export const LLM_TIMEOUT_MS = envNumber('LLM_TIMEOUT_MS', 60 * 1000);
+
+// Retries on connection errors, timeouts, 429s and 5xx (exponential backoff, by the OpenAI client)
+export const LLM_MAX_RETRIES = envNumber('LLM_MAX_RETRIES', 2);
+
+// Re-prompts (with the validation errors) when a response doesn't match its output schema
+export const LLM_MAX_REPAIR_ATTEMPTS = envNumber('LLM_MAX_REPAIR_ATTEMPTS', 2);
+
+export const isValidLLMProvider = (provider) => Object.values(LLM_PROVIDERS).includes(provider);
+
+export default LLM_PROVIDERS;
@@ -1,7 +1,10 @@
 /**
  * PIPELINE CONFIGURATION FOR IGNITEBD
- * Single source of truth for Contact pipelines and stages
+ * Default Contact pipelines and stages
  * Based on Contact-First Architecture with Pipeline model
+ *
+ * Each CompanyHQ gets its own editable copy of these defaults in the database
+ * (PipelineDefinition / PipelineStageDefinition, seeded by PipelineDefinitionService)
  * 
  * Pipeline Types: prospect, client, collaborator, institution
  * Each pipeline has its own stages
@@ -74,6 +77,31 @@ export const PIPELINE_STAGES = {
   ]
 };
 
+// DEFAULT LABELS
+// Used when seeding a CompanyHQ's own pipeline definitions (see PipelineDefinitionService)
+export const PIPELINE_LABELS = {
+  'prospect': 'Prospect',
+  'client': 'Client',
+  'collaborator': 'Collaborator',
+  'institution': 'Institution'
+};
+
+export const STAGE_LABELS = {
+  'interest': 'Interest',
+  'meeting': 'Meeting',
+  'proposal': 'Proposal',
+  'contract': 'Contract',
+  'contract-signed': 'Contract Signed',
+  'kickoff': 'Kickoff',
+  'work-started': 'Work Started',
+  'work-delivered': 'Work Delivered',
+  'sustainment': 'Sustainment',
+  'renewal': 'Renewal',
+  'terminated-contract': 'Terminated Contract',
+  'moa': 'MOA',
+  'agreement': 'Agreement'
+};
+
 // Validate pipeline type
 export const isValidPipeline = (pipeline) => {
   return OFFICIAL_PIPELINES.includes(pipeline);
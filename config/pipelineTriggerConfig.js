@@ -0,0 +1,51 @@
+/**
+ * PIPELINE TRIGGER CONFIGURATION
+ * Action types for per-CompanyHQ pipeline trigger rules
+ *
+ * A rule fires when a contact enters its pipeline/stage (optionally filtered by
+ * buyerDecision/howMet) and runs its actions in order:
+ * - move: { pipeline, stage? } - move the contact (stage defaults to the pipeline's first stage)
+ * - create-task: { summary, body?, dueInDays? } - log a follow-up task activity
+ * - set-proposal-status: { status } - update the latest proposal for the contact's company (see ContactProposalService)
+ * - add-to-list: { contactListId } - put the contact in a ContactList
+ */
+
+export const TRIGGER_ACTION_TYPES = {
+  MOVE: 'move',
+  CREATE_TASK: 'create-task',
+  SET_PROPOSAL_STATUS: 'set-proposal-status',
+  ADD_TO_LIST: 'add-to-list'
+};
+
+export const TRIGGER_ACTION_LABELS = {
+  [TRIGGER_ACTION_TYPES.MOVE]: 'Move to pipeline/stage',
+  [TRIGGER_ACTION_TYPES.CREATE_TASK]: 'Create follow-up task',
+  [TRIGGER_ACTION_TYPES.SET_PROPOSAL_STATUS]: 'Set proposal status',
+  [TRIGGER_ACTION_TYPES.ADD_TO_LIST]: 'Add to contact list'
+};
+
+// How many move → re-evaluate rounds one stage change may cause (stops rule loops)
+export const MAX_TRIGGER_DEPTH = 3;
+
+// Seeded for every new CompanyHQ (the former hardcoded contract-signed conversion)
+export const DEFAULT_TRIGGER_RULES = [
+  {
+    name: 'contract-signed',
+    pipeline: 'prospect',
+    stage: 'contract-signed',
+    actions: [
+      { type: TRIGGER_ACTION_TYPES.MOVE, pipeline: 'client', stage: 'kickoff' }
+    ]
+  }
+];
+
+/**
+ * Validate a trigger action type
+ * @param {string} type - Action type
+ * @returns {boolean} - True if valid
+ */
+export function isValidTriggerActionType(type) {
+  return Object.values(TRIGGER_ACTION_TYPES).includes(type);
+}
+
+export default TRIGGER_ACTION_TYPES;
@@ -0,0 +1,22 @@
+/**
+ * PROPOSAL CONFIGURATION
+ * Proposal lifecycle statuses
+ */
+
+export const PROPOSAL_STATUSES = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Validate a proposal status
+ * @param {string} status - Proposal status
+ * @returns {boolean} - True if valid
+ */
+export function isValidProposalStatus(status) {
+  return Object.values(PROPOSAL_STATUSES).includes(status);
+}
+
+export default PROPOSAL_STATUSES;
@@ -0,0 +1,32 @@
+/**
+ * STACK CONFIGURATION
+ * Revenue, Human Capital and Target Acquisition stacks - calculated by the
+ * *CalculationService classes and saved as versioned StackSnapshots (see StackSnapshotService)
+ */
+
+export const STACK_TYPES = {
+  REVENUE: 'revenue',
+  HUMAN_CAPITAL: 'human-capital',
+  TARGET_ACQUISITION: 'target-acquisition'
+};
+
+export const STACK_LABELS = {
+  [STACK_TYPES.REVENUE]: 'Revenue Stack',
+  [STACK_TYPES.HUMAN_CAPITAL]: 'Human Capital Stack',
+  [STACK_TYPES.TARGET_ACQUISITION]: 'Target Acquisition Stack'
+};
+
+// Upper bounds for the stack horizons - the calculations loop once per year / quarter
+export const MAX_PROJECTION_YEARS = 30;
+export const MAX_TIME_HORIZON_MONTHS = 120;
+
+// Growth plan verdicts (see GrowthPlanService)
+export const GROWTH_PLAN_VERDICTS = {
+  FEASIBLE: 'feasible',             // Target fits the team with no warnings
+  STRETCH: 'stretch',               // Fits, but aggressive or near capacity (>80% utilization)
+  NEEDS_CAPACITY: 'needs-capacity'  // Required units exceed the team's hours - hire or contract
+};
+
+export const isValidStackType = (stackType) => Object.values(STACK_TYPES).includes(stackType);
+
+export default STACK_TYPES;
@@ -0,0 +1,94 @@
+/**
+ * STAGE TRANSITION CONFIGURATION
+ * Entry requirements a stage can demand, and the reason codes returned when a move is rejected
+ *
+ * Policies live on each CompanyHQ's PipelineStageDefinition:
+ * - allowedNextStages: stages a contact may move to from this stage (null = any) - a stage key in
+ *   the same pipeline, or "pipeline:stage" for a stage in another pipeline (e.g. "client:kickoff")
+ * - entryRequirements: requirement keys that must hold before a contact enters this stage
+ *
+ * The default pipelines are seeded with a default policy: each stage may only move on to the
+ * next one, prospect/contract-signed may convert to client/kickoff, and prospect/contract
+ * needs an approved proposal.
+ */
+
+import { PIPELINE_STAGES } from './pipelineConfig.js';
+
+export const STAGE_ENTRY_REQUIREMENTS = {
+  APPROVED_PROPOSAL: 'approved-proposal',
+  PROPOSAL: 'proposal',
+  EMAIL: 'email',
+  COMPANY: 'company'
+};
+
+export const STAGE_ENTRY_REQUIREMENT_LABELS = {
+  [STAGE_ENTRY_REQUIREMENTS.APPROVED_PROPOSAL]: 'Approved proposal for the contact\'s company',
+  [STAGE_ENTRY_REQUIREMENTS.PROPOSAL]: 'Proposal (not rejected) for the contact\'s company',
+  [STAGE_ENTRY_REQUIREMENTS.EMAIL]: 'Contact has an email address',
+  [STAGE_ENTRY_REQUIREMENTS.COMPANY]: 'Contact is linked to a company'
+};
+
+// Separates pipeline and stage in an allowedNextStages entry for another pipeline
+export const PIPELINE_STAGE_SEPARATOR = ':';
+
+// Default moves to other pipelines, added to the next stage in the seeded policy
+export const DEFAULT_PIPELINE_EXITS = {
+  prospect: {
+    'contract-signed': ['client:kickoff']
+  }
+};
+
+export const DEFAULT_STAGE_ENTRY_REQUIREMENTS = {
+  prospect: {
+    contract: [STAGE_ENTRY_REQUIREMENTS.APPROVED_PROPOSAL]
+  }
+};
+
+// Machine-readable reasons in 422 responses
+export const TRANSITION_REJECTION_REASONS = {
+  STAGE_NOT_ALLOWED: 'STAGE_NOT_ALLOWED',
+  REQUIREMENT_NOT_MET: 'REQUIREMENT_NOT_MET'
+};
+
+/**
+ * Validate a stage entry requirement
+ * @param {string} requirement - Requirement key
+ * @returns {boolean} - True if valid
+ */
+export function isValidStageEntryRequirement(requirement) {
+  return Object.values(STAGE_ENTRY_REQUIREMENTS).includes(requirement);
+}
+
+/**
+ * Read an allowedNextStages entry of a stage in fromPipeline
+ * @param {string} fromPipeline - Key of the pipeline the policy belongs to
+ * @param {string} entry - "stage" or "pipeline:stage"
+ * @returns {Object} - { pipeline, stage }
+ */
+export function parseAllowedNextStage(fromPipeline, entry) {
+  const separator = entry.indexOf(PIPELINE_STAGE_SEPARATOR);
+  return separator === -1
+    ? { pipeline: fromPipeline, stage: entry }
+    : { pipeline: entry.slice(0, separator), stage: entry.slice(separator + 1) };
+}
+
+/**
+ * Default allowed next stages for a seeded stage (the next stage, plus any default exits)
+ * @returns {string[]|null} - null for a stage that isn't in the defaults
+ */
+export const getDefaultAllowedNextStages = (pipeline, stage) => {
+  const stages = PIPELINE_STAGES[pipeline] || [];
+  const index = stages.indexOf(stage);
+  if (index === -1) {
+    return null;
+  }
+  return [...stages.slice(index + 1, index + 2), ...(DEFAULT_PIPELINE_EXITS[pipeline]?.[stage] || [])];
+};
+
+/**
+ * Default entry requirements for a seeded stage
+ * @returns {string[]|null}
+ */
+export const getDefaultEntryRequirements = (pipeline, stage) => DEFAULT_STAGE_ENTRY_REQUIREMENTS[pipeline]?.[stage] ?? null;
+
+export default STAGE_ENTRY_REQUIREMENTS;
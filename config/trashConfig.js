@@ -0,0 +1,22 @@
+/**
+ * TRASH CONFIGURATION
+ * Soft-deleted records stay restorable in the trash for a retention window,
+ * then the purge job removes them permanently
+ */
+
+// Days a soft-deleted record stays in the trash (override with TRASH_RETENTION_DAYS)
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often the purge job runs
+export const TRASH_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily
+
+// Trashable record types → Prisma model and tenant (CompanyHQ) field
+export const TRASH_TYPES = {
+  contacts: { model: 'contact', tenantField: 'crmId' },
+  proposals: { model: 'proposal', tenantField: 'companyHQId' },
+  personas: { model: 'persona', tenantField: 'companyHQId' }
+};
+
+export const isValidTrashType = (type) => Object.prototype.hasOwnProperty.call(TRASH_TYPES, type);
+
+export default TRASH_TYPES;
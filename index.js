@@ -2,9 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import cookieSession from 'cookie-session';
 import prisma from './db.js';
-import multer from 'multer';
-import fs from 'fs';
-import path from 'path';
+import { upload, uploadDir } from './middleware/uploadMiddleware.js';
 
 // Routes (following architecture pattern)
 import createOwnerRoute from './routes/Owner/CreateOwnerRoute.js';
@@ -13,27 +11,35 @@ import ownerHydrateRoute from './routes/Owner/IgniteUniversalHydrateRoute.js';
 import createCompanyHQRoute from './routes/Company/CreateCompanyHQRoute.js';
 import proposalRoutes from './routes/Proposal/ProposalRoutes.js';
 import pipelineConfigRoute from './routes/pipelineConfigRoute.js';
+import pipelineHistoryRoutes from './routes/Pipeline/PipelineHistoryRoutes.js';
+import pipelineDefinitionRoutes from './routes/Pipeline/PipelineDefinitionRoutes.js';
+import pipelineTriggerRoutes from './routes/Pipeline/PipelineTriggerRoutes.js';
+import pipelineBoardRoutes from './routes/Pipeline/PipelineBoardRoutes.js';
 import contactRoutes from './routes/Contact/ContactRoutes.js';
+import contactImportRoute from './routes/Contact/ContactImportRoute.js';
+import contactExportRoute from './routes/Contact/ContactExportRoute.js';
+import contactActivityRoutes from './routes/Contact/ContactActivityRoutes.js';
 import personaRoutes from './routes/Persona/PersonaRoutes.js';
 import businessIntelligenceRoutes from './routes/BusinessIntelligence/BusinessIntelligenceRoutes.js';
+import trashRoutes from './routes/Trash/TrashRoutes.js';
+import stackRoutes from './routes/Stack/StackRoutes.js';
+import growthPlanRoutes from './routes/Stack/GrowthPlanRoutes.js';
+import assessmentRoutes from './routes/Assessment/AssessmentRoutes.js';
+import publicAssessmentRoutes from './routes/Public/PublicAssessmentRoutes.js';
+import bdAnalyticsRoutes from './routes/Analytics/BDAnalyticsRoutes.js';
+import revenueForecastRoutes from './routes/Analytics/RevenueForecastRoutes.js';
+import { purgeExpiredTrash } from './services/TrashService.js';
+import { resumeFitScoreJobs } from './services/FitScoreJobService.js';
+import { TRASH_PURGE_INTERVAL_MS } from './config/trashConfig.js';
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-// --- Profile Picture Upload Setup ---
-// Use local uploads directory in project folder
-const uploadDir = path.join(process.cwd(), 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Behind one proxy (Render) - req.ip is the client IP (used by the public route rate limits)
+app.set('trust proxy', 1);
 
-// Configure Multer for storing files locally
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),                                                                          
-});
-const upload = multer({ storage });
-// --- End Upload Setup ---
+// Public routes - no auth, embeddable from any origin (registered before the allowlisted CORS below)
+app.use('/api/public', cors(), express.json(), publicAssessmentRoutes); // Lead-capture assessment (creates prospect contacts)
 
 // Middleware
 app.use(cors({
@@ -61,11 +67,24 @@ app.use('/api/owner', createOwnerRoute);        // Owner create/upsert route
 app.use('/api/owner', ownerProfileSetupRoute);   // Owner profile setup route
 app.use('/api/owner', ownerHydrateRoute);        // Owner hydrate route (universal hydration)
 app.use('/api/companyhq', createCompanyHQRoute);  // CompanyHQ create route
+app.use('/api/companyhq/:companyHQId/stacks', stackRoutes); // Revenue / Human Capital / Target Acquisition stacks (versioned snapshots)
+app.use('/api/companyhq/:companyHQId/growth-plan', growthPlanRoutes); // Cross-stack growth plan (revenue → acquisition → capacity)
 app.use('/api/proposals', proposalRoutes);      // Proposal CRUD routes
 app.use('/api/pipelines', pipelineConfigRoute); // Pipeline config route
+app.use('/api/pipelines', pipelineHistoryRoutes); // Pipeline stage history analytics (time-in-stage)
+app.use('/api/pipelines', pipelineDefinitionRoutes); // Per-CompanyHQ pipeline/stage definitions (CRUD + ordering)
+app.use('/api/pipelines', pipelineTriggerRoutes); // Per-CompanyHQ trigger rules, dry-run evaluation and execution log
+app.use('/api/pipelines', pipelineBoardRoutes); // Kanban board (columns, card paging, drag-and-drop moves)
+app.use('/api/contacts', contactImportRoute);   // Contact CSV import route
+app.use('/api/contacts', contactExportRoute);   // Contact export route (CSV, vCard, NDJSON)
 app.use('/api/contacts', contactRoutes);        // Contact CRUD routes
-app.use('/api/personas', personaRoutes);        // Persona create/update routes
-app.use('/api/business-intelligence', businessIntelligenceRoutes); // Business Intelligence scoring routes
+app.use('/api/contacts/:contactId', contactActivityRoutes); // Contact activities + timeline routes
+app.use('/api/personas', personaRoutes);        // Persona create/update/delete routes
+app.use('/api/business-intelligence', businessIntelligenceRoutes); // Business Intelligence scoring routes (single + batch fit score jobs)
+app.use('/api/trash', trashRoutes);             // Trash list/restore routes (soft-deleted records)
+app.use('/api/analytics', bdAnalyticsRoutes);   // BD analytics (funnel, velocity, win rate, pipeline volume)
+app.use('/api/analytics', revenueForecastRoutes); // Weighted revenue forecast vs. target acquisition
+app.use('/api/assessments', assessmentRoutes);  // Growth assessments (score, submit, history, diff)
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Ignite Activation API is running' });      
@@ -103,4 +122,22 @@ app.listen(PORT, () => {
     .catch((error) => {
       console.warn('⚠️ Database connection not immediately available (will retry on first query):', error.message);
     });
+
+  // Purge expired trash daily (non-blocking)
+  const runTrashPurge = () => purgeExpiredTrash().catch((error) => {
+    console.error('❌ Trash purge error:', error);
+  });
+  runTrashPurge();
+  setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS);
+
+  // Resume fit score jobs a restart interrupted (non-blocking)
+  resumeFitScoreJobs()
+    .then((count) => {
+      if (count > 0) {
+        console.log(`✅ Resumed ${count} fit score job(s)`);
+      }
+    })
+    .catch((error) => {
+      console.error('❌ Fit score job resume error:', error);
+    });
 });
@@ -0,0 +1,289 @@
+import prisma from '../db.js';
+
+/**
+ * CompanyHQ (tenant) authorization
+ *
+ * Runs after verifyFirebaseToken. Resolves the Firebase user to an Owner and checks
+ * they own (ownerId) or manage (managerId) the CompanyHQ a request targets.
+ *
+ * On success sets:
+ * - req.owner - Owner record
+ * - req.companyHQId - Authorized CompanyHQId
+ * - req.companyHQRole - "owner" | "manager"
+ *
+ * Every mismatch (unknown Owner, unknown CompanyHQ, someone else's CompanyHQ)
+ * gets the same 403 so IDs from other tenants can't be probed.
+ */
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: 'You do not have access to this CompanyHQ',
+  code: 'COMPANYHQ_FORBIDDEN'
+});
+
+/**
+ * Resolve an Owner's access to a CompanyHQ
+ * @param {string} firebaseId - Firebase UID
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<Object|null>} - { owner, companyHQ, role } or null if not allowed
+ */
+export async function resolveCompanyHQAccess(firebaseId, companyHQId) {
+  if (!firebaseId || !companyHQId) {
+    return null;
+  }
+
+  const owner = await prisma.owner.findUnique({
+    where: { firebaseId }
+  });
+
+  if (!owner) {
+    return null;
+  }
+
+  const companyHQ = await prisma.companyHQ.findFirst({
+    where: {
+      id: companyHQId,
+      OR: [
+        { ownerId: owner.id },
+        { managerId: owner.id }
+      ]
+    }
+  });
+
+  if (!companyHQ) {
+    return null;
+  }
+
+  return {
+    owner,
+    companyHQ,
+    role: companyHQ.ownerId === owner.id ? 'owner' : 'manager'
+  };
+}
+
+// Check access for a resolved CompanyHQId and attach it to the request
+const grantAccess = async (req, res, next, companyHQId) => {
+  const access = await resolveCompanyHQAccess(req.user?.uid, companyHQId);
+
+  if (!access) {
+    console.warn(`⚠️ CompanyHQ access denied: uid ${req.user?.uid} → companyHQ ${companyHQId}`);
+    return forbidden(res);
+  }
+
+  req.owner = access.owner;
+  req.companyHQId = access.companyHQ.id;
+  req.companyHQRole = access.role;
+  return next();
+};
+
+/**
+ * Authorize a request that names its CompanyHQ directly
+ * @param {Function} getCompanyHQId - (req) => companyHQId (default: req.query.companyHQId)
+ * @param {Object} options
+ * @param {string} options.missingError - 400 message when no CompanyHQId is supplied
+ */
+export const authorizeCompanyHQ = (
+  getCompanyHQId = (req) => req.query.companyHQId,
+  { missingError = 'companyHQId is required' } = {}
+) => async (req, res, next) => {
+  try {
+    const companyHQId = getCompanyHQId(req);
+
+    if (!companyHQId) {
+      return res.status(400).json({
+        success: false,
+        error: missingError
+      });
+    }
+
+    return await grantAccess(req, res, next, companyHQId);
+  } catch (error) {
+    console.error('❌ CompanyHQ authorization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to authorize request',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Authorize a request that targets a tenant-owned record by ID
+ * Looks the record up (including trashed records) and authorizes its CompanyHQ.
+ * A record that doesn't exist gets the same 403 as another tenant's record.
+ * @param {Object} config
+ * @param {string} config.model - Prisma model name (e.g. "contact")
+ * @param {string} config.tenantField - Field holding the CompanyHQId (e.g. "crmId")
+ * @param {string} config.missingError - 400 message when no ID is supplied
+ * @param {Function} getId - (req) => record ID
+ */
+export const authorizeRecord = ({ model, tenantField, missingError }, getId) => async (req, res, next) => {
+  try {
+    const id = getId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: missingError
+      });
+    }
+
+    const record = await prisma[model].findUnique({
+      where: { id },
+      select: { [tenantField]: true }
+    });
+
+    if (!record) {
+      console.warn(`⚠️ CompanyHQ access denied: uid ${req.user?.uid} → unknown ${model} ${id}`);
+      return forbidden(res);
+    }
+
+    return await grantAccess(req, res, next, record[tenantField]);
+  } catch (error) {
+    console.error('❌ CompanyHQ authorization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to authorize request',
+      details: error.message
+    });
+  }
+};
+
+export const authorizeContact = (getId = (req) => req.params.contactId) => authorizeRecord({
+  model: 'contact',
+  tenantField: 'crmId',
+  missingError: 'contactId is required'
+}, getId);
+
+export const authorizeProposal = (getId = (req) => req.params.proposalId) => authorizeRecord({
+  model: 'proposal',
+  tenantField: 'companyHQId',
+  missingError: 'proposalId is required'
+}, getId);
+
+export const authorizePersona = (getId = (req) => req.params.personaId) => authorizeRecord({
+  model: 'persona',
+  tenantField: 'companyHQId',
+  missingError: 'personaId is required'
+}, getId);
+
+export const authorizePipelineDefinition = (getId = (req) => req.params.pipelineId) => authorizeRecord({
+  model: 'pipelineDefinition',
+  tenantField: 'companyHQId',
+  missingError: 'pipelineId is required'
+}, getId);
+
+export const authorizePipelineTriggerRule = (getId = (req) => req.params.ruleId) => authorizeRecord({
+  model: 'pipelineTriggerRule',
+  tenantField: 'companyHQId',
+  missingError: 'ruleId is required'
+}, getId);
+
+export const authorizeProduct = (getId = (req) => req.params.productId) => authorizeRecord({
+  model: 'product',
+  tenantField: 'companyHQId',
+  missingError: 'productId is required'
+}, getId);
+
+export const authorizeFitScoreJob = (getId = (req) => req.params.jobId) => authorizeRecord({
+  model: 'fitScoreJob',
+  tenantField: 'companyHQId',
+  missingError: 'jobId is required'
+}, getId);
+
+/**
+ * Authorize a request that acts for the signed-in Owner only (no CompanyHQ)
+ * Sets req.owner; 403 when the Firebase user has no Owner record
+ */
+export const authorizeOwner = async (req, res, next) => {
+  try {
+    const owner = await prisma.owner.findUnique({
+      where: { firebaseId: req.user?.uid }
+    });
+
+    if (!owner) {
+      return res.status(403).json({
+        success: false,
+        error: 'Owner not found for this user',
+        code: 'OWNER_FORBIDDEN'
+      });
+    }
+
+    req.owner = owner;
+    return next();
+  } catch (error) {
+    console.error('❌ Owner authorization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to authorize request',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Authorize a request that targets an Assessment
+ * CompanyHQ assessments are authorized like any tenant record; personal ones
+ * (no CompanyHQ) only for the Owner who took them
+ * @param {Function} getId - (req) => assessmentId (default: req.params.assessmentId)
+ */
+export const authorizeAssessment = (getId = (req) => req.params.assessmentId) => async (req, res, next) => {
+  try {
+    const id = getId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'assessmentId is required'
+      });
+    }
+
+    const assessment = await prisma.assessment.findUnique({
+      where: { id },
+      select: { companyHQId: true, ownerId: true }
+    });
+
+    // Same 403 as another tenant's assessment
+    if (!assessment) {
+      return forbidden(res);
+    }
+
+    if (assessment.companyHQId) {
+      return await grantAccess(req, res, next, assessment.companyHQId);
+    }
+
+    return await authorizeOwner(req, res, () => {
+      if (req.owner.id !== assessment.ownerId) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this assessment',
+          code: 'ASSESSMENT_FORBIDDEN'
+        });
+      }
+      return next();
+    });
+  } catch (error) {
+    console.error('❌ CompanyHQ authorization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to authorize request',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Only CompanyHQ owners may bypass stage transition policies
+ * Runs after one of the authorize* middlewares; a request without
+ * body.overrideTransitionRules passes straight through
+ */
+export const authorizeTransitionOverride = (req, res, next) => {
+  if (req.body?.overrideTransitionRules && req.companyHQRole !== 'owner') {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the CompanyHQ owner can override stage transition rules',
+      code: 'TRANSITION_OVERRIDE_FORBIDDEN'
+    });
+  }
+  return next();
+};
@@ -0,0 +1,55 @@
+/**
+ * Rate limiting for unauthenticated (public) routes
+ *
+ * Fixed-window counters kept in memory, per key (the client IP by default).
+ * Counts are per process - fine for a single instance; they reset on restart.
+ *
+ * Over the limit gets a 429 with a Retry-After header (seconds).
+ */
+
+/**
+ * Create a rate-limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in ms
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} options.keyGenerator - (req) => key (default: req.ip)
+ * @returns {Function} - Express middleware
+ */
+export function createRateLimiter({ windowMs, max, keyGenerator = (req) => req.ip }) {
+  const hits = new Map(); // key → { count, resetAt }
+  let nextSweepAt = Date.now() + windowMs;
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Drop expired windows so the map doesn't grow with every IP ever seen
+    if (now >= nextSweepAt) {
+      for (const [key, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(key);
+      }
+      nextSweepAt = now + windowMs;
+    }
+
+    const key = keyGenerator(req) || 'unknown';
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests - please try again later',
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    return next();
+  };
+}
+
+export default createRateLimiter;
@@ -0,0 +1,39 @@
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+
+// --- Profile Picture Upload Setup ---
+// Use local uploads directory in project folder
+export const uploadDir = path.join(process.cwd(), 'uploads');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+// Configure Multer for storing files locally
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadDir),
+  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
+});
+export const upload = multer({ storage });
+// --- End Upload Setup ---
+
+// --- CSV Import Upload Setup ---
+// CSV imports are parsed in memory and never written to the (publicly served) uploads directory
+const MAX_CSV_SIZE_BYTES = 5 * 1024 * 1024; // 5MB
+
+export const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE_BYTES },
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv'
+      || file.mimetype === 'application/vnd.ms-excel'
+      || path.extname(file.originalname).toLowerCase() === '.csv';
+    if (!isCsv) {
+      return cb(new Error('Only .csv files are supported'));
+    }
+    cb(null, true);
+  },
+});
+// --- End CSV Import Upload Setup ---
+
+export default upload;
@@ -0,0 +1,2 @@
+-- Index backing GET /api/contacts (tenant filter + default createdAt ordering)
+CREATE INDEX IF NOT EXISTS "contacts_crmId_createdAt_idx" ON "contacts"("crmId", "createdAt");
@@ -0,0 +1,32 @@
+-- Contact activity timeline (calls, meetings, emails, notes)
+
+-- CreateTable
+CREATE TABLE "contact_activities" (
+    "id" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "crmId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "summary" TEXT NOT NULL,
+    "body" TEXT,
+    "occurredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "authorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contact_activities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contact_activities_contactId_occurredAt_idx" ON "contact_activities"("contactId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "contact_activities_crmId_occurredAt_idx" ON "contact_activities"("crmId", "occurredAt");
+
+-- AddForeignKey
+ALTER TABLE "contact_activities" ADD CONSTRAINT "contact_activities_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_activities" ADD CONSTRAINT "contact_activities_crmId_fkey" FOREIGN KEY ("crmId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_activities" ADD CONSTRAINT "contact_activities_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "owners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- Soft delete (trash) for contacts, proposals and personas
+
+-- AlterTable
+ALTER TABLE "contacts" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "proposals" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "personas" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "contacts_crmId_deletedAt_idx" ON "contacts"("crmId", "deletedAt");
+
+-- CreateIndex
+CREATE INDEX "proposals_companyHQId_deletedAt_idx" ON "proposals"("companyHQId", "deletedAt");
+
+-- CreateIndex
+CREATE INDEX "personas_companyHQId_deletedAt_idx" ON "personas"("companyHQId", "deletedAt");
@@ -0,0 +1,40 @@
+-- Pipeline stage-transition log (history + time-in-stage)
+
+-- CreateTable
+CREATE TABLE "pipeline_stage_transitions" (
+    "id" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "crmId" TEXT NOT NULL,
+    "fromPipeline" TEXT,
+    "fromStage" TEXT,
+    "toPipeline" TEXT NOT NULL,
+    "toStage" TEXT NOT NULL,
+    "actorId" TEXT,
+    "automated" BOOLEAN NOT NULL DEFAULT false,
+    "trigger" TEXT,
+    "occurredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pipeline_stage_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "pipeline_stage_transitions_contactId_occurredAt_idx" ON "pipeline_stage_transitions"("contactId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "pipeline_stage_transitions_crmId_occurredAt_idx" ON "pipeline_stage_transitions"("crmId", "occurredAt");
+
+-- AddForeignKey
+ALTER TABLE "pipeline_stage_transitions" ADD CONSTRAINT "pipeline_stage_transitions_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pipeline_stage_transitions" ADD CONSTRAINT "pipeline_stage_transitions_crmId_fkey" FOREIGN KEY ("crmId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pipeline_stage_transitions" ADD CONSTRAINT "pipeline_stage_transitions_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "owners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing Pipelines get one entry for their current stage
+-- (the stage's entry time isn't known, so the Pipeline's last update is used)
+INSERT INTO "pipeline_stage_transitions" ("id", "contactId", "crmId", "toPipeline", "toStage", "automated", "trigger", "occurredAt")
+SELECT gen_random_uuid()::text, p."contactId", c."crmId", p."pipeline", p."stage", false, 'backfill', p."updatedAt"
+FROM "pipelines" p
+JOIN "contacts" c ON c."id" = p."contactId";
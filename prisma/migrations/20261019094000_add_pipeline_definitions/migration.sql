@@ -0,0 +1,40 @@
+-- Per-CompanyHQ pipeline and stage definitions
+-- Existing tenants are seeded from config/pipelineConfig.js defaults on first use
+
+-- CreateTable
+CREATE TABLE "pipeline_definitions" (
+    "id" TEXT NOT NULL,
+    "companyHQId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "pipeline_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "pipeline_stage_definitions" (
+    "id" TEXT NOT NULL,
+    "pipelineId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "pipeline_stage_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pipeline_definitions_companyHQId_key_key" ON "pipeline_definitions"("companyHQId", "key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pipeline_stage_definitions_pipelineId_key_key" ON "pipeline_stage_definitions"("pipelineId", "key");
+
+-- AddForeignKey
+ALTER TABLE "pipeline_definitions" ADD CONSTRAINT "pipeline_definitions_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pipeline_stage_definitions" ADD CONSTRAINT "pipeline_stage_definitions_pipelineId_fkey" FOREIGN KEY ("pipelineId") REFERENCES "pipeline_definitions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,67 @@
+-- Declarative pipeline trigger rules (per CompanyHQ) and their execution log
+-- Every existing CompanyHQ gets the former hardcoded rule: prospect/contract-signed → client/kickoff
+
+-- AlterTable
+ALTER TABLE "contact_activities" ADD COLUMN "dueAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "pipeline_trigger_rules" (
+    "id" TEXT NOT NULL,
+    "companyHQId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "pipeline" TEXT NOT NULL,
+    "stage" TEXT NOT NULL,
+    "buyerDecision" TEXT,
+    "howMet" TEXT,
+    "actions" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "pipeline_trigger_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "pipeline_trigger_executions" (
+    "id" TEXT NOT NULL,
+    "companyHQId" TEXT NOT NULL,
+    "ruleId" TEXT,
+    "ruleName" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "results" JSONB NOT NULL,
+    "occurredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pipeline_trigger_executions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "pipeline_trigger_rules_companyHQId_pipeline_stage_idx" ON "pipeline_trigger_rules"("companyHQId", "pipeline", "stage");
+
+-- CreateIndex
+CREATE INDEX "pipeline_trigger_executions_companyHQId_occurredAt_idx" ON "pipeline_trigger_executions"("companyHQId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "pipeline_trigger_executions_contactId_occurredAt_idx" ON "pipeline_trigger_executions"("contactId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "pipeline_trigger_executions_ruleId_occurredAt_idx" ON "pipeline_trigger_executions"("ruleId", "occurredAt");
+
+-- AddForeignKey
+ALTER TABLE "pipeline_trigger_rules" ADD CONSTRAINT "pipeline_trigger_rules_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pipeline_trigger_executions" ADD CONSTRAINT "pipeline_trigger_executions_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pipeline_trigger_executions" ADD CONSTRAINT "pipeline_trigger_executions_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "pipeline_trigger_rules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pipeline_trigger_executions" ADD CONSTRAINT "pipeline_trigger_executions_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the default rule for existing CompanyHQs
+INSERT INTO "pipeline_trigger_rules" ("id", "companyHQId", "name", "enabled", "position", "pipeline", "stage", "actions", "updatedAt")
+SELECT gen_random_uuid()::text, "id", 'contract-signed', true, 0, 'prospect', 'contract-signed',
+       '[{"type": "move", "pipeline": "client", "stage": "kickoff"}]'::jsonb, CURRENT_TIMESTAMP
+FROM "company_hqs";
@@ -0,0 +1,10 @@
+-- Stage transition policies (allowed next stages, entry requirements) and recorded overrides
+-- Existing stages keep no policy (any move allowed)
+
+-- AlterTable
+ALTER TABLE "pipeline_stage_definitions" ADD COLUMN "allowedNextStages" JSONB,
+ADD COLUMN "entryRequirements" JSONB;
+
+-- AlterTable
+ALTER TABLE "pipeline_stage_transitions" ADD COLUMN "overridden" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "overrideReason" TEXT;
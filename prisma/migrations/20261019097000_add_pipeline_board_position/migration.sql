@@ -0,0 +1,21 @@
+-- Kanban board card order: position within a (CompanyHQ, pipeline, stage) column
+-- Existing cards are numbered by when they last changed stage
+
+-- AlterTable
+ALTER TABLE "pipelines" ADD COLUMN "position" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "pipelines_pipeline_stage_position_idx" ON "pipelines"("pipeline", "stage", "position");
+
+-- Backfill positions per column
+UPDATE "pipelines" p
+SET "position" = ranked.rn - 1
+FROM (
+    SELECT pl."id", ROW_NUMBER() OVER (
+        PARTITION BY c."crmId", pl."pipeline", pl."stage"
+        ORDER BY pl."updatedAt", pl."id"
+    ) AS rn
+    FROM "pipelines" pl
+    JOIN "contacts" c ON c."id" = pl."contactId"
+) ranked
+WHERE p."id" = ranked."id";
@@ -0,0 +1,26 @@
+-- Per-stage win probability for the weighted revenue forecast
+-- Existing default stages get the config defaults (config/forecastConfig.js); custom stages stay unforecast
+
+-- AlterTable
+ALTER TABLE "pipeline_stage_definitions" ADD COLUMN "winProbability" DOUBLE PRECISION;
+
+-- Backfill defaults
+UPDATE "pipeline_stage_definitions" AS s
+SET "winProbability" = d.probability
+FROM "pipeline_definitions" AS p,
+  (VALUES
+    ('prospect', 'interest', 0.1),
+    ('prospect', 'meeting', 0.2),
+    ('prospect', 'proposal', 0.4),
+    ('prospect', 'contract', 0.7),
+    ('prospect', 'contract-signed', 1.0),
+    ('client', 'kickoff', 1.0),
+    ('client', 'work-started', 1.0),
+    ('client', 'work-delivered', 1.0),
+    ('client', 'sustainment', 1.0),
+    ('client', 'renewal', 0.5),
+    ('client', 'terminated-contract', 0.0)
+  ) AS d(pipeline, stage, probability)
+WHERE s."pipelineId" = p."id"
+  AND p."key" = d.pipeline
+  AND s."key" = d.stage;
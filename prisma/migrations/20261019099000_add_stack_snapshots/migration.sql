@@ -0,0 +1,25 @@
+-- Versioned snapshots of the Revenue, Human Capital and Target Acquisition stacks (per CompanyHQ)
+
+-- CreateTable
+CREATE TABLE "stack_snapshots" (
+    "id" TEXT NOT NULL,
+    "companyHQId" TEXT NOT NULL,
+    "stackType" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "label" TEXT,
+    "inputs" JSONB NOT NULL,
+    "results" JSONB NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stack_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stack_snapshots_companyHQId_stackType_version_key" ON "stack_snapshots"("companyHQId", "stackType", "version");
+
+-- AddForeignKey
+ALTER TABLE "stack_snapshots" ADD CONSTRAINT "stack_snapshots_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stack_snapshots" ADD CONSTRAINT "stack_snapshots_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "owners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
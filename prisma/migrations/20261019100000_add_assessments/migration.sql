@@ -0,0 +1,36 @@
+-- Persisted growth assessments (scores, interpretation band and AI insights) per Owner / CompanyHQ
+
+-- CreateTable
+CREATE TABLE "assessments" (
+    "id" TEXT NOT NULL,
+    "ownerId" TEXT,
+    "companyHQId" TEXT,
+    "name" TEXT,
+    "company" TEXT,
+    "industry" TEXT,
+    "responses" JSONB NOT NULL,
+    "baseScore" INTEGER NOT NULL,
+    "workloadScore" INTEGER NOT NULL,
+    "growthScore" INTEGER NOT NULL,
+    "revenueScore" INTEGER NOT NULL,
+    "scoreBand" TEXT NOT NULL,
+    "scoreInterpretation" JSONB NOT NULL,
+    "insights" JSONB,
+    "insightsStatus" TEXT NOT NULL DEFAULT 'pending',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "assessments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "assessments_companyHQId_createdAt_idx" ON "assessments"("companyHQId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "assessments_ownerId_createdAt_idx" ON "assessments"("ownerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "assessments" ADD CONSTRAINT "assessments_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "owners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "assessments" ADD CONSTRAINT "assessments_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
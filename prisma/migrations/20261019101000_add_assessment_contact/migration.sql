@@ -0,0 +1,10 @@
+-- Public lead-capture assessments are linked to the Contact they create/update
+
+-- AlterTable
+ALTER TABLE "assessments" ADD COLUMN "contactId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "assessments_contactId_createdAt_idx" ON "assessments"("contactId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "assessments" ADD CONSTRAINT "assessments_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,75 @@
+-- Batch fit scoring: one job per contact list / pipeline stage + product, one item per contact
+
+-- CreateTable
+CREATE TABLE "fit_score_jobs" (
+    "id" TEXT NOT NULL,
+    "companyHQId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "contactListId" TEXT,
+    "pipeline" TEXT,
+    "stage" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "total" INTEGER NOT NULL,
+    "completed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdById" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fit_score_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "fit_score_job_items" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "personaId" TEXT,
+    "totalScore" INTEGER,
+    "scores" JSONB,
+    "summary" TEXT,
+    "error" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fit_score_job_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "fit_score_jobs_companyHQId_createdAt_idx" ON "fit_score_jobs"("companyHQId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "fit_score_jobs_status_idx" ON "fit_score_jobs"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fit_score_job_items_jobId_contactId_key" ON "fit_score_job_items"("jobId", "contactId");
+
+-- CreateIndex
+CREATE INDEX "fit_score_job_items_jobId_status_idx" ON "fit_score_job_items"("jobId", "status");
+
+-- CreateIndex
+CREATE INDEX "fit_score_job_items_jobId_totalScore_idx" ON "fit_score_job_items"("jobId", "totalScore");
+
+-- AddForeignKey
+ALTER TABLE "fit_score_jobs" ADD CONSTRAINT "fit_score_jobs_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_score_jobs" ADD CONSTRAINT "fit_score_jobs_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_score_jobs" ADD CONSTRAINT "fit_score_jobs_contactListId_fkey" FOREIGN KEY ("contactListId") REFERENCES "contact_lists"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_score_jobs" ADD CONSTRAINT "fit_score_jobs_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "owners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_score_job_items" ADD CONSTRAINT "fit_score_job_items_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "fit_score_jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_score_job_items" ADD CONSTRAINT "fit_score_job_items_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
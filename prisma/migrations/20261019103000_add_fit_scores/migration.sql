@@ -0,0 +1,47 @@
+-- Stored fit scores: one version per (re)calculation of a contact/product pair
+
+-- CreateTable
+CREATE TABLE "fit_scores" (
+    "id" TEXT NOT NULL,
+    "companyHQId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "pointOfNeed" INTEGER NOT NULL,
+    "painAlignment" INTEGER NOT NULL,
+    "willingnessToPay" INTEGER NOT NULL,
+    "impactPotential" INTEGER NOT NULL,
+    "contextFit" INTEGER NOT NULL,
+    "totalScore" INTEGER NOT NULL,
+    "summary" TEXT,
+    "personaId" TEXT,
+    "model" TEXT NOT NULL,
+    "promptVersion" TEXT NOT NULL,
+    "pipeline" TEXT,
+    "stage" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fit_scores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fit_scores_contactId_productId_version_key" ON "fit_scores"("contactId", "productId", "version");
+
+-- CreateIndex
+CREATE INDEX "fit_scores_companyHQId_createdAt_idx" ON "fit_scores"("companyHQId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "fit_scores" ADD CONSTRAINT "fit_scores_companyHQId_fkey" FOREIGN KEY ("companyHQId") REFERENCES "company_hqs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_scores" ADD CONSTRAINT "fit_scores_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_scores" ADD CONSTRAINT "fit_scores_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_scores" ADD CONSTRAINT "fit_scores_personaId_fkey" FOREIGN KEY ("personaId") REFERENCES "personas"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fit_scores" ADD CONSTRAINT "fit_scores_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "owners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- Fit score modes: AI, rule-based, or AI with a rule-based fallback (auto)
+
+-- AlterTable
+ALTER TABLE "fit_scores" ADD COLUMN "mode" TEXT NOT NULL DEFAULT 'ai',
+ADD COLUMN "fallbackReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "fit_score_jobs" ADD COLUMN "mode" TEXT NOT NULL DEFAULT 'auto';
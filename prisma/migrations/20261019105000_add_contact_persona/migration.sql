@@ -0,0 +1,10 @@
+-- Persona confirmed for a contact (persona matching) - used by fit scoring
+
+-- AlterTable
+ALTER TABLE "contacts" ADD COLUMN "personaId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "contacts_personaId_idx" ON "contacts"("personaId");
+
+-- AddForeignKey
+ALTER TABLE "contacts" ADD CONSTRAINT "contacts_personaId_fkey" FOREIGN KEY ("personaId") REFERENCES "personas"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- Default stage transition policies (config/stageTransitionConfig.js) for existing default stages:
+-- each stage may only move on to the next one, prospect contract-signed may convert to client
+-- kickoff, and prospect contract needs an approved proposal.
+-- Entries for stages the tenant has removed are dropped (no policy if none are left); stages that
+-- already have a policy, and custom stages, are left as they are.
+
+-- Backfill allowed next stages
+WITH defaults(pipeline, stage, next_pipeline, next_stage) AS (
+  VALUES
+    ('prospect', 'interest', 'prospect', 'meeting'),
+    ('prospect', 'meeting', 'prospect', 'proposal'),
+    ('prospect', 'proposal', 'prospect', 'contract'),
+    ('prospect', 'contract', 'prospect', 'contract-signed'),
+    ('prospect', 'contract-signed', 'client', 'kickoff'),
+    ('client', 'kickoff', 'client', 'work-started'),
+    ('client', 'work-started', 'client', 'work-delivered'),
+    ('client', 'work-delivered', 'client', 'sustainment'),
+    ('client', 'sustainment', 'client', 'renewal'),
+    ('client', 'renewal', 'client', 'terminated-contract'),
+    ('client', 'terminated-contract', NULL, NULL),
+    ('collaborator', 'interest', 'collaborator', 'meeting'),
+    ('collaborator', 'meeting', 'collaborator', 'moa'),
+    ('collaborator', 'moa', 'collaborator', 'agreement'),
+    ('collaborator', 'agreement', NULL, NULL),
+    ('institution', 'interest', 'institution', 'meeting'),
+    ('institution', 'meeting', 'institution', 'moa'),
+    ('institution', 'moa', 'institution', 'agreement'),
+    ('institution', 'agreement', NULL, NULL)
+),
+policies AS (
+  SELECT
+    s."id",
+    COALESCE(
+      jsonb_agg(
+        CASE WHEN d.next_pipeline = d.pipeline THEN d.next_stage ELSE d.next_pipeline || ':' || d.next_stage END
+      ) FILTER (WHERE ns."id" IS NOT NULL),
+      '[]'::jsonb
+    ) AS allowed
+  FROM "pipeline_stage_definitions" AS s
+  JOIN "pipeline_definitions" AS p ON p."id" = s."pipelineId"
+  JOIN defaults AS d ON d.pipeline = p."key" AND d.stage = s."key"
+  LEFT JOIN "pipeline_definitions" AS np ON np."companyHQId" = p."companyHQId" AND np."key" = d.next_pipeline
+  LEFT JOIN "pipeline_stage_definitions" AS ns ON ns."pipelineId" = np."id" AND ns."key" = d.next_stage
+  WHERE s."allowedNextStages" IS NULL
+  GROUP BY s."id"
+  HAVING bool_and(d.next_stage IS NULL) OR count(ns."id") > 0
+)
+UPDATE "pipeline_stage_definitions" AS s
+SET "allowedNextStages" = policies.allowed
+FROM policies
+WHERE s."id" = policies."id";
+
+-- Backfill entry requirements
+UPDATE "pipeline_stage_definitions" AS s
+SET "entryRequirements" = '["approved-proposal"]'::jsonb
+FROM "pipeline_definitions" AS p
+WHERE s."pipelineId" = p."id"
+  AND p."key" = 'prospect'
+  AND s."key" = 'contract'
+  AND s."entryRequirements" IS NULL;
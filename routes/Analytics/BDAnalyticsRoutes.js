@@ -0,0 +1,112 @@
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import { getBDAnalytics } from '../../services/PipelineAnalyticsService.js';
+import { getPipelineStageMap, validatePipelineStage } from '../../services/PipelineDefinitionService.js';
+import {
+  ANALYTICS_INTERVALS,
+  DEFAULT_ANALYTICS_RANGE_DAYS,
+  MAX_ANALYTICS_RANGE_DAYS,
+  isValidAnalyticsInterval
+} from '../../config/analyticsConfig.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse an optional date input, returning undefined when absent and null when invalid
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// A date-only "to" (YYYY-MM-DD) includes that whole day
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * GET /api/analytics/bd?companyHQId=xxx
+ * BD analytics for a CompanyHQ: conversion funnel, velocity, win rate and pipeline volume
+ * Built from the stage-transition log (see PipelineAnalyticsService)
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - from (optional) - Range start date (default: 90 days before "to")
+ * - to (optional) - Range end date, inclusive for a date-only value (default: now)
+ * - interval (optional) - Volume buckets: "week" | "month" (default: "week")
+ * - pipeline (optional) - Limit funnel/velocity/volume to one pipeline
+ *
+ * Returns:
+ * - success: true
+ * - range: { from, to, interval }
+ * - funnel: { [pipeline]: [{ stage, label, reached, entered, conversionToNext }] }
+ * - velocity: { [pipeline]: [{ stage, label, medianDays, completedStays }] }
+ * - winRate: { fromPipeline, toPipeline, entered, won, winRate, medianDaysToWin }
+ * - volume: { [pipeline]: { total, byHowMet, byBuyerDecision, periods: [{ period, count, byHowMet, byBuyerDecision }] } }
+ * - labels: { pipelines, howMet, buyerDecision }
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/bd', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { pipeline, interval = ANALYTICS_INTERVALS.WEEK } = req.query;
+
+    if (!isValidAnalyticsInterval(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `interval must be one of: ${Object.values(ANALYTICS_INTERVALS).join(', ')}`
+      });
+    }
+
+    let to = parseDate(req.query.to);
+    let from = parseDate(req.query.from);
+    if (to === null || from === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    to = to ? (isDateOnly(req.query.to) ? new Date(to.getTime() + DAY_MS) : to) : new Date();
+    from = from || new Date(to.getTime() - DEFAULT_ANALYTICS_RANGE_DAYS * DAY_MS);
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be before to'
+      });
+    }
+
+    if (to - from > MAX_ANALYTICS_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_ANALYTICS_RANGE_DAYS} days`
+      });
+    }
+
+    const pipelineError = pipeline && validatePipelineStage(await getPipelineStageMap(req.companyHQId), pipeline);
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        error: pipelineError
+      });
+    }
+
+    const analytics = await getBDAnalytics(req.companyHQId, { from, to, interval, pipeline });
+
+    return res.json({
+      success: true,
+      ...analytics
+    });
+
+  } catch (error) {
+    console.error('❌ BDAnalytics error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to compute BD analytics',
+      details: error.message
+    });
+  }
+});
+
+export default router;
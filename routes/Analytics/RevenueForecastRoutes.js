@@ -0,0 +1,110 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import { getRevenueForecast } from '../../services/RevenueForecastService.js';
+import TargetAcquisitionCalculationService from '../../services/TargetAcquisitionCalculationService.js';
+import { DEFAULT_FORECAST_MONTHS, MAX_FORECAST_MONTHS } from '../../config/forecastConfig.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/analytics/forecast?companyHQId=xxx
+ * Weighted revenue forecast: open proposal values x their company's stage win probability,
+ * scheduled per month from dateIssued and milestone weeks (see RevenueForecastService)
+ * Optionally compared with a target acquisition plan
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - from (optional) - First month, "YYYY-MM" (default: current month)
+ * - months (optional) - Horizon in months (1-36, default: 12) - also the target's timeHorizon
+ * - targetRevenue (optional) - Compare with TargetAcquisitionCalculationService.calculateTargetAcquisition; then also:
+ *   - previousRevenue (default: the CompanyHQ's companyAnnualRev)
+ *   - avgUnitValue, avgUnitsPerCustomer (required with targetRevenue)
+ *
+ * Returns:
+ * - success: true
+ * - range: { from, to, months }
+ * - totals: { proposals, pipelineValue, expectedRevenue, expectedInRange, expectedBeforeRange, expectedAfterRange, unweightedValue }
+ * - months: [{ month, pipelineValue, expectedRevenue, targetIncrease?, gap? }]
+ * - byStage: [{ pipeline, stage, label, winProbability, proposals, pipelineValue, expectedRevenue }]
+ * - proposals: [{ id, clientName, clientCompany, status, totalPrice, stage, winProbability, expectedRevenue }]
+ * - target: Target acquisition metrics + { expectedRevenue, gap, coverage } (null without targetRevenue)
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/forecast', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { targetRevenue, avgUnitValue, avgUnitsPerCustomer } = req.query;
+    const months = req.query.months === undefined ? DEFAULT_FORECAST_MONTHS : parseInt(req.query.months, 10);
+
+    if (!Number.isInteger(months) || months < 1 || months > MAX_FORECAST_MONTHS) {
+      return res.status(400).json({
+        success: false,
+        error: `months must be between 1 and ${MAX_FORECAST_MONTHS}`
+      });
+    }
+
+    let from = new Date();
+    if (req.query.from !== undefined) {
+      if (!/^\d{4}-\d{2}$/.test(req.query.from)) {
+        return res.status(400).json({
+          success: false,
+          error: 'from must be a month in YYYY-MM format'
+        });
+      }
+      from = new Date(`${req.query.from}-01T00:00:00Z`);
+      // e.g. 2026-13 passes the pattern but isn't a month
+      if (Number.isNaN(from.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'from must be a month in YYYY-MM format'
+        });
+      }
+    }
+
+    let target = null;
+    if (targetRevenue !== undefined) {
+      let previousRevenue = req.query.previousRevenue;
+      if (previousRevenue === undefined) {
+        const companyHQ = await prisma.companyHQ.findUnique({
+          where: { id: req.companyHQId },
+          select: { companyAnnualRev: true }
+        });
+        previousRevenue = companyHQ?.companyAnnualRev;
+      }
+
+      try {
+        target = TargetAcquisitionCalculationService.calculateTargetAcquisition({
+          previousRevenue,
+          targetRevenue,
+          avgUnitValue,
+          avgUnitsPerCustomer,
+          timeHorizon: months
+        });
+      } catch (targetError) {
+        return res.status(400).json({
+          success: false,
+          error: targetError.message
+        });
+      }
+    }
+
+    const forecast = await getRevenueForecast(req.companyHQId, { from, months, target });
+
+    return res.json({
+      success: true,
+      ...forecast
+    });
+
+  } catch (error) {
+    console.error('❌ RevenueForecast error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to compute revenue forecast',
+      details: error.message
+    });
+  }
+});
+
+export default router;
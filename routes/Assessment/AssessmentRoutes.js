@@ -0,0 +1,242 @@
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  authorizeCompanyHQ,
+  authorizeOwner,
+  authorizeAssessment
+} from '../../middleware/companyHQAuthMiddleware.js';
+import {
+  normalizeAssessmentResponses,
+  scoreAssessment,
+  createAssessment,
+  listAssessments,
+  getAssessment,
+  getOriginalAssessment,
+  diffAssessments
+} from '../../services/AssessmentService.js';
+
+const router = express.Router();
+
+// CompanyHQ assessments need CompanyHQ access; personal ones just the signed-in Owner
+const authorizeAssessmentScope = (getCompanyHQId) => (req, res, next) => (
+  getCompanyHQId(req)
+    ? authorizeCompanyHQ(getCompanyHQId)(req, res, next)
+    : authorizeOwner(req, res, next)
+);
+
+/**
+ * POST /api/assessments/score
+ * Score answers without saving or generating insights (preview)
+ *
+ * Body:
+ * - workTooMuch (required) - "always" | "often" | "sometimes" | "rarely"
+ * - assignTasks (required) - "never" | "rarely" | "sometimes" | "always"
+ * - wantMoreClients (required) - "yes" | "maybe" | "no"
+ * - revenueGrowthPercent, totalVolume, bdSpend (optional) - Non-negative numbers
+ *
+ * Returns:
+ * - success: true
+ * - score: { baseScore, workloadScore, growthScore, revenueScore, scoreBand, scoreInterpretation }
+ */
+router.post('/score', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { responses, error } = normalizeAssessmentResponses(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    return res.json({
+      success: true,
+      score: scoreAssessment(responses)
+    });
+
+  } catch (error) {
+    console.error('❌ ScoreAssessment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to score assessment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/assessments
+ * Submit an assessment: score it, generate AI insights and save it
+ *
+ * Body:
+ * - companyHQId (optional) - CompanyHQ the assessment is for (default: personal, for the signed-in Owner)
+ * - name, company, industry (optional) - Respondent details (used in the insights)
+ * - workTooMuch, assignTasks, wantMoreClients (required), revenueGrowthPercent, totalVolume, bdSpend (optional) - See /score
+ * - generateInsights (optional) - false to skip the AI insights (default: true)
+ *
+ * Returns:
+ * - success: true
+ * - assessment: Created Assessment (scores, scoreBand, scoreInterpretation, insights, insightsStatus)
+ */
+router.post('/', verifyFirebaseToken, authorizeAssessmentScope((req) => req.body.companyHQId), async (req, res) => {
+  try {
+    const { name, company, industry, generateInsights } = req.body;
+    const { responses, error } = normalizeAssessmentResponses(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const assessment = await createAssessment({
+      ownerId: req.owner.id,
+      companyHQId: req.companyHQId || null,
+      respondent: { name, company, industry },
+      responses
+    }, {
+      generateInsights: generateInsights !== false
+    });
+
+    console.log(`✅ Assessment saved: ${assessment.id} (score ${assessment.baseScore}, insights ${assessment.insightsStatus})`);
+
+    return res.status(201).json({
+      success: true,
+      assessment
+    });
+
+  } catch (error) {
+    console.error('❌ CreateAssessment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save assessment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assessments?companyHQId=xxx
+ * List assessments (newest first)
+ *
+ * Query params:
+ * - companyHQId (optional) - A CompanyHQ's assessments, without public ones taken by its leads
+ *   (default: the signed-in Owner's personal ones)
+ *
+ * Returns:
+ * - success: true
+ * - assessments: Assessments with owner
+ */
+router.get('/', verifyFirebaseToken, authorizeAssessmentScope((req) => req.query.companyHQId), async (req, res) => {
+  try {
+    const assessments = await listAssessments(
+      req.companyHQId ? { companyHQId: req.companyHQId } : { ownerId: req.owner.id }
+    );
+
+    return res.json({
+      success: true,
+      assessments
+    });
+
+  } catch (error) {
+    console.error('❌ ListAssessments error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list assessments',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assessments/:assessmentId
+ * Get one assessment
+ *
+ * Returns:
+ * - success: true
+ * - assessment: Assessment with owner
+ */
+router.get('/:assessmentId', verifyFirebaseToken, authorizeAssessment(), async (req, res) => {
+  try {
+    const assessment = await getAssessment(req.params.assessmentId);
+
+    return res.json({
+      success: true,
+      assessment
+    });
+
+  } catch (error) {
+    console.error('❌ GetAssessment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get assessment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assessments/:assessmentId/diff?against=xxx
+ * Compare an assessment with an earlier one
+ *
+ * Query params:
+ * - against (optional) - Assessment to compare with (default: the original - the first one
+ *   for the same CompanyHQ, the same Owner for personal assessments, or the same Contact for
+ *   public ones)
+ *
+ * Returns:
+ * - success: true
+ * - diff: { from, to, daysBetween, scores: { [score]: { from, to, change } }, band: { from, to, changed }, responses }
+ *   (from is always the older assessment)
+ */
+router.get('/:assessmentId/diff', verifyFirebaseToken, authorizeAssessment(), async (req, res) => {
+  try {
+    const { against } = req.query;
+    const assessment = await getAssessment(req.params.assessmentId);
+
+    let other;
+    if (against) {
+      other = await getAssessment(against);
+      // Public assessments are compared only with the same Contact's
+      const sameScope = other && other.contactId === assessment.contactId && (assessment.companyHQId
+        ? other.companyHQId === assessment.companyHQId
+        : !other.companyHQId && other.ownerId === assessment.ownerId);
+
+      if (!sameScope) {
+        return res.status(404).json({
+          success: false,
+          error: 'Assessment to compare with not found'
+        });
+      }
+    } else {
+      other = await getOriginalAssessment(assessment);
+
+      if (!other) {
+        return res.status(404).json({
+          success: false,
+          error: 'This is the original assessment - there is nothing earlier to compare with'
+        });
+      }
+    }
+
+    const [from, to] = new Date(other.createdAt) <= new Date(assessment.createdAt)
+      ? [other, assessment]
+      : [assessment, other];
+
+    return res.json({
+      success: true,
+      diff: diffAssessments(from, to)
+    });
+
+  } catch (error) {
+    console.error('❌ DiffAssessments error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to compare assessments',
+      details: error.message
+    });
+  }
+});
+
+export default router;
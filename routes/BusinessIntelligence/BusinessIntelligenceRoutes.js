@@ -1,31 +1,73 @@
 import express from 'express';
 import prisma from '../../db.js';
+import { NOT_DELETED } from '../../services/TrashService.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
 import {
-  calculateFitScore,
-  findMatchingPersona,
-} from '../../services/BusinessIntelligenceScoringService.js';
+  authorizeCompanyHQ,
+  authorizeContact,
+  authorizeProduct,
+  authorizeFitScoreJob,
+} from '../../middleware/companyHQAuthMiddleware.js';
+import { findMatchingPersona } from '../../services/BusinessIntelligenceScoringService.js';
+import {
+  recordFitScore,
+  getLatestFitScore,
+  getFitScoreHistory,
+  toFitScoreResponse,
+} from '../../services/FitScoreService.js';
+import {
+  FitScoreJobError,
+  createFitScoreJob,
+  listFitScoreJobs,
+  getFitScoreJob,
+  getFitScoreJobResults,
+} from '../../services/FitScoreJobService.js';
+import {
+  getPipelineStageMap,
+  validatePipelineStage,
+} from '../../services/PipelineDefinitionService.js';
+import {
+  FIT_SCORE_JOB_SOURCES,
+  FIT_SCORE_MODES,
+  FIT_SCORE_MODE,
+  isValidFitScoreMode,
+} from '../../config/fitScoreConfig.js';
 
 const router = express.Router();
 
+const INVALID_MODE_ERROR = `mode must be one of: ${Object.values(FIT_SCORE_MODES).join(', ')}`;
+
+// Contact and product must exist and belong to the same tenant
+// Returns { crmId } or { status, error }
+async function loadFitScorePair(contactId, productId) {
+  const contact = await prisma.contact.findUnique({
+    where: { id: contactId, ...NOT_DELETED },
+    select: { crmId: true },
+  });
+
+  if (!contact) {
+    return { status: 404, error: 'Contact not found' };
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { companyHQId: true },
+  });
+
+  if (!product || product.companyHQId !== contact.crmId) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  return { crmId: contact.crmId };
+}
+
 /**
- * POST /api/business-intelligence/fit-score
- * Calculate fit score between a contact and a product (offer)
- * 
- * Body:
- * - contactId (required) - Contact ID
- * - productId (required) - Product ID (the offer)
- * - personaId (optional) - Persona ID (if not provided, will try to find best match)
- * 
- * Returns:
- * - success: true
- * - scores: { pointOfNeed, painAlignment, willingnessToPay, impactPotential, contextFit, totalScore }
- * - summary: Text summary of the fit
- * - personaId: Persona ID used (if any)
+ * Score a contact/product pair and store it as a new version
+ * Shared by POST /fit-score and POST /fit-score/recompute
  */
-router.post('/fit-score', verifyFirebaseToken, async (req, res) => {
+const scoreAndStoreFitScore = (logLabel) => async (req, res) => {
   try {
-    const { contactId, productId, personaId } = req.body;
+    const { contactId, productId, personaId, mode = FIT_SCORE_MODE } = req.body;
 
     // Validate required fields
     if (!contactId) {
@@ -42,44 +84,25 @@ router.post('/fit-score', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Verify contact exists and belongs to user's tenant
-    const contact = await prisma.contact.findUnique({
-      where: { id: contactId },
-      select: { crmId: true },
-    });
-
-    if (!contact) {
-      return res.status(404).json({
-        success: false,
-        error: 'Contact not found',
-      });
-    }
-
-    // Verify product exists and belongs to user's tenant
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: { companyHQId: true },
-    });
-
-    if (!product) {
-      return res.status(404).json({
+    if (!isValidFitScoreMode(mode)) {
+      return res.status(400).json({
         success: false,
-        error: 'Product not found',
+        error: INVALID_MODE_ERROR,
       });
     }
 
-    // Ensure contact and product belong to same tenant
-    if (contact.crmId !== product.companyHQId) {
-      return res.status(403).json({
+    const pair = await loadFitScorePair(contactId, productId);
+    if (pair.error) {
+      return res.status(pair.status).json({
         success: false,
-        error: 'Contact and Product must belong to the same tenant',
+        error: pair.error,
       });
     }
 
-    // If personaId not provided, try to find best match
+    // If personaId not provided, use the contact's confirmed persona or the best match
     let finalPersonaId = personaId;
     if (!finalPersonaId) {
-      finalPersonaId = await findMatchingPersona(contactId, contact.crmId);
+      finalPersonaId = await findMatchingPersona(contactId);
       if (finalPersonaId) {
         console.log(
           `✅ Auto-matched persona ${finalPersonaId} for contact ${contactId}`,
@@ -88,7 +111,7 @@ router.post('/fit-score', verifyFirebaseToken, async (req, res) => {
     } else {
       // Verify persona exists and belongs to same tenant
       const persona = await prisma.persona.findUnique({
-        where: { id: finalPersonaId },
+        where: { id: finalPersonaId, ...NOT_DELETED },
         select: { companyHQId: true },
       });
 
@@ -99,7 +122,7 @@ router.post('/fit-score', verifyFirebaseToken, async (req, res) => {
         });
       }
 
-      if (persona.companyHQId !== contact.crmId) {
+      if (persona.companyHQId !== pair.crmId) {
         return res.status(403).json({
           success: false,
           error: 'Persona must belong to the same tenant',
@@ -107,17 +130,18 @@ router.post('/fit-score', verifyFirebaseToken, async (req, res) => {
       }
     }
 
-    // Calculate fit score
-    const result = await calculateFitScore(
-      contactId,
-      productId,
-      finalPersonaId,
-    );
+    // Calculate and store the next version
+    const result = await recordFitScore(pair.crmId, contactId, productId, {
+      personaId: finalPersonaId || null,
+      createdById: req.owner.id,
+      mode,
+    });
 
     if (!result.success) {
-      return res.status(500).json({
+      return res.status(result.code ? 502 : 500).json({
         success: false,
-        error: result.error || 'Failed to calculate fit score',
+        error: result.error,
+        code: result.code,
       });
     }
 
@@ -125,34 +149,82 @@ router.post('/fit-score', verifyFirebaseToken, async (req, res) => {
       success: true,
       contactId,
       productId,
-      personaId: finalPersonaId,
-      scores: result.scores,
-      summary: result.summary,
+      ...toFitScoreResponse(result.fitScore),
+      breakdown: result.breakdown,
     });
   } catch (error) {
-    console.error('❌ Fit score calculation error:', error);
+    console.error(`❌ ${logLabel} error:`, error);
     return res.status(500).json({
       success: false,
       error: 'Failed to calculate fit score',
       details: error.message,
     });
   }
-});
+};
+
+/**
+ * POST /api/business-intelligence/fit-score
+ * Calculate fit score between a contact and a product (offer) and store it as a new version
+ * (same as POST /fit-score/recompute)
+ * 
+ * Body:
+ * - contactId (required) - Contact ID
+ * - productId (required) - Product ID (the offer)
+ * - personaId (optional) - Persona ID (if not provided, uses the contact's confirmed persona, else the best match -
+ *   see GET /api/contacts/:contactId/persona-matches)
+ * - mode (optional) - 'ai' | 'rule-based' | 'auto' (default FIT_SCORE_MODE, normally auto)
+ *   - ai: LLM only
+ *   - rule-based: deterministic rules, no LLM
+ *   - auto: LLM, falling back to rule-based when the LLM call fails
+ * 
+ * Returns:
+ * - success: true
+ * - scores: { pointOfNeed, painAlignment, willingnessToPay, impactPotential, contextFit, totalScore }
+ * - summary: Text summary of the fit
+ * - personaId: Persona ID used (if any)
+ * - mode: 'ai' | 'rule-based' - How this score was calculated
+ * - fallbackReason: AI error code when auto fell back to rule-based (null otherwise)
+ * - breakdown: Rule-based inputs (matched keywords, budget sensitivity, buyer type, persona match) - null for AI scores
+ * - version, model, promptVersion, pipeline, stage, scoredAt: Stored score details
+ *
+ * Errors:
+ * - 502 { code: 'LLM_PROVIDER_ERROR' } - The LLM provider call failed (mode ai)
+ * - 502 { code: 'AI_OUTPUT_INVALID' } - The model's output didn't match the fit score schema after re-prompting (mode ai)
+ */
+router.post('/fit-score', verifyFirebaseToken, authorizeContact((req) => req.body.contactId), scoreAndStoreFitScore('Fit score calculation'));
+
+/**
+ * POST /api/business-intelligence/fit-score/recompute
+ * Recalculate a contact/product fit score - appends a new version to its history
+ * 
+ * Body: same as POST /fit-score
+ * 
+ * Returns: same as POST /fit-score (version is the new version number)
+ * 
+ * Note: Calls the LLM unless mode is rule-based. Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.post('/fit-score/recompute', verifyFirebaseToken, authorizeContact((req) => req.body.contactId), scoreAndStoreFitScore('Fit score recompute'));
 
 /**
  * GET /api/business-intelligence/fit-score
- * Calculate fit score for a contact-product pair
+ * Latest stored fit score for a contact-product pair
  * 
  * Query params:
  * - contactId (required)
  * - productId (required)
+ * - mode (optional) - Mode for the first score, when the pair has never been scored (see POST /fit-score)
  * 
- * Note: This endpoint calculates on demand (calls OpenAI)
- * Uses verifyFirebaseToken since it performs computation (not just reading data)
+ * Returns:
+ * - success: true
+ * - scores, summary, personaId, version, mode, fallbackReason, model, promptVersion, pipeline, stage, scoredAt (see POST /fit-score)
+ * 
+ * Note: Only scores when the pair has never been scored (the first score is stored as version 1) -
+ * use POST /fit-score/recompute to refresh it
+ * Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
  */
-router.get('/fit-score', verifyFirebaseToken, async (req, res) => {
+router.get('/fit-score', verifyFirebaseToken, authorizeContact((req) => req.query.contactId), async (req, res) => {
   try {
-    const { contactId, productId } = req.query;
+    const { contactId, productId, mode = FIT_SCORE_MODE } = req.query;
 
     if (!contactId || !productId) {
       return res.status(400).json({
@@ -161,48 +233,298 @@ router.get('/fit-score', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Find matching persona
-    const contact = await prisma.contact.findUnique({
-      where: { id: contactId },
-      select: { crmId: true },
-    });
+    if (!isValidFitScoreMode(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: INVALID_MODE_ERROR,
+      });
+    }
 
-    if (!contact) {
-      return res.status(404).json({
+    const pair = await loadFitScorePair(contactId, productId);
+    if (pair.error) {
+      return res.status(pair.status).json({
         success: false,
-        error: 'Contact not found',
+        error: pair.error,
       });
     }
 
-    const personaId = await findMatchingPersona(contactId, contact.crmId);
+    let fitScore = await getLatestFitScore(contactId, productId);
 
-    // Calculate fit score
-    const result = await calculateFitScore(contactId, productId, personaId);
+    if (!fitScore) {
+      // Never scored - score once with the confirmed (or best-matching) persona and store it
+      const personaId = await findMatchingPersona(contactId);
+      const result = await recordFitScore(pair.crmId, contactId, productId, {
+        personaId,
+        createdById: req.owner.id,
+        mode,
+      });
 
-    if (!result.success) {
-      return res.status(500).json({
+      if (!result.success) {
+        return res.status(result.code ? 502 : 500).json({
+          success: false,
+          error: result.error,
+          code: result.code,
+        });
+      }
+      fitScore = result.fitScore;
+    }
+
+    return res.json({
+      success: true,
+      contactId,
+      productId,
+      ...toFitScoreResponse(fitScore),
+    });
+  } catch (error) {
+    console.error('❌ Fit score GET error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get fit score',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/business-intelligence/fit-score/history
+ * Every stored fit score for a contact-product pair (oldest first, for charting)
+ * 
+ * Query params:
+ * - contactId (required)
+ * - productId (required)
+ * 
+ * Returns:
+ * - success: true
+ * - history: [{ version, scores, summary, personaId, mode, fallbackReason, model, promptVersion, pipeline, stage, scoredAt }]
+ * 
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.get('/fit-score/history', verifyFirebaseToken, authorizeContact((req) => req.query.contactId), async (req, res) => {
+  try {
+    const { contactId, productId } = req.query;
+
+    if (!contactId || !productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'contactId and productId are required',
+      });
+    }
+
+    const pair = await loadFitScorePair(contactId, productId);
+    if (pair.error) {
+      return res.status(pair.status).json({
         success: false,
-        error: result.error || 'Failed to calculate fit score',
+        error: pair.error,
       });
     }
 
+    const history = await getFitScoreHistory(contactId, productId);
+
     return res.json({
       success: true,
       contactId,
       productId,
-      personaId,
-      scores: result.scores,
-      summary: result.summary,
+      history: history.map(toFitScoreResponse),
     });
   } catch (error) {
-    console.error('❌ Fit score GET error:', error);
+    console.error('❌ Fit score history error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to calculate fit score',
+      error: 'Failed to get fit score history',
       details: error.message,
     });
   }
 });
 
-export default router;
+/**
+ * POST /api/business-intelligence/fit-score/jobs
+ * Score a whole contact list or pipeline stage against a product (runs in the background)
+ *
+ * Body:
+ * - productId (required) - Product ID (the offer)
+ * - contactListId - Score every contact in this ContactList
+ *   OR
+ * - pipeline, stage - Score every contact in this pipeline stage
+ * - mode (optional) - Fit score mode for every contact: 'ai' | 'rule-based' | 'auto' (default FIT_SCORE_MODE)
+ *
+ * Returns (202):
+ * - success: true
+ * - job: FitScoreJob { id, status, total, progress: { total, completed, failed, pending, percent }, ... }
+ *   Poll GET /fit-score/jobs/:jobId for progress and /fit-score/jobs/:jobId/results for the ranking
+ *
+ * Note: Requires auth - Owner must own or manage the product's CompanyHQ (authorizeProduct)
+ */
+router.post('/fit-score/jobs', verifyFirebaseToken, authorizeProduct((req) => req.body.productId), async (req, res) => {
+  try {
+    const { productId, contactListId, pipeline, stage, mode = FIT_SCORE_MODE } = req.body;
+
+    if (Boolean(contactListId) === Boolean(pipeline)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either contactListId or pipeline and stage',
+      });
+    }
+
+    if (!isValidFitScoreMode(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: INVALID_MODE_ERROR,
+      });
+    }
+
+    let source;
+    if (contactListId) {
+      const contactList = await prisma.contactList.findUnique({
+        where: { id: contactListId },
+        select: { companyId: true },
+      });
+
+      if (!contactList || contactList.companyId !== req.companyHQId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Contact list not found',
+        });
+      }
+      source = FIT_SCORE_JOB_SOURCES.CONTACT_LIST;
+    } else {
+      if (!stage) {
+        return res.status(400).json({
+          success: false,
+          error: 'stage is required with pipeline',
+        });
+      }
+
+      const stageError = validatePipelineStage(await getPipelineStageMap(req.companyHQId), pipeline, stage);
+      if (stageError) {
+        return res.status(400).json({
+          success: false,
+          error: stageError,
+        });
+      }
+      source = FIT_SCORE_JOB_SOURCES.PIPELINE_STAGE;
+    }
+
+    const job = await createFitScoreJob(req.companyHQId, {
+      productId,
+      source,
+      contactListId: contactListId || null,
+      pipeline: pipeline || null,
+      stage: stage || null,
+      mode,
+    }, {
+      createdById: req.owner.id,
+    });
+
+    console.log(`✅ Fit score job created: ${job.id} (${job.total} contacts)`);
+
+    return res.status(202).json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    if (error instanceof FitScoreJobError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('❌ Create fit score job error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create fit score job',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/business-intelligence/fit-score/jobs?companyHQId=xxx
+ * A CompanyHQ's fit score jobs (newest first, latest 50)
+ *
+ * Returns:
+ * - success: true
+ * - jobs: FitScoreJobs with product, contactList, createdBy and progress
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/fit-score/jobs', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const jobs = await listFitScoreJobs(req.companyHQId);
 
+    return res.json({
+      success: true,
+      jobs,
+    });
+  } catch (error) {
+    console.error('❌ List fit score jobs error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list fit score jobs',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/business-intelligence/fit-score/jobs/:jobId
+ * A fit score job's status and progress
+ *
+ * Returns:
+ * - success: true
+ * - job: FitScoreJob with product, contactList, createdBy and progress
+ *
+ * Note: Requires auth - Owner must own or manage the job's CompanyHQ (authorizeFitScoreJob)
+ */
+router.get('/fit-score/jobs/:jobId', verifyFirebaseToken, authorizeFitScoreJob(), async (req, res) => {
+  try {
+    const job = await getFitScoreJob(req.params.jobId);
+
+    return res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    console.error('❌ Get fit score job error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get fit score job',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/business-intelligence/fit-score/jobs/:jobId/results
+ * A fit score job's results, ranked best fit first (available while the job runs)
+ *
+ * Returns:
+ * - success: true
+ * - job: FitScoreJob with progress
+ * - results: [{ rank, contact, status, totalScore, scores, summary, personaId, error }]
+ *   (scored contacts ranked 1, 2, 3...; pending and failed ones follow with rank null)
+ *
+ * Note: Requires auth - Owner must own or manage the job's CompanyHQ (authorizeFitScoreJob)
+ */
+router.get('/fit-score/jobs/:jobId/results', verifyFirebaseToken, authorizeFitScoreJob(), async (req, res) => {
+  try {
+    const [job, results] = await Promise.all([
+      getFitScoreJob(req.params.jobId),
+      getFitScoreJobResults(req.params.jobId),
+    ]);
+
+    return res.json({
+      success: true,
+      job,
+      results,
+    });
+  } catch (error) {
+    console.error('❌ Get fit score job results error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get fit score job results',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
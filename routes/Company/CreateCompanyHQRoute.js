@@ -1,6 +1,8 @@
 import express from 'express';
 import prisma from '../../db.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { ensurePipelineDefinitions } from '../../services/PipelineDefinitionService.js';
+import { ensureDefaultTriggerRules } from '../../services/PipelineTriggerService.js';
 
 const router = express.Router();
 
@@ -68,6 +70,14 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    // A CompanyHQ can only be created for the signed-in Owner
+    if (owner.firebaseId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot create a CompanyHQ for another owner'
+      });
+    }
+
     // Create CompanyHQ
     const companyHQ = await prisma.companyHQ.create({
       data: {
@@ -89,6 +99,10 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
       }
     });
 
+    // Give the new tenant its own copy of the default pipelines/stages and trigger rules
+    await ensurePipelineDefinitions(companyHQ.id);
+    await ensureDefaultTriggerRules(companyHQ.id);
+
     console.log('✅ CompanyHQ created:', companyHQ.id);
 
     return res.json({
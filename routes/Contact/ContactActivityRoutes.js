@@ -0,0 +1,427 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeContact } from '../../middleware/companyHQAuthMiddleware.js';
+import { ACTIVITY_TYPES, isValidActivityType } from '../../config/activityConfig.js';
+import { TIMELINE_KINDS, buildContactTimeline } from '../../services/ContactTimelineService.js';
+import { NOT_DELETED } from '../../services/TrashService.js';
+
+// Mounted at /api/contacts/:contactId - mergeParams exposes :contactId to these handlers
+const router = express.Router({ mergeParams: true });
+
+const MAX_TIMELINE_LIMIT = 500;
+
+// Author fields returned with an activity (never the whole Owner row)
+const AUTHOR_SELECT = { id: true, name: true, email: true };
+
+// Parse an optional date input, returning undefined when absent and null when invalid
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * GET /api/contacts/:contactId/activities
+ * List activities logged for a contact (newest first)
+ *
+ * Query params:
+ * - type (optional) - Filter by activity type ("call" | "meeting" | "email" | "note")
+ *
+ * Returns:
+ * - success: true
+ * - activities: Array of ContactActivity objects with author relation
+ *
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.get('/activities', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const { type } = req.query;
+
+    if (type && !isValidActivityType(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`
+      });
+    }
+
+    const contact = await prisma.contact.findUnique({
+      where: { id: contactId, ...NOT_DELETED }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    const activities = await prisma.contactActivity.findMany({
+      where: {
+        contactId,
+        ...(type && { type })
+      },
+      include: {
+        author: { select: AUTHOR_SELECT }
+      },
+      orderBy: {
+        occurredAt: 'desc'
+      }
+    });
+
+    return res.json({
+      success: true,
+      activities
+    });
+
+  } catch (error) {
+    console.error('❌ GetContactActivities error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activities',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/:contactId/activities
+ * Log an activity against a contact (author is the authenticated Owner)
+ *
+ * Body:
+ * - type (required) - "call" | "meeting" | "email" | "note" | "task"
+ * - summary (required) - Short one-line summary
+ * - body (optional) - Full details
+ * - occurredAt (optional) - ISO date the activity happened (default: now)
+ * - dueAt (optional) - ISO follow-up date (tasks)
+ *
+ * Returns:
+ * - success: true
+ * - activity: Created ContactActivity with author relation
+ *
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.post('/activities', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const { type, summary, body } = req.body;
+    const occurredAt = parseDate(req.body.occurredAt);
+    const dueAt = parseDate(req.body.dueAt);
+
+    if (!isValidActivityType(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`
+      });
+    }
+
+    if (typeof summary !== 'string' || !summary.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'summary is required'
+      });
+    }
+
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'body must be a string'
+      });
+    }
+
+    if (occurredAt === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'occurredAt must be a valid date'
+      });
+    }
+
+    if (dueAt === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'dueAt must be a valid date'
+      });
+    }
+
+    const contact = await prisma.contact.findUnique({
+      where: { id: contactId, ...NOT_DELETED }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    const activity = await prisma.contactActivity.create({
+      data: {
+        contactId,
+        crmId: contact.crmId,
+        type,
+        summary: summary.trim(),
+        body: body || null,
+        authorId: req.owner.id,
+        ...(occurredAt && { occurredAt }),
+        ...(dueAt && { dueAt })
+      },
+      include: {
+        author: { select: AUTHOR_SELECT }
+      }
+    });
+
+    console.log(`✅ Activity logged (${type}) for contact ${contactId}`);
+
+    return res.status(201).json({
+      success: true,
+      activity
+    });
+
+  } catch (error) {
+    console.error('❌ CreateContactActivity error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create activity',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/contacts/:contactId/activities/:activityId
+ * Update an activity (only its author can edit it)
+ *
+ * Body (all optional):
+ * - type, summary, body, occurredAt, dueAt
+ *
+ * Returns:
+ * - success: true
+ * - activity: Updated ContactActivity with author relation
+ *
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.put('/activities/:activityId', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { contactId, activityId } = req.params;
+    const { type, summary, body } = req.body;
+    const occurredAt = parseDate(req.body.occurredAt);
+    const dueAt = parseDate(req.body.dueAt);
+
+    if (type !== undefined && !isValidActivityType(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`
+      });
+    }
+
+    if (summary !== undefined && (typeof summary !== 'string' || !summary.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'summary cannot be empty'
+      });
+    }
+
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'body must be a string'
+      });
+    }
+
+    if (occurredAt === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'occurredAt must be a valid date'
+      });
+    }
+
+    if (dueAt === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'dueAt must be a valid date'
+      });
+    }
+
+    const existing = await prisma.contactActivity.findFirst({
+      where: { id: activityId, contactId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (existing.authorId && existing.authorId !== req.owner.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can edit this activity'
+      });
+    }
+
+    const updateData = {};
+    if (type !== undefined) updateData.type = type;
+    if (summary !== undefined) updateData.summary = summary.trim();
+    if (body !== undefined) updateData.body = body || null;
+    if (occurredAt) updateData.occurredAt = occurredAt;
+    if (dueAt) updateData.dueAt = dueAt;
+
+    const activity = await prisma.contactActivity.update({
+      where: { id: activityId },
+      data: updateData,
+      include: {
+        author: { select: AUTHOR_SELECT }
+      }
+    });
+
+    console.log('✅ Activity updated:', activityId);
+
+    return res.json({
+      success: true,
+      activity
+    });
+
+  } catch (error) {
+    console.error('❌ UpdateContactActivity error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update activity',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/:contactId/activities/:activityId
+ * Delete an activity (only its author can delete it)
+ *
+ * Returns:
+ * - success: true
+ * - message: "Activity deleted"
+ *
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.delete('/activities/:activityId', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { contactId, activityId } = req.params;
+
+    const existing = await prisma.contactActivity.findFirst({
+      where: { id: activityId, contactId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (existing.authorId && existing.authorId !== req.owner.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can delete this activity'
+      });
+    }
+
+    await prisma.contactActivity.delete({
+      where: { id: activityId }
+    });
+
+    console.log('✅ Activity deleted:', activityId);
+
+    return res.json({
+      success: true,
+      message: 'Activity deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ DeleteContactActivity error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete activity',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:contactId/timeline
+ * Merged timeline: activities, pipeline changes and proposals for the contact's company
+ *
+ * Query params:
+ * - kinds (optional) - Comma-separated subset of "activity,pipeline,proposal" (default: all)
+ * - before (optional) - ISO date; only entries strictly before it (for "load more")
+ * - limit (optional) - Max entries (1-500)
+ *
+ * Returns:
+ * - success: true
+ * - timeline: Array of { id, kind, type, occurredAt, summary, body, author, data }, newest first
+ *
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.get('/timeline', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const before = parseDate(req.query.before);
+
+    // ?kinds= may be repeated (an array) - treat it like one comma-separated list
+    const kinds = req.query.kinds
+      ? [req.query.kinds].flat().join(',').split(',').map(kind => kind.trim()).filter(Boolean)
+      : TIMELINE_KINDS;
+    const invalidKinds = kinds.filter(kind => !TIMELINE_KINDS.includes(kind));
+    if (invalidKinds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `kinds must be a subset of: ${TIMELINE_KINDS.join(', ')}`
+      });
+    }
+
+    if (before === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'before must be a valid date'
+      });
+    }
+
+    let limit = null;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TIMELINE_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be between 1 and ${MAX_TIMELINE_LIMIT}`
+        });
+      }
+    }
+
+    const contact = await prisma.contact.findUnique({
+      where: { id: contactId, ...NOT_DELETED }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    const timeline = await buildContactTimeline(contact, { kinds, before, limit });
+
+    return res.json({
+      success: true,
+      timeline
+    });
+
+  } catch (error) {
+    console.error('❌ GetContactTimeline error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timeline',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import { buildContactWhere } from '../../services/ContactQueryService.js';
+import { slugifyKey } from '../../services/PipelineDefinitionService.js';
+import {
+  EXPORT_FORMATS,
+  VCARD_VERSIONS,
+  contactCsvHeader,
+  contactToCsvLine,
+  contactToJsonLine,
+  contactToVCard
+} from '../../services/ContactExportService.js';
+
+const router = express.Router();
+
+// Contacts are read from the database in pages of this size while streaming
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * GET /api/contacts/export?companyHQId=xxx&format=csv
+ * Stream contacts for a company as CSV, vCard or newline-delimited JSON
+ * Honors the same filters as GET /api/contacts
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - pipeline (optional) - Filter by pipeline string value
+ * - stage (optional) - Filter by stage string value
+ * - q (optional) - Free-text search (same as GET /api/contacts)
+ * - format (optional) - "csv" (default) | "vcard" | "json"
+ * - version (optional) - vCard version "3.0" (default) | "4.0"
+ *
+ * Returns:
+ * - File download (Content-Disposition: attachment) streamed in batches
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/export', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { companyHQId, pipeline, stage, q, format = 'csv', version = '3.0' } = req.query;
+
+    if (!companyHQId) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyHQId is required'
+      });
+    }
+
+    // Own keys only - format=constructor must not hit Object.prototype
+    const exportFormat = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    if (!exportFormat) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    if (format === 'vcard' && !VCARD_VERSIONS.includes(version)) {
+      return res.status(400).json({
+        success: false,
+        error: `version must be one of: ${VCARD_VERSIONS.join(', ')}`
+      });
+    }
+
+    const where = buildContactWhere({ companyHQId, pipeline, stage, search: q });
+    const serialize = {
+      csv: contactToCsvLine,
+      vcard: (contact) => contactToVCard(contact, version),
+      json: contactToJsonLine
+    }[format];
+
+    // Slugs only - a quote, CR/LF or non-latin1 character in the query would break the header
+    const filename = `contacts-${[pipeline, stage].map(slugifyKey).filter(Boolean).join('-') || 'all'}-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.write(contactCsvHeader());
+    }
+
+    // Page through contacts by id cursor so large tenants never load everything at once
+    let cursor = null;
+    let exported = 0;
+    while (true) {
+      const batch = await prisma.contact.findMany({
+        where,
+        include: {
+          pipeline: true,
+          contactCompany: true
+        },
+        orderBy: [
+          { createdAt: 'desc' },
+          { id: 'desc' }
+        ],
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      if (batch.length === 0) break;
+
+      res.write(batch.map(serialize).join(''));
+      exported += batch.length;
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+      cursor = batch[batch.length - 1].id;
+    }
+
+    console.log(`✅ Exported ${exported} contacts (${format}) for companyHQId: ${companyHQId}`);
+    return res.end();
+
+  } catch (error) {
+    console.error('❌ ExportContacts error:', error);
+
+    // Headers are already sent once streaming has started - just terminate the response
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export contacts',
+      details: error.message
+    });
+  }
+});
+
+export default router;
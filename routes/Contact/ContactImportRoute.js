@@ -0,0 +1,117 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import { csvUpload } from '../../middleware/uploadMiddleware.js';
+import { importContactsFromCsv } from '../../services/ContactImportService.js';
+
+const router = express.Router();
+
+// Run multer for the "file" field and surface upload errors as 400s
+const handleCsvUpload = (req, res, next) => {
+  csvUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * POST /api/contacts/import
+ * Bulk import contacts from a CSV upload (multipart/form-data)
+ * Each row runs through the universal-create flow (Contact + Company + Pipeline)
+ *
+ * Form fields:
+ * - file (required) - CSV file with a header row
+ * - companyHQId (required) - CompanyHQId (tenant identifier)
+ * - mapping (optional) - JSON object of { "CSV Header": "fieldName" } overrides
+ *   (fields: firstName, lastName, fullName, goesBy, email, phone, title, buyerDecision, howMet, notes,
+ *    companyName, address, industry, website, revenue, yearsInBusiness, pipeline, stage)
+ * - pipeline (optional) - Default pipeline for rows without one
+ * - stage (optional) - Default stage for rows without a pipeline column value
+ * - howMet (optional) - Default howMet for rows without one
+ *
+ * Returns:
+ * - success: true
+ * - columns: Resolved header → field mapping
+ * - summary: { total, created, updated, skipped, failed }
+ * - rows: Array of { row, status, contactId?, email?, reason? } (row = CSV line number)
+ */
+router.post('/import', verifyFirebaseToken, handleCsvUpload, authorizeCompanyHQ((req) => req.body.companyHQId || req.body.crmId), async (req, res) => {
+  try {
+    const { companyHQId, crmId, mapping, pipeline, stage, howMet } = req.body;
+    const tenantId = companyHQId || crmId;
+
+    if (!tenantId) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyHQId is required'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No CSV file uploaded (expected form field "file")'
+      });
+    }
+
+    let mappingOverrides = {};
+    if (mapping) {
+      try {
+        mappingOverrides = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'mapping must be a valid JSON object'
+        });
+      }
+    }
+
+    // Verify CompanyHQ exists
+    const companyHQ = await prisma.companyHQ.findUnique({
+      where: { id: tenantId }
+    });
+
+    if (!companyHQ) {
+      return res.status(404).json({
+        success: false,
+        error: 'CompanyHQ not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await importContactsFromCsv(req.file.buffer.toString('utf8'), tenantId, {
+        mapping: mappingOverrides,
+        defaults: { pipeline, stage, howMet },
+        actorId: req.owner.id
+      });
+    } catch (importError) {
+      // File-level problems (empty file, malformed quoting, unknown mapping field)
+      return res.status(400).json({
+        success: false,
+        error: importError.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ ImportContacts error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to import contacts',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,29 +1,114 @@
 import express from 'express';
 import prisma from '../../db.js';
-import { verifyFirebaseToken, optionalAuth } from '../../middleware/firebaseMiddleware.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  authorizeCompanyHQ,
+  authorizeContact,
+  resolveCompanyHQAccess,
+  authorizeTransitionOverride
+} from '../../middleware/companyHQAuthMiddleware.js';
 import { applyPipelineTriggers } from '../../services/PipelineTriggerService.js';
-import { inferWebsiteFromEmail } from '../../services/CompanyEnrichmentService.js';
+import {
+  ContactCompanyError,
+  isCompanyInCompanyHQ,
+  upsertUniversalContact
+} from '../../services/UniversalContactService.js';
+import {
+  setContactPipeline,
+  getContactPipelineHistory,
+  computeStageStays
+} from '../../services/PipelineHistoryService.js';
+import { getPipelineStageMap, validatePipelineStage } from '../../services/PipelineDefinitionService.js';
+import {
+  StageTransitionError,
+  resolveStageTransition,
+  getTransitionOverride
+} from '../../services/StageTransitionPolicyService.js';
+import {
+  CONTACT_SORT_FIELDS,
+  CONTACT_SORT_ORDERS,
+  buildContactWhere,
+  buildContactOrderBy,
+  buildContactCursorWhere,
+  encodeContactCursor
+} from '../../services/ContactQueryService.js';
+import {
+  groupContactsByEmail,
+  buildMergePlan,
+  addDroppedProposals,
+  executeMergePlan
+} from '../../services/ContactMergeService.js';
+import {
+  DEFAULT_MIN_DUPLICATE_SCORE,
+  findDuplicateCandidates
+} from '../../services/ContactDuplicateDetectionService.js';
+import { NOT_DELETED, softDeleteContact } from '../../services/TrashService.js';
+import {
+  PersonaMatchError,
+  getPersonaMatches,
+  confirmContactPersona
+} from '../../services/PersonaMatchingService.js';
 
 const router = express.Router();
 
+// 422 for a move the CompanyHQ's stage transition policy rejects
+const rejectTransition = (res, error) => res.status(422).json({
+  success: false,
+  error: error.message,
+  code: 'STAGE_TRANSITION_REJECTED',
+  reason: error.rejection.reason,
+  transition: error.rejection
+});
+
+// contactCompanyId names a Company outside the contact's CompanyHQ (same 403 whether or not it exists)
+const rejectContactCompany = (res) => res.status(403).json({
+  success: false,
+  error: 'contactCompanyId must be a Company in this CompanyHQ',
+  code: 'COMPANY_FORBIDDEN'
+});
+
+const DEFAULT_CONTACT_PAGE_SIZE = 50;
+const MAX_CONTACT_PAGE_SIZE = 200;
+const DEFAULT_DUPLICATE_CANDIDATE_LIMIT = 100;
+
+// dryRun can come from the query string or the JSON body
+const isDryRun = (req) => req.query.dryRun === 'true' || req.body?.dryRun === true || req.body?.dryRun === 'true';
+
 /**
  * GET /api/contacts?companyHQId=xxx
- * List all contacts for a company (filtered by CompanyHQId)
+ * List contacts for a company (filtered by CompanyHQId) with search, sorting and cursor pagination
  * 
  * Query params:
  * - companyHQId (required) - The CompanyHQId (tenant identifier)
  * - pipeline (optional) - Filter by pipeline string value
  * - stage (optional) - Filter by stage string value
+ * - q (optional) - Free-text search across firstName, lastName, goesBy, email, title and company name
+ * - sortBy (optional) - "name" | "email" | "createdAt" (default) | "updatedAt" | "stage"
+ * - sortOrder (optional) - "asc" | "desc" (default)
+ * - limit (optional) - Page size (1-200). Omit to return every matching contact
+ * - cursor (optional) - nextCursor from the previous page (same sortBy/sortOrder)
  * 
  * Returns:
  * - success: true
  * - contacts: Array of Contact objects with pipeline and contactCompany relations
+ * - total: Number of contacts matching the filters (across all pages)
+ * - nextCursor: Cursor for the next page, or null when there are no more results
+ * - hasMore: Whether another page exists
  * 
- * Note: Uses optionalAuth - owner is already authenticated, scoped by companyHQId
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
   try {
-    const { companyHQId, pipeline, stage } = req.query;
+    const {
+      companyHQId,
+      pipeline,
+      stage,
+      q,
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      limit,
+      cursor
+    } = req.query;
 
     // Validate companyHQId
     if (!companyHQId) {
@@ -33,48 +118,161 @@ router.get('/', optionalAuth, async (req, res) => {
       });
     }
 
+    if (!CONTACT_SORT_FIELDS[sortBy]) {
+      return res.status(400).json({
+        success: false,
+        error: `sortBy must be one of: ${Object.keys(CONTACT_SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    if (!CONTACT_SORT_ORDERS.includes(sortOrder)) {
+      return res.status(400).json({
+        success: false,
+        error: `sortOrder must be one of: ${CONTACT_SORT_ORDERS.join(', ')}`
+      });
+    }
+
+    let pageSize = null;
+    if (limit !== undefined) {
+      pageSize = parseInt(limit, 10);
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_CONTACT_PAGE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be between 1 and ${MAX_CONTACT_PAGE_SIZE}`
+        });
+      }
+    } else if (cursor) {
+      pageSize = DEFAULT_CONTACT_PAGE_SIZE;
+    }
+
     // Build where clause
-    const where = {
-      crmId: companyHQId  // Direct CompanyHQId relationship (renamed from companyId to crmId)
-    };
+    const where = buildContactWhere({ companyHQId, pipeline, stage, search: q });
+
+    let pageWhere = where;
+    if (cursor) {
+      try {
+        pageWhere = { AND: [where, buildContactCursorWhere(cursor, sortBy, sortOrder)] };
+      } catch (cursorError) {
+        return res.status(400).json({
+          success: false,
+          error: cursorError.message
+        });
+      }
+    }
 
-    // Add pipeline filter if provided
-    if (pipeline) {
-      where.pipeline = {
-        pipeline: pipeline
-      };
+    // Fetch one extra row to know whether another page exists
+    const [rows, total] = await Promise.all([
+      prisma.contact.findMany({
+        where: pageWhere,
+        include: {
+          pipeline: true,  // Include Pipeline model
+          contactCompany: true  // Include Company they work for
+        },
+        orderBy: buildContactOrderBy(sortBy, sortOrder),
+        ...(pageSize && { take: pageSize + 1 })
+      }),
+      prisma.contact.count({ where })
+    ]);
+
+    const hasMore = pageSize !== null && rows.length > pageSize;
+    const contacts = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return res.json({
+      success: true,
+      contacts,
+      total,
+      nextCursor: hasMore ? encodeContactCursor(contacts[contacts.length - 1], sortBy) : null,
+      hasMore
+    });
+
+  } catch (error) {
+    console.error('❌ GetContacts error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch contacts',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/duplicate-candidates?companyHQId=xxx
+ * Find likely duplicate contacts that don't share an email (fuzzy match)
+ * Scores pairs on name/nickname/goesBy similarity, phone, email domain and company name
+ * Act on a pair with POST /api/contacts/merge
+ * 
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - minScore (optional) - Minimum match score 0-1 (default 0.6)
+ * - limit (optional) - Max number of pairs to return (default 100)
+ * 
+ * Returns:
+ * - success: true
+ * - candidates: Array of { score, contacts: [Contact, Contact], reasons: [{ signal, detail, weight }] }, highest score first
+ * - total: Number of candidate pairs at or above minScore (before limit)
+ * 
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/duplicate-candidates', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { companyHQId } = req.query;
+
+    if (!companyHQId) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyHQId is required'
+      });
     }
 
-    // Add stage filter if provided
-    if (stage) {
-      where.pipeline = {
-        ...where.pipeline,
-        stage: stage
-      };
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : DEFAULT_MIN_DUPLICATE_SCORE;
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'minScore must be between 0 and 1'
+      });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_DUPLICATE_CANDIDATE_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive integer'
+      });
     }
 
-    // Fetch contacts with relations
     const contacts = await prisma.contact.findMany({
-      where,
+      where: { crmId: companyHQId, ...NOT_DELETED },
       include: {
-        pipeline: true,  // Include Pipeline model
-        contactCompany: true  // Include Company they work for
+        pipeline: true,
+        contactCompany: true
       },
       orderBy: {
-        createdAt: 'desc'
+        createdAt: 'asc'
       }
     });
 
+    const contactsById = new Map(contacts.map(contact => [contact.id, contact]));
+    const pairs = findDuplicateCandidates(contacts, { minScore });
+
+    const candidates = pairs.slice(0, limit).map(pair => ({
+      score: pair.score,
+      contacts: pair.contactIds.map(id => contactsById.get(id)),
+      reasons: pair.reasons
+    }));
+
+    console.log(`✅ Found ${pairs.length} duplicate candidate pairs for companyHQId: ${companyHQId}`);
+
     return res.json({
       success: true,
-      contacts
+      candidates,
+      total: pairs.length
     });
 
   } catch (error) {
-    console.error('❌ GetContacts error:', error);
+    console.error('❌ DuplicateCandidates error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to fetch contacts',
+      error: 'Failed to find duplicate candidates',
       details: error.message
     });
   }
@@ -86,19 +284,25 @@ router.get('/', optionalAuth, async (req, res) => {
  * 
  * Returns:
  * - success: true
- * - contact: Contact object with pipeline and contactCompany relations
+ * - contact: Contact object with pipeline, contactCompany, persona (confirmed, if any) and assessments (newest first - from the public assessment)
  * 
- * Note: Uses optionalAuth - owner is already authenticated, scoped by contactId
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
  */
-router.get('/:contactId', optionalAuth, async (req, res) => {
+router.get('/:contactId', verifyFirebaseToken, authorizeContact(), async (req, res) => {
   try {
     const { contactId } = req.params;
 
     const contact = await prisma.contact.findUnique({
-      where: { id: contactId },
+      where: { id: contactId, ...NOT_DELETED },
       include: {
         pipeline: true,
-        contactCompany: true
+        contactCompany: true,
+        persona: {
+          select: { id: true, name: true }
+        },
+        assessments: {
+          orderBy: { createdAt: 'desc' }
+        }
       }
     });
 
@@ -124,6 +328,150 @@ router.get('/:contactId', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/contacts/:contactId/pipeline-history
+ * Stage-transition history for a contact (oldest first)
+ * 
+ * Returns:
+ * - success: true
+ * - pipeline: Current Pipeline record (or null)
+ * - history: Array of { fromPipeline, fromStage, toPipeline, toStage, occurredAt, actor, automated, trigger }
+ * - stays: Array of { pipeline, stage, enteredAt, exitedAt, durationMs, current }
+ * 
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.get('/:contactId/pipeline-history', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const contact = await prisma.contact.findUnique({
+      where: { id: contactId, ...NOT_DELETED },
+      include: {
+        pipeline: true
+      }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    const history = await getContactPipelineHistory(contactId);
+
+    return res.json({
+      success: true,
+      pipeline: contact.pipeline,
+      history,
+      stays: computeStageStays(history)
+    });
+
+  } catch (error) {
+    console.error('❌ GetPipelineHistory error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pipeline history',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:contactId/persona-matches
+ * Every persona in the contact's CompanyHQ, ranked by how well it matches the contact
+ * 
+ * Returns:
+ * - success: true
+ * - personaId: Persona confirmed for the contact (or null)
+ * - candidates: Array of { rank, persona, score (0-100), confirmed, breakdown, reasons }
+ *   - breakdown: { title, seniority, industry, buyerDecision } each with { score, max, ... }
+ *   - reasons: Plain-language explanation of the score
+ * 
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.get('/:contactId/persona-matches', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const matches = await getPersonaMatches(req.params.contactId);
+
+    if (!matches) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      ...matches
+    });
+
+  } catch (error) {
+    console.error('❌ GetPersonaMatches error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to match personas',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/contacts/:contactId/persona
+ * Confirm the contact's persona - fit scoring uses it whenever no personaId is given
+ * 
+ * Body:
+ * - personaId (required) - Persona ID, or null to clear the confirmed persona
+ * 
+ * Returns:
+ * - success: true
+ * - contact: { id, personaId, persona }
+ * 
+ * Note: Requires auth - Owner must own or manage the contact's CompanyHQ (authorizeContact)
+ */
+router.put('/:contactId/persona', verifyFirebaseToken, authorizeContact(), async (req, res) => {
+  try {
+    const { personaId } = req.body;
+
+    if (personaId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'personaId is required (null to clear)'
+      });
+    }
+
+    const contact = await confirmContactPersona(req.params.contactId, personaId);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    console.log(`✅ Persona ${personaId ? `${personaId} confirmed` : 'cleared'} for contact ${contact.id}`);
+
+    return res.json({
+      success: true,
+      contact
+    });
+
+  } catch (error) {
+    if (error instanceof PersonaMatchError) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('❌ ConfirmPersona error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to confirm persona',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/contacts
  * Create a new contact
@@ -143,12 +491,16 @@ router.get('/:contactId', optionalAuth, async (req, res) => {
  * - buyerDecision (optional)
  * - howMet (optional)
  * - notes (optional)
+ * - overrideTransitionRules (optional) - Bypass the stage's entry requirements (CompanyHQ owner only, recorded)
+ * - overrideReason (optional) - Why the rules were bypassed
  * 
  * Returns:
  * - success: true
  * - contact: Created Contact object with relations
+ * - 422 { code: "STAGE_TRANSITION_REJECTED", reason, transition } if the stage's entry requirements aren't met
+ * - 403 { code: "COMPANY_FORBIDDEN" } if contactCompanyId isn't a Company in this CompanyHQ
  */
-router.post('/', verifyFirebaseToken, async (req, res) => {
+router.post('/', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body.crmId, { missingError: 'crmId (CompanyHQId) is required' }), authorizeTransitionOverride, async (req, res) => {
   try {
     const {
       crmId,  // CompanyHQId (renamed from companyId for clarity)
@@ -187,6 +539,22 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    // A linked Company must be one of this CompanyHQ's
+    if (contactCompanyId && !(await isCompanyInCompanyHQ(contactCompanyId, crmId))) {
+      return rejectContactCompany(res);
+    }
+
+    // Validate pipeline/stage against the CompanyHQ's own definitions
+    if (pipeline) {
+      const pipelineError = validatePipelineStage(await getPipelineStageMap(crmId), pipeline, stage);
+      if (pipelineError) {
+        return res.status(400).json({
+          success: false,
+          error: pipelineError
+        });
+      }
+    }
+
     // Handle Company creation/finding if contactCompanyName is provided
     let finalContactCompanyId = contactCompanyId;
     if (contactCompanyName && !contactCompanyId) {
@@ -227,13 +595,32 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
       finalContactCompanyId = company.id;
     }
 
+    // Enforce the stage transition policy before the contact is written
+    let transitionPolicy = {};
+    if (pipeline) {
+      const matchingContact = email
+        ? await prisma.contact.findFirst({
+            where: { crmId, email, ...NOT_DELETED },
+            include: { pipeline: true }
+          })
+        : null;
+      transitionPolicy = await resolveStageTransition({
+        crmId,
+        email: email || null,
+        contactCompanyId: finalContactCompanyId || matchingContact?.contactCompanyId || null
+      }, matchingContact?.pipeline || null, { pipeline, stage }, {
+        override: getTransitionOverride(req.body)
+      });
+    }
+
     // Check if contact already exists (by email + crmId for uniqueness)
     let contact;
     if (email) {
       const existingContact = await prisma.contact.findFirst({
         where: {
           crmId: crmId,
-          email: email
+          email: email,
+          ...NOT_DELETED
         },
         include: {
           pipeline: true,
@@ -264,31 +651,6 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
           }
         });
 
-        // Update Pipeline if provided
-        if (pipeline) {
-          await prisma.pipeline.upsert({
-            where: { contactId: contact.id },
-            update: {
-              pipeline: pipeline,
-              stage: stage || null
-            },
-            create: {
-              contactId: contact.id,
-              pipeline: pipeline,
-              stage: stage || null
-            }
-          });
-
-          // Re-fetch with updated pipeline
-          contact = await prisma.contact.findUnique({
-            where: { id: contact.id },
-            include: {
-              pipeline: true,
-              contactCompany: true
-            }
-          });
-        }
-
         console.log('✅ Contact updated:', contact.id);
       } else {
         // Create new contact
@@ -304,16 +666,7 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
             contactCompanyId: finalContactCompanyId || null,
             buyerDecision: buyerDecision || null,
             howMet: howMet || null,
-            notes: notes || null,
-            // Create Pipeline if pipeline/stage provided
-            ...(pipeline && {
-              pipeline: {
-                create: {
-                  pipeline: pipeline,
-                  stage: stage || null
-                }
-              }
-            })
+            notes: notes || null
           },
           include: {
             pipeline: true,
@@ -337,16 +690,7 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
           contactCompanyId: finalContactCompanyId || null,
           buyerDecision: buyerDecision || null,
           howMet: howMet || null,
-          notes: notes || null,
-          // Create Pipeline if pipeline/stage provided
-          ...(pipeline && {
-            pipeline: {
-              create: {
-                pipeline: pipeline,
-                stage: stage || null
-              }
-            }
-          })
+          notes: notes || null
         },
         include: {
           pipeline: true,
@@ -357,12 +701,24 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
       console.log('✅ Contact created (no email):', contact.id);
     }
 
+    // Set Pipeline if provided (recorded in the stage history)
+    if (pipeline) {
+      const { pipeline: pipelineRecord } = await setContactPipeline(contact.id, { pipeline, stage }, {
+        actorId: req.owner.id,
+        ...transitionPolicy
+      });
+      contact = { ...contact, pipeline: pipelineRecord };
+    }
+
     return res.json({
       success: true,
       contact
     });
 
   } catch (error) {
+    if (error instanceof StageTransitionError) {
+      return rejectTransition(res, error);
+    }
     console.error('❌ CreateContact error:', error);
     return res.status(500).json({
       success: false,
@@ -381,12 +737,15 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
  * - contact: { crmId, firstName, lastName, goesBy, email, phone, title, buyerDecision, howMet, notes }
  * - company: { companyName, address, industry, revenue, yearsInBusiness } (optional)
  * - pipeline: { pipeline, stage } (optional)
+ * - overrideTransitionRules, overrideReason (optional) - Bypass the stage transition policy (CompanyHQ owner only, recorded)
  * 
  * Returns:
  * - success: true
  * - contact: Created Contact object with relations
+ * - 422 { code: "STAGE_TRANSITION_REJECTED", reason, transition } if the move breaks the stage transition policy
+ * - 403 { code: "COMPANY_FORBIDDEN" } if contact.contactCompanyId isn't a Company in this CompanyHQ
  */
-router.post('/universal-create', verifyFirebaseToken, async (req, res) => {
+router.post('/universal-create', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body.contact?.crmId, { missingError: 'contact.crmId (CompanyHQId) is required' }), authorizeTransitionOverride, async (req, res) => {
   try {
     const { contact: contactData, company: companyData, pipeline: pipelineData } = req.body;
 
@@ -412,213 +771,24 @@ router.post('/universal-create', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Handle Company creation/finding if companyData is provided
-    let contactCompanyId = contactData.contactCompanyId || null;
-    if (companyData && companyData.companyName) {
-      // Normalize company name for lookup (trim, case-insensitive)
-      const normalizedCompanyName = companyData.companyName.trim();
-      
-      // Infer website from email if not provided
-      let websiteUrl = companyData.website || companyData.url || companyData.companyURL;
-      if (!websiteUrl && contactData.email) {
-        websiteUrl = inferWebsiteFromEmail(contactData.email);
-        if (websiteUrl) {
-          console.log(`✅ Inferred website from email: ${websiteUrl}`);
-        }
-      }
-
-      // Find or create Company (case-insensitive lookup)
-      const allCompanies = await prisma.company.findMany({
-        where: {
-          companyHQId: crmId
-        }
-      });
-      
-      // Find existing company by normalized name (case-insensitive)
-      let company = allCompanies.find(c => 
-        c.companyName && c.companyName.trim().toLowerCase() === normalizedCompanyName.toLowerCase()
-      );
-      
-      if (company) {
-        // Fetch full company record
-        company = await prisma.company.findUnique({
-          where: { id: company.id }
+    if (pipelineData?.pipeline) {
+      const pipelineError = validatePipelineStage(await getPipelineStageMap(crmId), pipelineData.pipeline, pipelineData.stage);
+      if (pipelineError) {
+        return res.status(400).json({
+          success: false,
+          error: pipelineError
         });
       }
-
-      if (!company) {
-        company = await prisma.company.create({
-          data: {
-            companyHQId: crmId,
-            companyName: normalizedCompanyName,  // Store normalized name
-            address: companyData.address || null,
-            industry: companyData.industry || null,
-            website: websiteUrl || null,  // Store inferred or manually entered website
-            revenue: companyData.revenue || null,
-            yearsInBusiness: companyData.yearsInBusiness || null
-          }
-        });
-        console.log(`✅ Created new company: ${normalizedCompanyName} for companyHQId: ${crmId}`);
-        if (websiteUrl) {
-          console.log(`✅ Stored website URL: ${websiteUrl}`);
-        }
-      } else {
-        console.log(`✅ Found existing company: ${company.companyName} (id: ${company.id})`);
-        if (websiteUrl && !company.website) {
-          // Company exists but no website - update with inferred URL
-          company = await prisma.company.update({
-            where: { id: company.id },
-            data: { website: websiteUrl }
-          });
-          console.log(`✅ Updated company with inferred website URL: ${websiteUrl}`);
-        }
-      }
-
-      contactCompanyId = company.id;
-    } else if (contactData.email) {
-      // No company data provided, but we have email - could create company from email domain
-      // For now, we'll just log it (user can add company later)
-      const inferredUrl = inferWebsiteFromEmail(contactData.email);
-      if (inferredUrl) {
-        console.log(`💡 Could create company from email domain: ${inferredUrl}`);
-      }
     }
 
-    // Check if contact already exists (by email + crmId for uniqueness)
-    let contact;
-    if (contactData.email) {
-      // Normalize email for comparison (lowercase, trimmed)
-      const normalizedEmail = contactData.email.toLowerCase().trim();
-      
-      // Find contacts with matching email (case-insensitive by normalizing in query)
-      const allContacts = await prisma.contact.findMany({
-        where: {
-          crmId: crmId,
-          email: { not: null }
-        }
-      });
-      
-      // Find existing contact by normalized email comparison
-      const existingContact = allContacts.find(c => 
-        c.email && c.email.toLowerCase().trim() === normalizedEmail
-      );
-      
-      // If found, fetch full contact with relations and update
-      if (existingContact) {
-        console.log('⚠️ Contact already exists with this email - updating instead of creating:', existingContact.id);
-        
-        // Update existing contact
-        contact = await prisma.contact.update({
-          where: { id: existingContact.id },
-          data: {
-            firstName: contactData.firstName || existingContact.firstName,
-            lastName: contactData.lastName || existingContact.lastName,
-            goesBy: contactData.goesBy || existingContact.goesBy,
-            phone: contactData.phone || existingContact.phone,
-            title: contactData.title || existingContact.title,
-            contactCompanyId: contactCompanyId || existingContact.contactCompanyId,
-            buyerDecision: contactData.buyerDecision || existingContact.buyerDecision,
-            howMet: contactData.howMet || existingContact.howMet,
-            notes: contactData.notes || existingContact.notes
-          },
-          include: {
-            pipeline: true,
-            contactCompany: true
-          }
-        });
-
-        // Update Pipeline if provided
-        if (pipelineData && pipelineData.pipeline) {
-          await prisma.pipeline.upsert({
-            where: { contactId: contact.id },
-            update: {
-              pipeline: pipelineData.pipeline,
-              stage: pipelineData.stage || null
-            },
-            create: {
-              contactId: contact.id,
-              pipeline: pipelineData.pipeline,
-              stage: pipelineData.stage || null
-            }
-          });
-
-          // Re-fetch with updated pipeline
-          contact = await prisma.contact.findUnique({
-            where: { id: contact.id },
-            include: {
-              pipeline: true,
-              contactCompany: true
-            }
-          });
-        }
-
-        console.log('✅ Contact updated (universal):', contact.id);
-      } else {
-        // Create new contact
-        contact = await prisma.contact.create({
-          data: {
-            crmId: crmId,
-            firstName: contactData.firstName || null,
-            lastName: contactData.lastName || null,
-            goesBy: contactData.goesBy || null,
-            email: contactData.email ? contactData.email.toLowerCase().trim() : null,
-            phone: contactData.phone || null,
-            title: contactData.title || null,
-            contactCompanyId: contactCompanyId,
-            buyerDecision: contactData.buyerDecision || null,
-            howMet: contactData.howMet || null,
-            notes: contactData.notes || null,
-            // Create Pipeline if pipelineData provided
-            ...(pipelineData && pipelineData.pipeline && {
-              pipeline: {
-                create: {
-                  pipeline: pipelineData.pipeline,
-                  stage: pipelineData.stage || null
-                }
-              }
-            })
-          },
-          include: {
-            pipeline: true,
-            contactCompany: true
-          }
-        });
-
-        console.log('✅ Contact created (universal):', contact.id);
-      }
-    } else {
-      // No email provided - create new contact (can't check for duplicates)
-        contact = await prisma.contact.create({
-          data: {
-            crmId: crmId,
-            firstName: contactData.firstName || null,
-            lastName: contactData.lastName || null,
-            goesBy: contactData.goesBy || null,
-            email: contactData.email || null,
-            phone: contactData.phone || null,
-            title: contactData.title || null,
-            contactCompanyId: contactCompanyId,
-            buyerDecision: contactData.buyerDecision || null,
-            howMet: contactData.howMet || null,
-            notes: contactData.notes || null,
-          // Create Pipeline if pipelineData provided
-          ...(pipelineData && pipelineData.pipeline && {
-            pipeline: {
-              create: {
-                pipeline: pipelineData.pipeline,
-                stage: pipelineData.stage || null
-              }
-            }
-          })
-        },
-        include: {
-          pipeline: true,
-          contactCompany: true
-        }
-      });
-
-      console.log('✅ Contact created (universal, no email):', contact.id);
-    }
+    const { contact } = await upsertUniversalContact({
+      contact: contactData,
+      company: companyData,
+      pipeline: pipelineData
+    }, {
+      actorId: req.owner.id,
+      override: getTransitionOverride(req.body)
+    });
 
     return res.json({
       success: true,
@@ -626,6 +796,12 @@ router.post('/universal-create', verifyFirebaseToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof StageTransitionError) {
+      return rejectTransition(res, error);
+    }
+    if (error instanceof ContactCompanyError) {
+      return rejectContactCompany(res);
+    }
     console.error('❌ UniversalCreateContact error:', error);
     return res.status(500).json({
       success: false,
@@ -641,12 +817,18 @@ router.post('/universal-create', verifyFirebaseToken, async (req, res) => {
  * 
  * Body: Same as POST, all fields optional
  * Can also update pipeline/stage via pipeline object
+ * Stage changes must follow the stage transition policy (allowed next stages, entry requirements)
+ * unless a CompanyHQ owner sends overrideTransitionRules: true (recorded on the transition)
  * 
  * Returns:
  * - success: true
  * - contact: Updated Contact object with relations
+ * - converted: true if a trigger rule moved the contact (only when rules fired)
+ * - triggers: Rules that fired [{ rule, state, status, results, executionId }] (only when rules fired)
+ * - 422 { code: "STAGE_TRANSITION_REJECTED", reason, transition } if the move breaks the policy
+ * - 403 { code: "COMPANY_FORBIDDEN" } if contactCompanyId isn't a Company in this CompanyHQ
  */
-router.put('/:contactId', verifyFirebaseToken, async (req, res) => {
+router.put('/:contactId', verifyFirebaseToken, authorizeContact(), authorizeTransitionOverride, async (req, res) => {
   try {
     const { contactId } = req.params;
     const {
@@ -666,7 +848,8 @@ router.put('/:contactId', verifyFirebaseToken, async (req, res) => {
 
     // Check if contact exists
     const existingContact = await prisma.contact.findUnique({
-      where: { id: contactId }
+      where: { id: contactId, ...NOT_DELETED },
+      include: { pipeline: true }
     });
 
     if (!existingContact) {
@@ -676,6 +859,39 @@ router.put('/:contactId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    // A linked Company must be one of this CompanyHQ's
+    if (contactCompanyId && !(await isCompanyInCompanyHQ(contactCompanyId, existingContact.crmId))) {
+      return rejectContactCompany(res);
+    }
+
+    // Validate pipeline/stage against the CompanyHQ's own definitions
+    // (a stage on its own is checked against the contact's current pipeline)
+    if (pipeline || stage) {
+      const targetPipeline = pipeline || existingContact.pipeline?.pipeline || 'prospect';
+      const pipelineError = validatePipelineStage(await getPipelineStageMap(existingContact.crmId), targetPipeline, stage);
+      if (pipelineError) {
+        return res.status(400).json({
+          success: false,
+          error: pipelineError
+        });
+      }
+    }
+
+    // Enforce the stage transition policy (checked against the contact as it will be after this update)
+    let transitionPolicy = {};
+    if (pipeline || stage) {
+      transitionPolicy = await resolveStageTransition({
+        crmId: existingContact.crmId,
+        email: email !== undefined ? email : existingContact.email,
+        contactCompanyId: contactCompanyId !== undefined ? contactCompanyId : existingContact.contactCompanyId
+      }, existingContact.pipeline, {
+        pipeline: pipeline || existingContact.pipeline?.pipeline || 'prospect',
+        stage: stage || undefined
+      }, {
+        override: getTransitionOverride(req.body)
+      });
+    }
+
     // Build update data
     const updateData = {};
     if (firstName !== undefined) updateData.firstName = firstName;
@@ -701,42 +917,30 @@ router.put('/:contactId', verifyFirebaseToken, async (req, res) => {
 
     // Handle Pipeline update if provided
     if (pipeline !== undefined || stage !== undefined) {
-      // Get current pipeline to check for triggers
-      const currentPipeline = await prisma.pipeline.findUnique({
-        where: { contactId: contactId }
+      // Save the new stage first so it lands in the stage history
+      const { pipeline: savedPipeline } = await setContactPipeline(contactId, {
+        pipeline: pipeline || undefined,
+        stage: stage || undefined
+      }, {
+        actorId: req.owner.id,
+        ...transitionPolicy
       });
 
-      const newPipeline = pipeline !== undefined ? pipeline : (currentPipeline?.pipeline || 'prospect');
-      const newStage = stage !== undefined ? stage : (currentPipeline?.stage || null);
-
-      // Check for pipeline triggers (e.g., contract-signed → client kickoff)
-      const convertedContact = await applyPipelineTriggers(contactId, newPipeline, newStage);
+      // Run the CompanyHQ's trigger rules (e.g., contract-signed → client kickoff)
+      const triggered = await applyPipelineTriggers(contactId, savedPipeline.pipeline, savedPipeline.stage, {
+        actorId: req.owner.id
+      });
 
-      if (convertedContact) {
-        // Pipeline was auto-converted, return converted contact
+      if (triggered) {
+        // Rules fired - return the contact as they left it
         return res.json({
           success: true,
-          contact: convertedContact,
-          converted: true
+          contact: triggered.contact,
+          converted: triggered.moved,
+          triggers: triggered.firings
         });
       }
 
-      // No conversion, proceed with normal update
-      const pipelineUpdate = {};
-      if (pipeline !== undefined) pipelineUpdate.pipeline = pipeline;
-      if (stage !== undefined) pipelineUpdate.stage = stage;
-
-      // Upsert Pipeline
-      await prisma.pipeline.upsert({
-        where: { contactId: contactId },
-        update: pipelineUpdate,
-        create: {
-          contactId: contactId,
-          pipeline: pipeline || 'prospect',
-          stage: stage || null
-        }
-      });
-
       // Re-fetch contact with updated pipeline
       const updatedContact = await prisma.contact.findUnique({
         where: { id: contactId },
@@ -760,6 +964,9 @@ router.put('/:contactId', verifyFirebaseToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof StageTransitionError) {
+      return rejectTransition(res, error);
+    }
     console.error('❌ UpdateContact error:', error);
     return res.status(500).json({
       success: false,
@@ -771,19 +978,27 @@ router.put('/:contactId', verifyFirebaseToken, async (req, res) => {
 
 /**
  * POST /api/contacts/cleanup-duplicates
- * Clean up duplicate contacts (keeps the oldest one, deletes the rest)
+ * Merge duplicate contacts that share an email (non-destructive)
+ * The oldest contact survives; fields, notes and the most advanced Pipeline are merged into it
+ * Merged-away duplicates go to the trash
  * 
  * Query params:
  * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - dryRun (optional) - "true" to preview the proposed merges without changing anything
  * 
  * Returns:
  * - success: true
- * - deleted: Number of duplicate contacts deleted
- * - kept: Number of contacts kept (one per email)
+ * - dryRun: Whether this was a preview
+ * - groups: Array of merge plans { survivorId, duplicateIds, merged, fields, pipeline, droppedLinks }
+ *   - droppedLinks: { contactCompanyIds, contactListIds, proposals } - a duplicate's other company and
+ *     list, which the merged contact loses (the company's proposals stay with the company)
+ * - deleted: Number of duplicate contacts merged away into the trash (0 on dry run)
+ * - kept: Number of unique contacts with an email after cleanup
  */
-router.post('/cleanup-duplicates', verifyFirebaseToken, async (req, res) => {
+router.post('/cleanup-duplicates', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
   try {
     const { companyHQId } = req.query;
+    const dryRun = isDryRun(req);
 
     if (!companyHQId) {
       return res.status(400).json({
@@ -796,62 +1011,139 @@ router.post('/cleanup-duplicates', verifyFirebaseToken, async (req, res) => {
     const contacts = await prisma.contact.findMany({
       where: {
         crmId: companyHQId,
-        email: { not: null }
+        email: { not: null },
+        ...NOT_DELETED
+      },
+      include: {
+        pipeline: true
       },
       orderBy: {
         createdAt: 'asc' // Oldest first
       }
     });
 
-    // Group by email
-    const emailGroups = {};
-    contacts.forEach(contact => {
-      if (contact.email) {
-        const email = contact.email.toLowerCase().trim();
-        if (!emailGroups[email]) {
-          emailGroups[email] = [];
-        }
-        emailGroups[email].push(contact);
+    const stageMap = await getPipelineStageMap(companyHQId);
+    const groups = await addDroppedProposals(
+      groupContactsByEmail(contacts).map(group => buildMergePlan(group, null, stageMap)),
+      companyHQId
+    );
+    const duplicateCount = groups.reduce((sum, plan) => sum + plan.duplicateIds.length, 0);
+
+    if (!dryRun) {
+      for (const plan of groups) {
+        await executeMergePlan(plan, { actorId: req.owner.id });
       }
+      console.log(`✅ Cleanup complete: Merged ${duplicateCount} duplicates into ${groups.length} contacts`);
+    }
+
+    return res.json({
+      success: true,
+      dryRun,
+      groups,
+      deleted: dryRun ? 0 : duplicateCount,
+      kept: contacts.length - duplicateCount
+    });
+
+  } catch (error) {
+    console.error('❌ CleanupDuplicates error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cleanup duplicates',
+      details: error.message
     });
+  }
+});
 
-    // For each email group, keep the first (oldest) and delete the rest
-    let deletedCount = 0;
-    const keptIds = [];
+/**
+ * POST /api/contacts/merge
+ * Merge an explicit set of contacts into one (non-destructive)
+ * 
+ * Body:
+ * - contactIds (required) - Array of at least 2 contact IDs from the same CompanyHQ
+ * - survivorId (optional) - Contact to keep (defaults to the oldest)
+ * - dryRun (optional) - true to preview the merged result without changing anything
+ * 
+ * Returns:
+ * - success: true
+ * - dryRun: Whether this was a preview
+ * - plan: { survivorId, duplicateIds, merged, fields, pipeline, droppedLinks } (droppedLinks as in cleanup-duplicates)
+ * - contact: Surviving Contact with relations (omitted on dry run)
+ */
+router.post('/merge', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { contactIds, survivorId } = req.body;
+    const dryRun = isDryRun(req);
 
-    for (const [email, group] of Object.entries(emailGroups)) {
-      if (group.length > 1) {
-        // Keep the first one (oldest)
-        const keepContact = group[0];
-        keptIds.push(keepContact.id);
-        console.log(`📧 Email ${email}: Keeping ${keepContact.id}, deleting ${group.length - 1} duplicates`);
+    if (!Array.isArray(contactIds) || new Set(contactIds).size < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'contactIds must contain at least 2 distinct contact IDs'
+      });
+    }
 
-        // Delete the rest
-        for (let i = 1; i < group.length; i++) {
-          await prisma.contact.delete({
-            where: { id: group[i].id }
-          });
-          deletedCount++;
-        }
-      } else {
-        // Only one contact with this email - keep it
-        keptIds.push(group[0].id);
+    const contacts = await prisma.contact.findMany({
+      where: { id: { in: [...new Set(contactIds)] }, ...NOT_DELETED },
+      include: {
+        pipeline: true
       }
+    });
+
+    if (contacts.length !== new Set(contactIds).size) {
+      return res.status(404).json({
+        success: false,
+        error: 'One or more contacts not found'
+      });
     }
 
-    console.log(`✅ Cleanup complete: Deleted ${deletedCount} duplicates, kept ${keptIds.length} unique contacts`);
+    if (new Set(contacts.map(c => c.crmId)).size > 1) {
+      return res.status(403).json({
+        success: false,
+        error: 'Contacts must belong to the same tenant'
+      });
+    }
+
+    // Contacts are named by ID, so authorize their CompanyHQ here rather than in middleware
+    const access = await resolveCompanyHQAccess(req.user.uid, contacts[0].crmId);
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this CompanyHQ',
+        code: 'COMPANYHQ_FORBIDDEN'
+      });
+    }
+
+    if (survivorId && !contactIds.includes(survivorId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'survivorId must be one of contactIds'
+      });
+    }
+
+    const plan = buildMergePlan(contacts, survivorId, await getPipelineStageMap(contacts[0].crmId));
+    await addDroppedProposals([plan], contacts[0].crmId);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun,
+        plan
+      });
+    }
+
+    const contact = await executeMergePlan(plan, { actorId: access.owner.id });
 
     return res.json({
       success: true,
-      deleted: deletedCount,
-      kept: keptIds.length
+      dryRun,
+      plan,
+      contact
     });
 
   } catch (error) {
-    console.error('❌ CleanupDuplicates error:', error);
+    console.error('❌ MergeContacts error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to cleanup duplicates',
+      error: 'Failed to merge contacts',
       details: error.message
     });
   }
@@ -859,19 +1151,20 @@ router.post('/cleanup-duplicates', verifyFirebaseToken, async (req, res) => {
 
 /**
  * DELETE /api/contacts/:contactId
- * Delete a contact (cascades to Pipeline)
+ * Move a contact to the trash (soft delete - Pipeline and activities are kept)
+ * Restore with POST /api/trash/contacts/:contactId/restore
  * 
  * Returns:
  * - success: true
- * - message: "Contact deleted"
+ * - message: "Contact moved to trash"
  */
-router.delete('/:contactId', verifyFirebaseToken, async (req, res) => {
+router.delete('/:contactId', verifyFirebaseToken, authorizeContact(), async (req, res) => {
   try {
     const { contactId } = req.params;
 
     // Check if contact exists
     const contact = await prisma.contact.findUnique({
-      where: { id: contactId }
+      where: { id: contactId, ...NOT_DELETED }
     });
 
     if (!contact) {
@@ -881,16 +1174,14 @@ router.delete('/:contactId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Delete contact (Pipeline will cascade delete)
-    await prisma.contact.delete({
-      where: { id: contactId }
-    });
+    // Soft delete - Pipeline stays attached so a restore brings the full history back
+    await softDeleteContact(contactId);
 
-    console.log('✅ Contact deleted:', contactId);
+    console.log('✅ Contact moved to trash:', contactId);
 
     return res.json({
       success: true,
-      message: 'Contact deleted'
+      message: 'Contact moved to trash'
     });
 
   } catch (error) {
@@ -48,6 +48,7 @@ router.get('/hydrate', verifyFirebaseToken, async (req, res) => {
             owner: true,
             manager: true,
             contacts: {
+              where: { deletedAt: null }, // Exclude trashed contacts
               take: 5, // Limit for performance
               orderBy: { createdAt: 'desc' }
             },
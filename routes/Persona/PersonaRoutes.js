@@ -1,6 +1,8 @@
 import express from 'express';
 import prisma from '../../db.js';
-import { verifyFirebaseToken, optionalAuth } from '../../middleware/firebaseMiddleware.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ, authorizePersona } from '../../middleware/companyHQAuthMiddleware.js';
+import { NOT_DELETED, softDeletePersona } from '../../services/TrashService.js';
 
 const router = express.Router();
 
@@ -8,9 +10,9 @@ const router = express.Router();
  * GET /api/personas
  * List personas scoped to CompanyHQ (tenant)
  * 
- * Note: Uses optionalAuth - owner is already authenticated, scoped by companyHQId
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
   try {
     const { companyHQId, productId } = req.query;
 
@@ -24,6 +26,7 @@ router.get('/', optionalAuth, async (req, res) => {
     const personas = await prisma.persona.findMany({
       where: {
         companyHQId,
+        ...NOT_DELETED,
         ...(productId ? { productId } : {}),
       },
       include: {
@@ -56,9 +59,9 @@ router.get('/', optionalAuth, async (req, res) => {
  * GET /api/personas/:personaId
  * Fetch a persona by id (optional tenant validation)
  * 
- * Note: Uses optionalAuth - owner is already authenticated, scoped by personaId/companyHQId
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
  */
-router.get('/:personaId', optionalAuth, async (req, res) => {
+router.get('/:personaId', verifyFirebaseToken, authorizePersona(), async (req, res) => {
   try {
     const { personaId } = req.params;
     const { companyHQId } = req.query;
@@ -71,7 +74,7 @@ router.get('/:personaId', optionalAuth, async (req, res) => {
     }
 
     const persona = await prisma.persona.findUnique({
-      where: { id: personaId },
+      where: { id: personaId, ...NOT_DELETED },
       include: {
         product: {
           select: {
@@ -121,7 +124,7 @@ router.get('/:personaId', optionalAuth, async (req, res) => {
  * POST /api/personas/upsert
  * Create or update a persona
  */
-router.post('/upsert', verifyFirebaseToken, async (req, res) => {
+router.post('/upsert', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body?.companyHQId), async (req, res) => {
   try {
     const {
       id,
@@ -216,6 +219,25 @@ router.post('/upsert', verifyFirebaseToken, async (req, res) => {
 
     let persona;
     if (id) {
+      const existing = await prisma.persona.findUnique({
+        where: { id, ...NOT_DELETED },
+        select: { id: true, companyHQId: true },
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Persona not found',
+        });
+      }
+
+      if (existing.companyHQId !== companyHQId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Persona does not belong to this tenant',
+        });
+      }
+
       persona = await prisma.persona.update({
         where: { id },
         data: personaData,
@@ -258,5 +280,44 @@ router.post('/upsert', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/personas/:personaId
+ * Move a persona to the trash (soft delete)
+ * Restore with POST /api/trash/personas/:personaId/restore
+ */
+router.delete('/:personaId', verifyFirebaseToken, authorizePersona(), async (req, res) => {
+  try {
+    const { personaId } = req.params;
+
+    const persona = await prisma.persona.findUnique({
+      where: { id: personaId, ...NOT_DELETED },
+      select: { id: true },
+    });
+
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found',
+      });
+    }
+
+    await softDeletePersona(personaId);
+
+    console.log('✅ Persona moved to trash:', personaId);
+
+    return res.json({
+      success: true,
+      message: 'Persona moved to trash',
+    });
+  } catch (error) {
+    console.error('❌ Persona delete error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete persona',
+      details: error.message,
+    });
+  }
+});
+
 export default router;
 
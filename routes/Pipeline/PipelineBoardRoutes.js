@@ -0,0 +1,284 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  authorizeCompanyHQ,
+  authorizeContact,
+  authorizeTransitionOverride
+} from '../../middleware/companyHQAuthMiddleware.js';
+import { getPipelineDefinitions, toStageMap, validatePipelineStage } from '../../services/PipelineDefinitionService.js';
+import { setContactPipeline } from '../../services/PipelineHistoryService.js';
+import { applyPipelineTriggers } from '../../services/PipelineTriggerService.js';
+import {
+  StageTransitionError,
+  resolveStageTransition,
+  getTransitionOverride
+} from '../../services/StageTransitionPolicyService.js';
+import {
+  getPipelineBoard,
+  getBoardColumn,
+  positionForIndex,
+  setCardPosition,
+  getBoardCard
+} from '../../services/PipelineBoardService.js';
+import { NOT_DELETED } from '../../services/TrashService.js';
+
+const router = express.Router();
+
+const DEFAULT_CARD_LIMIT = 25;
+const MAX_CARD_LIMIT = 100;
+
+// Parse ?limit= (undefined → default, invalid → null)
+const parseLimit = (value) => {
+  if (value === undefined) return DEFAULT_CARD_LIMIT;
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_CARD_LIMIT ? limit : null;
+};
+
+/**
+ * GET /api/pipelines/board?companyHQId=xxx&pipeline=prospect
+ * Kanban board for one pipeline: a column per stage with its count and first page of cards
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - pipeline (required) - Pipeline key
+ * - limit (optional) - Cards per column (1-100, default: 25)
+ *
+ * Returns:
+ * - success: true
+ * - pipeline: { id, key, label }
+ * - columns: [{ stage, label, count, cards, nextCursor }] in stage order
+ * - total: Contacts on the board
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/board', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { pipeline } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_CARD_LIMIT}`
+      });
+    }
+
+    const definitions = await getPipelineDefinitions(req.companyHQId);
+    const definition = definitions.find(d => d.key === pipeline);
+
+    if (!definition) {
+      return res.status(400).json({
+        success: false,
+        error: `pipeline must be one of: ${definitions.map(d => d.key).join(', ')}`
+      });
+    }
+
+    const board = await getPipelineBoard(req.companyHQId, definition, { limit });
+
+    return res.json({
+      success: true,
+      ...board
+    });
+
+  } catch (error) {
+    console.error('❌ GetPipelineBoard error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load pipeline board',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/pipelines/board/column?companyHQId=xxx&pipeline=prospect&stage=meeting&cursor=...
+ * Next page of cards for one board column
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - pipeline, stage (required)
+ * - cursor (optional) - nextCursor from the board or a previous page
+ * - limit (optional) - Cards per page (1-100, default: 25)
+ *
+ * Returns:
+ * - success: true
+ * - cards: Contacts with pipeline and contactCompany
+ * - nextCursor: Cursor for the next page (null on the last page)
+ */
+router.get('/board/column', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { pipeline, stage, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_CARD_LIMIT}`
+      });
+    }
+
+    if (!pipeline || !stage) {
+      return res.status(400).json({
+        success: false,
+        error: 'pipeline and stage are required'
+      });
+    }
+
+    const pipelineError = validatePipelineStage(toStageMap(await getPipelineDefinitions(req.companyHQId)), pipeline, stage);
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        error: pipelineError
+      });
+    }
+
+    let column;
+    try {
+      column = await getBoardColumn(req.companyHQId, pipeline, stage, { cursor, limit });
+    } catch (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: cursorError.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      ...column
+    });
+
+  } catch (error) {
+    console.error('❌ GetBoardColumn error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load board column',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pipelines/board/move
+ * Drag-and-drop: move a card to a stage (and/or index within the column)
+ * A stage change is checked against the stage transition policy, recorded in the stage
+ * history, and runs the CompanyHQ's trigger rules (which may move the card again)
+ *
+ * Body:
+ * - contactId (required)
+ * - stage (required) - Target stage key
+ * - pipeline (optional) - Target pipeline key (default: the card's current pipeline)
+ * - index (optional) - 0-based drop index in the target column (default: bottom)
+ * - overrideTransitionRules, overrideReason (optional) - Bypass the policy (CompanyHQ owner only, recorded)
+ *
+ * Returns:
+ * - success: true
+ * - card: Contact with pipeline and contactCompany, where it ended up
+ * - moved: true if the stage changed
+ * - converted: true if a trigger rule moved the card on
+ * - triggers: Rules that fired (only when rules fired)
+ * - 422 { code: "STAGE_TRANSITION_REJECTED", reason, transition } if the move breaks the policy
+ */
+router.post('/board/move', verifyFirebaseToken, authorizeContact((req) => req.body.contactId), authorizeTransitionOverride, async (req, res) => {
+  try {
+    const { contactId, stage, index } = req.body;
+
+    if (!stage) {
+      return res.status(400).json({
+        success: false,
+        error: 'stage is required'
+      });
+    }
+
+    if (index !== undefined && (!Number.isInteger(index) || index < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'index must be a non-negative integer'
+      });
+    }
+
+    const contact = await prisma.contact.findUnique({
+      where: { id: contactId, ...NOT_DELETED },
+      include: { pipeline: true }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    const pipeline = req.body.pipeline || contact.pipeline?.pipeline || 'prospect';
+    const pipelineError = validatePipelineStage(toStageMap(await getPipelineDefinitions(contact.crmId)), pipeline, stage);
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        error: pipelineError
+      });
+    }
+
+    const stageChanged = contact.pipeline?.pipeline !== pipeline || contact.pipeline?.stage !== stage;
+
+    if (stageChanged) {
+      const transitionPolicy = await resolveStageTransition(contact, contact.pipeline, { pipeline, stage }, {
+        override: getTransitionOverride(req.body)
+      });
+
+      await setContactPipeline(contactId, { pipeline, stage }, {
+        actorId: req.owner.id,
+        ...transitionPolicy
+      });
+    }
+
+    // Drop at the requested index (a stage change without one leaves the card at the bottom)
+    if (index !== undefined) {
+      const position = await positionForIndex(contact.crmId, pipeline, stage, contactId, index);
+      await setCardPosition(contactId, position);
+    }
+
+    if (stageChanged) {
+      const triggered = await applyPipelineTriggers(contactId, pipeline, stage, {
+        actorId: req.owner.id
+      });
+
+      if (triggered) {
+        return res.json({
+          success: true,
+          card: await getBoardCard(contactId),
+          moved: true,
+          converted: triggered.moved,
+          triggers: triggered.firings
+        });
+      }
+    }
+
+    console.log(`✅ Board move: contact ${contactId} → ${pipeline}/${stage}${index !== undefined ? ` #${index}` : ''}`);
+
+    return res.json({
+      success: true,
+      card: await getBoardCard(contactId),
+      moved: stageChanged,
+      converted: false
+    });
+
+  } catch (error) {
+    if (error instanceof StageTransitionError) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        code: 'STAGE_TRANSITION_REJECTED',
+        reason: error.rejection.reason,
+        transition: error.rejection
+      });
+    }
+    console.error('❌ BoardMove error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to move card',
+      details: error.message
+    });
+  }
+});
+
+export default router;
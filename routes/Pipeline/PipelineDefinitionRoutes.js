@@ -0,0 +1,645 @@
+import express from 'express';
+import { Prisma } from '@prisma/client';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ, authorizePipelineDefinition } from '../../middleware/companyHQAuthMiddleware.js';
+import {
+  getPipelineDefinitions,
+  getPipelineDefinition,
+  slugifyKey,
+  countContactsInPipeline,
+  reorderDefinitions,
+  validateStagePolicy,
+  toStageMap,
+  removeAllowedNextStage
+} from '../../services/PipelineDefinitionService.js';
+import { setContactPipeline } from '../../services/PipelineHistoryService.js';
+import { findRulesUsingStage } from '../../services/PipelineTriggerService.js';
+
+const router = express.Router();
+
+// Policy/forecast fields for a stage write (null clears a policy - Json columns need DbNull)
+const stagePolicyData = ({ allowedNextStages, entryRequirements, winProbability }) => ({
+  ...(allowedNextStages !== undefined && { allowedNextStages: allowedNextStages ?? Prisma.DbNull }),
+  ...(entryRequirements !== undefined && { entryRequirements: entryRequirements ?? Prisma.DbNull }),
+  ...(winProbability !== undefined && { winProbability })
+});
+
+// Same set of IDs, any order
+const isSameIdSet = (ids, expected) => (
+  Array.isArray(ids) &&
+  ids.length === expected.length &&
+  new Set(ids).size === ids.length &&
+  ids.every(id => expected.includes(id))
+);
+
+/**
+ * GET /api/pipelines/definitions?companyHQId=xxx
+ * List a CompanyHQ's pipelines with their stages (ordered)
+ * Seeds the default pipelines the first time for tenants created before definitions existed
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ *
+ * Returns:
+ * - success: true
+ * - pipelines: PipelineDefinitions with stages
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/definitions', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const pipelines = await getPipelineDefinitions(req.companyHQId);
+
+    return res.json({
+      success: true,
+      pipelines
+    });
+
+  } catch (error) {
+    console.error('❌ GetPipelineDefinitions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get pipelines',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pipelines/definitions
+ * Create a pipeline for a CompanyHQ
+ *
+ * Body:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - label (required) - Display name, e.g. "Agency Deals"
+ * - key (optional) - Stored key (default: slug of label). Cannot be changed later
+ * - stages (required) - [{ label, key?, allowedNextStages?, entryRequirements?, winProbability? }] in order, at least one
+ *
+ * Returns:
+ * - success: true
+ * - pipeline: Created PipelineDefinition with stages
+ */
+router.post('/definitions', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body.companyHQId), async (req, res) => {
+  try {
+    const { label, stages } = req.body;
+    const key = slugifyKey(req.body.key || label);
+
+    if (!label || !key) {
+      return res.status(400).json({
+        success: false,
+        error: 'label is required'
+      });
+    }
+
+    if (!Array.isArray(stages) || stages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'stages must be a non-empty array'
+      });
+    }
+
+    const stageData = stages.map((stage, position) => ({
+      key: slugifyKey(stage?.key || stage?.label),
+      label: stage?.label,
+      position,
+      ...stagePolicyData(stage || {})
+    }));
+
+    if (stageData.some(stage => !stage.key || !stage.label)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every stage needs a label'
+      });
+    }
+
+    if (new Set(stageData.map(stage => stage.key)).size !== stageData.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Stage keys must be unique within a pipeline'
+      });
+    }
+
+    // Make sure the defaults exist before appending
+    const existing = await getPipelineDefinitions(req.companyHQId);
+
+    const stageKeys = stageData.map(stage => stage.key);
+    const stageMap = toStageMap(existing);
+    const policyError = stages.map(stage => validateStagePolicy(stageKeys, stage || {}, stageMap)).find(Boolean);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError
+      });
+    }
+
+    if (existing.some(pipeline => pipeline.key === key)) {
+      return res.status(409).json({
+        success: false,
+        error: `A pipeline with key "${key}" already exists`
+      });
+    }
+
+    const pipeline = await prisma.pipelineDefinition.create({
+      data: {
+        companyHQId: req.companyHQId,
+        key,
+        label,
+        position: existing.length,
+        stages: {
+          create: stageData
+        }
+      },
+      include: {
+        stages: { orderBy: { position: 'asc' } }
+      }
+    });
+
+    console.log('✅ Pipeline created:', pipeline.id, key);
+
+    return res.status(201).json({
+      success: true,
+      pipeline
+    });
+
+  } catch (error) {
+    console.error('❌ CreatePipelineDefinition error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create pipeline',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/pipelines/definitions/reorder
+ * Reorder a CompanyHQ's pipelines
+ *
+ * Body:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - pipelineIds (required) - Every pipeline ID for the CompanyHQ, in the new order
+ *
+ * Returns:
+ * - success: true
+ * - pipelines: PipelineDefinitions with stages (new order)
+ */
+router.put('/definitions/reorder', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body.companyHQId), async (req, res) => {
+  try {
+    const { pipelineIds } = req.body;
+    const existing = await getPipelineDefinitions(req.companyHQId);
+
+    if (!isSameIdSet(pipelineIds, existing.map(pipeline => pipeline.id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'pipelineIds must list every pipeline for the CompanyHQ exactly once'
+      });
+    }
+
+    await reorderDefinitions('pipelineDefinition', pipelineIds);
+
+    return res.json({
+      success: true,
+      pipelines: await getPipelineDefinitions(req.companyHQId)
+    });
+
+  } catch (error) {
+    console.error('❌ ReorderPipelineDefinitions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reorder pipelines',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/pipelines/definitions/:pipelineId
+ * Rename a pipeline (keys are fixed - contacts store them)
+ *
+ * Body:
+ * - label (required)
+ *
+ * Returns:
+ * - success: true
+ * - pipeline: Updated PipelineDefinition with stages
+ */
+router.put('/definitions/:pipelineId', verifyFirebaseToken, authorizePipelineDefinition(), async (req, res) => {
+  try {
+    const { pipelineId } = req.params;
+    const { label } = req.body;
+
+    if (!label) {
+      return res.status(400).json({
+        success: false,
+        error: 'label is required'
+      });
+    }
+
+    const pipeline = await prisma.pipelineDefinition.update({
+      where: { id: pipelineId },
+      data: { label },
+      include: {
+        stages: { orderBy: { position: 'asc' } }
+      }
+    });
+
+    return res.json({
+      success: true,
+      pipeline
+    });
+
+  } catch (error) {
+    console.error('❌ UpdatePipelineDefinition error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update pipeline',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/pipelines/definitions/:pipelineId
+ * Delete a pipeline and its stages
+ * Refused (409) while any contact - including trashed ones - is in the pipeline or an enabled
+ * trigger rule uses it (rules: [{ id, name }]), and (400) for a CompanyHQ's last pipeline
+ *
+ * Returns:
+ * - success: true
+ * - message: "Pipeline deleted"
+ */
+router.delete('/definitions/:pipelineId', verifyFirebaseToken, authorizePipelineDefinition(), async (req, res) => {
+  try {
+    const { pipelineId } = req.params;
+
+    const pipeline = await getPipelineDefinition(pipelineId);
+    const [inUse, pipelineCount, rules] = await Promise.all([
+      countContactsInPipeline(req.companyHQId, pipeline.key),
+      prisma.pipelineDefinition.count({ where: { companyHQId: req.companyHQId } }),
+      findRulesUsingStage(req.companyHQId, pipeline.key)
+    ]);
+
+    if (pipelineCount <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A CompanyHQ needs at least one pipeline'
+      });
+    }
+
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${inUse} contact(s) are still in this pipeline. Move them before deleting it.`,
+        contactCount: inUse
+      });
+    }
+
+    if (rules.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${rules.length} enabled trigger rule(s) use this pipeline. Edit or disable them before deleting it.`,
+        rules
+      });
+    }
+
+    const definitions = await getPipelineDefinitions(req.companyHQId);
+
+    await prisma.pipelineDefinition.delete({
+      where: { id: pipelineId }
+    });
+
+    // Other pipelines' stages can no longer move into this one
+    await removeAllowedNextStage(definitions, pipeline.key);
+
+    console.log('✅ Pipeline deleted:', pipelineId, pipeline.key);
+
+    return res.json({
+      success: true,
+      message: 'Pipeline deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ DeletePipelineDefinition error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete pipeline',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pipelines/definitions/:pipelineId/stages
+ * Add a stage to a pipeline
+ *
+ * Body:
+ * - label (required) - Display name, e.g. "Pilot"
+ * - key (optional) - Stored key (default: slug of label). Cannot be changed later
+ * - position (optional) - Index to insert at (default: end)
+ * - allowedNextStages (optional) - Stages a contact may move to from this stage - keys in this pipeline,
+ *   or "pipeline:stage" for another pipeline (null/omitted = any)
+ * - entryRequirements (optional) - Requirements before entering, e.g. ["approved-proposal"] (see config/stageTransitionConfig.js)
+ * - winProbability (optional) - Chance (0-1) a deal in this stage closes, for the revenue forecast (null/omitted = not forecast)
+ *
+ * Returns:
+ * - success: true
+ * - pipeline: PipelineDefinition with stages (new order)
+ */
+router.post('/definitions/:pipelineId/stages', verifyFirebaseToken, authorizePipelineDefinition(), async (req, res) => {
+  try {
+    const { pipelineId } = req.params;
+    const { label, position } = req.body;
+    const key = slugifyKey(req.body.key || label);
+
+    if (!label || !key) {
+      return res.status(400).json({
+        success: false,
+        error: 'label is required'
+      });
+    }
+
+    const pipeline = await getPipelineDefinition(pipelineId);
+
+    if (pipeline.stages.some(stage => stage.key === key)) {
+      return res.status(409).json({
+        success: false,
+        error: `Stage "${key}" already exists in this pipeline`
+      });
+    }
+
+    const policyError = validateStagePolicy(
+      [...pipeline.stages.map(s => s.key), key],
+      req.body,
+      toStageMap(await getPipelineDefinitions(req.companyHQId))
+    );
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError
+      });
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), pipeline.stages.length)
+      : pipeline.stages.length;
+
+    const stage = await prisma.pipelineStageDefinition.create({
+      data: {
+        pipelineId,
+        key,
+        label,
+        position: index,
+        ...stagePolicyData(req.body)
+      }
+    });
+
+    const orderedIds = pipeline.stages.map(s => s.id);
+    orderedIds.splice(index, 0, stage.id);
+    await reorderDefinitions('pipelineStageDefinition', orderedIds);
+
+    console.log('✅ Pipeline stage created:', pipeline.key, key);
+
+    return res.status(201).json({
+      success: true,
+      pipeline: await getPipelineDefinition(pipelineId)
+    });
+
+  } catch (error) {
+    console.error('❌ CreatePipelineStage error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create stage',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/pipelines/definitions/:pipelineId/stages/reorder
+ * Reorder a pipeline's stages
+ *
+ * Body:
+ * - stageIds (required) - Every stage ID in the pipeline, in the new order
+ *
+ * Returns:
+ * - success: true
+ * - pipeline: PipelineDefinition with stages (new order)
+ */
+router.put('/definitions/:pipelineId/stages/reorder', verifyFirebaseToken, authorizePipelineDefinition(), async (req, res) => {
+  try {
+    const { pipelineId } = req.params;
+    const { stageIds } = req.body;
+
+    const pipeline = await getPipelineDefinition(pipelineId);
+
+    if (!isSameIdSet(stageIds, pipeline.stages.map(stage => stage.id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'stageIds must list every stage in the pipeline exactly once'
+      });
+    }
+
+    await reorderDefinitions('pipelineStageDefinition', stageIds);
+
+    return res.json({
+      success: true,
+      pipeline: await getPipelineDefinition(pipelineId)
+    });
+
+  } catch (error) {
+    console.error('❌ ReorderPipelineStages error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reorder stages',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/pipelines/definitions/:pipelineId/stages/:stageId
+ * Rename a stage or change its transition policy / win probability (keys are fixed - contacts store them)
+ *
+ * Body (at least one):
+ * - label
+ * - allowedNextStages - Stages a contact may move to from this stage - keys in this pipeline,
+ *   or "pipeline:stage" for another pipeline (null = any)
+ * - entryRequirements - Requirements before entering, e.g. ["approved-proposal"] (null = none)
+ * - winProbability - Chance (0-1) a deal in this stage closes (null = not forecast)
+ *
+ * Returns:
+ * - success: true
+ * - stage: Updated PipelineStageDefinition
+ */
+router.put('/definitions/:pipelineId/stages/:stageId', verifyFirebaseToken, authorizePipelineDefinition(), async (req, res) => {
+  try {
+    const { pipelineId, stageId } = req.params;
+    const { label, allowedNextStages, entryRequirements, winProbability } = req.body;
+
+    if (label === undefined && allowedNextStages === undefined && entryRequirements === undefined && winProbability === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'label, allowedNextStages, entryRequirements or winProbability is required'
+      });
+    }
+
+    if (label !== undefined && !label) {
+      return res.status(400).json({
+        success: false,
+        error: 'label cannot be empty'
+      });
+    }
+
+    const pipeline = await getPipelineDefinition(pipelineId);
+
+    if (!pipeline.stages.some(s => s.id === stageId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stage not found'
+      });
+    }
+
+    const policyError = validateStagePolicy(
+      pipeline.stages.map(s => s.key),
+      req.body,
+      toStageMap(await getPipelineDefinitions(req.companyHQId))
+    );
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError
+      });
+    }
+
+    const stage = await prisma.pipelineStageDefinition.update({
+      where: { id: stageId },
+      data: {
+        ...(label !== undefined && { label }),
+        ...stagePolicyData(req.body)
+      }
+    });
+
+    return res.json({
+      success: true,
+      stage
+    });
+
+  } catch (error) {
+    console.error('❌ UpdatePipelineStage error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update stage',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/pipelines/definitions/:pipelineId/stages/:stageId
+ * Delete a stage
+ * Contacts in the stage must be moved first - either beforehand, or by passing moveTo
+ * (each move is recorded in the stage-transition log with trigger "stage-removed")
+ * Refused (409) while an enabled trigger rule uses the stage (rules: [{ id, name }])
+ *
+ * Query params:
+ * - moveTo (optional) - Key of another stage in the same pipeline to move contacts into
+ *
+ * Returns:
+ * - success: true
+ * - movedContacts: Number of contacts moved to moveTo
+ * - pipeline: PipelineDefinition with remaining stages
+ */
+router.delete('/definitions/:pipelineId/stages/:stageId', verifyFirebaseToken, authorizePipelineDefinition(), async (req, res) => {
+  try {
+    const { pipelineId, stageId } = req.params;
+    const { moveTo } = req.query;
+
+    const pipeline = await getPipelineDefinition(pipelineId);
+    const stage = pipeline.stages.find(s => s.id === stageId);
+
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stage not found'
+      });
+    }
+
+    if (pipeline.stages.length <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A pipeline needs at least one stage'
+      });
+    }
+
+    if (moveTo && (moveTo === stage.key || !pipeline.stages.some(s => s.key === moveTo))) {
+      return res.status(400).json({
+        success: false,
+        error: `moveTo must be another stage in this pipeline: ${pipeline.stages.filter(s => s.id !== stageId).map(s => s.key).join(', ')}`
+      });
+    }
+
+    const rules = await findRulesUsingStage(req.companyHQId, pipeline.key, stage.key);
+    if (rules.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${rules.length} enabled trigger rule(s) use this stage. Edit or disable them before deleting it.`,
+        rules
+      });
+    }
+
+    const contacts = await prisma.pipeline.findMany({
+      where: {
+        pipeline: pipeline.key,
+        stage: stage.key,
+        contact: { crmId: req.companyHQId }
+      },
+      select: { contactId: true }
+    });
+
+    if (contacts.length > 0 && !moveTo) {
+      return res.status(409).json({
+        success: false,
+        error: `${contacts.length} contact(s) are still in this stage. Pass moveTo to move them.`,
+        contactCount: contacts.length
+      });
+    }
+
+    for (const { contactId } of contacts) {
+      await setContactPipeline(contactId, { pipeline: pipeline.key, stage: moveTo }, {
+        actorId: req.owner.id,
+        trigger: 'stage-removed'
+      });
+    }
+
+    const definitions = await getPipelineDefinitions(req.companyHQId);
+
+    await prisma.pipelineStageDefinition.delete({
+      where: { id: stageId }
+    });
+
+    // Drop the removed stage from the other stages' allowed next stages (in any pipeline)
+    await removeAllowedNextStage(definitions.map(d => (
+      d.id === pipelineId ? { ...d, stages: d.stages.filter(s => s.id !== stageId) } : d
+    )), pipeline.key, stage.key);
+    await reorderDefinitions('pipelineStageDefinition', pipeline.stages.filter(s => s.id !== stageId).map(s => s.id));
+
+    console.log(`✅ Pipeline stage deleted: ${pipeline.key}/${stage.key} (moved ${contacts.length})`);
+
+    return res.json({
+      success: true,
+      movedContacts: contacts.length,
+      pipeline: await getPipelineDefinition(pipelineId)
+    });
+
+  } catch (error) {
+    console.error('❌ DeletePipelineStage error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete stage',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import { getTimeInStage } from '../../services/PipelineHistoryService.js';
+import { getPipelineStageMap, validatePipelineStage } from '../../services/PipelineDefinitionService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/pipelines/time-in-stage?companyHQId=xxx
+ * Average time contacts spend in each stage, per pipeline
+ * Built from the stage-transition log; averages use completed stays only
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - pipeline (optional) - Limit to one pipeline
+ *
+ * Returns:
+ * - success: true
+ * - pipelines: { [pipeline]: [{ stage, averageDays, completedStays, currentCount, currentAverageDays }] }
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/time-in-stage', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { companyHQId, pipeline } = req.query;
+
+    const pipelineError = pipeline && validatePipelineStage(await getPipelineStageMap(companyHQId), pipeline);
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        error: pipelineError
+      });
+    }
+
+    const pipelines = await getTimeInStage(companyHQId, { pipeline });
+
+    return res.json({
+      success: true,
+      pipelines
+    });
+
+  } catch (error) {
+    console.error('❌ TimeInStage error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to compute time in stage',
+      details: error.message
+    });
+  }
+});
+
+export default router;
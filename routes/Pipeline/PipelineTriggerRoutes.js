@@ -0,0 +1,334 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  authorizeCompanyHQ,
+  authorizeContact,
+  authorizePipelineTriggerRule
+} from '../../middleware/companyHQAuthMiddleware.js';
+import {
+  getTriggerRules,
+  validateTriggerRule,
+  evaluatePipelineTriggers,
+  getTriggerExecutions
+} from '../../services/PipelineTriggerService.js';
+import { getPipelineStageMap, validatePipelineStage } from '../../services/PipelineDefinitionService.js';
+import { TRIGGER_ACTION_TYPES, TRIGGER_ACTION_LABELS } from '../../config/pipelineTriggerConfig.js';
+
+const router = express.Router();
+
+const MAX_EXECUTIONS_LIMIT = 200;
+
+// Rule fields accepted from request bodies
+const pickRuleFields = (body) => {
+  const fields = {};
+  ['name', 'enabled', 'position', 'pipeline', 'stage', 'buyerDecision', 'howMet', 'actions'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.buyerDecision === '') fields.buyerDecision = null;
+  if (fields.howMet === '') fields.howMet = null;
+  return fields;
+};
+
+/**
+ * GET /api/pipelines/triggers?companyHQId=xxx
+ * List a CompanyHQ's trigger rules in evaluation order
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ *
+ * Returns:
+ * - success: true
+ * - rules: PipelineTriggerRules
+ * - actionTypes: { types, labels }
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/triggers', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const rules = await getTriggerRules(req.companyHQId);
+
+    return res.json({
+      success: true,
+      rules,
+      actionTypes: {
+        types: TRIGGER_ACTION_TYPES,
+        labels: TRIGGER_ACTION_LABELS
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ GetTriggerRules error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get trigger rules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/pipelines/triggers/executions?companyHQId=xxx
+ * Which rules fired, for which contacts, and what each action did (newest first)
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - contactId (optional) - Only this contact
+ * - ruleId (optional) - Only this rule
+ * - limit (optional) - Max entries (1-200, default: 50)
+ *
+ * Returns:
+ * - success: true
+ * - executions: Array of { ruleId, ruleName, contact, status, results, occurredAt }
+ */
+router.get('/triggers/executions', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { contactId, ruleId } = req.query;
+
+    let limit = 50;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EXECUTIONS_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be between 1 and ${MAX_EXECUTIONS_LIMIT}`
+        });
+      }
+    }
+
+    const executions = await getTriggerExecutions(req.companyHQId, { contactId, ruleId, limit });
+
+    return res.json({
+      success: true,
+      executions
+    });
+
+  } catch (error) {
+    console.error('❌ GetTriggerExecutions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get trigger executions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pipelines/triggers/evaluate
+ * Dry run: which rules would fire if a contact entered a pipeline/stage, and what they would do
+ * Nothing is changed or logged
+ *
+ * Body:
+ * - contactId (required) - Contact to evaluate
+ * - pipeline (optional) - Pipeline to pretend the contact entered (default: current)
+ * - stage (optional) - Stage to pretend the contact entered (default: current, or the pipeline's first stage)
+ * - rule (optional) - Unsaved rule { name, pipeline, stage, buyerDecision, howMet, actions } to test instead of the saved rules
+ *
+ * Returns:
+ * - success: true
+ * - state: { pipeline, stage } evaluated
+ * - firings: [{ rule, state, status: "planned", results: [{ type, status, detail }] }]
+ */
+router.post('/triggers/evaluate', verifyFirebaseToken, authorizeContact((req) => req.body.contactId), async (req, res) => {
+  try {
+    const { contactId, pipeline, stage, rule } = req.body;
+
+    if (pipeline) {
+      const pipelineError = validatePipelineStage(await getPipelineStageMap(req.companyHQId), pipeline, stage);
+      if (pipelineError) {
+        return res.status(400).json({
+          success: false,
+          error: pipelineError
+        });
+      }
+    }
+
+    let rules = null;
+    if (rule) {
+      const ruleError = await validateTriggerRule(req.companyHQId, rule);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          error: ruleError
+        });
+      }
+      rules = [{ id: 'draft', name: rule.name || 'draft', ...pickRuleFields(rule) }];
+    }
+
+    const evaluation = await evaluatePipelineTriggers(contactId, { pipeline, stage }, { rules });
+
+    return res.json({
+      success: true,
+      ...evaluation
+    });
+
+  } catch (error) {
+    console.error('❌ EvaluateTriggers error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate triggers',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pipelines/triggers
+ * Create a trigger rule
+ *
+ * Body:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - name (required)
+ * - pipeline, stage (required) - Fires when a contact enters this stage
+ * - buyerDecision, howMet (optional) - Extra conditions
+ * - actions (required) - [{ type: "move", pipeline, stage? } | { type: "create-task", summary, body?, dueInDays? }
+ *   | { type: "set-proposal-status", status } | { type: "add-to-list", contactListId }]
+ * - enabled (optional, default: true)
+ * - position (optional) - Evaluation order (default: last)
+ *
+ * Returns:
+ * - success: true
+ * - rule: Created PipelineTriggerRule
+ */
+router.post('/triggers', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body.companyHQId), async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+
+    if (!fields.name || !String(fields.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const ruleError = await validateTriggerRule(req.companyHQId, fields);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        error: ruleError
+      });
+    }
+
+    const position = Number.isInteger(fields.position)
+      ? fields.position
+      : await prisma.pipelineTriggerRule.count({ where: { companyHQId: req.companyHQId } });
+
+    const rule = await prisma.pipelineTriggerRule.create({
+      data: {
+        ...fields,
+        name: String(fields.name).trim(),
+        enabled: fields.enabled !== false,
+        position,
+        companyHQId: req.companyHQId
+      }
+    });
+
+    console.log('✅ Trigger rule created:', rule.id, rule.name);
+
+    return res.status(201).json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    console.error('❌ CreateTriggerRule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create trigger rule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/pipelines/triggers/:ruleId
+ * Update a trigger rule (condition and actions are re-validated as a whole)
+ *
+ * Body: Same as POST (without companyHQId), all fields optional
+ *
+ * Returns:
+ * - success: true
+ * - rule: Updated PipelineTriggerRule
+ */
+router.put('/triggers/:ruleId', verifyFirebaseToken, authorizePipelineTriggerRule(), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const fields = pickRuleFields(req.body);
+
+    if (fields.name !== undefined && !String(fields.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name cannot be empty'
+      });
+    }
+
+    const existing = await prisma.pipelineTriggerRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    const ruleError = await validateTriggerRule(req.companyHQId, { ...existing, ...fields });
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        error: ruleError
+      });
+    }
+
+    const rule = await prisma.pipelineTriggerRule.update({
+      where: { id: ruleId },
+      data: {
+        ...fields,
+        ...(fields.name !== undefined && { name: String(fields.name).trim() }),
+        ...(fields.enabled !== undefined && { enabled: Boolean(fields.enabled) })
+      }
+    });
+
+    return res.json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    console.error('❌ UpdateTriggerRule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update trigger rule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/pipelines/triggers/:ruleId
+ * Delete a trigger rule (its execution log entries are kept)
+ *
+ * Returns:
+ * - success: true
+ * - message: "Trigger rule deleted"
+ */
+router.delete('/triggers/:ruleId', verifyFirebaseToken, authorizePipelineTriggerRule(), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    await prisma.pipelineTriggerRule.delete({
+      where: { id: ruleId }
+    });
+
+    console.log('✅ Trigger rule deleted:', ruleId);
+
+    return res.json({
+      success: true,
+      message: 'Trigger rule deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ DeleteTriggerRule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete trigger rule',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,19 @@
 import express from 'express';
 import prisma from '../../db.js';
-import { verifyFirebaseToken, optionalAuth } from '../../middleware/firebaseMiddleware.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ, authorizeProposal } from '../../middleware/companyHQAuthMiddleware.js';
+import { NOT_DELETED, softDeleteProposal } from '../../services/TrashService.js';
+import { isCompanyInCompanyHQ } from '../../services/UniversalContactService.js';
 
 const router = express.Router();
 
+// companyId names a Company outside the proposal's CompanyHQ (same 403 whether or not it exists)
+const rejectCompany = (res) => res.status(403).json({
+  success: false,
+  error: 'companyId must be a Company in this CompanyHQ',
+  code: 'COMPANY_FORBIDDEN'
+});
+
 /**
  * POST /api/proposals
  * Creates a new proposal
@@ -22,8 +32,9 @@ const router = express.Router();
  * Returns:
  * - success: true
  * - proposal: Proposal object
+ * - 403 { code: "COMPANY_FORBIDDEN" } if companyId isn't a Company in this CompanyHQ
  */
-router.post('/', verifyFirebaseToken, async (req, res) => {
+router.post('/', verifyFirebaseToken, authorizeCompanyHQ((req) => req.body.companyHQId, { missingError: 'CompanyHQId is required' }), async (req, res) => {
   try {
     const {
       companyHQId,
@@ -67,6 +78,11 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    // A linked Company must be one of this CompanyHQ's (checked before anything is written)
+    if (companyId && !(await isCompanyInCompanyHQ(companyId, req.companyHQId))) {
+      return rejectCompany(res);
+    }
+
     // Calculate totalPrice from serviceInstances or compensation if not provided
     let calculatedPrice = totalPrice;
     if (!calculatedPrice && compensation && compensation.total) {
@@ -137,9 +153,9 @@ router.post('/', verifyFirebaseToken, async (req, res) => {
  * - success: true
  * - proposals: Array of Proposal objects
  * 
- * Note: Uses optionalAuth - owner is already authenticated, scoped by companyHQId
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', verifyFirebaseToken, authorizeCompanyHQ((req) => req.query.companyHQId, { missingError: 'CompanyHQId is required' }), async (req, res) => {
   try {
     const { companyHQId, status } = req.query;
 
@@ -152,7 +168,8 @@ router.get('/', optionalAuth, async (req, res) => {
 
     // Build where clause
     const where = {
-      companyHQId
+      companyHQId,
+      ...NOT_DELETED
     };
 
     if (status) {
@@ -193,14 +210,14 @@ router.get('/', optionalAuth, async (req, res) => {
  * - success: true
  * - proposal: Proposal object
  * 
- * Note: Uses optionalAuth - owner is already authenticated, scoped by proposalId
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
  */
-router.get('/:proposalId', optionalAuth, async (req, res) => {
+router.get('/:proposalId', verifyFirebaseToken, authorizeProposal(), async (req, res) => {
   try {
     const { proposalId } = req.params;
 
     const proposal = await prisma.proposal.findUnique({
-      where: { id: proposalId },
+      where: { id: proposalId, ...NOT_DELETED },
       include: {
         companyHQ: true,
         company: true
@@ -246,8 +263,9 @@ router.get('/:proposalId', optionalAuth, async (req, res) => {
  * Returns:
  * - success: true
  * - proposal: Updated Proposal object
+ * - 403 { code: "COMPANY_FORBIDDEN" } if companyId isn't a Company in this CompanyHQ
  */
-router.put('/:proposalId', verifyFirebaseToken, async (req, res) => {
+router.put('/:proposalId', verifyFirebaseToken, authorizeProposal(), async (req, res) => {
   try {
     const { proposalId } = req.params;
     const {
@@ -266,7 +284,7 @@ router.put('/:proposalId', verifyFirebaseToken, async (req, res) => {
 
     // Check if proposal exists
     const existingProposal = await prisma.proposal.findUnique({
-      where: { id: proposalId }
+      where: { id: proposalId, ...NOT_DELETED }
     });
 
     if (!existingProposal) {
@@ -276,6 +294,11 @@ router.put('/:proposalId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    // A linked Company must be one of this CompanyHQ's (checked before anything is written)
+    if (companyId && !(await isCompanyInCompanyHQ(companyId, req.companyHQId))) {
+      return rejectCompany(res);
+    }
+
     // Build update data
     const updateData = {};
     if (clientName !== undefined) updateData.clientName = clientName;
@@ -347,19 +370,20 @@ router.put('/:proposalId', verifyFirebaseToken, async (req, res) => {
 
 /**
  * DELETE /api/proposals/:proposalId
- * Deletes a proposal
+ * Moves a proposal to the trash (soft delete)
+ * Restore with POST /api/trash/proposals/:proposalId/restore
  * 
  * Returns:
  * - success: true
- * - message: "Proposal deleted"
+ * - message: "Proposal moved to trash"
  */
-router.delete('/:proposalId', verifyFirebaseToken, async (req, res) => {
+router.delete('/:proposalId', verifyFirebaseToken, authorizeProposal(), async (req, res) => {
   try {
     const { proposalId } = req.params;
 
     // Check if proposal exists
     const proposal = await prisma.proposal.findUnique({
-      where: { id: proposalId }
+      where: { id: proposalId, ...NOT_DELETED }
     });
 
     if (!proposal) {
@@ -369,24 +393,14 @@ router.delete('/:proposalId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // If proposal is linked to a company, remove the proposalId reference
-    if (proposal.companyId) {
-      await prisma.company.update({
-        where: { id: proposal.companyId },
-        data: { proposalId: null }
-      });
-    }
-
-    // Delete proposal
-    await prisma.proposal.delete({
-      where: { id: proposalId }
-    });
+    // Soft delete (also removes the company's proposalId reference)
+    await softDeleteProposal(proposal);
 
-    console.log('✅ Proposal deleted:', proposalId);
+    console.log('✅ Proposal moved to trash:', proposalId);
 
     return res.json({
       success: true,
-      message: 'Proposal deleted'
+      message: 'Proposal moved to trash'
     });
 
   } catch (error) {
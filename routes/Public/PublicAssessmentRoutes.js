@@ -0,0 +1,118 @@
+import express from 'express';
+import prisma from '../../db.js';
+import { createRateLimiter } from '../../middleware/rateLimitMiddleware.js';
+import { normalizeAssessmentResponses } from '../../services/AssessmentService.js';
+import { submitPublicAssessment } from '../../services/PublicAssessmentService.js';
+import { PUBLIC_ASSESSMENT_RATE_LIMIT } from '../../config/assessmentConfig.js';
+
+// Mounted at /api/public - no auth, any origin (embedded on CompanyHQ websites)
+const router = express.Router();
+
+const rateLimitPublicAssessment = createRateLimiter(PUBLIC_ASSESSMENT_RATE_LIMIT);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * POST /api/public/companyhq/:companyHQId/assessment
+ * Public growth assessment (lead capture) - embeddable on the CompanyHQ's website
+ *
+ * Runs the assessment demo and creates/updates the respondent as a Contact in the CompanyHQ:
+ * new contacts get howMet "inbound-assessment" and land in prospect/interest; the answers
+ * are saved as an Assessment on the contact.
+ *
+ * Body:
+ * - email (required) - Respondent email (matches an existing contact case-insensitively)
+ * - name, company, industry (optional) - Respondent details
+ * - workTooMuch, assignTasks, wantMoreClients (required), revenueGrowthPercent, totalVolume, bdSpend (optional)
+ *   - Same answers as POST /api/assessments/score
+ *
+ * Returns:
+ * - success: true
+ * - assessmentDemo: { name, company, industry, relateWithUser, growthNeeds, score, scoreBand }
+ *
+ * Errors:
+ * - 502 { code: 'LLM_PROVIDER_ERROR' | 'AI_OUTPUT_INVALID' } - The result couldn't be generated
+ *   (the contact and assessment are still saved)
+ *
+ * Note: No auth - rate limited per IP (PUBLIC_ASSESSMENT_RATE_LIMIT, 429 RATE_LIMITED).
+ * Record IDs are not returned.
+ */
+router.post('/companyhq/:companyHQId/assessment', rateLimitPublicAssessment, async (req, res) => {
+  try {
+    const { companyHQId } = req.params;
+    const { name, company, industry } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    const { responses, error } = normalizeAssessmentResponses(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const companyHQ = await prisma.companyHQ.findUnique({
+      where: { id: companyHQId },
+      select: { id: true }
+    });
+
+    if (!companyHQ) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assessment not found'
+      });
+    }
+
+    const { result, error: aiError, assessment, contact, action } = await submitPublicAssessment(companyHQId, {
+      respondent: {
+        name: name ? String(name).trim() : null,
+        email,
+        company: company ? String(company).trim() : null,
+        industry: industry ? String(industry).trim() : null
+      },
+      responses
+    });
+
+    console.log(`✅ Public assessment: contact ${contact.id} ${action} (CompanyHQ ${companyHQId}, score ${assessment.baseScore})`);
+
+    // The lead is saved either way - only the AI result is missing
+    if (!result) {
+      return res.status(502).json({
+        success: false,
+        error: 'We could not generate your results right now - please try again shortly',
+        code: aiError.code
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      assessmentDemo: {
+        name: assessment.name,
+        company: assessment.company,
+        industry: assessment.industry,
+        relateWithUser: result.relateWithUser,
+        growthNeeds: result.growthNeeds,
+        score: assessment.baseScore,
+        scoreBand: assessment.scoreBand
+      }
+    });
+
+  } catch (error) {
+    // Unauthenticated route - the error message stays in the server log
+    console.error('❌ PublicAssessment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to submit assessment'
+    });
+  }
+});
+
+export default router;
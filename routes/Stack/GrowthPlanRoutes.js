@@ -0,0 +1,88 @@
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import GrowthPlanService from '../../services/GrowthPlanService.js';
+import { getLatestStackSnapshot } from '../../services/StackSnapshotService.js';
+import { STACK_TYPES } from '../../config/stackConfig.js';
+
+// Mounted at /api/companyhq/:companyHQId/growth-plan - mergeParams exposes :companyHQId to these handlers
+const router = express.Router({ mergeParams: true });
+
+/**
+ * POST /api/companyhq/:companyHQId/growth-plan
+ * Chain the revenue, human capital and target acquisition stacks into one growth plan
+ * (see GrowthPlanService)
+ *
+ * Body:
+ * - target (required) - { targetRevenue, timeHorizon?, previousRevenue? }
+ * - revenue (optional) - Revenue stack inputs (default: the latest saved revenue snapshot's inputs)
+ * - humanCapital (optional) - Human capital stack inputs (default: the latest saved human capital snapshot's inputs)
+ * - avgHourlyRate, contractorRate (optional) - Hourly rates for costs (default: 50 / 75)
+ *
+ * Returns:
+ * - success: true
+ * - plan: { verdict, revenue, acquisition, velocity, capacity, gap, costs, feasibility }
+ * - sources: { revenue, humanCapital } - "inputs", or { snapshotId, version } when a saved snapshot was used
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.post('/', verifyFirebaseToken, authorizeCompanyHQ((req) => req.params.companyHQId), async (req, res) => {
+  try {
+    const { target, avgHourlyRate, contractorRate } = req.body;
+
+    if (!target || typeof target !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'target is required'
+      });
+    }
+
+    // Use the body's stack inputs, or fall back to the latest saved snapshot
+    const sources = {};
+    const resolveInputs = async (key, stackType) => {
+      if (req.body[key]) {
+        sources[key] = 'inputs';
+        return req.body[key];
+      }
+      const snapshot = await getLatestStackSnapshot(req.companyHQId, stackType);
+      sources[key] = snapshot ? { snapshotId: snapshot.id, version: snapshot.version } : null;
+      return snapshot?.inputs || null;
+    };
+
+    const revenue = await resolveInputs('revenue', STACK_TYPES.REVENUE);
+    const humanCapital = await resolveInputs('humanCapital', STACK_TYPES.HUMAN_CAPITAL);
+
+    if (!revenue || !humanCapital) {
+      return res.status(400).json({
+        success: false,
+        error: 'revenue and humanCapital inputs are required (or save those stacks first)'
+      });
+    }
+
+    let plan;
+    try {
+      plan = GrowthPlanService.buildGrowthPlan({ revenue, humanCapital, target, avgHourlyRate, contractorRate });
+    } catch (planError) {
+      return res.status(400).json({
+        success: false,
+        error: planError.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      plan,
+      sources
+    });
+
+  } catch (error) {
+    console.error('❌ GrowthPlan error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build growth plan',
+      details: error.message
+    });
+  }
+});
+
+export default router;
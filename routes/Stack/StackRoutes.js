@@ -0,0 +1,305 @@
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../../middleware/companyHQAuthMiddleware.js';
+import {
+  StackInputError,
+  calculateStack,
+  createStackSnapshot,
+  listStackSnapshots,
+  getStackSnapshot,
+  getLatestStackSnapshot,
+  compareStackSnapshots
+} from '../../services/StackSnapshotService.js';
+import { STACK_TYPES, STACK_LABELS, isValidStackType } from '../../config/stackConfig.js';
+
+// Mounted at /api/companyhq/:companyHQId/stacks - mergeParams exposes :companyHQId to these handlers
+const router = express.Router({ mergeParams: true });
+
+const authorizeStackCompanyHQ = authorizeCompanyHQ((req) => req.params.companyHQId);
+
+// 400 for an unknown :stackType
+const validateStackType = (req, res, next) => {
+  if (!isValidStackType(req.params.stackType)) {
+    return res.status(400).json({
+      success: false,
+      error: `stackType must be one of: ${Object.values(STACK_TYPES).join(', ')}`
+    });
+  }
+  return next();
+};
+
+// Inputs must be an object of stack fields
+const isInputsObject = (inputs) => inputs !== null && typeof inputs === 'object' && !Array.isArray(inputs);
+
+// Positive integer version from a route/query param (null when invalid)
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 && String(version) === String(value) ? version : null;
+};
+
+/**
+ * GET /api/companyhq/:companyHQId/stacks
+ * Latest snapshot of every stack
+ *
+ * Returns:
+ * - success: true
+ * - stacks: [{ stackType, label, latest }] (latest is null for a stack never saved)
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/', verifyFirebaseToken, authorizeStackCompanyHQ, async (req, res) => {
+  try {
+    const stacks = await Promise.all(Object.values(STACK_TYPES).map(async (stackType) => ({
+      stackType,
+      label: STACK_LABELS[stackType],
+      latest: await getLatestStackSnapshot(req.companyHQId, stackType)
+    })));
+
+    return res.json({
+      success: true,
+      stacks
+    });
+
+  } catch (error) {
+    console.error('❌ GetStacks error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get stacks',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/companyhq/:companyHQId/stacks/:stackType/calculate
+ * Run a stack's calculations without saving (preview)
+ *
+ * Body:
+ * - inputs (required) - Stack inputs:
+ *   - revenue: productName, avgGrossPerUnit, avgOrdersPerMonthPerCustomer, totalCustomers, growthRate?, projectionYears? (1-30)
+ *   - human-capital: totalTeamMembers, avgHoursPerWeek, hoursPerUnit, totalUnitsPerMonth, founderHoursPerWeek?,
+ *     contractorHours?, targetGrowth?, avgHourlyRate?, contractorRate?
+ *   - target-acquisition: previousRevenue, targetRevenue, avgUnitValue, avgUnitsPerCustomer, timeHorizon? (1-120 months), scenarios?
+ *
+ * Returns:
+ * - success: true
+ * - results: { metrics, ... } (projections/scenarios, feasibility, milestones, insights - per stack)
+ */
+router.post('/:stackType/calculate', verifyFirebaseToken, authorizeStackCompanyHQ, validateStackType, async (req, res) => {
+  try {
+    const { inputs } = req.body;
+
+    if (!isInputsObject(inputs)) {
+      return res.status(400).json({
+        success: false,
+        error: 'inputs must be an object'
+      });
+    }
+
+    const results = await calculateStack(req.companyHQId, req.params.stackType, inputs);
+
+    return res.json({
+      success: true,
+      results
+    });
+
+  } catch (error) {
+    if (error instanceof StackInputError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('❌ CalculateStack error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to calculate stack',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/companyhq/:companyHQId/stacks/:stackType
+ * Run a stack's calculations and save them as its next version
+ *
+ * Body:
+ * - inputs (required) - Stack inputs (see /calculate)
+ * - label (optional) - Snapshot name, e.g. "Q3 plan"
+ *
+ * Returns:
+ * - success: true
+ * - snapshot: Created StackSnapshot { id, stackType, version, label, inputs, results, createdBy, createdAt }
+ */
+router.post('/:stackType', verifyFirebaseToken, authorizeStackCompanyHQ, validateStackType, async (req, res) => {
+  try {
+    const { inputs, label } = req.body;
+
+    if (!isInputsObject(inputs)) {
+      return res.status(400).json({
+        success: false,
+        error: 'inputs must be an object'
+      });
+    }
+
+    const snapshot = await createStackSnapshot(req.companyHQId, req.params.stackType, inputs, {
+      label: label || null,
+      createdById: req.owner.id
+    });
+
+    console.log(`✅ Stack snapshot saved: ${snapshot.stackType} v${snapshot.version} (CompanyHQ ${req.companyHQId})`);
+
+    return res.status(201).json({
+      success: true,
+      snapshot
+    });
+
+  } catch (error) {
+    if (error instanceof StackInputError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('❌ CreateStackSnapshot error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save stack snapshot',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/companyhq/:companyHQId/stacks/:stackType/versions
+ * Every saved version of a stack (newest first)
+ *
+ * Returns:
+ * - success: true
+ * - snapshots: StackSnapshots with createdBy
+ */
+router.get('/:stackType/versions', verifyFirebaseToken, authorizeStackCompanyHQ, validateStackType, async (req, res) => {
+  try {
+    const snapshots = await listStackSnapshots(req.companyHQId, req.params.stackType);
+
+    return res.json({
+      success: true,
+      snapshots
+    });
+
+  } catch (error) {
+    console.error('❌ ListStackSnapshots error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list stack snapshots',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/companyhq/:companyHQId/stacks/:stackType/versions/:version
+ * One saved version of a stack
+ *
+ * Returns:
+ * - success: true
+ * - snapshot: StackSnapshot with createdBy
+ */
+router.get('/:stackType/versions/:version', verifyFirebaseToken, authorizeStackCompanyHQ, validateStackType, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const snapshot = await getStackSnapshot(req.companyHQId, req.params.stackType, version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stack snapshot not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      snapshot
+    });
+
+  } catch (error) {
+    console.error('❌ GetStackSnapshot error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get stack snapshot',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/companyhq/:companyHQId/stacks/:stackType/compare?from=1&to=3
+ * Compare two versions of a stack
+ *
+ * Query params:
+ * - from (optional) - Older version (default: the one before "to")
+ * - to (optional) - Newer version (default: latest)
+ *
+ * Returns:
+ * - success: true
+ * - comparison: { from, to, metrics: { [metric]: { from, to, change, changePercent } }, inputs: { [input]: { from, to } } }
+ */
+router.get('/:stackType/compare', verifyFirebaseToken, authorizeStackCompanyHQ, validateStackType, async (req, res) => {
+  try {
+    const { stackType } = req.params;
+
+    const to = req.query.to === undefined
+      ? (await getLatestStackSnapshot(req.companyHQId, stackType))?.version
+      : parseVersion(req.query.to);
+    const from = req.query.from === undefined ? (to ? to - 1 : null) : parseVersion(req.query.from);
+
+    if ((req.query.to !== undefined && !to) || (req.query.from !== undefined && !from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be positive integers'
+      });
+    }
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'At least two saved versions are needed to compare'
+      });
+    }
+
+    const [fromSnapshot, toSnapshot] = await Promise.all([
+      getStackSnapshot(req.companyHQId, stackType, from),
+      getStackSnapshot(req.companyHQId, stackType, to)
+    ]);
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stack snapshot not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      comparison: compareStackSnapshots(fromSnapshot, toSnapshot)
+    });
+
+  } catch (error) {
+    console.error('❌ CompareStackSnapshots error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to compare stack snapshots',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ, authorizeRecord } from '../../middleware/companyHQAuthMiddleware.js';
+import { TRASH_TYPES, TRASH_RETENTION_DAYS, isValidTrashType } from '../../config/trashConfig.js';
+import { listTrash, findTrashedRecord, restoreFromTrash } from '../../services/TrashService.js';
+
+const router = express.Router();
+
+// Validate :type, then authorize the CompanyHQ of the item being restored
+const authorizeTrashItem = (req, res, next) => {
+  const { type } = req.params;
+
+  if (!isValidTrashType(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+    });
+  }
+
+  const { model, tenantField } = TRASH_TYPES[type];
+  return authorizeRecord({
+    model,
+    tenantField,
+    missingError: 'id is required'
+  }, (request) => request.params.id)(req, res, next);
+};
+
+/**
+ * GET /api/trash?companyHQId=xxx
+ * List soft-deleted contacts, proposals and personas for a CompanyHQ
+ *
+ * Query params:
+ * - companyHQId (required) - The CompanyHQId (tenant identifier)
+ * - type (optional) - "contacts" | "proposals" | "personas" (default: all)
+ *
+ * Returns:
+ * - success: true
+ * - trash: { contacts, proposals, personas } - each item includes deletedAt and purgeAt
+ * - retentionDays: Days items stay in the trash before being purged
+ *
+ * Note: Requires auth - Owner must own or manage the CompanyHQ (authorizeCompanyHQ)
+ */
+router.get('/', verifyFirebaseToken, authorizeCompanyHQ(), async (req, res) => {
+  try {
+    const { companyHQId, type } = req.query;
+
+    if (!companyHQId) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyHQId is required'
+      });
+    }
+
+    if (type && !isValidTrashType(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+      });
+    }
+
+    const trash = await listTrash(companyHQId, type ? [type] : undefined);
+
+    return res.json({
+      success: true,
+      trash,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('❌ ListTrash error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list trash',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/trash/:type/:id/restore
+ * Restore a soft-deleted contact, proposal or persona
+ *
+ * Params:
+ * - type - "contacts" | "proposals" | "personas"
+ * - id - Record ID
+ *
+ * Returns:
+ * - success: true
+ * - item: Restored record with relations
+ */
+router.post('/:type/:id/restore', verifyFirebaseToken, authorizeTrashItem, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const record = await findTrashedRecord(type, id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in trash'
+      });
+    }
+
+    const item = await restoreFromTrash(type, record);
+
+    console.log(`✅ Restored from trash (${type}):`, id);
+
+    return res.json({
+      success: true,
+      item
+    });
+
+  } catch (error) {
+    console.error('❌ RestoreFromTrash error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to restore item',
+      details: error.message
+    });
+  }
+});
+
+export default router;
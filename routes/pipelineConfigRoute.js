@@ -8,18 +8,48 @@ import express from 'express';
 import { getPipelineConfig } from '../config/pipelineConfig.js';
 import { BUYER_TYPES, BUYER_LABELS } from '../buyerconfig.js';
 import { HOW_MET_TYPES, HOW_MET_LABELS } from '../config/howMetConfig.js';
+import { verifyFirebaseToken } from '../middleware/firebaseMiddleware.js';
+import { authorizeCompanyHQ } from '../middleware/companyHQAuthMiddleware.js';
+import { getPipelineDefinitions, toPipelineConfig } from '../services/PipelineDefinitionService.js';
 
 const router = express.Router();
 
-router.get('/config', (req, res) => {
+// Tenant pipelines need auth; the bare defaults stay public
+const authorizeIfTenant = (req, res, next) => {
+  if (!req.query.companyHQId) {
+    return next();
+  }
+  return verifyFirebaseToken(req, res, () => authorizeCompanyHQ()(req, res, next));
+};
+
+/**
+ * GET /api/pipelines/config
+ *
+ * Query params:
+ * - companyHQId (optional) - Return this CompanyHQ's pipelines/stages instead of the defaults
+ *   (requires auth - Owner must own or manage the CompanyHQ)
+ *
+ * Returns:
+ * - pipelines, officialPipelines, allStages
+ * - labels, definitions (only with companyHQId)
+ * - buyerDecision, howMet
+ */
+router.get('/config', authorizeIfTenant, async (req, res) => {
   try {
-    const config = getPipelineConfig();
-    
+    const { companyHQId } = req.query;
+    const config = companyHQId
+      ? toPipelineConfig(await getPipelineDefinitions(companyHQId))
+      : getPipelineConfig();
+
     res.json({
       success: true,
       pipelines: config.pipelines,
       officialPipelines: config.officialPipelines,
       allStages: config.allStages,
+      ...(config.labels && {
+        labels: config.labels,
+        definitions: config.definitions
+      }),
       buyerDecision: {
         types: BUYER_TYPES,
         labels: BUYER_LABELS
@@ -39,4 +69,3 @@ router.get('/config', (req, res) => {
 });
 
 export default router;
-
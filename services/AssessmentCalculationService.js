@@ -1,13 +1,9 @@
-import OpenAI from 'openai';
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { generateStructuredOutput } from './StructuredOutputService.js';
+import { LLM_TASKS } from '../config/llmConfig.js';
 
 /**
  * AssessmentCalculationService
- * Generates assessment insights and recommendations using OpenAI
+ * Generates assessment insights and recommendations using the configured LLM provider (LLMProviderService)
  */
 class AssessmentCalculationService {
   
@@ -119,27 +115,33 @@ ASSESSMENT REQUIREMENTS:
 5. Prepare them for a deeper dive once they become a client
 
 OUTPUT FORMAT:
-Write exactly 2 paragraphs separated by a blank line:
+Return ONLY a JSON object with exactly these 2 keys, each one paragraph:
+{
+  "relateWithUser": "<paragraph 1>",
+  "growthNeeds": "<paragraph 2>"
+}
 
-PARAGRAPH 1: Relate with the user by acknowledging their feelings and goals. Start with "It sounds like you are feeling [their specific workload situation] and want [their specific growth goals]. You want [repeat back their exact goals from the assessment]."
+relateWithUser: Relate with the user by acknowledging their feelings and goals. Start with "It sounds like you are feeling [their specific workload situation] and want [their specific growth goals]. You want [repeat back their exact goals from the assessment]."
 
-PARAGRAPH 2: Provide analysis and what they need. Start with "To get there, you need [more BD spend/activities] and a systematic approach to [specific areas they need help with based on their industry and responses]."
+growthNeeds: Provide analysis and what they need. Start with "To get there, you need [more BD spend/activities] and a systematic approach to [specific areas they need help with based on their industry and responses]."
 
 IMPORTANT: 
-- Write exactly 2 paragraphs, no more, no less
-- Separate paragraphs with a blank line
 - Make it specific to their industry and responses
 - Keep it conversational and relatable
 - Focus on their specific situation and goals
-- No bullet points, no formatting, just 2 clean paragraphs`;
+- No bullet points or formatting inside the paragraphs
+- No markdown, no code blocks, just the JSON object`;
   }
   
   /**
-   * Generate assessment insights using OpenAI
+   * Generate assessment insights using the configured LLM provider
+   * The response must match ASSESSMENT_INSIGHTS_OUTPUT_SCHEMA (re-prompted with the errors if not)
+   * @returns {Promise<Object>} { success: true, score, insights: { relateWithUser, growthNeeds }, rawGptResponse }
+   *   or { success: false, error, code, score } - code is LLM_PROVIDER_ERROR / AI_OUTPUT_INVALID
    */
   static async generateAssessmentInsights(assessmentData) {
     try {
-      console.log(`🤖 Starting OpenAI assessment analysis for: ${assessmentData.name} at ${assessmentData.company}`);
+      console.log(`🤖 Starting AI assessment analysis for: ${assessmentData.name} at ${assessmentData.company}`);
       
       // Calculate base score
       const baseScore = this.calculateBaseScore(assessmentData);
@@ -147,9 +149,9 @@ IMPORTANT:
       // Build prompt
       const prompt = this.buildAssessmentPrompt(assessmentData, baseScore);
       
-      // Call OpenAI
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4",
+      // Call the LLM provider (model and temperature from config/llmConfig.js)
+      const completion = await generateStructuredOutput({
+        task: LLM_TASKS.ASSESSMENT_INSIGHTS,
         messages: [
           {
             role: "system",
@@ -160,45 +162,27 @@ IMPORTANT:
             content: prompt
           }
         ],
-        temperature: 0.7,
-        max_tokens: 2000
+        maxTokens: 2000
       });
       
-      const gptResponse = completion.choices[0].message.content;
-      
-      // Split the response into 2 paragraphs
-      const paragraphs = gptResponse.split('\n\n');
-      const insights = {
-        relateWithUser: paragraphs[0] || gptResponse,
-        growthNeeds: paragraphs[1] || gptResponse
-      };
-      
-      console.log(`✅ OpenAI assessment analysis completed successfully`);
+      console.log(`✅ AI assessment analysis completed successfully`);
       
       return {
         success: true,
         score: baseScore,
-        insights: insights,
-        rawGptResponse: gptResponse
+        insights: completion.data,
+        rawGptResponse: completion.rawResponse
       };
       
     } catch (error) {
-      console.error('❌ OpenAI assessment analysis failed:', error);
-      
-      // Fallback insights if OpenAI fails
-      const fallbackInsights = {
-        igniteGrowthAssessment: "Ignite Growth Assessment",
-        relateWithUser: "It sounds like you are feeling overwhelmed with tasks and want to grow your business - you want more clients and better delegation.",
-        growthNeeds: "To get there, you need more business development activities and a systematic approach to delegation and growth planning.",
-        deeperDive: "This assessment shows the foundation for a deeper dive into your specific growth strategy once you become a client.",
-        nextSteps: "Ready to take the next step in your growth journey?"
-      };
+      console.error('❌ AI assessment analysis failed:', error);
       
+      // No canned insights - the caller decides what to show
       return {
         success: false,
         error: error.message,
-        score: this.calculateBaseScore(assessmentData),
-        insights: fallbackInsights
+        code: error.code || null,
+        score: this.calculateBaseScore(assessmentData)
       };
     }
   }
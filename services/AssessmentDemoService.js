@@ -1,13 +1,13 @@
-import OpenAI from 'openai';
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { generateStructuredOutput } from './StructuredOutputService.js';
+import { LLM_TASKS } from '../config/llmConfig.js';
 
 /**
  * Simple Assessment Demo Service
- * Direct OpenAI call without complex model saves - just like TripWell demo
+ * Direct LLM call (LLMProviderService) without complex model saves - just like TripWell demo
+ * The response must match ASSESSMENT_DEMO_OUTPUT_SCHEMA (re-prompted with the errors if not)
+ *
+ * Never throws - returns { success: true, assessmentDemo } or { success: false, error, code }
+ * (code is LLM_PROVIDER_ERROR / AI_OUTPUT_INVALID)
  */
 const assessmentDemoService = async (assessmentData) => {
   try {
@@ -26,16 +26,20 @@ ASSESSMENT DATA:
 - Total volume: $${assessmentData.totalVolume || 'Not specified'}
 - BD spend: $${assessmentData.bdSpend || 'Not specified'}
 
-Provide exactly 2 paragraphs:
+Return ONLY a JSON object with exactly these 2 keys, each one paragraph:
+{
+  "relateWithUser": "<paragraph 1>",
+  "growthNeeds": "<paragraph 2>"
+}
 
-PARAGRAPH 1: Relate with them by acknowledging their situation and goals. Start with "It sounds like you are feeling [their workload situation] and want [their growth goals]. You want [repeat their exact goals]."
+relateWithUser: Relate with them by acknowledging their situation and goals. Start with "It sounds like you are feeling [their workload situation] and want [their growth goals]. You want [repeat their exact goals]."
 
-PARAGRAPH 2: Give them what they need. Start with "To get there, you need [specific BD/growth activities] and a systematic approach to [their specific challenges based on industry]."
+growthNeeds: Give them what they need. Start with "To get there, you need [specific BD/growth activities] and a systematic approach to [their specific challenges based on industry]."
 
-Keep it conversational, specific to their industry, and focused on their exact situation. No bullet points, just 2 clean paragraphs.`;
+Keep it conversational, specific to their industry, and focused on their exact situation. No bullet points inside the paragraphs, no markdown, just the JSON object.`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
+    const completion = await generateStructuredOutput({
+      task: LLM_TASKS.ASSESSMENT_DEMO,
       messages: [
         {
           role: "system",
@@ -46,41 +50,28 @@ Keep it conversational, specific to their industry, and focused on their exact s
           content: prompt
         }
       ],
-      temperature: 0.7,
-      max_tokens: 1000
+      maxTokens: 1000
     });
 
-    const gptResponse = completion.choices[0].message.content;
-    
-    // Split into 2 paragraphs
-    const paragraphs = gptResponse.split('\n\n');
-    
     return {
       success: true,
       assessmentDemo: {
         name: assessmentData.name,
         company: assessmentData.company,
         industry: assessmentData.industry,
-        relateWithUser: paragraphs[0] || gptResponse,
-        growthNeeds: paragraphs[1] || gptResponse,
-        rawResponse: gptResponse
+        relateWithUser: completion.data.relateWithUser,
+        growthNeeds: completion.data.growthNeeds,
+        rawResponse: completion.rawResponse
       }
     };
 
   } catch (error) {
     console.error("❌ Error in assessmentDemoService:", error);
     
-    // Fallback response if OpenAI fails
     return {
-      success: true,
-      assessmentDemo: {
-        name: assessmentData.name,
-        company: assessmentData.company,
-        industry: assessmentData.industry,
-        relateWithUser: `It sounds like you are feeling overwhelmed with tasks and want to grow your business. You want more clients and better delegation to scale effectively.`,
-        growthNeeds: `To get there, you need more business development activities and a systematic approach to delegation and growth planning in the ${assessmentData.industry} industry.`,
-        rawResponse: "Fallback response due to OpenAI error"
-      }
+      success: false,
+      error: error.message,
+      code: error.code || null
     };
   }
 };
@@ -0,0 +1,226 @@
+/**
+ * ASSESSMENT SERVICE
+ * Scores growth assessments and keeps them, so a re-assessment can be compared with earlier ones
+ *
+ * Scoring and insights come from AssessmentCalculationService: the base score (0-100) is
+ * workload (0-40) + growth (0-30) + revenue (0-30), banded by getScoreInterpretation.
+ * Each saved Assessment keeps the scores, the band and the AI insights as they were when
+ * it was taken (insightsStatus "failed" and no insights when the AI call fails).
+ *
+ * Main functions:
+ * - Validate and normalize assessment answers
+ * - Score answers (no AI, nothing saved)
+ * - Submit an assessment (score + insights, saved)
+ * - List / load assessments for an Owner or CompanyHQ
+ * - Diff two assessments
+ */
+
+import prisma from '../db.js';
+import AssessmentCalculationService from './AssessmentCalculationService.js';
+import {
+  ASSESSMENT_CHOICE_FIELDS,
+  ASSESSMENT_NUMBER_FIELDS,
+  ASSESSMENT_INSIGHTS_STATUSES
+} from '../config/assessmentConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ASSESSMENT_INCLUDE = {
+  owner: {
+    select: { id: true, name: true, email: true }
+  }
+};
+
+const SCORE_FIELDS = ['baseScore', 'workloadScore', 'growthScore', 'revenueScore'];
+
+/**
+ * Validate and normalize assessment answers
+ * @param {Object} answers - { workTooMuch, assignTasks, wantMoreClients, revenueGrowthPercent, totalVolume, bdSpend }
+ * @returns {Object} - { responses } or { error }
+ */
+export function normalizeAssessmentResponses(answers = {}) {
+  const responses = {};
+
+  for (const [field, options] of Object.entries(ASSESSMENT_CHOICE_FIELDS)) {
+    if (!options.includes(answers[field])) {
+      return { error: `${field} must be one of: ${options.join(', ')}` };
+    }
+    responses[field] = answers[field];
+  }
+
+  for (const field of ASSESSMENT_NUMBER_FIELDS) {
+    const value = answers[field];
+    if (value === undefined || value === null || value === '') {
+      responses[field] = null;
+      continue;
+    }
+    const number = parseFloat(value);
+    if (Number.isNaN(number) || number < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    responses[field] = number;
+  }
+
+  return { responses };
+}
+
+/**
+ * Score normalized answers
+ * @param {Object} responses - From normalizeAssessmentResponses
+ * @returns {Object} - { baseScore, workloadScore, growthScore, revenueScore, scoreBand, scoreInterpretation }
+ */
+export function scoreAssessment(responses) {
+  const baseScore = AssessmentCalculationService.calculateBaseScore(responses);
+  const scoreInterpretation = AssessmentCalculationService.getScoreInterpretation(baseScore);
+
+  return {
+    baseScore,
+    workloadScore: AssessmentCalculationService.calculateWorkloadScore(responses.workTooMuch, responses.assignTasks),
+    growthScore: AssessmentCalculationService.calculateGrowthScore(responses.wantMoreClients),
+    revenueScore: AssessmentCalculationService.calculateRevenueScore(responses.revenueGrowthPercent, responses.totalVolume),
+    scoreBand: scoreInterpretation.level,
+    scoreInterpretation
+  };
+}
+
+/**
+ * Score an assessment, generate its insights and save it
+ * @param {Object} assessment
+ * @param {string} assessment.ownerId - Owner taking it (optional)
+ * @param {string} assessment.companyHQId - CompanyHQ it's for (optional)
+ * @param {string} assessment.contactId - Contact who took it (optional - public assessments)
+ * @param {Object} assessment.respondent - { name, company, industry }
+ * @param {Object} assessment.responses - From normalizeAssessmentResponses
+ * @param {Object} options
+ * @param {boolean} options.generateInsights - Call OpenAI for insights (default: true)
+ * @param {Object} options.insights - { insights, status } already generated by the caller (skips generateInsights)
+ * @returns {Promise<Object>} - Created Assessment with owner
+ */
+export async function createAssessment(
+  { ownerId = null, companyHQId = null, contactId = null, respondent = {}, responses },
+  { generateInsights = true, insights: generated = null } = {}
+) {
+  const scores = scoreAssessment(responses);
+  const { name = null, company = null, industry = null } = respondent;
+
+  let insights = null;
+  let insightsStatus = ASSESSMENT_INSIGHTS_STATUSES.SKIPPED;
+  if (generated) {
+    insights = generated.insights;
+    insightsStatus = generated.status;
+  } else if (generateInsights) {
+    // success: false (with a typed error code) when the AI call fails or its output is invalid
+    const result = await AssessmentCalculationService.generateAssessmentInsights({ name, company, industry, ...responses });
+    if (result.success) {
+      insights = result.insights;
+      insightsStatus = ASSESSMENT_INSIGHTS_STATUSES.GENERATED;
+    } else {
+      console.warn(`⚠️ Assessment insights not generated (${result.code || 'error'}): ${result.error}`);
+      insightsStatus = ASSESSMENT_INSIGHTS_STATUSES.FAILED;
+    }
+  }
+
+  return prisma.assessment.create({
+    data: {
+      ownerId,
+      companyHQId,
+      contactId,
+      name,
+      company,
+      industry,
+      responses,
+      ...scores,
+      insights,
+      insightsStatus
+    },
+    include: ASSESSMENT_INCLUDE
+  });
+}
+
+/**
+ * List assessments (newest first) - the CompanyHQ's own, not public assessments taken by its leads
+ * @param {Object} scope - { companyHQId } or { ownerId } (personal assessments - no CompanyHQ)
+ * @returns {Promise<Array>} - Assessments with owner
+ */
+export async function listAssessments({ companyHQId = null, ownerId = null }) {
+  return prisma.assessment.findMany({
+    where: companyHQId ? { companyHQId, contactId: null } : { ownerId, companyHQId: null },
+    include: ASSESSMENT_INCLUDE,
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Load an assessment
+ * @returns {Promise<Object|null>} - Assessment with owner
+ */
+export async function getAssessment(assessmentId) {
+  return prisma.assessment.findUnique({
+    where: { id: assessmentId },
+    include: ASSESSMENT_INCLUDE
+  });
+}
+
+/**
+ * First assessment taken for the same CompanyHQ (or, for a personal one, by the same Owner;
+ * for a public one, by the same Contact)
+ * @param {Object} assessment - Assessment to find the original of
+ * @returns {Promise<Object|null>} - Original Assessment (null if this is the original)
+ */
+export async function getOriginalAssessment(assessment) {
+  const original = await prisma.assessment.findFirst({
+    where: assessment.contactId
+      ? { contactId: assessment.contactId }
+      : assessment.companyHQId
+        ? { companyHQId: assessment.companyHQId, contactId: null }
+        : { ownerId: assessment.ownerId, companyHQId: null },
+    include: ASSESSMENT_INCLUDE,
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+
+  return original && original.id !== assessment.id ? original : null;
+}
+
+/**
+ * Diff two assessments (older → newer)
+ * @param {Object} from - Earlier Assessment
+ * @param {Object} to - Later Assessment
+ * @returns {Object} - { from, to, daysBetween, scores, band, responses }
+ */
+export function diffAssessments(from, to) {
+  const scores = Object.fromEntries(SCORE_FIELDS.map(field => [field, {
+    from: from[field],
+    to: to[field],
+    change: to[field] - from[field]
+  }]));
+
+  const responses = {};
+  const fields = new Set([...Object.keys(from.responses || {}), ...Object.keys(to.responses || {})]);
+  for (const field of fields) {
+    const before = from.responses?.[field] ?? null;
+    const after = to.responses?.[field] ?? null;
+    if (before !== after) {
+      responses[field] = { from: before, to: after };
+    }
+  }
+
+  const summary = (assessment) => ({
+    id: assessment.id,
+    createdAt: assessment.createdAt,
+    baseScore: assessment.baseScore,
+    scoreBand: assessment.scoreBand
+  });
+
+  return {
+    from: summary(from),
+    to: summary(to),
+    daysBetween: Math.round((new Date(to.createdAt) - new Date(from.createdAt)) / DAY_MS),
+    scores,
+    band: {
+      from: from.scoreBand,
+      to: to.scoreBand,
+      changed: from.scoreBand !== to.scoreBand
+    },
+    responses
+  };
+}
@@ -1,8 +1,35 @@
-import { OpenAI } from 'openai';
 import prisma from '../db.js';
-
-// Initialize OpenAI (reads OPENAI_API_KEY from env automatically)
-const openai = new OpenAI();
+import { NOT_DELETED } from './TrashService.js';
+import { generateStructuredOutput } from './StructuredOutputService.js';
+import { calculateRuleBasedFitScore } from './RuleBasedFitScoringService.js';
+import { resolveContactPersonaId, scorePersona } from './PersonaMatchingService.js';
+import {
+  FIT_SCORE_PROMPT_VERSION,
+  FIT_SCORE_MODES,
+  FIT_SCORE_MODE,
+  RULE_BASED_FIT_SCORE_VERSION,
+  RULE_BASED_FIT_SCORE_MODEL,
+} from '../config/fitScoreConfig.js';
+import { LLM_TASKS } from '../config/llmConfig.js';
+
+// Fit score response keys for the five 0-20 dimensions
+const DIMENSION_KEYS = [
+  'point_of_need',
+  'pain_alignment',
+  'willingness_to_pay',
+  'impact_potential',
+  'context_fit',
+];
+
+// Scoring output (snake_case keys) → the scores object returned to callers
+const toScores = (output) => ({
+  pointOfNeed: output.point_of_need,
+  painAlignment: output.pain_alignment,
+  willingnessToPay: output.willingness_to_pay,
+  impactPotential: output.impact_potential,
+  contextFit: output.context_fit,
+  totalScore: output.total_score,
+});
 
 /**
  * Business Intelligence Scoring Service
@@ -13,16 +40,21 @@ const openai = new OpenAI();
  * @param {string} contactId - Contact ID
  * @param {string} productId - Product ID (the "offer")
  * @param {string} personaId - Optional Persona ID (if contact is matched to a persona)
- * @returns {Promise<Object>} Scoring result with dimensions and total score
+ * @param {Object} options
+ * @param {string} options.mode - 'ai' | 'rule-based' | 'auto' (default FIT_SCORE_MODE) - auto uses the AI and
+ *   falls back to RuleBasedFitScoringService when the AI call fails
+ * @returns {Promise<Object>} Scoring result with dimensions, total score, mode used (and fallbackReason - the AI
+ *   error code - when auto fell back), model/prompt version and the contact's pipeline; rule-based results add a breakdown.
+ *   Or { success: false, error, code } - code is LLM_PROVIDER_ERROR / AI_OUTPUT_INVALID when the AI call failed (mode ai)
  */
-export async function calculateFitScore(contactId, productId, personaId = null) {
+export async function calculateFitScore(contactId, productId, personaId = null, { mode = FIT_SCORE_MODE } = {}) {
   try {
-    console.log(`🎯 Calculating Fit Score for Contact: ${contactId}, Product: ${productId}`);
+    console.log(`🎯 Calculating Fit Score for Contact: ${contactId}, Product: ${productId} (mode: ${mode})`);
 
     // Fetch all required data
     const [contact, product, pipeline, persona] = await Promise.all([
       prisma.contact.findUnique({
-        where: { id: contactId },
+        where: { id: contactId, ...NOT_DELETED },
         include: {
           contactCompany: {
             select: {
@@ -40,7 +72,7 @@ export async function calculateFitScore(contactId, productId, personaId = null)
       }),
       personaId
         ? prisma.persona.findUnique({
-            where: { id: personaId },
+            where: { id: personaId, ...NOT_DELETED },
           })
         : null,
     ]);
@@ -70,6 +102,42 @@ export async function calculateFitScore(contactId, productId, personaId = null)
     const pipelineName = pipeline?.pipeline || 'Not specified';
     const stageName = pipeline?.stage || 'Not specified';
     const contactNotes = contact.notes || 'None';
+    const contactPipeline = pipeline
+      ? { pipeline: pipeline.pipeline, stage: pipeline.stage }
+      : null;
+
+    // Deterministic score from the same inputs (no LLM)
+    const scoreWithRules = (fallbackReason = null) => {
+      const ruleBased = calculateRuleBasedFitScore({
+        contact,
+        product,
+        persona,
+        budgetSensitivity,
+        personaMatch: persona ? scorePersonaMatch(contact, persona) : null,
+      });
+
+      console.log(`✅ Rule-based Fit Score calculated: ${ruleBased.scores.total_score}/100`);
+
+      return {
+        success: true,
+        contactId,
+        productId,
+        personaId,
+        mode: FIT_SCORE_MODES.RULE_BASED,
+        fallbackReason,
+        scores: toScores(ruleBased.scores),
+        summary: ruleBased.summary,
+        breakdown: ruleBased.breakdown,
+        model: RULE_BASED_FIT_SCORE_MODEL,
+        promptVersion: RULE_BASED_FIT_SCORE_VERSION,
+        pipeline: contactPipeline,
+        rawResponse: null,
+      };
+    };
+
+    if (mode === FIT_SCORE_MODES.RULE_BASED) {
+      return scoreWithRules();
+    }
 
     // Build the user prompt
     const userPrompt = `Offer:
@@ -125,88 +193,41 @@ Compute total_score = sum(all five) and return JSON with keys:
 
 Return ONLY valid JSON. No markdown, no code blocks, just the JSON object.`;
 
-    // Call OpenAI
-    console.log('🤖 Calling OpenAI for fit score calculation...');
+    // Call the LLM provider - the response must match FIT_SCORE_OUTPUT_SCHEMA and its total
+    // must equal the five dimensions, otherwise the model is re-prompted with the errors
+    console.log('🤖 Calling LLM for fit score calculation...');
     
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      temperature: 0.7,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-    });
-
-    const content = completion.choices?.[0]?.message?.content;
-    if (!content) {
-      throw new Error('No GPT output received.');
-    }
-
-    // Parse JSON response
-    let scoringResult;
+    let completion;
     try {
-      scoringResult = JSON.parse(content);
-    } catch (parseError) {
-      console.error('❌ Failed to parse OpenAI JSON response:', parseError);
-      // Try to extract JSON from markdown code blocks
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        scoringResult = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Invalid JSON response from OpenAI');
-      }
-    }
-
-    // Validate response structure
-    const requiredKeys = [
-      'point_of_need',
-      'pain_alignment',
-      'willingness_to_pay',
-      'impact_potential',
-      'context_fit',
-      'total_score',
-      'summary',
-    ];
-
-    for (const key of requiredKeys) {
-      if (!(key in scoringResult)) {
-        throw new Error(`Missing required key in response: ${key}`);
-      }
-    }
-
-    // Ensure scores are within valid ranges
-    const dimensionKeys = [
-      'point_of_need',
-      'pain_alignment',
-      'willingness_to_pay',
-      'impact_potential',
-      'context_fit',
-    ];
-
-    for (const key of dimensionKeys) {
-      const score = scoringResult[key];
-      if (typeof score !== 'number' || score < 0 || score > 20) {
-        console.warn(
-          `⚠️ Invalid score for ${key}: ${score}. Clamping to 0-20 range.`,
-        );
-        scoringResult[key] = Math.max(0, Math.min(20, score));
+      completion = await generateStructuredOutput({
+        task: LLM_TASKS.FIT_SCORE,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt,
+          },
+          {
+            role: 'user',
+            content: userPrompt,
+          },
+        ],
+        validate: (output) => {
+          const sum = DIMENSION_KEYS.reduce((total, key) => total + output[key], 0);
+          return output.total_score === sum
+            ? []
+            : [`$.total_score must equal the sum of the five dimensions (${sum})`];
+        },
+      });
+    } catch (error) {
+      // Only AI failures (LLM_PROVIDER_ERROR / AI_OUTPUT_INVALID) fall back
+      if (mode !== FIT_SCORE_MODES.AUTO || !error.code) {
+        throw error;
       }
+      console.warn(`⚠️ AI fit score failed (${error.code}) - falling back to rule-based scoring`);
+      return scoreWithRules(error.code);
     }
 
-    // Recalculate total_score to ensure accuracy
-    scoringResult.total_score = dimensionKeys.reduce(
-      (sum, key) => sum + (scoringResult[key] || 0),
-      0,
-    );
-
-    // Ensure total_score is 0-100
-    scoringResult.total_score = Math.max(0, Math.min(100, scoringResult.total_score));
+    const scoringResult = completion.data;
 
     console.log(`✅ Fit Score calculated: ${scoringResult.total_score}/100`);
 
@@ -215,22 +236,21 @@ Return ONLY valid JSON. No markdown, no code blocks, just the JSON object.`;
       contactId,
       productId,
       personaId,
-      scores: {
-        pointOfNeed: scoringResult.point_of_need,
-        painAlignment: scoringResult.pain_alignment,
-        willingnessToPay: scoringResult.willingness_to_pay,
-        impactPotential: scoringResult.impact_potential,
-        contextFit: scoringResult.context_fit,
-        totalScore: scoringResult.total_score,
-      },
+      mode: FIT_SCORE_MODES.AI,
+      fallbackReason: null,
+      scores: toScores(scoringResult),
       summary: scoringResult.summary,
-      rawResponse: content,
+      model: completion.model,
+      promptVersion: FIT_SCORE_PROMPT_VERSION,
+      pipeline: contactPipeline,
+      rawResponse: completion.rawResponse,
     };
   } catch (error) {
     console.error('❌ Business Intelligence Scoring failed:', error);
     return {
       success: false,
       error: error.message,
+      code: error.code || null, // LLM_PROVIDER_ERROR | AI_OUTPUT_INVALID for AI failures
       contactId,
       productId,
       personaId,
@@ -272,83 +292,40 @@ function inferBudgetSensitivity(stage, pipeline) {
   return 'Moderate';
 }
 
+/**
+ * How well a persona matches a contact's title/role and industry
+ * Used by rule-based scoring (context_fit) - derived from PersonaMatchingService.scorePersona,
+ * so context_fit agrees with the persona matches shown for the contact
+ *
+ * @param {Object} contact - Contact with contactCompany.industry
+ * @param {Object} persona - Persona
+ * @returns {Object} { score, titleMatch, industryMatch } - score: title 2 + industry 1
+ */
+export function scorePersonaMatch(contact, persona) {
+  const { breakdown } = scorePersona(contact, persona);
+
+  // A title match needs a shared title word - a missing title or role never matches
+  const titleMatch = breakdown.title.matched.length > 0;
+  const industryMatch = breakdown.industry.score > 0;
+
+  return {
+    score: (titleMatch ? 2 : 0) + (industryMatch ? 1 : 0),
+    titleMatch,
+    industryMatch,
+  };
+}
+
 /**
  * Find best matching persona for a contact
- * Matches based on role/title and industry
+ * The persona confirmed on the contact, else the top-ranked persona from
+ * PersonaMatchingService (title similarity, seniority, industry, buyerDecision)
  * 
  * @param {string} contactId - Contact ID
- * @param {string} companyHQId - CompanyHQ ID (tenant)
  * @returns {Promise<string|null>} Persona ID or null
  */
-export async function findMatchingPersona(contactId, companyHQId) {
+export async function findMatchingPersona(contactId) {
   try {
-    const contact = await prisma.contact.findUnique({
-      where: { id: contactId },
-      include: {
-        contactCompany: {
-          select: {
-            industry: true,
-          },
-        },
-      },
-    });
-
-    if (!contact) {
-      return null;
-    }
-
-    // Find personas for this tenant
-    const personas = await prisma.persona.findMany({
-      where: {
-        companyHQId,
-      },
-    });
-
-    if (personas.length === 0) {
-      return null;
-    }
-
-    // Simple matching: try to match by title/role
-    const contactTitle = (contact.title || '').toLowerCase();
-    const contactIndustry =
-      contact.contactCompany?.industry?.toLowerCase() || '';
-
-    // Find best match
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const persona of personas) {
-      let score = 0;
-
-      // Match by role/title
-      const personaRole = (persona.role || '').toLowerCase();
-      const personaTitle = (persona.title || '').toLowerCase();
-      if (
-        contactTitle &&
-        (personaRole.includes(contactTitle) ||
-          contactTitle.includes(personaRole) ||
-          personaTitle.includes(contactTitle))
-      ) {
-        score += 2;
-      }
-
-      // Match by industry
-      const personaIndustry = (persona.industry || '').toLowerCase();
-      if (
-        contactIndustry &&
-        personaIndustry &&
-        personaIndustry.includes(contactIndustry)
-      ) {
-        score += 1;
-      }
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = persona;
-      }
-    }
-
-    return bestMatch?.id || null;
+    return await resolveContactPersonaId(contactId);
   } catch (error) {
     console.error('❌ Error finding matching persona:', error);
     return null;
@@ -357,6 +334,7 @@ export async function findMatchingPersona(contactId, companyHQId) {
 
 export default {
   calculateFitScore,
+  scorePersonaMatch,
   findMatchingPersona,
 };
 
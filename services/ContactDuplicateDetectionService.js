@@ -0,0 +1,333 @@
+/**
+ * CONTACT DUPLICATE DETECTION SERVICE
+ * Fuzzy duplicate candidates for contacts that don't share an email
+ *
+ * Signals:
+ * - Name similarity (Jaro-Winkler on last/first name, nicknames and goesBy)
+ * - Normalized phone number match
+ * - Corporate email domain match (personal domains like gmail.com are ignored)
+ * - Company name similarity (legal suffixes like "Inc" / "LLC" stripped)
+ *
+ * Pairs are only compared when they share a blocking key (last-name prefix, phone,
+ * domain or company) so large tenants don't need every pairwise comparison
+ */
+
+import { extractDomainFromEmail } from './CompanyEnrichmentService.js';
+
+// Nickname groups - names in the same group are treated as the same first name
+const NICKNAME_GROUPS = [
+  ['jon', 'jonathan', 'john', 'johnny', 'jack'],
+  ['bob', 'bobby', 'rob', 'robbie', 'robert'],
+  ['bill', 'billy', 'will', 'willy', 'william', 'liam'],
+  ['jim', 'jimmy', 'jamie', 'james'],
+  ['mike', 'mikey', 'michael'],
+  ['dave', 'davey', 'david'],
+  ['dan', 'danny', 'daniel'],
+  ['chris', 'christopher', 'kristopher'],
+  ['kate', 'katie', 'kathy', 'katherine', 'catherine', 'kathryn', 'cathy'],
+  ['liz', 'lizzie', 'beth', 'betty', 'eliza', 'elizabeth'],
+  ['tom', 'tommy', 'thomas'],
+  ['steve', 'steven', 'stephen'],
+  ['matt', 'matthew'],
+  ['nick', 'nicky', 'nicholas'],
+  ['alex', 'alexander', 'alexandra'],
+  ['sam', 'sammy', 'samuel', 'samantha'],
+  ['ben', 'benny', 'benjamin'],
+  ['joe', 'joey', 'joseph'],
+  ['tony', 'anthony'],
+  ['andy', 'drew', 'andrew'],
+  ['rick', 'ricky', 'rich', 'richie', 'dick', 'richard'],
+  ['ed', 'eddie', 'ted', 'teddy', 'edward'],
+  ['pat', 'patty', 'patrick', 'patricia'],
+  ['jen', 'jenny', 'jennifer'],
+  ['sue', 'susie', 'susan', 'suzanne'],
+  ['meg', 'maggie', 'peggy', 'margaret'],
+  ['greg', 'gregory'],
+  ['jeff', 'jeffrey', 'geoffrey'],
+  ['ken', 'kenny', 'kenneth'],
+  ['larry', 'lawrence'],
+  ['ron', 'ronnie', 'ronald'],
+  ['tim', 'timmy', 'timothy'],
+  ['abby', 'abigail'],
+  ['becky', 'rebecca'],
+  ['deb', 'debbie', 'deborah'],
+  ['vicky', 'victoria']
+];
+
+const NICKNAME_LOOKUP = new Map();
+NICKNAME_GROUPS.forEach((group, index) => group.forEach(name => NICKNAME_LOOKUP.set(name, index)));
+
+// Free/personal email providers - a shared domain here says nothing about the employer
+const PERSONAL_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'gmx.com', 'mail.com', 'comcast.net', 'verizon.net', 'att.net'
+]);
+
+// Legal/corporate suffixes stripped before comparing company names
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co',
+  'company', 'plc', 'gmbh', 'group', 'holdings', 'the'
+]);
+
+// Blocks larger than this are skipped (e.g. hundreds of contacts at one big account)
+const MAX_BLOCK_SIZE = 500;
+
+export const DEFAULT_MIN_DUPLICATE_SCORE = 0.6;
+
+/**
+ * Jaro-Winkler string similarity (0-1)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Normalize a person name for comparison (lowercase, no accents/punctuation)
+ */
+export function normalizeName(name) {
+  if (!name) return '';
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Normalize a phone number to its last 10 digits (drops formatting and US country code)
+ * @returns {string|null} - Digits, or null if too short to be meaningful
+ */
+export function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  if (digits.length < 7) return null;
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+/**
+ * Normalize a company name (lowercase, punctuation and legal suffixes removed)
+ */
+export function normalizeCompanyName(name) {
+  if (!name) return '';
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !COMPANY_SUFFIXES.has(token))
+    .join(' ');
+}
+
+/**
+ * Corporate email domain (null for personal providers)
+ */
+export function corporateDomain(email) {
+  const domain = extractDomainFromEmail(email ? email.trim() : email);
+  if (!domain || PERSONAL_EMAIL_DOMAINS.has(domain)) return null;
+  return domain;
+}
+
+// Company key derived from a corporate domain ("acme-corp.com" → "acme corp")
+const companyFromDomain = (domain) => (domain ? normalizeCompanyName(domain.split('.')[0].replace(/[-_]/g, ' ')) : '');
+
+/**
+ * First-name similarity across firstName/goesBy, treating nicknames as equal
+ * @returns {{ score: number, reason: string|null }}
+ */
+function compareFirstNames(a, b) {
+  const namesA = [normalizeName(a.firstName), normalizeName(a.goesBy)].filter(Boolean);
+  const namesB = [normalizeName(b.firstName), normalizeName(b.goesBy)].filter(Boolean);
+
+  let best = { score: 0, reason: null };
+  for (const nameA of namesA) {
+    for (const nameB of namesB) {
+      let candidate;
+      if (nameA === nameB) {
+        candidate = { score: 1, reason: `Same first name / goesBy "${nameA}"` };
+      } else if (NICKNAME_LOOKUP.has(nameA) && NICKNAME_LOOKUP.get(nameA) === NICKNAME_LOOKUP.get(nameB)) {
+        candidate = { score: 0.9, reason: `Nickname match "${nameA}" ~ "${nameB}"` };
+      } else {
+        const similarity = jaroWinkler(nameA, nameB);
+        candidate = { score: similarity, reason: similarity >= 0.85 ? `Similar first names "${nameA}" ~ "${nameB}"` : null };
+      }
+      if (candidate.score > best.score) best = candidate;
+    }
+  }
+  return best;
+}
+
+/**
+ * Score how likely two contacts are the same person
+ * @param {Object} a - Contact with contactCompany relation
+ * @param {Object} b - Contact with contactCompany relation
+ * @returns {{ score: number, reasons: Array<{ signal: string, detail: string, weight: number }> }}
+ */
+export function scoreContactPair(a, b) {
+  const reasons = [];
+  const add = (signal, detail, weight) => reasons.push({ signal, detail, weight: Math.round(weight * 1000) / 1000 });
+
+  // Exact email duplicates are certain
+  if (a.email && b.email && a.email.toLowerCase().trim() === b.email.toLowerCase().trim()) {
+    add('email', `Same email ${a.email.toLowerCase().trim()}`, 1);
+    return { score: 1, reasons };
+  }
+
+  // Names (last name weighs more than first - nicknames and goesBy make first names noisier)
+  const lastA = normalizeName(a.lastName);
+  const lastB = normalizeName(b.lastName);
+  const lastScore = lastA && lastB ? jaroWinkler(lastA, lastB) : 0;
+  const first = compareFirstNames(a, b);
+
+  if (lastA && lastB) {
+    const nameScore = 0.55 * lastScore + 0.45 * first.score;
+    add('name', lastScore === 1 ? `Same last name "${lastA}"` : `Last name similarity ${lastScore.toFixed(2)}`, 0.5 * 0.55 * lastScore);
+    if (first.score > 0) add('first-name', first.reason || `First name similarity ${first.score.toFixed(2)}`, 0.5 * 0.45 * first.score);
+    // Clearly different names rule out most other evidence
+    if (nameScore < 0.7) add('name-mismatch', 'Names differ', -0.3);
+  } else if (first.score > 0) {
+    add('first-name', first.reason || `First name similarity ${first.score.toFixed(2)}`, 0.25 * first.score);
+  }
+
+  // Phone
+  const phoneA = normalizePhone(a.phone);
+  const phoneB = normalizePhone(b.phone);
+  if (phoneA && phoneB) {
+    if (phoneA === phoneB) {
+      add('phone', `Same phone number ${phoneA}`, 0.3);
+    }
+  }
+
+  // Email domain (corporate only)
+  const domainA = corporateDomain(a.email);
+  const domainB = corporateDomain(b.email);
+  if (domainA && domainB) {
+    if (domainA === domainB) {
+      add('email-domain', `Same email domain ${domainA}`, 0.15);
+    } else {
+      add('email-domain-mismatch', `Different email domains ${domainA} / ${domainB}`, -0.1);
+    }
+  }
+
+  // Company (falls back to the corporate email domain when a contact has no company)
+  const companyA = normalizeCompanyName(a.contactCompany?.companyName) || companyFromDomain(domainA);
+  const companyB = normalizeCompanyName(b.contactCompany?.companyName) || companyFromDomain(domainB);
+  if (companyA && companyB) {
+    const companyScore = companyA === companyB ? 1 : jaroWinkler(companyA, companyB);
+    if (companyScore >= 0.85) {
+      add('company', companyScore === 1 ? `Same company "${companyA}"` : `Similar company names "${companyA}" ~ "${companyB}"`, 0.2 * companyScore);
+    } else if (companyScore < 0.5) {
+      add('company-mismatch', `Different companies "${companyA}" / "${companyB}"`, -0.1);
+    }
+  }
+
+  const score = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+  return {
+    score: Math.round(Math.max(0, Math.min(1, score)) * 1000) / 1000,
+    reasons
+  };
+}
+
+// Blocking keys - only contacts sharing at least one key get compared
+function blockingKeys(contact) {
+  const keys = [];
+  const last = normalizeName(contact.lastName);
+  if (last) keys.push(`last:${last.slice(0, 3)}`);
+  if (!last) {
+    const first = normalizeName(contact.goesBy || contact.firstName);
+    if (first) keys.push(`first:${NICKNAME_LOOKUP.has(first) ? `group${NICKNAME_LOOKUP.get(first)}` : first}`);
+  }
+  const phone = normalizePhone(contact.phone);
+  if (phone) keys.push(`phone:${phone}`);
+  const domain = corporateDomain(contact.email);
+  if (domain) keys.push(`domain:${domain}`);
+  const company = normalizeCompanyName(contact.contactCompany?.companyName);
+  if (company) keys.push(`company:${company}`);
+  if (contact.email) keys.push(`email:${contact.email.toLowerCase().trim()}`);
+  return keys;
+}
+
+/**
+ * Find ranked duplicate candidate pairs among a tenant's contacts
+ * @param {Array} contacts - Contacts with contactCompany relation
+ * @param {Object} options
+ * @param {number} options.minScore - Minimum score to report (0-1)
+ * @returns {Array<{ score, contactIds, reasons }>} - Sorted by score (highest first)
+ */
+export function findDuplicateCandidates(contacts, { minScore = DEFAULT_MIN_DUPLICATE_SCORE } = {}) {
+  const blocks = new Map();
+  contacts.forEach((contact, index) => {
+    for (const key of blockingKeys(contact)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    }
+  });
+
+  const compared = new Set();
+  const candidates = [];
+
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i]}:${members[j]}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const a = contacts[members[i]];
+        const b = contacts[members[j]];
+        const { score, reasons } = scoreContactPair(a, b);
+        if (score >= minScore) {
+          candidates.push({
+            score,
+            contactIds: [a.id, b.id],
+            reasons: reasons.filter(reason => reason.weight !== 0)
+          });
+        }
+      }
+    }
+  }
+
+  return candidates.sort((x, y) => y.score - x.score);
+}
@@ -0,0 +1,133 @@
+/**
+ * CONTACT EXPORT SERVICE
+ * Serializes contacts (with contactCompany + pipeline relations) for export
+ *
+ * Formats:
+ * - csv    - One row per contact, flattened company/pipeline columns
+ * - vcard  - vCard 3.0 or 4.0 (RFC 2426 / RFC 6350)
+ * - json   - Newline-delimited JSON (one contact object per line)
+ */
+
+import { toCsvLine } from './CsvService.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  vcard: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+  json: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// CSV column header → value accessor
+const CSV_COLUMNS = [
+  ['id', c => c.id],
+  ['firstName', c => c.firstName],
+  ['lastName', c => c.lastName],
+  ['goesBy', c => c.goesBy],
+  ['email', c => c.email],
+  ['phone', c => c.phone],
+  ['title', c => c.title],
+  ['companyName', c => c.contactCompany?.companyName],
+  ['companyWebsite', c => c.contactCompany?.website],
+  ['companyIndustry', c => c.contactCompany?.industry],
+  ['pipeline', c => c.pipeline?.pipeline],
+  ['stage', c => c.pipeline?.stage],
+  ['buyerDecision', c => c.buyerDecision],
+  ['howMet', c => c.howMet],
+  ['notes', c => c.notes],
+  ['createdAt', c => c.createdAt],
+  ['updatedAt', c => c.updatedAt]
+];
+
+/**
+ * CSV header line
+ * @returns {string}
+ */
+export function contactCsvHeader() {
+  return toCsvLine(CSV_COLUMNS.map(([header]) => header));
+}
+
+/**
+ * Serialize a contact as a CSV line
+ * @param {Object} contact - Contact with contactCompany and pipeline relations
+ * @returns {string}
+ */
+export function contactToCsvLine(contact) {
+  return toCsvLine(CSV_COLUMNS.map(([, getValue]) => getValue(contact)));
+}
+
+/**
+ * Serialize a contact as a newline-delimited JSON line
+ * @param {Object} contact - Contact with contactCompany and pipeline relations
+ * @returns {string}
+ */
+export function contactToJsonLine(contact) {
+  return `${JSON.stringify(contact)}\n`;
+}
+
+// Escape vCard text values (backslash, comma, semicolon, newline)
+const escapeVCardText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (continuation lines start with a space)
+const foldVCardLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Serialize a contact as a vCard
+ * @param {Object} contact - Contact with contactCompany and pipeline relations
+ * @param {string} version - '3.0' or '4.0'
+ * @returns {string}
+ */
+export function contactToVCard(contact, version = '3.0') {
+  const isV4 = version === '4.0';
+  const fullName = [contact.firstName, contact.lastName].filter(Boolean).join(' ')
+    || contact.goesBy
+    || contact.email
+    || 'Unknown';
+
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    `N:${escapeVCardText(contact.lastName || '')};${escapeVCardText(contact.firstName || '')};;;`,
+    `FN:${escapeVCardText(fullName)}`
+  ];
+
+  if (contact.goesBy) lines.push(`NICKNAME:${escapeVCardText(contact.goesBy)}`);
+  if (contact.contactCompany?.companyName) lines.push(`ORG:${escapeVCardText(contact.contactCompany.companyName)}`);
+  if (contact.title) lines.push(`TITLE:${escapeVCardText(contact.title)}`);
+  if (contact.email) lines.push(isV4 ? `EMAIL;TYPE=work:${contact.email}` : `EMAIL;TYPE=INTERNET,WORK:${contact.email}`);
+  if (contact.phone) lines.push(isV4 ? `TEL;TYPE=work,voice:${escapeVCardText(contact.phone)}` : `TEL;TYPE=WORK,VOICE:${escapeVCardText(contact.phone)}`);
+  if (contact.contactCompany?.website) lines.push(`URL:${contact.contactCompany.website}`);
+  if (contact.notes) lines.push(`NOTE:${escapeVCardText(contact.notes)}`);
+
+  const categories = [contact.pipeline?.pipeline, contact.pipeline?.stage].filter(Boolean);
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeVCardText).join(',')}`);
+
+  lines.push(`UID:${contact.id}`);
+  lines.push(`REV:${new Date(contact.updatedAt).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  lines.push('END:VCARD');
+
+  return `${lines.map(foldVCardLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,234 @@
+/**
+ * CONTACT IMPORT SERVICE
+ * Bulk contact import from CSV, built on the universal-create flow
+ *
+ * Main functions:
+ * - Map CSV headers to Contact/Company/Pipeline fields (aliases + explicit overrides)
+ * - Import each row through upsertUniversalContact and report created/updated/skipped/failed
+ */
+
+import { parseCsvRecords } from './CsvService.js';
+import { upsertUniversalContact } from './UniversalContactService.js';
+import { getPipelineStageMap, validatePipelineStage } from './PipelineDefinitionService.js';
+import { PIPELINE_STAGES } from '../config/pipelineConfig.js';
+import { BUYER_LABELS } from '../buyerconfig.js';
+import { HOW_MET_LABELS } from '../config/howMetConfig.js';
+
+// Importable fields and the header aliases that map to them (headers are compared normalized)
+export const CONTACT_IMPORT_FIELDS = {
+  // Contact fields
+  firstName: ['firstname', 'first', 'givenname'],
+  lastName: ['lastname', 'last', 'surname', 'familyname'],
+  fullName: ['name', 'fullname', 'contactname'],
+  goesBy: ['goesby', 'nickname', 'preferredname'],
+  email: ['email', 'emailaddress', 'workemail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'cell', 'workphone'],
+  title: ['title', 'jobtitle', 'role', 'position'],
+  buyerDecision: ['buyerdecision', 'buyertype'],
+  howMet: ['howmet', 'source', 'leadsource'],
+  notes: ['notes', 'note', 'comments'],
+  // Company fields
+  companyName: ['company', 'companyname', 'organization', 'organisation', 'account'],
+  address: ['address', 'companyaddress'],
+  industry: ['industry'],
+  website: ['website', 'url', 'companywebsite', 'domain'],
+  revenue: ['revenue', 'annualrevenue'],
+  yearsInBusiness: ['yearsinbusiness'],
+  // Pipeline fields
+  pipeline: ['pipeline'],
+  stage: ['stage', 'pipelinestage']
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Build header → field mapping from known aliases, then apply explicit overrides
+ * @param {string[]} headers - CSV headers
+ * @param {Object} overrides - { "CSV Header": "fieldName" } (fieldName null/'' ignores the column)
+ * @returns {Object} - { "CSV Header": "fieldName" }
+ */
+export function buildColumnMapping(headers, overrides = {}) {
+  const mapping = {};
+
+  for (const header of headers) {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(CONTACT_IMPORT_FIELDS).find(key =>
+      CONTACT_IMPORT_FIELDS[key].includes(normalized)
+    );
+    if (field) {
+      mapping[header] = field;
+    }
+  }
+
+  for (const [header, field] of Object.entries(overrides || {})) {
+    if (!field) {
+      delete mapping[header];
+      continue;
+    }
+    if (!CONTACT_IMPORT_FIELDS[field]) {
+      throw new Error(`Unknown import field "${field}" for column "${header}"`);
+    }
+    mapping[header] = field;
+  }
+
+  return mapping;
+}
+
+/**
+ * Resolve a config value from either its type ("referral") or its label ("Referral")
+ * Unknown values are passed through unchanged
+ */
+const resolveConfigValue = (value, labels) => {
+  if (!value) return null;
+  const lower = value.toLowerCase();
+  const match = Object.entries(labels).find(([type, label]) =>
+    type === lower || label.toLowerCase() === lower
+  );
+  return match ? match[0] : value;
+};
+
+const parseNumber = (value, field, { integer = false } = {}) => {
+  if (!value) return null;
+  const parsed = Number(value.replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Invalid ${field} value "${value}"`);
+  }
+  return integer ? Math.round(parsed) : parsed;
+};
+
+/**
+ * Map one CSV record to a universal-create payload
+ * @param {Object} stageMap - The CompanyHQ's { pipeline: [stages] } (default: config defaults)
+ * @returns {{ contact, company, pipeline }}
+ */
+export function mapRecordToUniversalPayload(values, mapping, crmId, defaults = {}, stageMap = PIPELINE_STAGES) {
+  const fields = {};
+  for (const [header, field] of Object.entries(mapping)) {
+    const value = values[header];
+    if (value !== undefined && value !== '' && fields[field] === undefined) {
+      fields[field] = value;
+    }
+  }
+
+  // Split a single "Name" column when first/last aren't mapped ("First Last" or "Last, First")
+  if (fields.fullName && !fields.firstName && !fields.lastName) {
+    if (fields.fullName.includes(',')) {
+      const [last, ...rest] = fields.fullName.split(',');
+      fields.firstName = rest.join(',').trim() || undefined;
+      fields.lastName = last.trim();
+    } else {
+      const [first, ...rest] = fields.fullName.split(/\s+/);
+      fields.firstName = first;
+      fields.lastName = rest.join(' ') || undefined;
+    }
+  }
+
+  const contact = {
+    crmId,
+    firstName: fields.firstName || null,
+    lastName: fields.lastName || null,
+    goesBy: fields.goesBy || null,
+    email: fields.email || null,
+    phone: fields.phone || null,
+    title: fields.title || null,
+    buyerDecision: resolveConfigValue(fields.buyerDecision, BUYER_LABELS),
+    howMet: resolveConfigValue(fields.howMet || defaults.howMet, HOW_MET_LABELS),
+    notes: fields.notes || null
+  };
+
+  const company = fields.companyName
+    ? {
+        companyName: fields.companyName,
+        address: fields.address || null,
+        industry: fields.industry || null,
+        website: fields.website || null,
+        revenue: parseNumber(fields.revenue, 'revenue'),
+        yearsInBusiness: parseNumber(fields.yearsInBusiness, 'yearsInBusiness', { integer: true })
+      }
+    : null;
+
+  const pipelineName = (fields.pipeline || defaults.pipeline || '').toLowerCase() || null;
+  const stageName = (fields.stage || (!fields.pipeline && defaults.stage) || '').toLowerCase() || null;
+  const pipeline = pipelineName ? { pipeline: pipelineName, stage: stageName } : null;
+
+  if (stageName && !pipelineName) {
+    throw new Error(`Stage "${stageName}" requires a pipeline`);
+  }
+  const pipelineError = pipeline && validatePipelineStage(stageMap, pipeline.pipeline, pipeline.stage);
+  if (pipelineError) {
+    throw new Error(pipelineError);
+  }
+
+  return { contact, company, pipeline };
+}
+
+/**
+ * Import contacts from CSV text into a CompanyHQ
+ * Rows are processed sequentially so company find-or-create stays consistent within the file
+ *
+ * @param {string} csvText - Raw CSV text
+ * @param {string} crmId - CompanyHQId (tenant identifier)
+ * @param {Object} options
+ * @param {Object} options.mapping - Header → field overrides
+ * @param {Object} options.defaults - { pipeline, stage, howMet } applied to rows that don't set them
+ * @param {string} options.actorId - Owner running the import (recorded in the stage history)
+ * @returns {Promise<Object>} - { columns, summary, rows }
+ */
+export async function importContactsFromCsv(csvText, crmId, { mapping: overrides = {}, defaults = {}, actorId = null } = {}) {
+  const { headers, records } = parseCsvRecords(csvText);
+
+  if (headers.length === 0) {
+    throw new Error('CSV file is empty');
+  }
+
+  const mapping = buildColumnMapping(headers, overrides);
+  const mappedFields = Object.values(mapping);
+  if (!mappedFields.includes('email') && !mappedFields.includes('firstName') &&
+      !mappedFields.includes('lastName') && !mappedFields.includes('fullName')) {
+    throw new Error('CSV must include at least one name or email column');
+  }
+
+  const stageMap = await getPipelineStageMap(crmId);
+  const summary = { total: records.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const rows = [];
+  const seenEmails = new Map();
+
+  for (const record of records) {
+    const report = { row: record.rowNumber };
+
+    try {
+      const payload = mapRecordToUniversalPayload(record.values, mapping, crmId, defaults, stageMap);
+      const { contact: contactData } = payload;
+      report.email = contactData.email;
+
+      if (!contactData.email && !contactData.firstName && !contactData.lastName) {
+        report.status = 'skipped';
+        report.reason = 'Row has no name or email';
+      } else if (contactData.email && seenEmails.has(contactData.email.toLowerCase().trim())) {
+        report.status = 'skipped';
+        report.reason = `Duplicate email (already imported on row ${seenEmails.get(contactData.email.toLowerCase().trim())})`;
+      } else {
+        const { contact, action } = await upsertUniversalContact(payload, { actorId });
+        if (contactData.email) {
+          seenEmails.set(contactData.email.toLowerCase().trim(), record.rowNumber);
+        }
+        report.status = action;
+        report.contactId = contact.id;
+      }
+    } catch (error) {
+      report.status = 'failed';
+      report.reason = error.message;
+      if (error.rejection) {
+        // Stage transition policy rejection - keep the machine-readable reason
+        report.code = error.rejection.reason;
+      }
+    }
+
+    summary[report.status]++;
+    rows.push(report);
+  }
+
+  console.log(`✅ Contact import complete for ${crmId}: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+  return { columns: mapping, summary, rows };
+}
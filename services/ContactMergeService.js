@@ -0,0 +1,336 @@
+/**
+ * CONTACT MERGE SERVICE
+ * Non-destructive duplicate contact merging
+ *
+ * Main functions:
+ * - Group a tenant's contacts by normalized email
+ * - Build a merge plan (field-by-field merged result, most advanced Pipeline) for preview
+ * - List the proposals a merge leaves behind with a duplicate's company
+ * - Execute a merge plan in a single transaction
+ *
+ * Merge rules:
+ * - Survivor is the oldest contact unless one is chosen explicitly
+ * - Each field keeps the survivor's value, falling back to the first non-empty duplicate value
+ * - Notes from every record are combined (distinct, oldest first)
+ * - The most advanced Pipeline record wins (client beats prospect, later stage beats earlier)
+ * - Proposals attach to Company, so they follow the merged contactCompanyId - a duplicate's
+ *   other company and contact list are dropped, and listed in the plan (droppedLinks, with
+ *   that company's proposals) so the preview shows them
+ * - Activities from every record move to the survivor
+ * - Duplicates are moved to the trash (soft delete), not removed
+ */
+
+import prisma from '../db.js';
+import { PIPELINE_STAGES } from '../config/pipelineConfig.js';
+import { setContactPipeline } from './PipelineHistoryService.js';
+import { NOT_DELETED } from './TrashService.js';
+
+// Scalar fields merged by "survivor first, then first non-empty duplicate value"
+export const MERGEABLE_CONTACT_FIELDS = [
+  'firstName',
+  'lastName',
+  'goesBy',
+  'email',
+  'phone',
+  'title',
+  'contactCompanyId',
+  'buyerDecision',
+  'howMet',
+  'contactListId',
+  'personaId'
+];
+
+// Links a contact has only one of - a duplicate's differing value is dropped (and listed in the plan)
+const SINGLE_LINK_FIELDS = {
+  contactCompanyId: 'contactCompanyIds',
+  contactListId: 'contactListIds'
+};
+
+const NOTES_SEPARATOR = '\n\n---\n\n';
+
+// Merging a contact with a long history runs many updates - more than Prisma's 5s default
+const MERGE_TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 60000 };
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const normalizeForCompare = (field, value) => (
+  typeof value === 'string' && (field === 'email' || field === 'goesBy')
+    ? value.toLowerCase().trim()
+    : typeof value === 'string' ? value.trim() : value
+);
+
+/**
+ * Rank a pipeline record so the most advanced one can be kept
+ * Client pipeline ranks above every other pipeline; within a pipeline, later stages rank higher
+ * @param {Object|null} pipeline - Pipeline record { pipeline, stage }
+ * @param {Object} stageMap - The CompanyHQ's { pipeline: [stages] } (default: config defaults)
+ * @returns {number[]} - [pipelineRank, stageIndex] (compare lexicographically)
+ */
+export function rankPipeline(pipeline, stageMap = PIPELINE_STAGES) {
+  if (!pipeline) {
+    return [-1, -1];
+  }
+  const pipelineRank = pipeline.pipeline === 'client' ? 1 : 0;
+  const stageIndex = (stageMap[pipeline.pipeline] || []).indexOf(pipeline.stage);
+  return [pipelineRank, stageIndex];
+}
+
+const compareRanks = (a, b) => (a[0] - b[0]) || (a[1] - b[1]);
+
+/**
+ * Group contacts by normalized email, keeping only groups with duplicates
+ * @param {Array} contacts - Contacts (any order)
+ * @returns {Array<Array>} - Groups of contacts, each sorted oldest first
+ */
+export function groupContactsByEmail(contacts) {
+  const emailGroups = {};
+  contacts.forEach(contact => {
+    if (contact.email) {
+      const email = contact.email.toLowerCase().trim();
+      if (!emailGroups[email]) {
+        emailGroups[email] = [];
+      }
+      emailGroups[email].push(contact);
+    }
+  });
+
+  return Object.values(emailGroups)
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+}
+
+/**
+ * Build a merge plan for a group of duplicate contacts
+ * @param {Array} contacts - Contacts to merge (with pipeline relation)
+ * @param {string} survivorId - Contact to keep (optional, defaults to the oldest)
+ * @param {Object} stageMap - The CompanyHQ's { pipeline: [stages] } used to rank pipelines (optional)
+ * @returns {Object} - { survivorId, duplicateIds, merged, fields, pipeline,
+ *   droppedLinks: { contactCompanyIds, contactListIds } }
+ */
+export function buildMergePlan(contacts, survivorId = null, stageMap = PIPELINE_STAGES) {
+  const ordered = [...contacts].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const survivor = survivorId ? ordered.find(c => c.id === survivorId) : ordered[0];
+
+  if (!survivor) {
+    throw new Error(`Survivor contact ${survivorId} is not part of the merge group`);
+  }
+
+  // Survivor's values take precedence, then duplicates oldest → newest
+  const sources = [survivor, ...ordered.filter(c => c.id !== survivor.id)];
+  const merged = {};
+  const fields = [];
+
+  for (const field of MERGEABLE_CONTACT_FIELDS) {
+    const source = sources.find(c => !isEmpty(c[field]));
+    const value = source ? source[field] : null;
+    const conflicts = sources
+      .filter(c => c !== source && !isEmpty(c[field]) &&
+        normalizeForCompare(field, c[field]) !== normalizeForCompare(field, value))
+      .map(c => ({ contactId: c.id, value: c[field] }));
+
+    merged[field] = field === 'email' && value ? value.toLowerCase().trim() : value;
+    fields.push({
+      field,
+      value: merged[field],
+      sourceContactId: source ? source.id : null,
+      changed: source ? source.id !== survivor.id : false,
+      conflicts
+    });
+  }
+
+  // Combine distinct notes (oldest first) so no context is lost
+  const notes = [];
+  ordered.forEach(c => {
+    if (!isEmpty(c.notes) && !notes.includes(c.notes.trim())) {
+      notes.push(c.notes.trim());
+    }
+  });
+  merged.notes = notes.length > 0 ? notes.join(NOTES_SEPARATOR) : null;
+  fields.push({
+    field: 'notes',
+    value: merged.notes,
+    sourceContactId: null,
+    changed: merged.notes !== (survivor.notes ? survivor.notes.trim() : null),
+    conflicts: []
+  });
+
+  // Keep the most advanced pipeline record
+  let bestPipelineContact = null;
+  for (const c of sources) {
+    if (c.pipeline && (!bestPipelineContact ||
+        compareRanks(rankPipeline(c.pipeline, stageMap), rankPipeline(bestPipelineContact.pipeline, stageMap)) > 0)) {
+      bestPipelineContact = c;
+    }
+  }
+
+  const droppedLinks = Object.fromEntries(Object.entries(SINGLE_LINK_FIELDS).map(([field, key]) => [
+    key,
+    [...new Set(fields.find(f => f.field === field).conflicts.map(conflict => conflict.value))]
+  ]));
+
+  return {
+    survivorId: survivor.id,
+    duplicateIds: ordered.filter(c => c.id !== survivor.id).map(c => c.id),
+    merged,
+    fields,
+    droppedLinks,
+    pipeline: bestPipelineContact
+      ? {
+          pipeline: bestPipelineContact.pipeline.pipeline,
+          stage: bestPipelineContact.pipeline.stage,
+          sourceContactId: bestPipelineContact.id,
+          changed: bestPipelineContact.id !== survivor.id
+        }
+      : null
+  };
+}
+
+/**
+ * Proposals left behind with the companies a merge drops (plan.droppedLinks.contactCompanyIds)
+ * Adds droppedLinks.proposals ({ id, clientCompany, companyId, status }) to each plan
+ * @param {Array} plans - Plans from buildMergePlan
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<Array>} - The same plans
+ */
+export async function addDroppedProposals(plans, companyHQId) {
+  const companyIds = [...new Set(plans.flatMap(plan => plan.droppedLinks.contactCompanyIds))];
+  const proposals = companyIds.length > 0
+    ? await prisma.proposal.findMany({
+        where: { companyHQId, companyId: { in: companyIds }, ...NOT_DELETED },
+        select: { id: true, clientCompany: true, companyId: true, status: true },
+        orderBy: { createdAt: 'asc' }
+      })
+    : [];
+
+  for (const plan of plans) {
+    plan.droppedLinks.proposals = proposals.filter(proposal => plan.droppedLinks.contactCompanyIds.includes(proposal.companyId));
+  }
+
+  return plans;
+}
+
+/**
+ * Move the duplicates' fit scores to the survivor
+ * A product scored for only one of the contacts moves as is; otherwise its versions are
+ * renumbered oldest first across all the contacts, so the survivor's history stays 1, 2, 3...
+ * without clashing on (contactId, productId, version)
+ */
+async function moveFitScores(tx, survivorId, duplicateIds) {
+  const scores = await tx.fitScore.findMany({
+    where: { contactId: { in: [survivorId, ...duplicateIds] } },
+    select: { id: true, contactId: true, productId: true },
+    orderBy: [{ createdAt: 'asc' }, { version: 'asc' }]
+  });
+
+  const byProduct = new Map();
+  for (const score of scores) {
+    byProduct.set(score.productId, [...(byProduct.get(score.productId) || []), score]);
+  }
+
+  for (const [productId, productScores] of byProduct) {
+    if (!productScores.some(score => score.contactId !== survivorId)) {
+      continue;
+    }
+
+    if (new Set(productScores.map(score => score.contactId)).size === 1) {
+      await tx.fitScore.updateMany({
+        where: { productId, contactId: productScores[0].contactId },
+        data: { contactId: survivorId }
+      });
+      continue;
+    }
+
+    // Negative versions first so no intermediate state collides with an existing version
+    for (const [index, { id }] of productScores.entries()) {
+      await tx.fitScore.update({
+        where: { id },
+        data: { contactId: survivorId, version: -(index + 1) }
+      });
+    }
+    for (const [index, { id }] of productScores.entries()) {
+      await tx.fitScore.update({
+        where: { id },
+        data: { version: index + 1 }
+      });
+    }
+  }
+}
+
+/**
+ * Move the duplicates' fit score job items to the survivor
+ * One item per contact per job - in a job that scored several of them, the survivor's own
+ * item (or else the first duplicate's) wins and the rest are purged with their duplicate
+ */
+async function moveFitScoreJobItems(tx, survivorId, duplicateIds) {
+  const items = await tx.fitScoreJobItem.findMany({
+    where: { contactId: { in: [survivorId, ...duplicateIds] } },
+    select: { id: true, jobId: true, contactId: true }
+  });
+
+  const jobs = new Set(items.filter(item => item.contactId === survivorId).map(item => item.jobId));
+  const moving = [];
+  for (const duplicateId of duplicateIds) {
+    for (const item of items.filter(i => i.contactId === duplicateId && !jobs.has(i.jobId))) {
+      jobs.add(item.jobId);
+      moving.push(item.id);
+    }
+  }
+
+  if (moving.length > 0) {
+    await tx.fitScoreJobItem.updateMany({
+      where: { id: { in: moving } },
+      data: { contactId: survivorId }
+    });
+  }
+}
+
+/**
+ * Execute a merge plan: update the survivor, move pipeline state and contact history, trash the duplicates
+ *
+ * Everything recorded against a duplicate (activities, stage history, trigger executions,
+ * assessments, fit scores and fit score job items) moves to the survivor - otherwise it
+ * would be deleted (or unlinked) with the duplicate when the trash is purged.
+ * @param {Object} plan - Plan from buildMergePlan
+ * @param {Object} options - { actorId } Owner performing the merge (recorded in the stage history)
+ * @returns {Promise<Object>} - Surviving contact with pipeline and contactCompany relations
+ */
+export async function executeMergePlan(plan, { actorId = null } = {}) {
+  return prisma.$transaction(async (tx) => {
+    // Move history over so the survivor's timeline, stage history and analytics are complete
+    const moveToSurvivor = { where: { contactId: { in: plan.duplicateIds } }, data: { contactId: plan.survivorId } };
+    await tx.contactActivity.updateMany(moveToSurvivor);
+    await tx.pipelineStageTransition.updateMany(moveToSurvivor);
+    await tx.pipelineTriggerExecution.updateMany(moveToSurvivor);
+    await tx.assessment.updateMany(moveToSurvivor);
+    await moveFitScores(tx, plan.survivorId, plan.duplicateIds);
+    await moveFitScoreJobItems(tx, plan.survivorId, plan.duplicateIds);
+
+    // Duplicates go to the trash first so they never show up next to the merged survivor
+    await tx.contact.updateMany({
+      where: { id: { in: plan.duplicateIds } },
+      data: { deletedAt: new Date() }
+    });
+
+    await tx.contact.update({
+      where: { id: plan.survivorId },
+      data: plan.merged
+    });
+
+    if (plan.pipeline && plan.pipeline.changed) {
+      await setContactPipeline(plan.survivorId, {
+        pipeline: plan.pipeline.pipeline,
+        stage: plan.pipeline.stage
+      }, { actorId, trigger: 'merge' }, tx);
+    }
+
+    console.log(`✅ Merged ${plan.duplicateIds.length} duplicate(s) into contact ${plan.survivorId}`);
+
+    return tx.contact.findUnique({
+      where: { id: plan.survivorId },
+      include: {
+        pipeline: true,
+        contactCompany: true
+      }
+    });
+  }, MERGE_TRANSACTION_OPTIONS);
+}
@@ -0,0 +1,58 @@
+/**
+ * CONTACT PROPOSAL SERVICE
+ * Proposals for a contact's company - the one lookup shared by the stage transition policy,
+ * pipeline triggers and the contact timeline, so they always see the same proposals
+ *
+ * A contact's proposals are the non-deleted Proposals whose companyId is the contact's
+ * contactCompanyId, in the contact's own CompanyHQ. Company.proposalId is not used - a
+ * company can have several proposals, and it isn't updated when one is created.
+ *
+ * Main functions:
+ * - Build the where clause for a contact's proposals
+ * - Load a contact's latest proposal
+ */
+
+import prisma from '../db.js';
+import { NOT_DELETED } from './TrashService.js';
+
+/**
+ * Where clause for a contact's proposals
+ * @param {Object} contact - { crmId, contactCompanyId }
+ * @param {Object} filters - Extra Proposal filters, e.g. { status: 'approved' } (optional)
+ * @returns {Object|null} - Prisma where clause, or null when the contact has no company
+ */
+export function contactProposalsWhere(contact, filters = {}) {
+  if (!contact?.contactCompanyId) {
+    return null;
+  }
+
+  return {
+    companyId: contact.contactCompanyId,
+    companyHQId: contact.crmId,
+    ...NOT_DELETED,
+    ...filters
+  };
+}
+
+/**
+ * Latest proposal for a contact's company
+ * @param {Object} contact - { crmId, contactCompanyId }
+ * @param {Object} filters - Extra Proposal filters (optional)
+ * @returns {Promise<Object|null>} - Proposal, or null if there is none
+ */
+export async function getLatestContactProposal(contact, filters = {}) {
+  const where = contactProposalsWhere(contact, filters);
+  if (!where) {
+    return null;
+  }
+
+  return prisma.proposal.findFirst({
+    where,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+  });
+}
+
+export default {
+  contactProposalsWhere,
+  getLatestContactProposal
+};
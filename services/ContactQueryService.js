@@ -0,0 +1,202 @@
+/**
+ * CONTACT QUERY SERVICE
+ * Shared Prisma query building for contact list-style endpoints (list, export)
+ *
+ * Keeps filter semantics identical wherever contacts are listed for a CompanyHQ
+ *
+ * Main functions:
+ * - Build where clause (tenant, pipeline/stage filters, free-text search)
+ * - Build orderBy for supported sort fields
+ * - Encode/decode opaque keyset cursors and build the "after cursor" condition
+ */
+
+// Fields free-text search runs against (case-insensitive "contains")
+const SEARCH_FIELDS = ['firstName', 'lastName', 'goesBy', 'email', 'title'];
+const MAX_SEARCH_TERMS = 5;
+
+// Supported sort fields → ordered sort keys (id is always appended as the tiebreaker)
+export const CONTACT_SORT_FIELDS = {
+  name: [
+    { field: 'lastName', nullable: true },
+    { field: 'firstName', nullable: true }
+  ],
+  email: [{ field: 'email', nullable: true }],
+  createdAt: [{ field: 'createdAt', type: 'date' }],
+  updatedAt: [{ field: 'updatedAt', type: 'date' }],
+  stage: [{ field: 'stage', relation: 'pipeline', nullable: true }]
+};
+
+export const CONTACT_SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Build the Prisma where clause for listing a CompanyHQ's contacts (trashed contacts excluded)
+ * @param {Object} filters
+ * @param {string} filters.companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} filters.pipeline - Filter by pipeline string value (optional)
+ * @param {string} filters.stage - Filter by stage string value (optional)
+ * @param {string} filters.search - Free-text search; every term must match a name/email/title/company field (optional)
+ * @returns {Object} - Prisma ContactWhereInput
+ */
+export function buildContactWhere({ companyHQId, pipeline, stage, search }) {
+  const where = {
+    crmId: companyHQId,  // Direct CompanyHQId relationship (renamed from companyId to crmId)
+    deletedAt: null      // Trashed contacts are excluded
+  };
+
+  // Add pipeline filter if provided
+  if (pipeline) {
+    where.pipeline = {
+      pipeline: pipeline
+    };
+  }
+
+  // Add stage filter if provided
+  if (stage) {
+    where.pipeline = {
+      ...where.pipeline,
+      stage: stage
+    };
+  }
+
+  // Add free-text search if provided (AND across terms, OR across fields)
+  const terms = (search || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+  if (terms.length > 0) {
+    where.AND = terms.map(term => ({
+      OR: [
+        ...SEARCH_FIELDS.map(field => ({
+          [field]: { contains: term, mode: 'insensitive' }
+        })),
+        {
+          contactCompany: {
+            companyName: { contains: term, mode: 'insensitive' }
+          }
+        }
+      ]
+    }));
+  }
+
+  return where;
+}
+
+// Wrap a scalar condition in its relation (if any)
+const keyFilter = (key, condition) => (
+  key.relation
+    ? { [key.relation]: { [key.field]: condition } }
+    : { [key.field]: condition }
+);
+
+// "Value is null" for a sort key (Pipeline.stage is required, so only a missing Pipeline is null)
+const keyIsNull = (key) => (
+  key.relation
+    ? { [key.relation]: { is: null } }
+    : { [key.field]: null }
+);
+
+const keyIsNotNull = (key) => (
+  key.relation
+    ? { [key.relation]: { isNot: null } }
+    : { [key.field]: { not: null } }
+);
+
+// Where nulls land for a key: nullable scalars use explicit "nulls last"; a missing to-one
+// relation can't take a nulls option, so it follows Postgres defaults (last asc, first desc)
+const nullsPosition = (key, sortOrder) => {
+  if (key.relation) return sortOrder === 'asc' ? 'last' : 'first';
+  return key.nullable ? 'last' : null;
+};
+
+const readKeyValue = (contact, key) => (
+  key.relation ? contact[key.relation]?.[key.field] ?? null : contact[key.field] ?? null
+);
+
+/**
+ * Build orderBy for a sort field (id as a stable tiebreaker)
+ * @param {string} sortBy - One of CONTACT_SORT_FIELDS
+ * @param {string} sortOrder - 'asc' | 'desc'
+ * @returns {Array} - Prisma orderBy array
+ */
+export function buildContactOrderBy(sortBy = 'createdAt', sortOrder = 'desc') {
+  const keys = CONTACT_SORT_FIELDS[sortBy];
+
+  return [
+    ...keys.map(key => {
+      const sort = key.nullable && !key.relation ? { sort: sortOrder, nulls: 'last' } : sortOrder;
+      return key.relation
+        ? { [key.relation]: { [key.field]: sort } }
+        : { [key.field]: sort };
+    }),
+    { id: sortOrder }
+  ];
+}
+
+/**
+ * Encode an opaque cursor pointing at the last contact of a page
+ * @param {Object} contact - Last contact on the page (with pipeline relation)
+ * @param {string} sortBy - Sort field used for the page
+ * @returns {string} - base64url cursor
+ */
+export function encodeContactCursor(contact, sortBy = 'createdAt') {
+  const values = CONTACT_SORT_FIELDS[sortBy].map(key => {
+    const value = readKeyValue(contact, key);
+    return value instanceof Date ? value.toISOString() : value;
+  });
+
+  return Buffer.from(JSON.stringify({ sortBy, values, id: contact.id })).toString('base64url');
+}
+
+/**
+ * Build the where condition selecting rows strictly after a cursor
+ * Handles nullable sort keys and missing pipelines wherever they sort
+ *
+ * @param {string} cursor - Cursor from encodeContactCursor
+ * @param {string} sortBy - Sort field (must match the cursor's)
+ * @param {string} sortOrder - 'asc' | 'desc'
+ * @returns {Object} - Prisma ContactWhereInput
+ * @throws {Error} - If the cursor is malformed or was issued for a different sort
+ */
+export function buildContactCursorWhere(cursor, sortBy = 'createdAt', sortOrder = 'desc') {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  const keys = CONTACT_SORT_FIELDS[sortBy];
+  if (!decoded || decoded.sortBy !== sortBy || !decoded.id ||
+      !Array.isArray(decoded.values) || decoded.values.length !== keys.length) {
+    throw new Error('Invalid cursor for this sort');
+  }
+
+  const op = sortOrder === 'asc' ? 'gt' : 'lt';
+
+  const after = (index) => {
+    if (index === keys.length) {
+      return { id: { [op]: decoded.id } };
+    }
+
+    const key = keys[index];
+    const rawValue = decoded.values[index];
+    const value = rawValue !== null && key.type === 'date' ? new Date(rawValue) : rawValue;
+    const rest = after(index + 1);
+
+    const nulls = nullsPosition(key, sortOrder);
+
+    if (value === null) {
+      // Cursor row sits in the null block: later nulls remain, plus every value if nulls come first
+      const nullBlock = { AND: [keyIsNull(key), rest] };
+      return nulls === 'first' ? { OR: [nullBlock, keyIsNotNull(key)] } : nullBlock;
+    }
+
+    const conditions = [
+      keyFilter(key, { [op]: value }),
+      { AND: [keyFilter(key, value), rest] }
+    ];
+    if (nulls === 'last') {
+      conditions.push(keyIsNull(key));
+    }
+    return { OR: conditions };
+  };
+
+  return after(0);
+}
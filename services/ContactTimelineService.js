@@ -0,0 +1,137 @@
+/**
+ * CONTACT TIMELINE SERVICE
+ * Merged, chronological view of everything that happened with a contact
+ *
+ * Main functions:
+ * - Build timeline entries from logged activities (calls, meetings, emails, notes)
+ * - Add pipeline stage changes from the stage-transition log
+ * - Add proposals created for the contact's company
+ *
+ * Every entry has the same shape so the frontend can render one list:
+ * { id, kind, type, occurredAt, summary, body, author, data }
+ */
+
+import prisma from '../db.js';
+import { contactProposalsWhere } from './ContactProposalService.js';
+
+export const TIMELINE_KINDS = ['activity', 'pipeline', 'proposal'];
+
+const authorSummary = (author) => (
+  author ? { id: author.id, name: author.name, email: author.email, photoURL: author.photoURL } : null
+);
+
+/**
+ * Timeline entry for a logged activity
+ */
+export function activityToTimelineEntry(activity) {
+  return {
+    id: `activity:${activity.id}`,
+    kind: 'activity',
+    type: activity.type,
+    occurredAt: activity.occurredAt,
+    summary: activity.summary,
+    body: activity.body,
+    author: authorSummary(activity.author),
+    data: { activityId: activity.id, dueAt: activity.dueAt }
+  };
+}
+
+/**
+ * Timeline entry for a pipeline stage transition
+ */
+export function transitionToTimelineEntry(transition) {
+  const from = transition.fromPipeline ? `${transition.fromPipeline}/${transition.fromStage}` : null;
+  const to = `${transition.toPipeline}/${transition.toStage}`;
+
+  return {
+    id: `pipeline:${transition.id}`,
+    kind: 'pipeline',
+    type: from ? 'stage-changed' : 'pipeline-added',
+    occurredAt: transition.occurredAt,
+    summary: from ? `Moved from ${from} to ${to}` : `Added to ${to}`,
+    body: transition.overridden ? `Transition rules overridden: ${transition.overrideReason}` : null,
+    author: authorSummary(transition.actor),
+    data: {
+      from: from ? { pipeline: transition.fromPipeline, stage: transition.fromStage } : null,
+      to: { pipeline: transition.toPipeline, stage: transition.toStage },
+      automated: transition.automated,
+      trigger: transition.trigger,
+      overridden: transition.overridden
+    }
+  };
+}
+
+/**
+ * Timeline entry for a proposal created for the contact's company
+ */
+export function proposalToTimelineEntry(proposal) {
+  return {
+    id: `proposal:${proposal.id}`,
+    kind: 'proposal',
+    type: 'proposal-created',
+    occurredAt: proposal.createdAt,
+    summary: `Proposal created for ${proposal.clientCompany}`,
+    body: proposal.purpose,
+    author: null,
+    data: {
+      proposalId: proposal.id,
+      status: proposal.status,
+      totalPrice: proposal.totalPrice
+    }
+  };
+}
+
+/**
+ * Build the merged timeline for a contact (newest first)
+ * @param {Object} contact - Contact
+ * @param {Object} options
+ * @param {string[]} options.kinds - Entry kinds to include (default: all)
+ * @param {Date} options.before - Only entries strictly before this date (optional)
+ * @param {number} options.limit - Max entries to return (optional)
+ * @returns {Promise<Array>} - Timeline entries sorted by occurredAt desc
+ */
+export async function buildContactTimeline(contact, { kinds = TIMELINE_KINDS, before = null, limit = null } = {}) {
+  const dateFilter = before ? { lt: before } : undefined;
+
+  const [activities, transitions, proposals] = await Promise.all([
+    kinds.includes('activity')
+      ? prisma.contactActivity.findMany({
+          where: {
+            contactId: contact.id,
+            ...(dateFilter && { occurredAt: dateFilter })
+          },
+          include: { author: true },
+          orderBy: { occurredAt: 'desc' },
+          ...(limit && { take: limit })
+        })
+      : [],
+    kinds.includes('pipeline')
+      ? prisma.pipelineStageTransition.findMany({
+          where: {
+            contactId: contact.id,
+            ...(dateFilter && { occurredAt: dateFilter })
+          },
+          include: { actor: true },
+          orderBy: { occurredAt: 'desc' },
+          ...(limit && { take: limit })
+        })
+      : [],
+    kinds.includes('proposal') && contact.contactCompanyId
+      ? prisma.proposal.findMany({
+          where: contactProposalsWhere(contact, dateFilter && { createdAt: dateFilter }),
+          orderBy: { createdAt: 'desc' },
+          ...(limit && { take: limit })
+        })
+      : []
+  ]);
+
+  const entries = [
+    ...activities.map(activityToTimelineEntry),
+    ...transitions.map(transitionToTimelineEntry),
+    ...proposals.map(proposalToTimelineEntry)
+  ]
+    .filter(entry => !before || new Date(entry.occurredAt) < before)
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+
+  return limit ? entries.slice(0, limit) : entries;
+}
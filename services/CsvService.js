@@ -0,0 +1,145 @@
+/**
+ * CSV SERVICE
+ * Minimal RFC 4180 CSV parsing and serialization used by contact import/export
+ *
+ * Main functions:
+ * - Parse CSV text into rows of cells (quoted fields, escaped quotes, CRLF, BOM)
+ * - Parse CSV text into header-keyed records with their source line numbers
+ * - Serialize rows back to CSV lines
+ */
+
+/**
+ * Parse CSV text into an array of rows (each row is an array of cell strings)
+ * @param {string} text - Raw CSV text
+ * @returns {Array<{ line: number, cells: string[] }>} - Parsed rows with the line they start on
+ */
+export function parseCsv(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  // Strip UTF-8 BOM (Excel adds one on "CSV UTF-8" export)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          // Escaped quote inside a quoted field
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push({ line: rowStartLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowStartLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowStartLine}`);
+  }
+
+  // Flush the last row if the file doesn't end with a newline
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ line: rowStartLine, cells });
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into header-keyed records
+ * Blank lines are dropped; the first non-blank row is treated as the header
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {{ headers: string[], records: Array<{ rowNumber: number, values: Object }> }}
+ */
+export function parseCsvRecords(text) {
+  const rows = parseCsv(text).filter(row => row.cells.some(value => value.trim() !== ''));
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].cells.map(header => header.trim());
+
+  const records = rows.slice(1).map(row => {
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        values[header] = (row.cells[index] || '').trim();
+      }
+    });
+    return { rowNumber: row.line, values };
+  });
+
+  return { headers, records };
+}
+
+// Leading characters spreadsheet apps treat as formulas (CSV injection guard)
+const FORMULA_PREFIX = /^[=@\t\r]|^[+-](?![\d\s().]*$)/;
+
+/**
+ * Escape a single CSV cell
+ * Quotes cells containing delimiters/quotes/newlines and neutralizes formula-like values
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string}
+ */
+export function escapeCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let cell = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  if (/[",\r\n]/.test(cell)) {
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+
+  return cell;
+}
+
+/**
+ * Serialize one row of values as a CSV line (CRLF terminated)
+ * @param {Array} values - Cell values
+ * @returns {string}
+ */
+export function toCsvLine(values) {
+  return `${values.map(escapeCsvCell).join(',')}\r\n`;
+}
@@ -0,0 +1,401 @@
+/**
+ * FIT SCORE JOB SERVICE
+ * Scores every contact in a ContactList or pipeline stage against a Product in one job
+ *
+ * Jobs run in the background in this process. Each contact is a FitScoreJobItem scored
+ * with recordFitScore in the job's mode (persona auto-matched, as in the single-contact route), so every
+ * result is also a new version in the contact's fit score history. LLM calls are
+ * capped at FIT_SCORE_CONCURRENCY across all jobs. Progress counts live on the job,
+ * results on its items. Jobs a restart interrupted resume on startup and score whatever
+ * items are still pending.
+ *
+ * Main functions:
+ * - Create a job (and start it)
+ * - Run / resume jobs
+ * - List jobs, job progress and ranked results
+ */
+
+import prisma from '../db.js';
+import { NOT_DELETED } from './TrashService.js';
+import { findMatchingPersona } from './BusinessIntelligenceScoringService.js';
+import { recordFitScore, toFitScoreResponse } from './FitScoreService.js';
+import {
+  FIT_SCORE_JOB_SOURCES,
+  FIT_SCORE_JOB_STATUSES,
+  FIT_SCORE_JOB_ITEM_STATUSES,
+  FIT_SCORE_CONCURRENCY,
+  FIT_SCORE_MODE,
+  MAX_FIT_SCORE_JOB_CONTACTS
+} from '../config/fitScoreConfig.js';
+
+const JOB_INCLUDE = {
+  product: {
+    select: { id: true, name: true }
+  },
+  contactList: {
+    select: { id: true, name: true }
+  },
+  createdBy: {
+    select: { id: true, name: true, email: true }
+  }
+};
+
+/**
+ * Thrown when a job can't be created from its source (no contacts, too many contacts)
+ */
+export class FitScoreJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FitScoreJobError';
+  }
+}
+
+// Jobs being run by this process (a job is never run twice at once)
+const runningJobs = new Set();
+
+// Shared LLM slots - calls past FIT_SCORE_CONCURRENCY wait in line
+let activeCalls = 0;
+const waitingCalls = [];
+
+const acquireSlot = () => new Promise((resolve) => {
+  if (activeCalls < FIT_SCORE_CONCURRENCY) {
+    activeCalls += 1;
+    resolve();
+  } else {
+    waitingCalls.push(resolve);
+  }
+});
+
+const releaseSlot = () => {
+  const next = waitingCalls.shift();
+  if (next) {
+    next(); // Hand the slot straight to the next call
+  } else {
+    activeCalls -= 1;
+  }
+};
+
+// Job with { total, completed, failed, pending, percent }
+const withProgress = (job) => {
+  const done = job.completed + job.failed;
+  return {
+    ...job,
+    progress: {
+      total: job.total,
+      completed: job.completed,
+      failed: job.failed,
+      pending: job.total - done,
+      percent: job.total ? Math.round((done / job.total) * 100) : 100
+    }
+  };
+};
+
+/**
+ * IDs of the contacts a job scores (trashed contacts excluded)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} source - { source, contactListId } or { source, pipeline, stage }
+ * @returns {Promise<string[]>}
+ * @throws {FitScoreJobError} - When there are no contacts, or more than MAX_FIT_SCORE_JOB_CONTACTS
+ */
+export async function resolveJobContactIds(companyHQId, { source, contactListId = null, pipeline = null, stage = null }) {
+  const contacts = await prisma.contact.findMany({
+    where: {
+      crmId: companyHQId,
+      ...NOT_DELETED,
+      ...(source === FIT_SCORE_JOB_SOURCES.CONTACT_LIST
+        ? { contactListId }
+        : { pipeline: { pipeline, stage } })
+    },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' },
+    take: MAX_FIT_SCORE_JOB_CONTACTS + 1
+  });
+
+  if (contacts.length === 0) {
+    throw new FitScoreJobError(source === FIT_SCORE_JOB_SOURCES.CONTACT_LIST
+      ? 'The contact list has no contacts to score'
+      : `No contacts in ${pipeline}/${stage} to score`);
+  }
+  if (contacts.length > MAX_FIT_SCORE_JOB_CONTACTS) {
+    throw new FitScoreJobError(`A job can score at most ${MAX_FIT_SCORE_JOB_CONTACTS} contacts`);
+  }
+
+  return contacts.map(contact => contact.id);
+}
+
+/**
+ * Create a fit score job and start it in the background
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} job - { productId, source, contactListId } or { productId, source, pipeline, stage }, plus mode
+ *   ('ai' | 'rule-based' | 'auto', default FIT_SCORE_MODE)
+ * @param {Object} options
+ * @param {string} options.createdById - Owner starting the job (optional)
+ * @returns {Promise<Object>} - Created FitScoreJob with progress
+ * @throws {FitScoreJobError} - When the source has no contacts, or too many
+ */
+export async function createFitScoreJob(companyHQId, { productId, source, contactListId = null, pipeline = null, stage = null, mode = FIT_SCORE_MODE }, { createdById = null } = {}) {
+  const contactIds = await resolveJobContactIds(companyHQId, { source, contactListId, pipeline, stage });
+
+  const job = await prisma.$transaction(async (tx) => {
+    const created = await tx.fitScoreJob.create({
+      data: {
+        companyHQId,
+        productId,
+        source,
+        contactListId,
+        pipeline,
+        stage,
+        mode,
+        total: contactIds.length,
+        createdById
+      }
+    });
+
+    await tx.fitScoreJobItem.createMany({
+      data: contactIds.map(contactId => ({ jobId: created.id, contactId }))
+    });
+
+    return tx.fitScoreJob.findUnique({
+      where: { id: created.id },
+      include: JOB_INCLUDE
+    });
+  });
+
+  startFitScoreJob(job.id);
+
+  return withProgress(job);
+}
+
+/**
+ * Score one item (waits for an LLM slot) and count it on the job
+ * An error while scoring fails the item, not the job
+ */
+async function scoreJobItem(job, item) {
+  let personaId = null;
+  let result;
+
+  await acquireSlot();
+  try {
+    personaId = await findMatchingPersona(item.contactId);
+    result = await recordFitScore(job.companyHQId, item.contactId, job.productId, {
+      personaId,
+      createdById: job.createdById,
+      mode: job.mode
+    });
+  } catch (error) {
+    console.error(`❌ Fit score job ${job.id}: scoring contact ${item.contactId} failed:`, error);
+    result = { success: false, error: error.message };
+  } finally {
+    releaseSlot();
+  }
+
+  const itemData = result.success
+    ? {
+        status: FIT_SCORE_JOB_ITEM_STATUSES.COMPLETED,
+        personaId,
+        totalScore: result.fitScore.totalScore,
+        scores: toFitScoreResponse(result.fitScore).scores,
+        summary: result.fitScore.summary
+      }
+    : {
+        status: FIT_SCORE_JOB_ITEM_STATUSES.FAILED,
+        personaId,
+        error: result.error
+      };
+
+  await prisma.$transaction([
+    prisma.fitScoreJobItem.update({
+      where: { id: item.id },
+      data: { ...itemData, completedAt: new Date() }
+    }),
+    prisma.fitScoreJob.update({
+      where: { id: job.id },
+      data: result.success ? { completed: { increment: 1 } } : { failed: { increment: 1 } }
+    })
+  ]);
+}
+
+/**
+ * Fail an item whose result couldn't be recorded (e.g. its contact was deleted) and count it,
+ * so a completed job never shows pending items
+ */
+async function failJobItem(job, item, error) {
+  await prisma.$transaction([
+    prisma.fitScoreJobItem.updateMany({
+      where: { id: item.id, status: FIT_SCORE_JOB_ITEM_STATUSES.PENDING },
+      data: {
+        status: FIT_SCORE_JOB_ITEM_STATUSES.FAILED,
+        error: error.message,
+        completedAt: new Date()
+      }
+    }),
+    prisma.fitScoreJob.update({
+      where: { id: job.id },
+      data: { failed: { increment: 1 } }
+    })
+  ]);
+}
+
+/**
+ * Run a job to completion - scores its pending items
+ * No-op for a finished job or one this process is already running
+ * @param {string} jobId - FitScoreJob ID
+ * @returns {Promise<void>}
+ */
+export async function runFitScoreJob(jobId) {
+  if (runningJobs.has(jobId)) {
+    return;
+  }
+  runningJobs.add(jobId);
+
+  try {
+    const job = await prisma.fitScoreJob.findUnique({
+      where: { id: jobId }
+    });
+
+    if (!job || job.status === FIT_SCORE_JOB_STATUSES.COMPLETED || job.status === FIT_SCORE_JOB_STATUSES.FAILED) {
+      return;
+    }
+
+    await prisma.fitScoreJob.update({
+      where: { id: jobId },
+      data: {
+        status: FIT_SCORE_JOB_STATUSES.RUNNING,
+        startedAt: job.startedAt || new Date()
+      }
+    });
+
+    const items = await prisma.fitScoreJobItem.findMany({
+      where: { jobId, status: FIT_SCORE_JOB_ITEM_STATUSES.PENDING },
+      select: { id: true, contactId: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    console.log(`🎯 Fit score job ${jobId}: scoring ${items.length} contact(s)`);
+
+    await Promise.all(items.map(item => scoreJobItem(job, item).catch((error) => {
+      console.error(`❌ Fit score job ${jobId}: failed to record item ${item.id}:`, error);
+      return failJobItem(job, item, error);
+    })));
+
+    await prisma.fitScoreJob.update({
+      where: { id: jobId },
+      data: {
+        status: FIT_SCORE_JOB_STATUSES.COMPLETED,
+        completedAt: new Date()
+      }
+    });
+
+    console.log(`✅ Fit score job ${jobId} completed`);
+  } finally {
+    runningJobs.delete(jobId);
+  }
+}
+
+/**
+ * Start a job in the background (marks it failed if it stops on an error)
+ * @param {string} jobId - FitScoreJob ID
+ */
+export function startFitScoreJob(jobId) {
+  runFitScoreJob(jobId).catch(async (error) => {
+    console.error(`❌ Fit score job ${jobId} failed:`, error);
+    await prisma.fitScoreJob.update({
+      where: { id: jobId },
+      data: {
+        status: FIT_SCORE_JOB_STATUSES.FAILED,
+        error: error.message,
+        completedAt: new Date()
+      }
+    }).catch((updateError) => {
+      console.error(`❌ Failed to mark fit score job ${jobId} as failed:`, updateError);
+    });
+  });
+}
+
+/**
+ * Restart jobs a restart left queued or running (call on startup)
+ * @returns {Promise<number>} - Jobs resumed
+ */
+export async function resumeFitScoreJobs() {
+  const jobs = await prisma.fitScoreJob.findMany({
+    where: {
+      status: { in: [FIT_SCORE_JOB_STATUSES.QUEUED, FIT_SCORE_JOB_STATUSES.RUNNING] }
+    },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  jobs.forEach(job => startFitScoreJob(job.id));
+
+  return jobs.length;
+}
+
+/**
+ * A CompanyHQ's fit score jobs (newest first)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - FitScoreJobs with progress
+ */
+export async function listFitScoreJobs(companyHQId, { limit = 50 } = {}) {
+  const jobs = await prisma.fitScoreJob.findMany({
+    where: { companyHQId },
+    include: JOB_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+
+  return jobs.map(withProgress);
+}
+
+/**
+ * Load a job with its progress
+ * @returns {Promise<Object|null>} - FitScoreJob with product, contactList, createdBy and progress
+ */
+export async function getFitScoreJob(jobId) {
+  const job = await prisma.fitScoreJob.findUnique({
+    where: { id: jobId },
+    include: JOB_INCLUDE
+  });
+
+  return job ? withProgress(job) : null;
+}
+
+/**
+ * A job's results, ranked by total score (best first)
+ * Scored contacts get rank 1, 2, 3...; pending and failed items follow unranked
+ * @param {string} jobId - FitScoreJob ID
+ * @returns {Promise<Array>} - FitScoreJobItems with rank and contact summary
+ */
+export async function getFitScoreJobResults(jobId) {
+  const items = await prisma.fitScoreJobItem.findMany({
+    where: { jobId },
+    include: {
+      contact: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          goesBy: true,
+          email: true,
+          title: true,
+          contactCompany: {
+            select: { companyName: true }
+          },
+          pipeline: {
+            select: { pipeline: true, stage: true }
+          }
+        }
+      }
+    },
+    orderBy: [
+      { totalScore: { sort: 'desc', nulls: 'last' } },
+      { createdAt: 'asc' }
+    ]
+  });
+
+  let rank = 0;
+  return items.map(item => ({
+    ...item,
+    rank: item.status === FIT_SCORE_JOB_ITEM_STATUSES.COMPLETED ? (rank += 1) : null
+  }));
+}
@@ -0,0 +1,140 @@
+/**
+ * FIT SCORE SERVICE
+ * Stores fit scores so a contact/product pair is scored once, not on every page load
+ *
+ * Each (re)calculation appends a FitScore version with the five dimension scores, the
+ * summary, the persona used, the mode (ai or rule-based), the model and prompt version,
+ * and the contact's pipeline stage at the time - so the history shows how a contact's
+ * fit changes as they move.
+ *
+ * Main functions:
+ * - Calculate and store a new version
+ * - Latest stored score for a contact/product pair
+ * - Score history for a contact/product pair
+ */
+
+import prisma from '../db.js';
+import { calculateFitScore } from './BusinessIntelligenceScoringService.js';
+import { FIT_SCORE_DIMENSIONS, FIT_SCORE_MODE } from '../config/fitScoreConfig.js';
+
+// Saving retries when another request takes the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+const FIT_SCORE_INCLUDE = {
+  persona: {
+    select: { id: true, name: true }
+  },
+  createdBy: {
+    select: { id: true, name: true, email: true }
+  }
+};
+
+/**
+ * Calculate a contact/product fit score and store it as the pair's next version
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} contactId - Contact ID
+ * @param {string} productId - Product ID (the offer)
+ * @param {Object} options
+ * @param {string} options.personaId - Persona to score with (optional)
+ * @param {string} options.createdById - Owner requesting the score (optional)
+ * @param {string} options.mode - 'ai' | 'rule-based' | 'auto' (default FIT_SCORE_MODE)
+ * @returns {Promise<Object>} - { success: true, fitScore, breakdown } or { success: false, error, code } when scoring failed
+ *   (breakdown: rule-based inputs, null for AI scores; code: LLM_PROVIDER_ERROR / AI_OUTPUT_INVALID for AI failures, null otherwise)
+ */
+export async function recordFitScore(companyHQId, contactId, productId, { personaId = null, createdById = null, mode = FIT_SCORE_MODE } = {}) {
+  const result = await calculateFitScore(contactId, productId, personaId, { mode });
+
+  if (!result.success) {
+    return { success: false, error: result.error || 'Failed to calculate fit score', code: result.code || null };
+  }
+
+  // Integers 0-20 (validated against FIT_SCORE_OUTPUT_SCHEMA, or from the scoring rules)
+  const dimensions = Object.fromEntries(
+    FIT_SCORE_DIMENSIONS.map(key => [key, result.scores[key]])
+  );
+
+  for (let attempt = 1; ; attempt += 1) {
+    const { _max: latest } = await prisma.fitScore.aggregate({
+      where: { contactId, productId },
+      _max: { version: true }
+    });
+
+    try {
+      const fitScore = await prisma.fitScore.create({
+        data: {
+          companyHQId,
+          contactId,
+          productId,
+          version: (latest.version || 0) + 1,
+          ...dimensions,
+          totalScore: Object.values(dimensions).reduce((sum, score) => sum + score, 0),
+          summary: result.summary || null,
+          personaId,
+          mode: result.mode,
+          fallbackReason: result.fallbackReason,
+          model: result.model,
+          promptVersion: result.promptVersion,
+          pipeline: result.pipeline?.pipeline || null,
+          stage: result.pipeline?.stage || null,
+          createdById
+        },
+        include: FIT_SCORE_INCLUDE
+      });
+
+      return { success: true, fitScore, breakdown: result.breakdown || null };
+    } catch (error) {
+      // Another save took this version number - take the next one
+      if (error.code !== 'P2002' || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Latest stored fit score for a contact/product pair
+ * @returns {Promise<Object|null>} - FitScore with persona and createdBy
+ */
+export async function getLatestFitScore(contactId, productId) {
+  return prisma.fitScore.findFirst({
+    where: { contactId, productId },
+    include: FIT_SCORE_INCLUDE,
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Every stored fit score for a contact/product pair (oldest first, for charting)
+ * @returns {Promise<Array>} - FitScores with persona and createdBy
+ */
+export async function getFitScoreHistory(contactId, productId) {
+  return prisma.fitScore.findMany({
+    where: { contactId, productId },
+    include: FIT_SCORE_INCLUDE,
+    orderBy: { version: 'asc' }
+  });
+}
+
+/**
+ * Response shape for a stored fit score (same scores object the routes have always returned)
+ * @param {Object} fitScore - FitScore
+ * @returns {Object} - { personaId, scores, summary, version, mode, fallbackReason, model, promptVersion, pipeline, stage, scoredAt }
+ */
+export function toFitScoreResponse(fitScore) {
+  return {
+    personaId: fitScore.personaId,
+    scores: {
+      ...Object.fromEntries(FIT_SCORE_DIMENSIONS.map(key => [key, fitScore[key]])),
+      totalScore: fitScore.totalScore
+    },
+    summary: fitScore.summary,
+    version: fitScore.version,
+    mode: fitScore.mode,
+    fallbackReason: fitScore.fallbackReason,
+    model: fitScore.model,
+    promptVersion: fitScore.promptVersion,
+    pipeline: fitScore.pipeline,
+    stage: fitScore.stage,
+    scoredAt: fitScore.createdAt
+  };
+}
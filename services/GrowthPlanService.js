@@ -0,0 +1,147 @@
+/**
+ * GrowthPlanService
+ * Chains the Revenue, Human Capital and Target Acquisition stacks into one growth plan
+ *
+ * - The revenue stack sets the unit economics: avgGrossPerUnit is the acquisition unit value,
+ *   orders per customer over the horizon are the units per customer, and (unless given)
+ *   the current run-rate over the horizon is the previous revenue
+ * - The target's monthly run-rate becomes the units the team must deliver each month,
+ *   checked against the human capital stack's capacity
+ * - Any hours the team can't cover are the hiring/contractor gap, costed with
+ *   calculateCostImplications
+ */
+
+import RevenueCalculationService from './RevenueCalculationService.js';
+import HumanCapitalCalculationService from './HumanCapitalCalculationService.js';
+import TargetAcquisitionCalculationService from './TargetAcquisitionCalculationService.js';
+import { GROWTH_PLAN_VERDICTS } from '../config/stackConfig.js';
+
+const WEEKS_PER_MONTH = 4; // Same as HumanCapitalCalculationService
+
+class GrowthPlanService {
+  /**
+   * Build a growth plan
+   * @param {Object} inputs - Growth plan inputs
+   * @param {Object} inputs.revenue - Revenue stack inputs (see RevenueCalculationService.calculateRevenue)
+   * @param {Object} inputs.humanCapital - Human capital stack inputs; totalUnitsPerMonth defaults to the revenue stack's units
+   * @param {Object} inputs.target - { targetRevenue, timeHorizon = 12, previousRevenue? }
+   * @param {number} inputs.avgHourlyRate - Team hourly rate for costs (default: 50)
+   * @param {number} inputs.contractorRate - Contractor hourly rate for costs (default: 75)
+   * @returns {Object} Growth plan
+   */
+  static buildGrowthPlan(inputs) {
+    const {
+      revenue: revenueInputs,
+      humanCapital: humanCapitalInputs,
+      target = {},
+      avgHourlyRate = 50,
+      contractorRate = 75
+    } = inputs;
+
+    if (!revenueInputs || !humanCapitalInputs || !target.targetRevenue) {
+      throw new Error('Missing required fields: revenue, humanCapital, target.targetRevenue');
+    }
+
+    const hourlyRate = parseFloat(avgHourlyRate);
+    const contractorHourlyRate = parseFloat(contractorRate);
+    if (isNaN(hourlyRate) || isNaN(contractorHourlyRate) || hourlyRate < 0 || contractorHourlyRate < 0) {
+      throw new Error('avgHourlyRate and contractorRate must be non-negative numbers');
+    }
+
+    // Revenue stack → unit economics for the acquisition target
+    const revenue = RevenueCalculationService.calculateRevenue(revenueInputs);
+    const horizon = parseInt(target.timeHorizon ?? 12);
+
+    if (isNaN(horizon) || horizon <= 0) {
+      throw new Error('target.timeHorizon must be a positive number of months');
+    }
+
+    const acquisition = TargetAcquisitionCalculationService.calculateTargetAcquisition({
+      previousRevenue: target.previousRevenue ?? revenue.monthlyRevenue * horizon,
+      targetRevenue: target.targetRevenue,
+      avgUnitValue: revenue.avgGrossPerUnit,
+      avgUnitsPerCustomer: revenue.avgOrdersPerMonthPerCustomer * horizon,
+      timeHorizon: horizon
+    });
+
+    // Units per month the team must deliver at the current and target run-rates
+    const currentUnitsPerMonth = Math.ceil(humanCapitalInputs.totalUnitsPerMonth ?? revenue.totalUnitsPerMonth);
+    const requiredUnitsPerMonth = Math.ceil(acquisition.monthlyTarget / revenue.avgGrossPerUnit);
+
+    const currentCapacity = HumanCapitalCalculationService.calculateHumanCapital({
+      ...humanCapitalInputs,
+      totalUnitsPerMonth: currentUnitsPerMonth
+    });
+    const plannedCapacity = HumanCapitalCalculationService.calculateHumanCapital({
+      ...humanCapitalInputs,
+      totalUnitsPerMonth: requiredUnitsPerMonth
+    });
+
+    const gap = this.calculateCapacityGap(plannedCapacity, hourlyRate, contractorHourlyRate);
+    const feasibility = TargetAcquisitionCalculationService.calculateAcquisitionFeasibility(acquisition, plannedCapacity);
+
+    // Cost of delivering the target with the gap covered by contractors
+    const costs = {
+      current: HumanCapitalCalculationService.calculateCostImplications(currentCapacity, hourlyRate, contractorHourlyRate),
+      planned: HumanCapitalCalculationService.calculateCostImplications({
+        ...plannedCapacity,
+        contractorHours: plannedCapacity.contractorHours + gap.hours,
+        totalCapacity: plannedCapacity.totalCapacity + gap.hours
+      }, hourlyRate, contractorHourlyRate)
+    };
+
+    return {
+      verdict: this.getVerdict(plannedCapacity, feasibility),
+      revenue,
+      acquisition,
+      velocity: TargetAcquisitionCalculationService.calculateAcquisitionVelocity(acquisition),
+      capacity: {
+        currentUnitsPerMonth,
+        requiredUnitsPerMonth,
+        current: currentCapacity,
+        planned: plannedCapacity,
+        recommendations: HumanCapitalCalculationService.calculateCapacityRecommendations(plannedCapacity)
+      },
+      gap,
+      costs,
+      feasibility
+    };
+  }
+
+  /**
+   * Hours the team can't cover at the planned volume, as hires or contractor hours
+   * @param {Object} plannedCapacity - calculateHumanCapital result at the required units
+   * @param {number} avgHourlyRate - Team hourly rate
+   * @param {number} contractorRate - Contractor hourly rate
+   * @returns {Object} { hours, teamMembers, contractorHours, monthlyCost: { hire, contractors } }
+   */
+  static calculateCapacityGap(plannedCapacity, avgHourlyRate, contractorRate) {
+    const { totalNeededHours, totalCapacity, avgHoursPerWeek } = plannedCapacity;
+    const hours = Math.max(totalNeededHours - totalCapacity, 0);
+    const teamMembers = Math.ceil(hours / (avgHoursPerWeek * WEEKS_PER_MONTH));
+
+    return {
+      hours,
+      teamMembers,
+      contractorHours: hours,
+      monthlyCost: {
+        hire: teamMembers * avgHoursPerWeek * WEEKS_PER_MONTH * avgHourlyRate,
+        contractors: hours * contractorRate
+      }
+    };
+  }
+
+  /**
+   * Combined verdict
+   * @param {Object} plannedCapacity - calculateHumanCapital result at the required units
+   * @param {Object} feasibility - calculateAcquisitionFeasibility result
+   * @returns {string} One of GROWTH_PLAN_VERDICTS
+   */
+  static getVerdict(plannedCapacity, feasibility) {
+    if (plannedCapacity.utilization > 100) return GROWTH_PLAN_VERDICTS.NEEDS_CAPACITY;
+    if (!feasibility.isFeasible || feasibility.warnings.length > 0) return GROWTH_PLAN_VERDICTS.STRETCH;
+    return GROWTH_PLAN_VERDICTS.FEASIBLE;
+  }
+}
+
+export default GrowthPlanService;
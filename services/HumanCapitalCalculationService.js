@@ -272,7 +272,7 @@ class HumanCapitalCalculationService {
    * @returns {Object} Cost implications
    */
   static calculateCostImplications(humanCapitalData, avgHourlyRate = 50, contractorRate = 75) {
-    const { totalCapacity, totalNeededHours, contractorHours, totalTeamMembers } = humanCapitalData;
+    const { totalCapacity, totalNeededHours, contractorHours, totalTeamMembers, totalUnitsPerMonth } = humanCapitalData;
     
     const teamCost = (totalCapacity - contractorHours) * avgHourlyRate;
     const contractorCost = contractorHours * contractorRate;
@@ -0,0 +1,176 @@
+/**
+ * LLM PROVIDER SERVICE
+ * One place every AI call goes through - the provider, model, temperature, timeout and
+ * retries all come from config/llmConfig.js (environment)
+ *
+ * Providers:
+ * - openai: OpenAI chat completions (client created on first use)
+ * - stub: deterministic canned responses per task, no network - for CI and offline dev.
+ *   Fit scores are derived from a hash of the prompt, so different contacts still rank
+ *   differently but the same contact always gets the same score.
+ *
+ * Provider failures (after the client's retries) are thrown as LLMProviderError.
+ *
+ * Main functions:
+ * - Run a chat completion through the configured provider
+ * - Describe the configured provider (name, model)
+ */
+
+import OpenAI from 'openai';
+import {
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  LLM_PROVIDER,
+  LLM_MODEL,
+  LLM_TEMPERATURE,
+  LLM_TIMEOUT_MS,
+  LLM_MAX_RETRIES,
+  isValidLLMProvider
+} from '../config/llmConfig.js';
+
+/**
+ * Thrown when the provider call fails (network, timeout, auth, rate limit, unknown stub task)
+ */
+export class LLMProviderError extends Error {
+  constructor(message, { provider, task = null, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.code = 'LLM_PROVIDER_ERROR';
+    this.provider = provider;
+    this.task = task;
+    this.cause = cause;
+  }
+}
+
+let openaiClient = null;
+
+const getOpenAIClient = () => {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: LLM_TIMEOUT_MS,
+      maxRetries: LLM_MAX_RETRIES
+    });
+  }
+  return openaiClient;
+};
+
+const openaiProvider = {
+  async complete({ messages, model, temperature, maxTokens }) {
+    const completion = await getOpenAIClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {})
+    });
+
+    return {
+      content: completion.choices?.[0]?.message?.content || '',
+      model: completion.model || model
+    };
+  }
+};
+
+// FNV-1a hash - a stable seed from the prompt
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+const STUB_RESPONSES = {
+  [LLM_TASKS.FIT_SCORE]: (seed) => {
+    // 6-18 per dimension (partial to strong), 4 bits of the seed each
+    const [pointOfNeed, painAlignment, willingnessToPay, impactPotential, contextFit] =
+      [0, 1, 2, 3, 4].map(i => 6 + ((seed >>> (i * 4)) % 13));
+
+    return JSON.stringify({
+      point_of_need: pointOfNeed,
+      pain_alignment: painAlignment,
+      willingness_to_pay: willingnessToPay,
+      impact_potential: impactPotential,
+      context_fit: contextFit,
+      total_score: pointOfNeed + painAlignment + willingnessToPay + impactPotential + contextFit,
+      summary: 'Stub fit score (offline LLM provider) - derived from the prompt, not a model.'
+    });
+  },
+
+  [LLM_TASKS.ASSESSMENT_INSIGHTS]: () => JSON.stringify({
+    relateWithUser: 'It sounds like you are carrying most of the work yourself and want to grow without adding more hours to your week.',
+    growthNeeds: 'To get there, you need a steady business development rhythm and a clear plan for handing off delivery work as new clients come in.'
+  }),
+
+  [LLM_TASKS.ASSESSMENT_DEMO]: () => JSON.stringify({
+    relateWithUser: 'It sounds like you are feeling stretched thin and want more clients. You want growth that does not depend on you doing everything.',
+    growthNeeds: 'To get there, you need consistent business development activities and a systematic approach to delegation as your pipeline grows.'
+  })
+};
+
+const stubProvider = {
+  async complete({ task, messages, model }) {
+    const respond = STUB_RESPONSES[task];
+    if (!respond) {
+      throw new Error(`Stub LLM provider has no canned response for task "${task}"`);
+    }
+
+    const prompt = messages.map(message => message.content).join('\n');
+    return {
+      content: respond(hashString(prompt)),
+      model: `stub:${model}`
+    };
+  }
+};
+
+const PROVIDERS = {
+  [LLM_PROVIDERS.OPENAI]: openaiProvider,
+  [LLM_PROVIDERS.STUB]: stubProvider
+};
+
+if (!isValidLLMProvider(LLM_PROVIDER)) {
+  console.warn(`⚠️ Unknown LLM_PROVIDER "${LLM_PROVIDER}" - using ${LLM_PROVIDERS.OPENAI}`);
+}
+
+const providerName = isValidLLMProvider(LLM_PROVIDER) ? LLM_PROVIDER : LLM_PROVIDERS.OPENAI;
+
+/**
+ * Run a chat completion through the configured provider
+ * @param {Object} request
+ * @param {string} request.task - One of LLM_TASKS (the stub provider's canned response)
+ * @param {Array} request.messages - [{ role, content }]
+ * @param {number} request.temperature - Override LLM_TEMPERATURE (optional)
+ * @param {number} request.maxTokens - Response token limit (optional)
+ * @returns {Promise<Object>} - { content, model, provider }
+ * @throws {LLMProviderError} - When the provider call fails
+ */
+export async function completeChat({ task, messages, temperature = LLM_TEMPERATURE, maxTokens = null }) {
+  try {
+    const { content, model } = await PROVIDERS[providerName].complete({
+      task,
+      messages,
+      model: LLM_MODEL,
+      temperature,
+      maxTokens
+    });
+
+    return { content, model, provider: providerName };
+  } catch (error) {
+    throw new LLMProviderError(`LLM provider "${providerName}" failed: ${error.message}`, {
+      provider: providerName,
+      task,
+      cause: error
+    });
+  }
+}
+
+/**
+ * The configured provider and model
+ * @returns {Object} - { provider, model }
+ */
+export function getLLMProviderInfo() {
+  return { provider: providerName, model: LLM_MODEL };
+}
+
+export default completeChat;
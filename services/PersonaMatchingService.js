@@ -0,0 +1,473 @@
+/**
+ * PERSONA MATCHING SERVICE
+ * Ranks a CompanyHQ's personas against a contact, with a score breakdown for each
+ *
+ * Signals (100 points):
+ * - Title similarity (40): token overlap between the contact's title and the persona's
+ *   title or role, after synonyms are folded ("Head of Revenue" ~ "VP Sales")
+ * - Seniority (20): level extracted from the titles (executive, VP, director, manager,
+ *   individual contributor) - full points for the same level, half for one level apart
+ * - Industry (25): industries normalized to a canonical group ("SaaS" ~ "Software")
+ * - Buyer decision (15): the contact's buyerDecision fits the persona's seniority
+ *
+ * A match the user confirms is stored on the contact (Contact.personaId) and wins over
+ * the ranking wherever a persona is picked automatically (findMatchingPersona).
+ *
+ * Main functions:
+ * - Extract seniority / title tokens / industries
+ * - Rank personas for a contact (pure)
+ * - Persona matches for a stored contact
+ * - Confirm (or clear) a contact's persona
+ * - Resolve the persona to use for a contact
+ */
+
+import prisma from '../db.js';
+import { NOT_DELETED } from './TrashService.js';
+import { BUYER_TYPES } from '../buyerconfig.js';
+
+/**
+ * Thrown when a persona can't be confirmed for a contact (missing, trashed or another tenant's)
+ */
+export class PersonaMatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PersonaMatchError';
+  }
+}
+
+const WEIGHTS = {
+  title: 40,
+  seniority: 20,
+  industry: 25,
+  buyerDecision: 15
+};
+
+// Lowest score findMatchingPersona will auto-pick
+export const DEFAULT_MIN_PERSONA_MATCH_SCORE = 30;
+
+export const SENIORITY_LEVELS = {
+  EXECUTIVE: 5,
+  VP: 4,
+  DIRECTOR: 3,
+  MANAGER: 2,
+  INDIVIDUAL: 1
+};
+
+const SENIORITY_NAMES = Object.fromEntries(
+  Object.entries(SENIORITY_LEVELS).map(([name, level]) => [level, name.toLowerCase()])
+);
+
+// Title words that set seniority (not compared as title tokens)
+const SENIORITY_WORDS = {
+  chief: SENIORITY_LEVELS.EXECUTIVE,
+  founder: SENIORITY_LEVELS.EXECUTIVE,
+  cofounder: SENIORITY_LEVELS.EXECUTIVE,
+  owner: SENIORITY_LEVELS.EXECUTIVE,
+  president: SENIORITY_LEVELS.EXECUTIVE,
+  partner: SENIORITY_LEVELS.EXECUTIVE,
+  principal: SENIORITY_LEVELS.EXECUTIVE,
+  vp: SENIORITY_LEVELS.VP,
+  svp: SENIORITY_LEVELS.VP,
+  evp: SENIORITY_LEVELS.VP,
+  avp: SENIORITY_LEVELS.VP,
+  vice: SENIORITY_LEVELS.VP,
+  head: SENIORITY_LEVELS.DIRECTOR,
+  director: SENIORITY_LEVELS.DIRECTOR,
+  dir: SENIORITY_LEVELS.DIRECTOR,
+  manager: SENIORITY_LEVELS.MANAGER,
+  mgr: SENIORITY_LEVELS.MANAGER,
+  lead: SENIORITY_LEVELS.MANAGER,
+  supervisor: SENIORITY_LEVELS.MANAGER,
+  specialist: SENIORITY_LEVELS.INDIVIDUAL,
+  associate: SENIORITY_LEVELS.INDIVIDUAL,
+  representative: SENIORITY_LEVELS.INDIVIDUAL,
+  rep: SENIORITY_LEVELS.INDIVIDUAL,
+  coordinator: SENIORITY_LEVELS.INDIVIDUAL,
+  analyst: SENIORITY_LEVELS.INDIVIDUAL,
+  assistant: SENIORITY_LEVELS.INDIVIDUAL
+};
+
+// C-suite abbreviations: executive seniority plus the function they run
+const C_SUITE_TITLES = {
+  ceo: 'general',
+  coo: 'operations',
+  cfo: 'finance',
+  cto: 'engineering',
+  cio: 'it',
+  cmo: 'marketing',
+  cro: 'sales',
+  cso: 'sales',
+  cpo: 'product',
+  chro: 'people'
+};
+
+// Multi-word phrases folded before tokenizing
+const TITLE_PHRASES = [
+  [/\bbusiness development\b/g, 'sales'],
+  [/\bbiz ?dev\b/g, 'sales'],
+  [/\bgo[- ]to[- ]market\b/g, 'sales'],
+  [/\bhuman resources\b/g, 'people'],
+  [/\bcustomer success\b/g, 'customer'],
+  [/\bvice president\b/g, 'vp'],
+  [/\bco[- ]founder\b/g, 'cofounder']
+];
+
+// Title synonyms → canonical function token
+const TITLE_SYNONYMS = {
+  sales: 'sales',
+  revenue: 'sales',
+  bd: 'sales',
+  commercial: 'sales',
+  growth: 'sales',
+  account: 'sales',
+  accounts: 'sales',
+  marketing: 'marketing',
+  brand: 'marketing',
+  demand: 'marketing',
+  communications: 'marketing',
+  finance: 'finance',
+  financial: 'finance',
+  accounting: 'finance',
+  controller: 'finance',
+  treasury: 'finance',
+  operations: 'operations',
+  ops: 'operations',
+  engineering: 'engineering',
+  engineer: 'engineering',
+  technology: 'engineering',
+  technical: 'engineering',
+  software: 'engineering',
+  product: 'product',
+  hr: 'people',
+  people: 'people',
+  talent: 'people',
+  recruiting: 'people',
+  it: 'it',
+  infrastructure: 'it',
+  customer: 'customer',
+  support: 'customer',
+  service: 'customer',
+  success: 'customer'
+};
+
+// Words that say nothing about the role
+const TITLE_STOP_WORDS = new Set([
+  'of', 'and', 'the', 'for', 'at', 'to', 'in', 'senior', 'sr', 'junior', 'jr', 'global',
+  'regional', 'executive', 'officer', 'team', 'group', 'department'
+]);
+
+// Industry aliases → canonical industry
+const INDUSTRY_GROUPS = {
+  technology: ['technology', 'tech', 'saas', 'software', 'internet', 'cloud', 'it', 'cybersecurity', 'ai'],
+  'financial-services': ['finance', 'financial', 'fintech', 'banking', 'bank', 'insurance', 'investment', 'wealth'],
+  healthcare: ['healthcare', 'health', 'medical', 'hospital', 'pharma', 'pharmaceutical', 'biotech', 'clinical'],
+  manufacturing: ['manufacturing', 'industrial', 'factory', 'automotive', 'aerospace'],
+  retail: ['retail', 'ecommerce', 'commerce', 'consumer', 'cpg'],
+  'professional-services': ['consulting', 'consultancy', 'agency', 'legal', 'law', 'accounting', 'advisory'],
+  'real-estate': ['realestate', 'property', 'construction', 'proptech'],
+  education: ['education', 'edtech', 'school', 'university', 'training'],
+  nonprofit: ['nonprofit', 'ngo', 'charity', 'foundation'],
+  media: ['media', 'publishing', 'entertainment', 'advertising']
+};
+
+const INDUSTRY_LOOKUP = new Map();
+Object.entries(INDUSTRY_GROUPS).forEach(([industry, aliases]) => aliases.forEach(alias => INDUSTRY_LOOKUP.set(alias, industry)));
+
+// buyerDecision → does a persona at this seniority level fit it
+const BUYER_DECISION_FITS = {
+  [BUYER_TYPES.SENIOR_PERSON]: (level) => level >= SENIORITY_LEVELS.DIRECTOR,
+  [BUYER_TYPES.HAS_MONEY]: (level) => level >= SENIORITY_LEVELS.VP,
+  [BUYER_TYPES.PRODUCT_USER]: (level) => level <= SENIORITY_LEVELS.MANAGER
+};
+
+const PERSONA_SELECT = {
+  id: true,
+  name: true,
+  role: true,
+  title: true,
+  industry: true,
+  productId: true
+};
+
+// Own keys only - a title word like "constructor" must not hit Object.prototype
+const lookup = (table, word) => (Object.hasOwn(table, word) ? table[word] : undefined);
+
+const words = (text) => {
+  let normalized = (text || '').toLowerCase().replace(/&/g, ' and ');
+  TITLE_PHRASES.forEach(([pattern, replacement]) => {
+    normalized = normalized.replace(pattern, replacement);
+  });
+  return normalized.match(/[a-z0-9]+/g) || [];
+};
+
+/**
+ * Seniority level in a title ("Head of Revenue" → DIRECTOR)
+ * The most senior word wins ("VP, Sales Manager" → VP)
+ * @param {string} title
+ * @returns {number|null} - One of SENIORITY_LEVELS, or null when the title doesn't say
+ */
+export function extractSeniority(title) {
+  const levels = words(title)
+    .map(word => (lookup(C_SUITE_TITLES, word) ? SENIORITY_LEVELS.EXECUTIVE : lookup(SENIORITY_WORDS, word)))
+    .filter(Boolean);
+
+  return levels.length ? Math.max(...levels) : null;
+}
+
+/**
+ * Function tokens in a title - seniority and filler words dropped, synonyms folded
+ * ("Head of Revenue" → ["sales"], "CMO" → ["marketing"])
+ * @param {string} title
+ * @returns {string[]}
+ */
+export function extractTitleTokens(title) {
+  const tokens = words(title)
+    .map(word => lookup(C_SUITE_TITLES, word) || word)
+    .filter(word => !lookup(SENIORITY_WORDS, word) && !TITLE_STOP_WORDS.has(word))
+    .map(word => lookup(TITLE_SYNONYMS, word) || word);
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Canonical industries named in an industry field ("B2B SaaS" → ["technology"])
+ * Unknown industries are kept as their lowercased text so exact matches still count
+ * @param {string} industry
+ * @returns {string[]}
+ */
+export function normalizeIndustry(industry) {
+  const text = (industry || '').toLowerCase().replace(/real estate/g, 'realestate').replace(/e-commerce/g, 'ecommerce');
+  const canonical = (text.match(/[a-z0-9]+/g) || [])
+    .map(word => INDUSTRY_LOOKUP.get(word))
+    .filter(Boolean);
+
+  if (canonical.length) {
+    return [...new Set(canonical)];
+  }
+  return text.trim() ? [text.trim()] : [];
+}
+
+// Share of tokens in common (Jaccard, 0-1)
+const tokenSimilarity = (a, b) => {
+  if (!a.length || !b.length) {
+    return 0;
+  }
+  const shared = a.filter(token => b.includes(token));
+  return shared.length / new Set([...a, ...b]).size;
+};
+
+/**
+ * Score one persona against a contact
+ * @param {Object} contact - Contact with title, buyerDecision and contactCompany.industry
+ * @param {Object} persona - Persona
+ * @returns {Object} - { score (0-100), breakdown: { title, seniority, industry, buyerDecision }, reasons }
+ */
+export function scorePersona(contact, persona) {
+  const reasons = [];
+
+  // Title: best of the persona's title and role
+  const contactTokens = extractTitleTokens(contact.title);
+  const [bestTitle] = [persona.title, persona.role]
+    .filter(Boolean)
+    .map(text => {
+      const personaTokens = extractTitleTokens(text);
+      return {
+        personaTokens,
+        matched: contactTokens.filter(token => personaTokens.includes(token)),
+        similarity: tokenSimilarity(contactTokens, personaTokens)
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const title = {
+    score: Math.round((bestTitle?.similarity || 0) * WEIGHTS.title),
+    max: WEIGHTS.title,
+    contactTokens,
+    personaTokens: bestTitle?.personaTokens || [],
+    matched: bestTitle?.matched || []
+  };
+  if (!contactTokens.length) {
+    reasons.push('Contact has no title to compare');
+  } else if (title.matched.length) {
+    reasons.push(`Title overlaps on: ${title.matched.join(', ')}`);
+  } else {
+    reasons.push('Title has no overlap with the persona');
+  }
+
+  // Seniority
+  const contactLevel = extractSeniority(contact.title);
+  const personaLevel = extractSeniority(persona.title) ?? extractSeniority(persona.role);
+  let seniorityScore = 0;
+  if (contactLevel && personaLevel) {
+    const gap = Math.abs(contactLevel - personaLevel);
+    seniorityScore = gap === 0 ? WEIGHTS.seniority : gap === 1 ? Math.round(WEIGHTS.seniority / 2) : 0;
+    reasons.push(gap === 0
+      ? `Same seniority (${SENIORITY_NAMES[contactLevel]})`
+      : `Seniority ${SENIORITY_NAMES[contactLevel]} vs persona ${SENIORITY_NAMES[personaLevel]}`);
+  } else {
+    reasons.push('Seniority unknown');
+  }
+  const seniority = {
+    score: seniorityScore,
+    max: WEIGHTS.seniority,
+    contact: SENIORITY_NAMES[contactLevel] || null,
+    persona: SENIORITY_NAMES[personaLevel] || null
+  };
+
+  // Industry
+  const contactIndustries = normalizeIndustry(contact.contactCompany?.industry);
+  const personaIndustries = normalizeIndustry(persona.industry);
+  const industryMatch = contactIndustries.some(industry => personaIndustries.includes(industry));
+  const industry = {
+    score: industryMatch ? WEIGHTS.industry : 0,
+    max: WEIGHTS.industry,
+    contact: contactIndustries,
+    persona: personaIndustries
+  };
+  if (!contactIndustries.length || !personaIndustries.length) {
+    reasons.push('Industry unknown');
+  } else {
+    reasons.push(industryMatch ? `Same industry (${contactIndustries.find(i => personaIndustries.includes(i))})` : 'Different industry');
+  }
+
+  // Buyer decision vs the persona's seniority
+  const fits = BUYER_DECISION_FITS[contact.buyerDecision];
+  const buyerFit = Boolean(fits && personaLevel && fits(personaLevel));
+  const buyerDecision = {
+    score: buyerFit ? WEIGHTS.buyerDecision : 0,
+    max: WEIGHTS.buyerDecision,
+    buyerDecision: contact.buyerDecision || null,
+    personaSeniority: SENIORITY_NAMES[personaLevel] || null
+  };
+  if (fits && personaLevel) {
+    reasons.push(`Buyer type ${contact.buyerDecision} ${buyerFit ? 'fits' : 'does not fit'} the persona's seniority (${SENIORITY_NAMES[personaLevel]})`);
+  }
+
+  const breakdown = { title, seniority, industry, buyerDecision };
+  const score = Object.values(breakdown).reduce((sum, signal) => sum + signal.score, 0);
+
+  return { score, breakdown, reasons };
+}
+
+/**
+ * Rank personas for a contact (best first; ties broken by title score, then name)
+ * @param {Object} contact - Contact with title, buyerDecision, personaId and contactCompany.industry
+ * @param {Array} personas - Personas to rank
+ * @returns {Array} - [{ rank, persona, score, confirmed, breakdown, reasons }]
+ */
+export function rankPersonas(contact, personas) {
+  return personas
+    .map(persona => ({
+      persona,
+      confirmed: contact.personaId === persona.id,
+      ...scorePersona(contact, persona)
+    }))
+    .sort((a, b) => (
+      b.score - a.score ||
+      b.breakdown.title.score - a.breakdown.title.score ||
+      (a.persona.name || '').localeCompare(b.persona.name || '')
+    ))
+    .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+}
+
+// Contact with what scoring needs (null when missing or trashed)
+const loadContact = (contactId) => prisma.contact.findUnique({
+  where: { id: contactId, ...NOT_DELETED },
+  select: {
+    id: true,
+    crmId: true,
+    title: true,
+    buyerDecision: true,
+    personaId: true,
+    contactCompany: {
+      select: { industry: true }
+    }
+  }
+});
+
+/**
+ * Every persona in the contact's CompanyHQ, ranked against the contact
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>} - { contactId, personaId (confirmed, or null), candidates } or null if the contact is missing
+ */
+export async function getPersonaMatches(contactId) {
+  const contact = await loadContact(contactId);
+  if (!contact) {
+    return null;
+  }
+
+  const personas = await prisma.persona.findMany({
+    where: { companyHQId: contact.crmId, ...NOT_DELETED },
+    select: PERSONA_SELECT
+  });
+
+  const candidates = rankPersonas(contact, personas);
+
+  return {
+    contactId,
+    // A trashed persona stays on the contact but isn't a candidate - it doesn't count as confirmed
+    personaId: candidates.some(candidate => candidate.confirmed) ? contact.personaId : null,
+    candidates
+  };
+}
+
+/**
+ * Confirm a contact's persona - fit scoring uses it from then on
+ * @param {string} contactId - Contact ID
+ * @param {string|null} personaId - Persona ID (null clears the confirmed persona)
+ * @returns {Promise<Object|null>} - Updated contact { id, personaId, persona } (null if the contact is
+ *   missing or trashed)
+ * @throws {PersonaMatchError} - When the persona is missing, trashed or in another CompanyHQ
+ */
+export async function confirmContactPersona(contactId, personaId) {
+  const [contact, persona] = await Promise.all([
+    prisma.contact.findUnique({ where: { id: contactId, ...NOT_DELETED }, select: { crmId: true } }),
+    personaId
+      ? prisma.persona.findUnique({ where: { id: personaId, ...NOT_DELETED }, select: { companyHQId: true } })
+      : null
+  ]);
+
+  if (!contact) {
+    return null;
+  }
+
+  if (personaId && persona?.companyHQId !== contact.crmId) {
+    throw new PersonaMatchError('Persona not found');
+  }
+
+  return prisma.contact.update({
+    where: { id: contactId, ...NOT_DELETED },
+    data: { personaId: personaId || null },
+    select: {
+      id: true,
+      personaId: true,
+      persona: { select: PERSONA_SELECT }
+    }
+  });
+}
+
+/**
+ * Persona to use for a contact: the confirmed one, else the best match scoring at least minScore
+ * @param {string} contactId - Contact ID
+ * @param {Object} options - { minScore } (default DEFAULT_MIN_PERSONA_MATCH_SCORE)
+ * @returns {Promise<string|null>} - Persona ID or null
+ */
+export async function resolveContactPersonaId(contactId, { minScore = DEFAULT_MIN_PERSONA_MATCH_SCORE } = {}) {
+  const matches = await getPersonaMatches(contactId);
+  if (!matches) {
+    return null;
+  }
+  if (matches.personaId) {
+    return matches.personaId;
+  }
+
+  const [best] = matches.candidates;
+  return best && best.score >= minScore ? best.persona.id : null;
+}
+
+export default {
+  rankPersonas,
+  getPersonaMatches,
+  confirmContactPersona,
+  resolveContactPersonaId
+};
@@ -0,0 +1,294 @@
+/**
+ * PIPELINE ANALYTICS SERVICE
+ * BD analytics for a CompanyHQ, built from the stage-transition log
+ *
+ * All metrics cover a date range [from, to):
+ * - Funnel: contacts that reached each stage of a pipeline in the range (entering a later
+ *   stage counts as reaching the earlier ones) and the stage-to-stage conversion rate
+ * - Velocity: median days in each stage, over stays that ended in the range
+ * - Win rate: contacts that entered the prospect pipeline in the range and went on to
+ *   reach the client pipeline (see WIN_RATE_PIPELINES)
+ * - Volume: contacts entering each pipeline per week/month, broken down by howMet and
+ *   buyerDecision
+ *
+ * Trashed contacts are excluded. Stages are ordered by the CompanyHQ's definitions;
+ * transitions into removed stages only show up in volume.
+ *
+ * Main functions:
+ * - Bucket dates into weeks/months
+ * - Compute the full BD analytics report
+ */
+
+import prisma from '../db.js';
+import { computeStageStays } from './PipelineHistoryService.js';
+import { getPipelineDefinitions } from './PipelineDefinitionService.js';
+import { HOW_MET_TYPES, HOW_MET_LABELS } from '../config/howMetConfig.js';
+import { BUYER_TYPES, BUYER_LABELS } from '../buyerconfig.js';
+import {
+  ANALYTICS_INTERVALS,
+  WIN_RATE_PIPELINES,
+  UNKNOWN_BREAKDOWN_KEY
+} from '../config/analyticsConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Ratio rounded to 3 places (null when there is nothing to divide by)
+const rate = (numerator, denominator) => (denominator > 0 ? round(numerator / denominator, 3) : null);
+
+const medianDays = (durations) => {
+  if (durations.length === 0) return null;
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return round(median / DAY_MS, 1);
+};
+
+/**
+ * Start of the week (Monday, UTC) or month containing a date
+ * @param {Date} date
+ * @param {string} interval - "week" | "month"
+ * @returns {Date}
+ */
+export function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === ANALYTICS_INTERVALS.MONTH) {
+    start.setUTCDate(1);
+  } else {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+/**
+ * Every period touching [from, to), oldest first
+ * @returns {Date[]} - Period start dates
+ */
+export function listPeriods(from, to, interval) {
+  const periods = [];
+  const cursor = periodStart(from, interval);
+  while (cursor < to) {
+    periods.push(new Date(cursor));
+    if (interval === ANALYTICS_INTERVALS.MONTH) {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    } else {
+      cursor.setUTCDate(cursor.getUTCDate() + 7);
+    }
+  }
+  return periods;
+}
+
+const periodKey = (date) => date.toISOString().slice(0, 10);
+
+// Zeroed breakdown over the configured values plus "unknown"
+const emptyBreakdown = (values) => Object.fromEntries([...values, UNKNOWN_BREAKDOWN_KEY].map(value => [value, 0]));
+
+const breakdownKey = (value, values) => (values.includes(value) ? value : UNKNOWN_BREAKDOWN_KEY);
+
+const inRange = (date, from, to) => date >= from && date < to;
+
+// Did this transition bring the contact into a pipeline (rather than move it within one)?
+const entersPipeline = (transition) => transition.fromPipeline !== transition.toPipeline;
+
+/**
+ * Funnel for one pipeline
+ * @returns {Array} - [{ stage, label, reached, entered, conversionToNext }]
+ */
+const buildFunnel = (definition, byContact, from, to) => {
+  const stageKeys = definition.stages.map(s => s.key);
+  const reached = stageKeys.map(() => 0);
+  const entered = stageKeys.map(() => 0);
+
+  for (const transitions of byContact.values()) {
+    const indexes = transitions
+      .filter(t => t.toPipeline === definition.key && inRange(t.occurredAt, from, to))
+      .map(t => stageKeys.indexOf(t.toStage))
+      .filter(index => index !== -1);
+
+    if (indexes.length === 0) continue;
+
+    new Set(indexes).forEach(index => { entered[index] += 1; });
+    const furthest = Math.max(...indexes);
+    for (let index = 0; index <= furthest; index += 1) {
+      reached[index] += 1;
+    }
+  }
+
+  return definition.stages.map((stage, index) => ({
+    stage: stage.key,
+    label: stage.label,
+    reached: reached[index],
+    entered: entered[index],
+    conversionToNext: index < stageKeys.length - 1 ? rate(reached[index + 1], reached[index]) : null
+  }));
+};
+
+/**
+ * Median days in each stage of one pipeline, over stays that ended in the range
+ * @returns {Array} - [{ stage, label, medianDays, completedStays }]
+ */
+const buildVelocity = (definition, staysByContact, from, to) => {
+  const durations = new Map(definition.stages.map(stage => [stage.key, []]));
+
+  for (const stays of staysByContact) {
+    for (const stay of stays) {
+      if (stay.pipeline !== definition.key || stay.current || !inRange(stay.exitedAt, from, to)) continue;
+      durations.get(stay.stage)?.push(stay.durationMs);
+    }
+  }
+
+  return definition.stages.map(stage => ({
+    stage: stage.key,
+    label: stage.label,
+    medianDays: medianDays(durations.get(stage.key)),
+    completedStays: durations.get(stage.key).length
+  }));
+};
+
+/**
+ * Win rate: contacts entering WIN_RATE_PIPELINES.from in the range that reached WIN_RATE_PIPELINES.to
+ * (a win after the end of the range is not counted)
+ * @returns {Object} - { fromPipeline, toPipeline, entered, won, winRate, medianDaysToWin }
+ */
+const buildWinRate = (byContact, from, to) => {
+  let entered = 0;
+  const daysToWin = [];
+
+  for (const transitions of byContact.values()) {
+    const entry = transitions.find(t => t.toPipeline === WIN_RATE_PIPELINES.from && entersPipeline(t) && inRange(t.occurredAt, from, to));
+    if (!entry) continue;
+
+    entered += 1;
+    const win = transitions.find(t => (
+      t.toPipeline === WIN_RATE_PIPELINES.to && entersPipeline(t) && t.occurredAt >= entry.occurredAt && t.occurredAt < to
+    ));
+    if (win) {
+      daysToWin.push(win.occurredAt - entry.occurredAt);
+    }
+  }
+
+  return {
+    fromPipeline: WIN_RATE_PIPELINES.from,
+    toPipeline: WIN_RATE_PIPELINES.to,
+    entered,
+    won: daysToWin.length,
+    winRate: rate(daysToWin.length, entered),
+    medianDaysToWin: medianDays(daysToWin)
+  };
+};
+
+/**
+ * Contacts entering each pipeline per period, with howMet/buyerDecision breakdowns
+ * @returns {Object} - { [pipeline]: { total, byHowMet, byBuyerDecision, periods: [{ period, count, byHowMet, byBuyerDecision }] } }
+ */
+const buildVolume = (pipelineKeys, transitions, periods, interval) => {
+  const howMetValues = Object.values(HOW_MET_TYPES);
+  const buyerValues = Object.values(BUYER_TYPES);
+
+  const emptyCounts = () => ({
+    count: 0,
+    byHowMet: emptyBreakdown(howMetValues),
+    byBuyerDecision: emptyBreakdown(buyerValues)
+  });
+
+  const volume = {};
+  for (const key of pipelineKeys) {
+    const { count, ...totals } = emptyCounts();
+    volume[key] = {
+      total: count,
+      ...totals,
+      periods: periods.map(period => ({ period: periodKey(period), ...emptyCounts() }))
+    };
+  }
+  const periodIndex = new Map(periods.map((period, index) => [periodKey(period), index]));
+
+  for (const transition of transitions) {
+    const pipelineVolume = volume[transition.toPipeline];
+    if (!pipelineVolume) continue;
+
+    const howMet = breakdownKey(transition.contact.howMet, howMetValues);
+    const buyerDecision = breakdownKey(transition.contact.buyerDecision, buyerValues);
+    const bucket = pipelineVolume.periods[periodIndex.get(periodKey(periodStart(transition.occurredAt, interval)))];
+
+    for (const counts of [bucket, pipelineVolume]) {
+      counts.byHowMet[howMet] += 1;
+      counts.byBuyerDecision[buyerDecision] += 1;
+    }
+    bucket.count += 1;
+    pipelineVolume.total += 1;
+  }
+
+  return volume;
+};
+
+/**
+ * BD analytics for a CompanyHQ
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} options
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {string} options.interval - Volume buckets: "week" | "month"
+ * @param {string} options.pipeline - Limit funnel/velocity/volume to one pipeline (optional)
+ * @returns {Promise<Object>} - { range, funnel, velocity, winRate, volume, labels }
+ */
+export async function getBDAnalytics(companyHQId, { from, to, interval = ANALYTICS_INTERVALS.WEEK, pipeline = null }) {
+  const [definitions, transitions] = await Promise.all([
+    getPipelineDefinitions(companyHQId),
+    prisma.pipelineStageTransition.findMany({
+      where: {
+        crmId: companyHQId,
+        occurredAt: { lt: to },
+        contact: { deletedAt: null }
+      },
+      select: {
+        contactId: true,
+        fromPipeline: true,
+        toPipeline: true,
+        toStage: true,
+        occurredAt: true,
+        contact: {
+          select: { howMet: true, buyerDecision: true }
+        }
+      },
+      orderBy: [
+        { contactId: 'asc' },
+        { occurredAt: 'asc' },
+        { id: 'asc' }
+      ]
+    })
+  ]);
+
+  const byContact = new Map();
+  transitions.forEach(t => {
+    if (!byContact.has(t.contactId)) byContact.set(t.contactId, []);
+    byContact.get(t.contactId).push(t);
+  });
+
+  // Stays still open at the end of the range are "current" and left out of velocity
+  const staysByContact = [...byContact.values()].map(contactTransitions => computeStageStays(contactTransitions, to));
+
+  const selected = pipeline ? definitions.filter(d => d.key === pipeline) : definitions;
+  const periods = listPeriods(from, to, interval);
+  const entries = transitions.filter(t => entersPipeline(t) && inRange(t.occurredAt, from, to));
+
+  const funnel = {};
+  const velocity = {};
+  for (const definition of selected) {
+    funnel[definition.key] = buildFunnel(definition, byContact, from, to);
+    velocity[definition.key] = buildVelocity(definition, staysByContact, from, to);
+  }
+
+  return {
+    range: { from, to, interval },
+    funnel,
+    velocity,
+    winRate: buildWinRate(byContact, from, to),
+    volume: buildVolume(selected.map(d => d.key), entries, periods, interval),
+    labels: {
+      pipelines: Object.fromEntries(definitions.map(d => [d.key, d.label])),
+      howMet: { ...HOW_MET_LABELS, [UNKNOWN_BREAKDOWN_KEY]: 'Unknown' },
+      buyerDecision: { ...BUYER_LABELS, [UNKNOWN_BREAKDOWN_KEY]: 'Unknown' }
+    }
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * PIPELINE BOARD SERVICE
+ * Kanban board for one pipeline of a CompanyHQ
+ *
+ * Columns are the CompanyHQ's stage definitions (in order); cards are the contacts in
+ * each stage, sorted by Pipeline.position (a float, so a drop between two cards takes
+ * the midpoint without renumbering the column). Trashed contacts are excluded.
+ *
+ * Main functions:
+ * - Build the board (columns with counts and the first page of cards)
+ * - Page through one column (cursor on position + id)
+ * - Compute/persist a card's position when it's dropped at an index
+ */
+
+import prisma from '../db.js';
+import { buildContactWhere } from './ContactQueryService.js';
+
+// Below this gap between neighbours the column is renumbered before inserting
+const MIN_POSITION_GAP = 1e-6;
+
+const CARD_INCLUDE = {
+  pipeline: true,
+  contactCompany: {
+    select: { id: true, companyName: true }
+  }
+};
+
+const CARD_ORDER = [
+  { pipeline: { position: 'asc' } },
+  { id: 'asc' }
+];
+
+/**
+ * Encode a column cursor pointing at the last card of a page
+ */
+export function encodeBoardCursor(card) {
+  return Buffer.from(JSON.stringify({ position: card.pipeline.position, id: card.id })).toString('base64url');
+}
+
+/**
+ * Where condition selecting cards strictly after a cursor
+ * @throws {Error} - If the cursor is malformed
+ */
+export function buildBoardCursorWhere(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.position !== 'number' || !decoded.id) {
+    throw new Error('Invalid cursor');
+  }
+
+  return {
+    OR: [
+      { pipeline: { position: { gt: decoded.position } } },
+      { AND: [{ pipeline: { position: decoded.position } }, { id: { gt: decoded.id } }] }
+    ]
+  };
+}
+
+/**
+ * One page of cards in a column
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} pipeline - Pipeline key
+ * @param {string} stage - Stage key
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} - { cards, nextCursor }
+ */
+export async function getBoardColumn(companyHQId, pipeline, stage, { cursor = null, limit = 25 } = {}) {
+  const where = buildContactWhere({ companyHQId, pipeline, stage });
+
+  const cards = await prisma.contact.findMany({
+    where: cursor ? { AND: [where, buildBoardCursorWhere(cursor)] } : where,
+    include: CARD_INCLUDE,
+    orderBy: CARD_ORDER,
+    take: limit + 1
+  });
+
+  const hasMore = cards.length > limit;
+  const page = hasMore ? cards.slice(0, limit) : cards;
+
+  return {
+    cards: page,
+    nextCursor: hasMore ? encodeBoardCursor(page[page.length - 1]) : null
+  };
+}
+
+/**
+ * Build the board for one pipeline
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} definition - PipelineDefinition with ordered stages
+ * @param {Object} options - { limit } cards per column
+ * @returns {Promise<Object>} - { pipeline, columns: [{ stage, label, count, cards, nextCursor }], total }
+ */
+export async function getPipelineBoard(companyHQId, definition, { limit = 25 } = {}) {
+  const counts = await prisma.pipeline.groupBy({
+    by: ['stage'],
+    where: {
+      pipeline: definition.key,
+      contact: { crmId: companyHQId, deletedAt: null }
+    },
+    _count: { _all: true }
+  });
+  const countByStage = Object.fromEntries(counts.map(c => [c.stage, c._count._all]));
+
+  const columns = [];
+  for (const stage of definition.stages) {
+    const count = countByStage[stage.key] || 0;
+    const { cards, nextCursor } = count > 0
+      ? await getBoardColumn(companyHQId, definition.key, stage.key, { limit })
+      : { cards: [], nextCursor: null };
+
+    columns.push({
+      stage: stage.key,
+      label: stage.label,
+      count,
+      cards,
+      nextCursor
+    });
+  }
+
+  return {
+    pipeline: { id: definition.id, key: definition.key, label: definition.label },
+    columns,
+    total: columns.reduce((sum, column) => sum + column.count, 0)
+  };
+}
+
+// Renumber a column 0..n-1 in its current order
+const renumberColumn = async (companyHQId, pipeline, stage) => {
+  const rows = await prisma.pipeline.findMany({
+    where: { pipeline, stage, contact: { crmId: companyHQId, deletedAt: null } },
+    orderBy: [{ position: 'asc' }, { contactId: 'asc' }],
+    select: { id: true }
+  });
+
+  await prisma.$transaction(rows.map((row, index) => (
+    prisma.pipeline.update({
+      where: { id: row.id },
+      data: { position: index }
+    })
+  )));
+};
+
+/**
+ * Position for a card dropped at an index of a column (the card itself is ignored)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} pipeline - Pipeline key
+ * @param {string} stage - Stage key
+ * @param {string} contactId - Card being moved
+ * @param {number} index - 0-based drop index (past the end = bottom)
+ * @returns {Promise<number>}
+ */
+export async function positionForIndex(companyHQId, pipeline, stage, contactId, index) {
+  const neighbours = async () => prisma.pipeline.findMany({
+    where: {
+      pipeline,
+      stage,
+      contactId: { not: contactId },
+      contact: { crmId: companyHQId, deletedAt: null }
+    },
+    orderBy: [{ position: 'asc' }, { contactId: 'asc' }],
+    skip: Math.max(index - 1, 0),
+    take: index === 0 ? 1 : 2,
+    select: { position: true }
+  });
+
+  let rows = await neighbours();
+
+  if (index === 0) {
+    return rows[0] ? rows[0].position - 1 : 0;
+  }
+
+  let [before, after] = rows;
+  if (!before) {
+    // Index past the end of the column: append after the last card
+    const { _max: columnMax } = await prisma.pipeline.aggregate({
+      where: { pipeline, stage, contactId: { not: contactId }, contact: { crmId: companyHQId, deletedAt: null } },
+      _max: { position: true }
+    });
+    return columnMax.position === null ? 0 : columnMax.position + 1;
+  }
+  if (!after) {
+    return before.position + 1;
+  }
+
+  if (after.position - before.position < MIN_POSITION_GAP) {
+    await renumberColumn(companyHQId, pipeline, stage);
+    rows = await neighbours();
+    [before, after] = rows;
+  }
+
+  return (before.position + after.position) / 2;
+}
+
+/**
+ * Persist a card's position within its current column
+ * @param {string} contactId - Contact ID
+ * @param {number} position - From positionForIndex
+ * @returns {Promise<Object>} - Updated Pipeline
+ */
+export async function setCardPosition(contactId, position) {
+  return prisma.pipeline.update({
+    where: { contactId },
+    data: { position }
+  });
+}
+
+/**
+ * Load a card (contact with pipeline and company summary)
+ */
+export async function getBoardCard(contactId) {
+  return prisma.contact.findUnique({
+    where: { id: contactId },
+    include: CARD_INCLUDE
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * PIPELINE DEFINITION SERVICE
+ * Per-CompanyHQ pipelines and stages (stored in the database)
+ *
+ * Every CompanyHQ gets its own copy of the defaults from config/pipelineConfig.js,
+ * seeded when the CompanyHQ is created (or lazily on first use for older tenants).
+ * Pipeline.pipeline / Pipeline.stage store the definition keys, so keys never change
+ * once created - only labels and ordering are editable.
+ *
+ * Main functions:
+ * - Seed / load a CompanyHQ's definitions
+ * - Build the { pipeline: [stages] } map used for validation and ordering
+ * - Validate a pipeline/stage pair for a CompanyHQ
+ * - Validate stage transition policies (allowed next stages, entry requirements)
+ * - Helpers for CRUD routes (key slugs, usage counts, reordering)
+ */
+
+import prisma from '../db.js';
+import { PIPELINE_STAGES, PIPELINE_LABELS, STAGE_LABELS } from '../config/pipelineConfig.js';
+import {
+  STAGE_ENTRY_REQUIREMENTS,
+  isValidStageEntryRequirement,
+  parseAllowedNextStage,
+  getDefaultAllowedNextStages,
+  getDefaultEntryRequirements
+} from '../config/stageTransitionConfig.js';
+import { getDefaultWinProbability, isValidWinProbability } from '../config/forecastConfig.js';
+
+const STAGES_ORDER = { orderBy: { position: 'asc' } };
+
+/**
+ * Turn a label into a definition key ("Pilot Program" → "pilot-program")
+ */
+export function slugifyKey(label) {
+  return String(label || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Seed a CompanyHQ's pipeline definitions from the config defaults (no-op if it has any)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<boolean>} - True if definitions were created
+ */
+export async function ensurePipelineDefinitions(companyHQId) {
+  const existing = await prisma.pipelineDefinition.count({
+    where: { companyHQId }
+  });
+
+  if (existing > 0) {
+    return false;
+  }
+
+  try {
+    await prisma.$transaction(Object.entries(PIPELINE_STAGES).map(([key, stages], position) => (
+      prisma.pipelineDefinition.create({
+        data: {
+          companyHQId,
+          key,
+          label: PIPELINE_LABELS[key] || key,
+          position,
+          stages: {
+            create: stages.map((stageKey, stagePosition) => ({
+              key: stageKey,
+              label: STAGE_LABELS[stageKey] || stageKey,
+              position: stagePosition,
+              winProbability: getDefaultWinProbability(key, stageKey),
+              allowedNextStages: getDefaultAllowedNextStages(key, stageKey),
+              ...(getDefaultEntryRequirements(key, stageKey) && {
+                entryRequirements: getDefaultEntryRequirements(key, stageKey)
+              })
+            }))
+          }
+        }
+      })
+    )));
+  } catch (error) {
+    // Another request seeded the same CompanyHQ concurrently
+    if (error.code === 'P2002') {
+      return false;
+    }
+    throw error;
+  }
+
+  console.log(`✅ Seeded default pipelines for CompanyHQ ${companyHQId}`);
+  return true;
+}
+
+/**
+ * Load a CompanyHQ's pipeline definitions (seeding defaults first if needed)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<Array>} - PipelineDefinitions with ordered stages
+ */
+export async function getPipelineDefinitions(companyHQId) {
+  await ensurePipelineDefinitions(companyHQId);
+
+  return prisma.pipelineDefinition.findMany({
+    where: { companyHQId },
+    include: { stages: STAGES_ORDER },
+    orderBy: { position: 'asc' }
+  });
+}
+
+/**
+ * Build { pipelineKey: [stageKey, ...] } from definitions (ordered)
+ */
+export function toStageMap(definitions) {
+  return Object.fromEntries(definitions.map(definition => [
+    definition.key,
+    definition.stages.map(stage => stage.key)
+  ]));
+}
+
+/**
+ * Get a CompanyHQ's { pipelineKey: [stageKey, ...] } map
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<Object>}
+ */
+export async function getPipelineStageMap(companyHQId) {
+  return toStageMap(await getPipelineDefinitions(companyHQId));
+}
+
+/**
+ * Validate a pipeline/stage pair against a stage map
+ * @param {Object} stageMap - From getPipelineStageMap
+ * @param {string} pipeline - Pipeline key
+ * @param {string} stage - Stage key (optional - defaults to the pipeline's first stage)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePipelineStage(stageMap, pipeline, stage) {
+  if (!stageMap[pipeline]) {
+    return `Invalid pipeline "${pipeline}". Must be one of: ${Object.keys(stageMap).join(', ')}`;
+  }
+  if (stage && !stageMap[pipeline].includes(stage)) {
+    return `Invalid stage "${stage}" for pipeline "${pipeline}". Must be one of: ${stageMap[pipeline].join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a stage's transition policy and forecast fields
+ * @param {string[]} stageKeys - Keys of every stage in the pipeline
+ * @param {Object} policy - { allowedNextStages, entryRequirements, winProbability } (undefined = not being changed, null = no policy)
+ * @param {Object} stageMap - The CompanyHQ's stage map, for "pipeline:stage" entries (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateStagePolicy(stageKeys, { allowedNextStages, entryRequirements, winProbability }, stageMap = {}) {
+  if (allowedNextStages !== undefined && allowedNextStages !== null) {
+    const isKnownStage = (entry) => {
+      if (typeof entry !== 'string') {
+        return false;
+      }
+      const next = parseAllowedNextStage(null, entry);
+      return next.pipeline === null ? stageKeys.includes(next.stage) : Boolean(stageMap[next.pipeline]?.includes(next.stage));
+    };
+    if (!Array.isArray(allowedNextStages) || !allowedNextStages.every(isKnownStage)) {
+      return `allowedNextStages must be null or an array of stages in this pipeline (${stageKeys.join(', ')}) or "pipeline:stage" for another pipeline`;
+    }
+  }
+  if (entryRequirements !== undefined && entryRequirements !== null) {
+    if (!Array.isArray(entryRequirements) || !entryRequirements.every(isValidStageEntryRequirement)) {
+      return `entryRequirements must be null or an array of: ${Object.values(STAGE_ENTRY_REQUIREMENTS).join(', ')}`;
+    }
+  }
+  if (winProbability !== undefined && !isValidWinProbability(winProbability)) {
+    return 'winProbability must be null or a number from 0 to 1';
+  }
+  return null;
+}
+
+/**
+ * Drop a deleted stage - or every stage of a deleted pipeline - from the CompanyHQ's allowed next stages
+ * @param {Array} definitions - The CompanyHQ's PipelineDefinitions (loaded before the delete)
+ * @param {string} pipelineKey - Pipeline the stage belonged to (or the deleted pipeline)
+ * @param {string|null} stageKey - Deleted stage (null = the whole pipeline)
+ */
+export async function removeAllowedNextStage(definitions, pipelineKey, stageKey = null) {
+  for (const definition of definitions) {
+    if (stageKey === null && definition.key === pipelineKey) {
+      continue;
+    }
+
+    const isRemoved = (entry) => {
+      const next = parseAllowedNextStage(definition.key, entry);
+      return next.pipeline === pipelineKey && (stageKey === null || next.stage === stageKey);
+    };
+
+    for (const stage of definition.stages) {
+      if (Array.isArray(stage.allowedNextStages) && stage.allowedNextStages.some(isRemoved)) {
+        await prisma.pipelineStageDefinition.update({
+          where: { id: stage.id },
+          data: { allowedNextStages: stage.allowedNextStages.filter(entry => !isRemoved(entry)) }
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Shape definitions like the legacy GET /api/pipelines/config payload (plus labels and ids)
+ */
+export function toPipelineConfig(definitions) {
+  const pipelines = toStageMap(definitions);
+
+  return {
+    pipelines,
+    officialPipelines: Object.keys(pipelines),
+    allStages: [...new Set(Object.values(pipelines).flat())],
+    labels: {
+      pipelines: Object.fromEntries(definitions.map(d => [d.key, d.label])),
+      stages: Object.fromEntries(definitions.map(d => [
+        d.key,
+        Object.fromEntries(d.stages.map(stage => [stage.key, stage.label]))
+      ]))
+    },
+    definitions
+  };
+}
+
+/**
+ * Count contacts (including trashed ones) sitting in a pipeline, or in one of its stages
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} pipelineKey - Pipeline key
+ * @param {string} stageKey - Stage key (optional)
+ * @returns {Promise<number>}
+ */
+export async function countContactsInPipeline(companyHQId, pipelineKey, stageKey = null) {
+  return prisma.pipeline.count({
+    where: {
+      pipeline: pipelineKey,
+      ...(stageKey && { stage: stageKey }),
+      contact: { crmId: companyHQId }
+    }
+  });
+}
+
+/**
+ * Rewrite positions to match the given id order
+ * @param {string} model - "pipelineDefinition" | "pipelineStageDefinition"
+ * @param {string[]} orderedIds - Every id in the group, in the new order
+ */
+export async function reorderDefinitions(model, orderedIds) {
+  await prisma.$transaction(orderedIds.map((id, position) => (
+    prisma[model].update({
+      where: { id },
+      data: { position }
+    })
+  )));
+}
+
+/**
+ * Load one pipeline definition with its ordered stages
+ */
+export async function getPipelineDefinition(pipelineId) {
+  return prisma.pipelineDefinition.findUnique({
+    where: { id: pipelineId },
+    include: { stages: STAGES_ORDER }
+  });
+}
@@ -0,0 +1,246 @@
+/**
+ * PIPELINE HISTORY SERVICE
+ * Stage-transition log for contact Pipelines and time-in-stage analytics
+ *
+ * Pipeline only stores the current pipeline/stage, so every change goes through
+ * setContactPipeline, which upserts the Pipeline and appends a PipelineStageTransition
+ * (from → to, acting Owner, automated trigger) in the same transaction.
+ *
+ * Main functions:
+ * - Set a contact's pipeline/stage and record the transition
+ * - Read a contact's stage history
+ * - Turn transitions into stage stays (entered/exited/duration)
+ * - Average time-in-stage per pipeline for a CompanyHQ
+ */
+
+import prisma from '../db.js';
+import { getStagesForPipeline } from '../config/pipelineConfig.js';
+import { getPipelineStageMap } from './PipelineDefinitionService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Append a transition to the log
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} transition
+ * @param {string} transition.contactId - Contact ID
+ * @param {string} transition.crmId - CompanyHQId (tenant identifier)
+ * @param {Object|null} transition.from - { pipeline, stage } before the change (null for a new Pipeline)
+ * @param {Object} transition.to - { pipeline, stage } after the change
+ * @param {string} transition.actorId - Owner who made (or caused) the change (optional)
+ * @param {boolean} transition.automated - True when a trigger made the change
+ * @param {string} transition.trigger - Trigger/source name, e.g. "contract-signed", "merge" (optional)
+ * @param {boolean} transition.overridden - True when a CompanyHQ owner bypassed the transition policy
+ * @param {string} transition.overrideReason - Why the policy was bypassed (optional)
+ * @returns {Promise<Object>} - Created PipelineStageTransition
+ */
+export async function recordPipelineTransition(client, { contactId, crmId, from, to, actorId = null, automated = false, trigger = null, overridden = false, overrideReason = null }) {
+  return client.pipelineStageTransition.create({
+    data: {
+      contactId,
+      crmId,
+      fromPipeline: from?.pipeline || null,
+      fromStage: from?.stage || null,
+      toPipeline: to.pipeline,
+      toStage: to.stage,
+      actorId,
+      automated,
+      trigger,
+      overridden,
+      overrideReason
+    }
+  });
+}
+
+/**
+ * Set a contact's pipeline/stage and record the transition (no-op if nothing changed)
+ * A missing stage defaults to the pipeline's first stage (per the CompanyHQ's definitions)
+ * The contact's card goes to the bottom of the new board column
+ *
+ * @param {string} contactId - Contact ID
+ * @param {Object} target - { pipeline, stage }
+ * @param {Object} options
+ * @param {string} options.actorId - Acting Owner ID (optional)
+ * @param {boolean} options.automated - True when called from a trigger
+ * @param {string} options.trigger - Trigger/source name (optional)
+ * @param {boolean} options.overridden - True when the transition policy was bypassed (see StageTransitionPolicyService)
+ * @param {string} options.overrideReason - Why the policy was bypassed (optional)
+ * @param {Object} tx - Transaction client (optional - a transaction is opened if omitted)
+ * @returns {Promise<Object>} - { pipeline, transition } (transition is null when unchanged)
+ */
+export async function setContactPipeline(contactId, target, options = {}, tx = null) {
+  if (!tx) {
+    return prisma.$transaction((client) => setContactPipeline(contactId, target, options, client));
+  }
+
+  const { actorId = null, automated = false, trigger = null, overridden = false, overrideReason = null } = options;
+
+  const [contact, current] = await Promise.all([
+    tx.contact.findUnique({
+      where: { id: contactId },
+      select: { crmId: true }
+    }),
+    tx.pipeline.findUnique({
+      where: { contactId }
+    })
+  ]);
+
+  if (!contact) {
+    throw new Error(`Contact not found: ${contactId}`);
+  }
+
+  const pipeline = target.pipeline || current?.pipeline || 'prospect';
+  let stage = target.stage || (pipeline === current?.pipeline ? current.stage : null);
+  if (!stage) {
+    const firstStage = await tx.pipelineStageDefinition.findFirst({
+      where: { pipeline: { companyHQId: contact.crmId, key: pipeline } },
+      orderBy: { position: 'asc' },
+      select: { key: true }
+    });
+    stage = firstStage?.key || getStagesForPipeline(pipeline)[0];
+  }
+
+  if (current && current.pipeline === pipeline && current.stage === stage) {
+    return { pipeline: current, transition: null };
+  }
+
+  // New cards go to the bottom of their board column
+  const { _max: columnMax } = await tx.pipeline.aggregate({
+    where: { pipeline, stage, contact: { crmId: contact.crmId } },
+    _max: { position: true }
+  });
+  const position = columnMax.position === null ? 0 : columnMax.position + 1;
+
+  const updated = await tx.pipeline.upsert({
+    where: { contactId },
+    update: { pipeline, stage, position },
+    create: { contactId, pipeline, stage, position }
+  });
+
+  const transition = await recordPipelineTransition(tx, {
+    contactId,
+    crmId: contact.crmId,
+    from: current ? { pipeline: current.pipeline, stage: current.stage } : null,
+    to: { pipeline, stage },
+    actorId,
+    automated,
+    trigger,
+    overridden,
+    overrideReason
+  });
+
+  return { pipeline: updated, transition };
+}
+
+/**
+ * Get a contact's stage history (oldest first)
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Array>} - PipelineStageTransition records with actor relation
+ */
+export async function getContactPipelineHistory(contactId) {
+  return prisma.pipelineStageTransition.findMany({
+    where: { contactId },
+    include: {
+      actor: {
+        select: { id: true, name: true, email: true }
+      }
+    },
+    orderBy: [
+      { occurredAt: 'asc' },
+      { id: 'asc' }
+    ]
+  });
+}
+
+/**
+ * Turn one contact's transitions into stage stays
+ * Each transition opens a stay in its "to" stage; the next transition closes it
+ *
+ * @param {Array} transitions - One contact's transitions, oldest first
+ * @param {Date} now - End date for the open (current) stay
+ * @returns {Array} - [{ pipeline, stage, enteredAt, exitedAt, durationMs, current }]
+ */
+export function computeStageStays(transitions, now = new Date()) {
+  return transitions.map((transition, index) => {
+    const next = transitions[index + 1];
+    const enteredAt = new Date(transition.occurredAt);
+    const exitedAt = next ? new Date(next.occurredAt) : null;
+
+    return {
+      pipeline: transition.toPipeline,
+      stage: transition.toStage,
+      enteredAt,
+      exitedAt,
+      durationMs: (exitedAt || now) - enteredAt,
+      current: !next
+    };
+  });
+}
+
+/**
+ * Average time-in-stage per pipeline for a CompanyHQ
+ * Averages use completed stays only; contacts still sitting in a stage are counted separately
+ *
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} options
+ * @param {string} options.pipeline - Limit to one pipeline (optional)
+ * @returns {Promise<Object>} - { [pipeline]: [{ stage, averageDays, completedStays, currentCount, currentAverageDays }] }
+ */
+export async function getTimeInStage(companyHQId, { pipeline = null } = {}) {
+  const transitions = await prisma.pipelineStageTransition.findMany({
+    where: {
+      crmId: companyHQId,
+      contact: { deletedAt: null }
+    },
+    orderBy: [
+      { contactId: 'asc' },
+      { occurredAt: 'asc' },
+      { id: 'asc' }
+    ]
+  });
+
+  // Group by contact, then collect stays per pipeline/stage
+  const byContact = new Map();
+  transitions.forEach(t => {
+    if (!byContact.has(t.contactId)) byContact.set(t.contactId, []);
+    byContact.get(t.contactId).push(t);
+  });
+
+  const now = new Date();
+  const buckets = new Map();
+  for (const contactTransitions of byContact.values()) {
+    for (const stay of computeStageStays(contactTransitions, now)) {
+      if (pipeline && stay.pipeline !== pipeline) continue;
+      const key = `${stay.pipeline}:${stay.stage}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { pipeline: stay.pipeline, stage: stay.stage, completed: [], current: [] });
+      }
+      buckets.get(key)[stay.current ? 'current' : 'completed'].push(stay.durationMs);
+    }
+  }
+
+  const average = (values) => (
+    values.length > 0 ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length / DAY_MS) * 10) / 10 : null
+  );
+
+  // Order stages the way the CompanyHQ's pipeline defines them (unknown/removed stages last)
+  const result = {};
+  for (const bucket of buckets.values()) {
+    if (!result[bucket.pipeline]) result[bucket.pipeline] = [];
+    result[bucket.pipeline].push({
+      stage: bucket.stage,
+      averageDays: average(bucket.completed),
+      completedStays: bucket.completed.length,
+      currentCount: bucket.current.length,
+      currentAverageDays: average(bucket.current)
+    });
+  }
+  const stageMap = await getPipelineStageMap(companyHQId);
+  for (const [pipelineName, stages] of Object.entries(result)) {
+    const order = stageMap[pipelineName] || [];
+    const rank = (stage) => (order.includes(stage) ? order.indexOf(stage) : order.length);
+    stages.sort((a, b) => rank(a.stage) - rank(b.stage));
+  }
+
+  return result;
+}
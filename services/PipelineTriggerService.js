@@ -1,89 +1,464 @@
 /**
  * PIPELINE TRIGGER SERVICE
- * Handles automatic pipeline conversions based on stage changes
- * 
- * Main trigger: contract-signed → converts to client pipeline with kickoff stage
+ * Per-CompanyHQ trigger rules that run when a contact enters a pipeline stage
+ *
+ * Rules are data (PipelineTriggerRule): a condition (pipeline + stage, optionally
+ * buyerDecision/howMet) and a list of actions (see config/pipelineTriggerConfig.js).
+ * A "move" action re-evaluates rules for the new stage, up to MAX_TRIGGER_DEPTH rounds,
+ * and a rule never fires twice for the same change. Every firing is logged as a
+ * PipelineTriggerExecution with a per-action result.
+ *
+ * Main functions:
+ * - Seed the default rules for a CompanyHQ
+ * - Validate rule conditions/actions against the CompanyHQ's pipelines
+ * - Dry-run: which rules would fire and what they would do
+ * - Apply triggers after a stage change (called from the contact update route)
+ * - Find the enabled rules that use a pipeline/stage (before it is deleted)
+ *
+ * Move targets are checked again when a rule fires - a target whose stage was removed since
+ * the rule was saved fails the action instead of moving the contact.
  */
 
 import prisma from '../db.js';
+import { setContactPipeline } from './PipelineHistoryService.js';
+import { getPipelineStageMap, validatePipelineStage } from './PipelineDefinitionService.js';
+import { getLatestContactProposal } from './ContactProposalService.js';
+import {
+  TRIGGER_ACTION_TYPES,
+  MAX_TRIGGER_DEPTH,
+  DEFAULT_TRIGGER_RULES,
+  isValidTriggerActionType
+} from '../config/pipelineTriggerConfig.js';
+import { PROPOSAL_STATUSES, isValidProposalStatus } from '../config/proposalConfig.js';
+import { BUYER_TYPES } from '../buyerconfig.js';
+import { HOW_MET_TYPES } from '../config/howMetConfig.js';
+import { ACTIVITY_TYPES } from '../config/activityConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Check if pipeline stage change triggers a conversion
- * @param {string} contactId - Contact ID
- * @param {string} newPipeline - New pipeline value
- * @param {string} newStage - New stage value
- * @returns {Promise<Object|null>} - Conversion result or null if no conversion needed
+ * Seed a CompanyHQ's default trigger rules (no-op if it has any)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<boolean>} - True if rules were created
+ */
+export async function ensureDefaultTriggerRules(companyHQId) {
+  const existing = await prisma.pipelineTriggerRule.count({
+    where: { companyHQId }
+  });
+
+  if (existing > 0) {
+    return false;
+  }
+
+  await prisma.pipelineTriggerRule.createMany({
+    data: DEFAULT_TRIGGER_RULES.map((rule, position) => ({
+      companyHQId,
+      position,
+      ...rule
+    }))
+  });
+
+  return true;
+}
+
+/**
+ * Get a CompanyHQ's trigger rules in evaluation order
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} options
+ * @param {boolean} options.enabledOnly - Skip disabled rules
+ * @returns {Promise<Array>} - PipelineTriggerRules
+ */
+export async function getTriggerRules(companyHQId, { enabledOnly = false } = {}) {
+  return prisma.pipelineTriggerRule.findMany({
+    where: {
+      companyHQId,
+      ...(enabledOnly && { enabled: true })
+    },
+    orderBy: [
+      { position: 'asc' },
+      { createdAt: 'asc' }
+    ]
+  });
+}
+
+/**
+ * Check a rule's condition against a contact state
+ * @param {Object} rule - PipelineTriggerRule
+ * @param {Object} state - { pipeline, stage, buyerDecision, howMet }
+ * @returns {boolean}
  */
-export async function checkPipelineTriggers(contactId, newPipeline, newStage) {
-  // Trigger: contract-signed in prospect pipeline → convert to client with kickoff
-  if (newPipeline === 'prospect' && newStage === 'contract-signed') {
-    return await convertProspectToClient(contactId);
+export function ruleMatches(rule, state) {
+  return rule.pipeline === state.pipeline &&
+    rule.stage === state.stage &&
+    (!rule.buyerDecision || rule.buyerDecision === state.buyerDecision) &&
+    (!rule.howMet || rule.howMet === state.howMet);
+}
+
+/**
+ * Validate a rule's condition and actions for a CompanyHQ
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} rule - { pipeline, stage, buyerDecision, howMet, actions, position }
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+export async function validateTriggerRule(companyHQId, { pipeline, stage, buyerDecision, howMet, actions, position }) {
+  const stageMap = await getPipelineStageMap(companyHQId);
+
+  if (position !== undefined && !Number.isInteger(position)) {
+    return 'position must be an integer';
+  }
+
+  if (!pipeline || !stage) {
+    return 'pipeline and stage are required';
+  }
+
+  const conditionError = validatePipelineStage(stageMap, pipeline, stage);
+  if (conditionError) {
+    return conditionError;
+  }
+
+  if (buyerDecision && !Object.values(BUYER_TYPES).includes(buyerDecision)) {
+    return `buyerDecision must be one of: ${Object.values(BUYER_TYPES).join(', ')}`;
+  }
+
+  if (howMet && !Object.values(HOW_MET_TYPES).includes(howMet)) {
+    return `howMet must be one of: ${Object.values(HOW_MET_TYPES).join(', ')}`;
+  }
+
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return 'actions must be a non-empty array';
+  }
+
+  for (const [index, action] of actions.entries()) {
+    const label = `actions[${index}]`;
+
+    if (!isValidTriggerActionType(action?.type)) {
+      return `${label}.type must be one of: ${Object.values(TRIGGER_ACTION_TYPES).join(', ')}`;
+    }
+
+    switch (action.type) {
+      case TRIGGER_ACTION_TYPES.MOVE: {
+        const moveError = validatePipelineStage(stageMap, action.pipeline, action.stage);
+        if (moveError) {
+          return `${label}: ${moveError}`;
+        }
+        if (action.pipeline === pipeline && (action.stage || stageMap[pipeline][0]) === stage) {
+          return `${label}: cannot move to the rule's own stage`;
+        }
+        break;
+      }
+      case TRIGGER_ACTION_TYPES.CREATE_TASK:
+        if (!action.summary || !String(action.summary).trim()) {
+          return `${label}.summary is required`;
+        }
+        if (action.dueInDays !== undefined && (!Number.isInteger(action.dueInDays) || action.dueInDays < 0)) {
+          return `${label}.dueInDays must be a non-negative integer`;
+        }
+        break;
+      case TRIGGER_ACTION_TYPES.SET_PROPOSAL_STATUS:
+        if (!isValidProposalStatus(action.status)) {
+          return `${label}.status must be one of: ${Object.values(PROPOSAL_STATUSES).join(', ')}`;
+        }
+        break;
+      case TRIGGER_ACTION_TYPES.ADD_TO_LIST: {
+        const list = action.contactListId && await prisma.contactList.findUnique({
+          where: { id: action.contactListId }
+        });
+        if (!list || list.companyId !== companyHQId) {
+          return `${label}.contactListId must be a contact list in this CompanyHQ`;
+        }
+        break;
+      }
+      default:
+        break;
+    }
   }
 
   return null;
 }
 
 /**
- * Convert prospect to client when contract is signed
- * @param {string} contactId - Contact ID
- * @returns {Promise<Object>} - Updated contact with new pipeline
+ * Enabled rules whose condition or move actions use a pipeline (or one of its stages)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} pipelineKey - Pipeline key
+ * @param {string} stageKey - Stage key (optional - any stage of the pipeline if omitted)
+ * @returns {Promise<Array>} - [{ id, name }]
+ */
+export async function findRulesUsingStage(companyHQId, pipelineKey, stageKey = null) {
+  const rules = await prisma.pipelineTriggerRule.findMany({
+    where: { companyHQId, enabled: true },
+    select: { id: true, name: true, pipeline: true, stage: true, actions: true },
+    orderBy: { position: 'asc' }
+  });
+
+  const uses = (pipeline, stage) => pipeline === pipelineKey && (!stageKey || stage === stageKey);
+
+  return rules
+    .filter(rule => uses(rule.pipeline, rule.stage) || (Array.isArray(rule.actions) && rule.actions.some(action => (
+      action.type === TRIGGER_ACTION_TYPES.MOVE && uses(action.pipeline, action.stage)
+    ))))
+    .map(({ id, name }) => ({ id, name }));
+}
+
+// Human-readable summary of an action (used for dry runs and results)
+const describeAction = (action, stageMap) => {
+  switch (action.type) {
+    case TRIGGER_ACTION_TYPES.MOVE:
+      return `Move to ${action.pipeline}/${action.stage || stageMap[action.pipeline]?.[0]}`;
+    case TRIGGER_ACTION_TYPES.CREATE_TASK:
+      return `Create task "${action.summary}"${action.dueInDays !== undefined ? ` due in ${action.dueInDays} day(s)` : ''}`;
+    case TRIGGER_ACTION_TYPES.SET_PROPOSAL_STATUS:
+      return `Set the latest company proposal's status to "${action.status}"`;
+    case TRIGGER_ACTION_TYPES.ADD_TO_LIST:
+      return `Add to contact list ${action.contactListId}`;
+    default:
+      return action.type;
+  }
+};
+
+/**
+ * Run one action for a contact
+ * @returns {Promise<Object>} - { status: "success" | "skipped", detail, moved? }
  */
-async function convertProspectToClient(contactId) {
-  try {
-    // Upsert Pipeline to client/kickoff
-    const pipeline = await prisma.pipeline.upsert({
-      where: { contactId: contactId },
-      update: {
-        pipeline: 'client',
-        stage: 'kickoff'
-      },
-      create: {
-        contactId: contactId,
-        pipeline: 'client',
-        stage: 'kickoff'
+async function executeAction(action, contact, rule, { actorId, stageMap }) {
+  switch (action.type) {
+    case TRIGGER_ACTION_TYPES.MOVE: {
+      // The target may have been deleted since the rule was saved
+      const targetError = validatePipelineStage(stageMap, action.pipeline, action.stage);
+      if (targetError) {
+        throw new Error(`Move target no longer exists - ${targetError}`);
+      }
+      const { pipeline } = await setContactPipeline(contact.id, {
+        pipeline: action.pipeline,
+        stage: action.stage
+      }, {
+        actorId,
+        automated: true,
+        trigger: rule.name
+      });
+      return {
+        status: 'success',
+        detail: `Moved to ${pipeline.pipeline}/${pipeline.stage}`,
+        moved: { pipeline: pipeline.pipeline, stage: pipeline.stage }
+      };
+    }
+
+    case TRIGGER_ACTION_TYPES.CREATE_TASK: {
+      const activity = await prisma.contactActivity.create({
+        data: {
+          contactId: contact.id,
+          crmId: contact.crmId,
+          type: ACTIVITY_TYPES.TASK,
+          summary: String(action.summary).trim(),
+          body: action.body || null,
+          dueAt: action.dueInDays !== undefined ? new Date(Date.now() + action.dueInDays * DAY_MS) : null,
+          authorId: actorId
+        }
+      });
+      return { status: 'success', detail: `Created task ${activity.id}` };
+    }
+
+    case TRIGGER_ACTION_TYPES.SET_PROPOSAL_STATUS: {
+      // Same proposals the stage transition policy checks - the latest one is updated
+      const proposal = await getLatestContactProposal(contact);
+      if (!proposal) {
+        return { status: 'skipped', detail: 'No proposal for the contact\'s company' };
+      }
+      await prisma.proposal.update({
+        where: { id: proposal.id },
+        data: { status: action.status }
+      });
+      return { status: 'success', detail: `Proposal ${proposal.id} set to ${action.status}` };
+    }
+
+    case TRIGGER_ACTION_TYPES.ADD_TO_LIST: {
+      const list = await prisma.contactList.findUnique({
+        where: { id: action.contactListId }
+      });
+      if (!list || list.companyId !== contact.crmId) {
+        throw new Error(`Contact list ${action.contactListId} not found`);
+      }
+      await prisma.contact.update({
+        where: { id: contact.id },
+        data: { contactListId: list.id }
+      });
+      return { status: 'success', detail: `Added to list "${list.name}"` };
+    }
+
+    default:
+      throw new Error(`Unknown action type: ${action.type}`);
+  }
+}
+
+/**
+ * Evaluate (and, unless dryRun, execute) the rules matching a contact state
+ * Moves re-evaluate for the new stage; each rule fires at most once per chain
+ *
+ * @returns {Promise<Array>} - [{ rule: { id, name }, status, results, executionId }]
+ */
+async function runTriggerRules(contact, state, rules, stageMap, options, fired = new Set(), depth = 0) {
+  const { dryRun = false, actorId = null } = options;
+  const firings = [];
+
+  for (const rule of rules) {
+    if (fired.has(rule.id) || !ruleMatches(rule, state)) {
+      continue;
+    }
+    fired.add(rule.id);
+
+    let nextState = null;
+    const results = [];
+
+    for (const action of rule.actions) {
+      if (dryRun) {
+        const targetError = action.type === TRIGGER_ACTION_TYPES.MOVE &&
+          validatePipelineStage(stageMap, action.pipeline, action.stage);
+        if (targetError) {
+          results.push({ type: action.type, status: 'failed', error: `Move target no longer exists - ${targetError}` });
+          continue;
+        }
+        results.push({ type: action.type, status: 'planned', detail: describeAction(action, stageMap) });
+        if (action.type === TRIGGER_ACTION_TYPES.MOVE) {
+          nextState = { ...state, pipeline: action.pipeline, stage: action.stage || stageMap[action.pipeline]?.[0] };
+        }
+        continue;
       }
-    });
 
-    // Fetch updated contact with relations
-    const contact = await prisma.contact.findUnique({
-      where: { id: contactId },
-      include: {
-        pipeline: true,
-        contactCompany: true
+      try {
+        const { moved, ...result } = await executeAction(action, contact, rule, { actorId, stageMap });
+        results.push({ type: action.type, ...result });
+        if (moved) {
+          nextState = { ...state, ...moved };
+        }
+      } catch (error) {
+        console.error(`❌ Trigger action failed (${rule.name} → ${action.type}):`, error);
+        results.push({ type: action.type, status: 'failed', error: error.message });
       }
+    }
+
+    const status = results.some(r => r.status === 'failed') ? 'failed' : (dryRun ? 'planned' : 'success');
+    let executionId = null;
+
+    if (!dryRun) {
+      const execution = await prisma.pipelineTriggerExecution.create({
+        data: {
+          companyHQId: contact.crmId,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          contactId: contact.id,
+          status,
+          results
+        }
+      });
+      executionId = execution.id;
+      console.log(`✅ Trigger "${rule.name}" fired for contact ${contact.id} (${status})`);
+    }
+
+    firings.push({
+      rule: { id: rule.id, name: rule.name },
+      state: { pipeline: state.pipeline, stage: state.stage },
+      status,
+      results,
+      executionId
     });
 
-    console.log(`✅ Pipeline conversion: Contact ${contactId} converted from prospect (contract-signed) to client (kickoff)`);
-
-    return {
-      converted: true,
-      from: { pipeline: 'prospect', stage: 'contract-signed' },
-      to: { pipeline: 'client', stage: 'kickoff' },
-      contact
-    };
-  } catch (error) {
-    console.error('❌ Pipeline conversion error:', error);
-    throw error;
+    if (nextState && depth + 1 < MAX_TRIGGER_DEPTH) {
+      firings.push(...await runTriggerRules(contact, nextState, rules, stageMap, options, fired, depth + 1));
+    }
   }
+
+  return firings;
+}
+
+// Contact with what rule conditions and actions need
+const loadTriggerContact = (contactId) => prisma.contact.findUnique({
+  where: { id: contactId },
+  include: {
+    pipeline: true,
+    contactCompany: true
+  }
+});
+
+/**
+ * Dry run: which rules would fire if the contact entered a pipeline/stage
+ * @param {string} contactId - Contact ID
+ * @param {Object} target - { pipeline, stage } (default: the contact's current pipeline/stage)
+ * @param {Object} options
+ * @param {Array} options.rules - Rules to evaluate instead of the CompanyHQ's enabled rules (optional)
+ * @returns {Promise<Object>} - { state, firings }
+ */
+export async function evaluatePipelineTriggers(contactId, target = {}, { rules = null } = {}) {
+  const contact = await loadTriggerContact(contactId);
+
+  if (!contact) {
+    throw new Error(`Contact not found: ${contactId}`);
+  }
+
+  const stageMap = await getPipelineStageMap(contact.crmId);
+  const pipeline = target.pipeline || contact.pipeline?.pipeline || null;
+  const stage = target.stage || (pipeline === contact.pipeline?.pipeline ? contact.pipeline.stage : stageMap[pipeline]?.[0]) || null;
+  const state = { pipeline, stage, buyerDecision: contact.buyerDecision, howMet: contact.howMet };
+
+  const ruleSet = rules || await getTriggerRules(contact.crmId, { enabledOnly: true });
+  const firings = await runTriggerRules(contact, state, ruleSet, stageMap, { dryRun: true });
+
+  return {
+    state: { pipeline, stage },
+    firings
+  };
 }
 
 /**
- * Apply pipeline triggers when updating a contact's pipeline
- * This should be called from the contact update route
+ * Apply trigger rules after a contact's stage was saved
+ * This should be called from the contact update route, after the new stage is saved
  * @param {string} contactId - Contact ID
  * @param {string} pipeline - Pipeline value
  * @param {string} stage - Stage value
- * @returns {Promise<Object>} - Updated contact (may have been converted)
+ * @param {Object} options - { actorId } Owner who made the change (optional)
+ * @returns {Promise<Object|null>} - { contact, moved, firings }, or null when no rule fired
  */
-export async function applyPipelineTriggers(contactId, pipeline, stage) {
-  const conversion = await checkPipelineTriggers(contactId, pipeline, stage);
-  
-  if (conversion && conversion.converted) {
-    // Return the converted contact
-    return conversion.contact;
+export async function applyPipelineTriggers(contactId, pipeline, stage, options = {}) {
+  const contact = await loadTriggerContact(contactId);
+
+  if (!contact) {
+    return null;
   }
 
-  // No conversion, return null (caller should proceed with normal update)
-  return null;
+  const rules = await getTriggerRules(contact.crmId, { enabledOnly: true });
+  const state = { pipeline, stage, buyerDecision: contact.buyerDecision, howMet: contact.howMet };
+
+  if (!rules.some(rule => ruleMatches(rule, state))) {
+    return null;
+  }
+
+  const stageMap = await getPipelineStageMap(contact.crmId);
+  const firings = await runTriggerRules(contact, state, rules, stageMap, { actorId: options.actorId || null });
+
+  return {
+    contact: await loadTriggerContact(contactId),
+    moved: firings.some(f => f.results.some(r => r.type === TRIGGER_ACTION_TYPES.MOVE && r.status === 'success')),
+    firings
+  };
 }
 
+/**
+ * Trigger execution log for a CompanyHQ (newest first)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} filters - { contactId, ruleId, limit }
+ * @returns {Promise<Array>} - PipelineTriggerExecutions with contact summary
+ */
+export async function getTriggerExecutions(companyHQId, { contactId, ruleId, limit = 50 } = {}) {
+  return prisma.pipelineTriggerExecution.findMany({
+    where: {
+      companyHQId,
+      ...(contactId && { contactId }),
+      ...(ruleId && { ruleId })
+    },
+    include: {
+      contact: {
+        select: { id: true, firstName: true, lastName: true, email: true }
+      }
+    },
+    orderBy: { occurredAt: 'desc' },
+    take: limit
+  });
+}
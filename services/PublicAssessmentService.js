@@ -0,0 +1,132 @@
+/**
+ * PUBLIC ASSESSMENT SERVICE
+ * Lead capture: the growth assessment a CompanyHQ embeds on its website
+ *
+ * Each submission runs assessmentDemoService (the two-paragraph result) and turns the
+ * respondent into a Contact in that CompanyHQ:
+ * - New contacts get howMet "inbound-assessment" and land in prospect/interest
+ *   (the prospect pipeline's first stage if the CompanyHQ removed "interest")
+ * - Existing contacts (matched by email) keep their details, howMet and pipeline -
+ *   a public form only fills in what's missing
+ * The answers, scores and result are saved as an Assessment linked to the contact,
+ * with a note on the contact's timeline. When the AI result can't be generated the lead
+ * is still captured (insightsStatus "failed") and the error is returned to the caller.
+ *
+ * Main functions:
+ * - Submit a public assessment
+ */
+
+import prisma from '../db.js';
+import assessmentDemoService from './AssessmentDemoService.js';
+import { createAssessment } from './AssessmentService.js';
+import { findContactByEmail, upsertUniversalContact } from './UniversalContactService.js';
+import { setContactPipeline } from './PipelineHistoryService.js';
+import { getPipelineStageMap } from './PipelineDefinitionService.js';
+import { applyPipelineTriggers } from './PipelineTriggerService.js';
+import { HOW_MET_TYPES } from '../config/howMetConfig.js';
+import { ACTIVITY_TYPES } from '../config/activityConfig.js';
+import {
+  ASSESSMENT_INSIGHTS_STATUSES,
+  PUBLIC_ASSESSMENT_PIPELINE,
+  PUBLIC_ASSESSMENT_TRIGGER
+} from '../config/assessmentConfig.js';
+
+// "Jane van Doe" → { firstName: "Jane", lastName: "van Doe" }
+const splitName = (name) => {
+  const [firstName = null, ...rest] = (name || '').trim().split(/\s+/).filter(Boolean);
+  return { firstName, lastName: rest.join(' ') || null };
+};
+
+/**
+ * Put a new lead in the prospect pipeline (no-op if it's already in one)
+ * @returns {Promise<Object|null>} - Pipeline record, or null when the contact wasn't moved
+ */
+async function placeLeadInPipeline(contact) {
+  if (contact.pipeline) {
+    return null;
+  }
+
+  const stageMap = await getPipelineStageMap(contact.crmId);
+  const stages = stageMap[PUBLIC_ASSESSMENT_PIPELINE.pipeline];
+  if (!stages) {
+    console.log(`⚠️ CompanyHQ ${contact.crmId} has no ${PUBLIC_ASSESSMENT_PIPELINE.pipeline} pipeline - lead not placed`);
+    return null;
+  }
+
+  // null stage → the pipeline's first stage
+  const { pipeline } = await setContactPipeline(contact.id, {
+    pipeline: PUBLIC_ASSESSMENT_PIPELINE.pipeline,
+    stage: stages.includes(PUBLIC_ASSESSMENT_PIPELINE.stage) ? PUBLIC_ASSESSMENT_PIPELINE.stage : null
+  }, {
+    automated: true,
+    trigger: PUBLIC_ASSESSMENT_TRIGGER
+  });
+
+  const triggerResult = await applyPipelineTriggers(contact.id, pipeline.pipeline, pipeline.stage);
+  return triggerResult?.contact?.pipeline || pipeline;
+}
+
+/**
+ * Submit a public assessment for a CompanyHQ
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} submission
+ * @param {Object} submission.respondent - { name, email, company, industry } (email required)
+ * @param {Object} submission.responses - From normalizeAssessmentResponses
+ * @returns {Promise<Object>} - { result: { relateWithUser, growthNeeds }, error, assessment, contact, action: 'created'|'updated' }
+ *   (result is null and error is { code, message } when the AI result couldn't be generated)
+ */
+export async function submitPublicAssessment(companyHQId, { respondent, responses }) {
+  const { name = null, email, company = null, industry = null } = respondent;
+
+  // Never throws - success: false with a typed error code when the AI result couldn't be generated
+  const demo = await assessmentDemoService({ name, company, industry, ...responses });
+
+  const existing = await findContactByEmail(companyHQId, email);
+  const { firstName, lastName } = splitName(name);
+
+  const { contact, action } = await upsertUniversalContact({
+    contact: {
+      crmId: companyHQId,
+      email,
+      firstName: existing?.firstName ? null : firstName,
+      lastName: existing?.lastName ? null : lastName,
+      howMet: existing?.howMet ? null : HOW_MET_TYPES.INBOUND_ASSESSMENT
+    },
+    company: company && !existing?.contactCompanyId ? { companyName: company, industry } : undefined
+  });
+
+  const pipeline = await placeLeadInPipeline(contact);
+
+  const result = demo.success
+    ? { relateWithUser: demo.assessmentDemo.relateWithUser, growthNeeds: demo.assessmentDemo.growthNeeds }
+    : null;
+
+  const assessment = await createAssessment({
+    companyHQId,
+    contactId: contact.id,
+    respondent: { name, company, industry },
+    responses
+  }, {
+    insights: {
+      insights: result,
+      status: result ? ASSESSMENT_INSIGHTS_STATUSES.GENERATED : ASSESSMENT_INSIGHTS_STATUSES.FAILED
+    }
+  });
+
+  await prisma.contactActivity.create({
+    data: {
+      contactId: contact.id,
+      crmId: companyHQId,
+      type: ACTIVITY_TYPES.NOTE,
+      summary: `Completed the website growth assessment (score ${assessment.baseScore} - ${assessment.scoreBand})`
+    }
+  });
+
+  return {
+    result,
+    error: result ? null : { code: demo.code, message: demo.error },
+    assessment,
+    contact: pipeline ? { ...contact, pipeline } : contact,
+    action
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * REVENUE FORECAST SERVICE
+ * Weighted revenue forecast for a CompanyHQ from open proposals and pipeline stages
+ *
+ * Each open proposal (draft/active) is weighted by the win probability of its company's
+ * most advanced contact (PipelineStageDefinition.winProbability, set per CompanyHQ).
+ * Proposals without a linked company, a staged contact or a stage probability are listed
+ * as unweighted and left out of the expected revenue.
+ *
+ * Revenue is scheduled from dateIssued (createdAt if not issued yet): split evenly across
+ * the proposal's milestones, each falling `week` weeks after that date, or all in the issue
+ * month when there are no milestones.
+ *
+ * The forecast is new revenue, so it is compared with the increase needed by the
+ * TargetAcquisitionCalculationService target (increaseNeeded / monthlyIncrease).
+ *
+ * Main functions:
+ * - Schedule a proposal's value over months
+ * - Build the weighted forecast (per month, per stage, per proposal) and target comparison
+ */
+
+import prisma from '../db.js';
+import { getPipelineDefinitions } from './PipelineDefinitionService.js';
+import { NOT_DELETED } from './TrashService.js';
+import { OPEN_PROPOSAL_STATUSES } from '../config/forecastConfig.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Months in the forecast window, oldest first
+ * @param {Date} from - Any date in the first month
+ * @param {number} months - Number of months
+ * @returns {string[]} - "YYYY-MM" keys
+ */
+export function listForecastMonths(from, months) {
+  return Array.from({ length: months }, (_, index) => (
+    monthKey(new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + index, 1)))
+  ));
+}
+
+/**
+ * Spread a proposal's value over its payment dates
+ * @param {Object} proposal - { totalPrice, dateIssued, createdAt, milestones }
+ * @returns {Array} - [{ date, amount }]
+ */
+export function scheduleProposalRevenue(proposal) {
+  const value = proposal.totalPrice || 0;
+  const start = new Date(proposal.dateIssued || proposal.createdAt);
+
+  const weeks = (Array.isArray(proposal.milestones) ? proposal.milestones : [])
+    .map(milestone => Number(milestone?.week))
+    .filter(week => Number.isFinite(week) && week >= 0);
+
+  if (weeks.length === 0) {
+    return [{ date: start, amount: value }];
+  }
+
+  return weeks.map(week => ({
+    date: new Date(start.getTime() + week * WEEK_MS),
+    amount: value / weeks.length
+  }));
+}
+
+// The company's contact with the best (highest) stage probability
+const pickForecastStage = (contacts, probabilities) => {
+  let best = null;
+  for (const contact of contacts) {
+    if (!contact.pipeline) continue;
+    const probability = probabilities.get(`${contact.pipeline.pipeline}:${contact.pipeline.stage}`) ?? null;
+    if (best === null || (probability ?? -1) > (best.probability ?? -1)) {
+      best = {
+        contactId: contact.id,
+        pipeline: contact.pipeline.pipeline,
+        stage: contact.pipeline.stage,
+        probability
+      };
+    }
+  }
+  return best;
+};
+
+/**
+ * Weighted revenue forecast for a CompanyHQ
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {Object} options
+ * @param {Date} options.from - Any date in the first forecast month
+ * @param {number} options.months - Forecast horizon in months
+ * @param {Object|null} options.target - Result of TargetAcquisitionCalculationService.calculateTargetAcquisition (optional)
+ * @returns {Promise<Object>} - { range, totals, months, byStage, proposals, target }
+ */
+export async function getRevenueForecast(companyHQId, { from, months, target = null }) {
+  const [definitions, proposals] = await Promise.all([
+    getPipelineDefinitions(companyHQId),
+    prisma.proposal.findMany({
+      where: {
+        companyHQId,
+        ...NOT_DELETED,
+        status: { in: OPEN_PROPOSAL_STATUSES }
+      },
+      select: {
+        id: true,
+        clientName: true,
+        clientCompany: true,
+        companyId: true,
+        status: true,
+        totalPrice: true,
+        dateIssued: true,
+        createdAt: true,
+        milestones: true,
+        company: {
+          select: {
+            contacts: {
+              where: NOT_DELETED,
+              select: {
+                id: true,
+                pipeline: { select: { pipeline: true, stage: true } }
+              }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  const probabilities = new Map();
+  const stageLabels = new Map();
+  for (const definition of definitions) {
+    for (const stage of definition.stages) {
+      probabilities.set(`${definition.key}:${stage.key}`, stage.winProbability);
+      stageLabels.set(`${definition.key}:${stage.key}`, stage.label);
+    }
+  }
+
+  const monthKeys = listForecastMonths(from, months);
+  const monthly = new Map(monthKeys.map(key => [key, { month: key, pipelineValue: 0, expectedRevenue: 0 }]));
+  const outside = { before: 0, after: 0 };
+  const byStage = new Map();
+  const totals = { proposals: proposals.length, pipelineValue: 0, expectedRevenue: 0, unweightedValue: 0 };
+
+  const forecastProposals = proposals.map(proposal => {
+    const stage = pickForecastStage(proposal.company?.contacts || [], probabilities);
+    const probability = stage?.probability ?? null;
+    const value = proposal.totalPrice || 0;
+    const expectedRevenue = probability === null ? 0 : value * probability;
+
+    totals.pipelineValue += value;
+    totals.expectedRevenue += expectedRevenue;
+    if (probability === null) {
+      totals.unweightedValue += value;
+    }
+
+    if (stage) {
+      const key = `${stage.pipeline}:${stage.stage}`;
+      if (!byStage.has(key)) {
+        byStage.set(key, {
+          pipeline: stage.pipeline,
+          stage: stage.stage,
+          label: stageLabels.get(key) || stage.stage,
+          winProbability: probability,
+          proposals: 0,
+          pipelineValue: 0,
+          expectedRevenue: 0
+        });
+      }
+      const entry = byStage.get(key);
+      entry.proposals += 1;
+      entry.pipelineValue += value;
+      entry.expectedRevenue += expectedRevenue;
+    }
+
+    for (const payment of scheduleProposalRevenue(proposal)) {
+      const key = monthKey(payment.date);
+      const month = monthly.get(key);
+      const expected = probability === null ? 0 : payment.amount * probability;
+      if (month) {
+        month.pipelineValue += payment.amount;
+        month.expectedRevenue += expected;
+      } else {
+        outside[key < monthKeys[0] ? 'before' : 'after'] += expected;
+      }
+    }
+
+    return {
+      id: proposal.id,
+      clientName: proposal.clientName,
+      clientCompany: proposal.clientCompany,
+      status: proposal.status,
+      totalPrice: proposal.totalPrice,
+      stage,
+      winProbability: probability,
+      expectedRevenue: roundMoney(expectedRevenue)
+    };
+  });
+
+  const forecastMonths = [...monthly.values()].map(month => ({
+    month: month.month,
+    pipelineValue: roundMoney(month.pipelineValue),
+    expectedRevenue: roundMoney(month.expectedRevenue),
+    ...(target && {
+      targetIncrease: roundMoney(target.monthlyIncrease),
+      gap: roundMoney(target.monthlyIncrease - month.expectedRevenue)
+    })
+  }));
+
+  const expectedInRange = forecastMonths.reduce((sum, month) => sum + month.expectedRevenue, 0);
+
+  return {
+    range: { from: monthKeys[0], to: monthKeys[monthKeys.length - 1], months },
+    totals: {
+      proposals: totals.proposals,
+      pipelineValue: roundMoney(totals.pipelineValue),
+      expectedRevenue: roundMoney(totals.expectedRevenue),
+      expectedInRange: roundMoney(expectedInRange),
+      expectedBeforeRange: roundMoney(outside.before),
+      expectedAfterRange: roundMoney(outside.after),
+      unweightedValue: roundMoney(totals.unweightedValue)
+    },
+    months: forecastMonths,
+    byStage: [...byStage.values()].map(entry => ({
+      ...entry,
+      pipelineValue: roundMoney(entry.pipelineValue),
+      expectedRevenue: roundMoney(entry.expectedRevenue)
+    })),
+    proposals: forecastProposals,
+    target: target && {
+      ...target,
+      expectedRevenue: roundMoney(expectedInRange),
+      gap: roundMoney(target.increaseNeeded - expectedInRange),
+      coverage: target.increaseNeeded > 0 ? Math.round((expectedInRange / target.increaseNeeded) * 1000) / 1000 : null
+    }
+  };
+}
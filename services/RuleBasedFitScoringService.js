@@ -0,0 +1,155 @@
+/**
+ * RULE-BASED FIT SCORING SERVICE
+ * Deterministic fit scores - the same five 0-20 dimensions as the AI scorer, no LLM
+ *
+ * Used when a request asks for mode "rule-based", and by mode "auto" when the LLM call
+ * fails. Every dimension comes from data already on the contact, persona and product:
+ * - point_of_need: keywords shared by the persona's goals (or contact notes) and the product's value prop
+ * - pain_alignment: keywords shared by the persona's pain points and the product's value prop
+ * - willingness_to_pay: budget sensitivity of the pipeline stage (inferBudgetSensitivity),
+ *   raised for buyers who hold the budget
+ * - impact_potential: the contact's buyerDecision
+ * - context_fit: persona title/role and industry match (scorePersonaMatch - the same title and
+ *   industry signals PersonaMatchingService ranks personas by)
+ * The breakdown lists the inputs behind each dimension so the score can be explained.
+ *
+ * Main functions:
+ * - Extract keywords from text
+ * - Calculate a rule-based fit score
+ */
+
+import { BUYER_TYPES } from '../buyerconfig.js';
+
+// Points per shared keyword in the keyword-overlap dimensions (4 shared = 20)
+const POINTS_PER_KEYWORD = 5;
+
+const MAX_DIMENSION_SCORE = 20;
+
+// Keyed by inferBudgetSensitivity's labels
+const BUDGET_SENSITIVITY_SCORES = {
+  'High - Contract stage': 14,
+  'High - Existing client': 12,
+  Moderate: 8,
+  'Low - Early stage': 6,
+  Unknown: 4
+};
+
+// Added to willingness_to_pay by buyerDecision
+const BUYER_BUDGET_BONUS = {
+  [BUYER_TYPES.HAS_MONEY]: 6,
+  [BUYER_TYPES.SENIOR_PERSON]: 3
+};
+
+const BUYER_IMPACT_SCORES = {
+  [BUYER_TYPES.SENIOR_PERSON]: 16,
+  [BUYER_TYPES.HAS_MONEY]: 12,
+  [BUYER_TYPES.PRODUCT_USER]: 10
+};
+
+// buyerDecision not set
+const UNKNOWN_BUYER_IMPACT_SCORE = 6;
+
+const TITLE_MATCH_SCORE = 12;
+const INDUSTRY_MATCH_SCORE = 8;
+
+// Common words that say nothing about need or pain
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'that', 'this', 'from', 'into', 'our', 'your', 'their', 'they',
+  'you', 'are', 'was', 'were', 'will', 'can', 'not', 'but', 'all', 'any', 'more', 'less', 'have',
+  'has', 'had', 'who', 'what', 'when', 'how', 'why', 'them', 'its', 'out', 'get', 'make', 'need',
+  'needs', 'want', 'wants', 'help', 'helps', 'than', 'too', 'very', 'just', 'also', 'about', 'over'
+]);
+
+const clampDimension = (score) => Math.max(0, Math.min(MAX_DIMENSION_SCORE, score));
+
+/**
+ * Distinct keywords in a text (lowercased, stop words and words under 3 letters dropped,
+ * a plural "s" stripped so "leads" matches "lead")
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractKeywords(text) {
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  const keywords = words
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+  return [...new Set(keywords)];
+}
+
+// Keyword-overlap dimension: { score, matched } (score 0 when there's no text to compare)
+const scoreKeywordOverlap = (text, offerKeywords) => {
+  if (!text || offerKeywords.length === 0) {
+    return { score: 0, matched: [] };
+  }
+
+  const matched = extractKeywords(text).filter(keyword => offerKeywords.includes(keyword));
+  return { score: clampDimension(matched.length * POINTS_PER_KEYWORD), matched };
+};
+
+/**
+ * Calculate a rule-based fit score
+ * @param {Object} input
+ * @param {Object} input.contact - Contact (title, notes, buyerDecision)
+ * @param {Object} input.product - Product (valueProp, description)
+ * @param {Object} input.persona - Persona used for scoring (optional)
+ * @param {string} input.budgetSensitivity - inferBudgetSensitivity label for the contact's pipeline stage
+ * @param {Object} input.personaMatch - { titleMatch, industryMatch } for the persona (optional)
+ * @returns {Object} - { scores: { point_of_need, pain_alignment, willingness_to_pay, impact_potential,
+ *   context_fit, total_score }, summary, breakdown }
+ */
+export function calculateRuleBasedFitScore({ contact, product, persona = null, budgetSensitivity, personaMatch = null }) {
+  const offerKeywords = extractKeywords(product.valueProp || product.description);
+
+  // Same goals the AI prompt uses - the persona's, else the contact's notes
+  const need = scoreKeywordOverlap(persona?.goals || contact.notes, offerKeywords);
+  const pain = scoreKeywordOverlap(persona?.painPoints, offerKeywords);
+
+  const willingnessToPay = clampDimension(
+    (BUDGET_SENSITIVITY_SCORES[budgetSensitivity] ?? BUDGET_SENSITIVITY_SCORES.Unknown) +
+    (BUYER_BUDGET_BONUS[contact.buyerDecision] || 0)
+  );
+
+  const impactPotential = BUYER_IMPACT_SCORES[contact.buyerDecision] ?? UNKNOWN_BUYER_IMPACT_SCORE;
+
+  const titleMatch = Boolean(personaMatch?.titleMatch);
+  const industryMatch = Boolean(personaMatch?.industryMatch);
+  const contextFit = clampDimension((titleMatch ? TITLE_MATCH_SCORE : 0) + (industryMatch ? INDUSTRY_MATCH_SCORE : 0));
+
+  const scores = {
+    point_of_need: need.score,
+    pain_alignment: pain.score,
+    willingness_to_pay: willingnessToPay,
+    impact_potential: impactPotential,
+    context_fit: contextFit
+  };
+  scores.total_score = Object.values(scores).reduce((sum, score) => sum + score, 0);
+
+  const breakdown = {
+    offerKeywords,
+    needKeywords: need.matched,
+    painKeywords: pain.matched,
+    budgetSensitivity,
+    buyerDecision: contact.buyerDecision || null,
+    titleMatch,
+    industryMatch
+  };
+
+  const summaryParts = [
+    need.matched.length ? `Goals match the offer on: ${need.matched.join(', ')}.` : 'No goal keywords match the offer.',
+    pain.matched.length ? `Pain points match on: ${pain.matched.join(', ')}.` : 'No pain point keywords match the offer.',
+    `Budget sensitivity: ${budgetSensitivity}.`,
+    contact.buyerDecision ? `Buyer type: ${contact.buyerDecision}.` : 'Buyer type not set.',
+    persona
+      ? `Persona ${titleMatch ? 'matches' : 'does not match'} the contact's title and ${industryMatch ? 'matches' : 'does not match'} their industry.`
+      : 'No persona to compare the contact against.'
+  ];
+
+  return {
+    scores,
+    summary: `Rule-based score. ${summaryParts.join(' ')}`,
+    breakdown
+  };
+}
+
+export default calculateRuleBasedFitScore;
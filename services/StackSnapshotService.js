@@ -0,0 +1,268 @@
+/**
+ * STACK SNAPSHOT SERVICE
+ * Runs the Revenue, Human Capital and Target Acquisition stack calculations and saves
+ * the results as versioned snapshots per CompanyHQ
+ *
+ * Each stack's results bundle the core metrics with the calculation service's
+ * projections/scenarios, feasibility, milestones and insights. Target Acquisition
+ * feasibility uses the CompanyHQ's latest Human Capital snapshot when there is one.
+ * Snapshots are immutable - recalculating saves a new version.
+ *
+ * Main functions:
+ * - Calculate a stack from its inputs
+ * - Save / list / load snapshots
+ * - Compare two snapshots of the same stack
+ */
+
+import prisma from '../db.js';
+import RevenueCalculationService from './RevenueCalculationService.js';
+import HumanCapitalCalculationService from './HumanCapitalCalculationService.js';
+import TargetAcquisitionCalculationService from './TargetAcquisitionCalculationService.js';
+import { STACK_TYPES, MAX_PROJECTION_YEARS, MAX_TIME_HORIZON_MONTHS } from '../config/stackConfig.js';
+
+// Saving retries when another request takes the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+const SNAPSHOT_INCLUDE = {
+  createdBy: {
+    select: { id: true, name: true, email: true }
+  }
+};
+
+/**
+ * Thrown when stack inputs are missing or invalid (the calculation services' messages)
+ */
+export class StackInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StackInputError';
+  }
+}
+
+// Optional numeric option (undefined → fallback)
+const optionalNumber = (value, name, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) {
+    throw new StackInputError(`${name} must be a number`);
+  }
+  return number;
+};
+
+// Optional whole number from 1 to max (undefined → fallback)
+const optionalCount = (value, name, fallback, max) => {
+  const number = optionalNumber(value, name, fallback);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new StackInputError(`${name} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+};
+
+const calculateRevenueStack = (inputs) => {
+  const metrics = RevenueCalculationService.calculateRevenue(inputs);
+  return {
+    metrics,
+    projections: RevenueCalculationService.calculateGrowthProjections(
+      metrics,
+      optionalNumber(inputs.growthRate, 'growthRate', 0.25),
+      optionalCount(inputs.projectionYears, 'projectionYears', 5, MAX_PROJECTION_YEARS)
+    ),
+    unitEconomics: RevenueCalculationService.calculateUnitEconomicsInsights(metrics),
+    insights: RevenueCalculationService.generateRevenueInsights(metrics)
+  };
+};
+
+const calculateHumanCapitalStack = (inputs) => {
+  const metrics = HumanCapitalCalculationService.calculateHumanCapital(inputs);
+  return {
+    metrics,
+    capacity: HumanCapitalCalculationService.calculateCapacityRecommendations(metrics),
+    efficiency: HumanCapitalCalculationService.calculateEfficiencyMetrics(metrics),
+    scaling: HumanCapitalCalculationService.calculateScalingRecommendations(
+      metrics,
+      optionalNumber(inputs.targetGrowth, 'targetGrowth', 0.25)
+    ),
+    costs: HumanCapitalCalculationService.calculateCostImplications(
+      metrics,
+      optionalNumber(inputs.avgHourlyRate, 'avgHourlyRate', 50),
+      optionalNumber(inputs.contractorRate, 'contractorRate', 75)
+    ),
+    insights: HumanCapitalCalculationService.generateHumanCapitalInsights(metrics)
+  };
+};
+
+const calculateTargetAcquisitionStack = (inputs, { humanCapital }) => {
+  const metrics = TargetAcquisitionCalculationService.calculateTargetAcquisition({
+    ...inputs,
+    timeHorizon: optionalCount(inputs.timeHorizon, 'timeHorizon', 12, MAX_TIME_HORIZON_MONTHS)
+  });
+
+  if (inputs.scenarios !== undefined && (!Array.isArray(inputs.scenarios) || inputs.scenarios.some(s => typeof s !== 'number'))) {
+    throw new StackInputError('scenarios must be an array of growth rates, e.g. [0.1, 0.2]');
+  }
+
+  return {
+    metrics,
+    velocity: TargetAcquisitionCalculationService.calculateAcquisitionVelocity(metrics),
+    scenarios: TargetAcquisitionCalculationService.calculateGrowthScenarios(metrics, inputs.scenarios),
+    feasibility: TargetAcquisitionCalculationService.calculateAcquisitionFeasibility(metrics, humanCapital),
+    milestones: TargetAcquisitionCalculationService.calculateMilestoneTracking(metrics),
+    insights: TargetAcquisitionCalculationService.generateAcquisitionInsights(metrics)
+  };
+};
+
+const STACK_CALCULATORS = {
+  [STACK_TYPES.REVENUE]: calculateRevenueStack,
+  [STACK_TYPES.HUMAN_CAPITAL]: calculateHumanCapitalStack,
+  [STACK_TYPES.TARGET_ACQUISITION]: calculateTargetAcquisitionStack
+};
+
+/**
+ * Latest snapshot of a stack
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} stackType - See STACK_TYPES
+ * @returns {Promise<Object|null>} - StackSnapshot with createdBy
+ */
+export async function getLatestStackSnapshot(companyHQId, stackType) {
+  return prisma.stackSnapshot.findFirst({
+    where: { companyHQId, stackType },
+    include: SNAPSHOT_INCLUDE,
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Calculate a stack without saving it
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} stackType - See STACK_TYPES
+ * @param {Object} inputs - Stack inputs (see the calculation service)
+ * @returns {Promise<Object>} - Results
+ * @throws {StackInputError} - When the inputs are missing or invalid
+ */
+export async function calculateStack(companyHQId, stackType, inputs) {
+  const humanCapitalSnapshot = stackType === STACK_TYPES.TARGET_ACQUISITION
+    ? await getLatestStackSnapshot(companyHQId, STACK_TYPES.HUMAN_CAPITAL)
+    : null;
+
+  try {
+    return STACK_CALCULATORS[stackType](inputs || {}, {
+      humanCapital: humanCapitalSnapshot?.results?.metrics || null
+    });
+  } catch (error) {
+    throw error instanceof StackInputError ? error : new StackInputError(error.message);
+  }
+}
+
+/**
+ * Calculate a stack and save the results as its next version
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} stackType - See STACK_TYPES
+ * @param {Object} inputs - Stack inputs
+ * @param {Object} options
+ * @param {string} options.label - Snapshot name (optional)
+ * @param {string} options.createdById - Saving Owner (optional)
+ * @returns {Promise<Object>} - Created StackSnapshot with createdBy
+ * @throws {StackInputError} - When the inputs are missing or invalid
+ */
+export async function createStackSnapshot(companyHQId, stackType, inputs, { label = null, createdById = null } = {}) {
+  const results = await calculateStack(companyHQId, stackType, inputs);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const { _max: latest } = await prisma.stackSnapshot.aggregate({
+      where: { companyHQId, stackType },
+      _max: { version: true }
+    });
+
+    try {
+      return await prisma.stackSnapshot.create({
+        data: {
+          companyHQId,
+          stackType,
+          version: (latest.version || 0) + 1,
+          label,
+          inputs,
+          results: JSON.parse(JSON.stringify(results)),
+          createdById
+        },
+        include: SNAPSHOT_INCLUDE
+      });
+    } catch (error) {
+      // Another save took this version number - take the next one
+      if (error.code !== 'P2002' || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * List a stack's snapshots (newest first)
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string} stackType - See STACK_TYPES
+ * @returns {Promise<Array>} - StackSnapshots with createdBy
+ */
+export async function listStackSnapshots(companyHQId, stackType) {
+  return prisma.stackSnapshot.findMany({
+    where: { companyHQId, stackType },
+    include: SNAPSHOT_INCLUDE,
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Load one version of a stack
+ * @returns {Promise<Object|null>} - StackSnapshot with createdBy
+ */
+export async function getStackSnapshot(companyHQId, stackType, version) {
+  return prisma.stackSnapshot.findUnique({
+    where: {
+      companyHQId_stackType_version: { companyHQId, stackType, version }
+    },
+    include: SNAPSHOT_INCLUDE
+  });
+}
+
+/**
+ * Compare two snapshots of the same stack
+ * Numeric metrics get { from, to, change, changePercent }; inputs list what changed
+ * @param {Object} from - Older StackSnapshot
+ * @param {Object} to - Newer StackSnapshot
+ * @returns {Object} - { from: { version, createdAt, label }, to: {...}, metrics, inputs }
+ */
+export function compareStackSnapshots(from, to) {
+  const fromMetrics = from.results?.metrics || {};
+  const toMetrics = to.results?.metrics || {};
+
+  const metrics = {};
+  for (const key of new Set([...Object.keys(fromMetrics), ...Object.keys(toMetrics)])) {
+    const before = fromMetrics[key];
+    const after = toMetrics[key];
+    if (typeof before !== 'number' && typeof after !== 'number') continue;
+
+    const change = typeof before === 'number' && typeof after === 'number' ? after - before : null;
+    metrics[key] = {
+      from: before ?? null,
+      to: after ?? null,
+      change,
+      changePercent: change !== null && before !== 0 ? (change / Math.abs(before)) * 100 : null
+    };
+  }
+
+  const inputs = {};
+  for (const key of new Set([...Object.keys(from.inputs || {}), ...Object.keys(to.inputs || {})])) {
+    const before = from.inputs?.[key] ?? null;
+    const after = to.inputs?.[key] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      inputs[key] = { from: before, to: after };
+    }
+  }
+
+  const summary = (snapshot) => ({ id: snapshot.id, version: snapshot.version, label: snapshot.label, createdAt: snapshot.createdAt });
+
+  return {
+    from: summary(from),
+    to: summary(to),
+    metrics,
+    inputs
+  };
+}
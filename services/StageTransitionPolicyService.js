@@ -0,0 +1,183 @@
+/**
+ * STAGE TRANSITION POLICY SERVICE
+ * Enforces each CompanyHQ's stage transition policies on user-driven pipeline moves
+ *
+ * Policies live on PipelineStageDefinition (see config/stageTransitionConfig.js):
+ * - allowedNextStages on the stage being left (any move - "pipeline:stage" entries allow
+ *   moves to another pipeline, e.g. prospect contract-signed → "client:kickoff")
+ * - entryRequirements on the stage being entered (any move, including new contacts)
+ *
+ * Automated moves (trigger rules, merges, stage removal) are not checked. A CompanyHQ owner can override a rejection; the
+ * override is recorded on the PipelineStageTransition.
+ *
+ * Main functions:
+ * - Check a move and return a machine-readable rejection
+ * - Resolve a move (throw StageTransitionError, or return the override to record)
+ * - Read an owner's override request from a request body
+ */
+
+import prisma from '../db.js';
+import { getPipelineDefinitions } from './PipelineDefinitionService.js';
+import { contactProposalsWhere } from './ContactProposalService.js';
+import {
+  STAGE_ENTRY_REQUIREMENTS,
+  STAGE_ENTRY_REQUIREMENT_LABELS,
+  TRANSITION_REJECTION_REASONS,
+  parseAllowedNextStage
+} from '../config/stageTransitionConfig.js';
+
+/**
+ * Thrown when a move breaks the target CompanyHQ's transition policy
+ * error.rejection holds { reason, message, from, to, allowedNextStages?, unmetRequirements? }
+ */
+export class StageTransitionError extends Error {
+  constructor(rejection) {
+    super(rejection.message);
+    this.name = 'StageTransitionError';
+    this.rejection = rejection;
+  }
+}
+
+// Does the contact's company have a proposal matching the status filter?
+const hasCompanyProposal = async (contact, status) => {
+  const where = contactProposalsWhere(contact, { status });
+  if (!where) {
+    return false;
+  }
+  const count = await prisma.proposal.count({ where });
+  return count > 0;
+};
+
+/**
+ * Which of a stage's entry requirements the contact doesn't meet
+ * @param {Object} contact - { crmId, email, contactCompanyId }
+ * @param {string[]} requirements - Requirement keys
+ * @returns {Promise<string[]>} - Unmet requirement keys
+ */
+export async function findUnmetRequirements(contact, requirements = []) {
+  const unmet = [];
+
+  for (const requirement of requirements) {
+    let met = true;
+    switch (requirement) {
+      case STAGE_ENTRY_REQUIREMENTS.EMAIL:
+        met = Boolean(contact.email);
+        break;
+      case STAGE_ENTRY_REQUIREMENTS.COMPANY:
+        met = Boolean(contact.contactCompanyId);
+        break;
+      case STAGE_ENTRY_REQUIREMENTS.PROPOSAL:
+        met = await hasCompanyProposal(contact, { not: 'rejected' });
+        break;
+      case STAGE_ENTRY_REQUIREMENTS.APPROVED_PROPOSAL:
+        met = await hasCompanyProposal(contact, 'approved');
+        break;
+      default:
+        break;
+    }
+    if (!met) {
+      unmet.push(requirement);
+    }
+  }
+
+  return unmet;
+}
+
+/**
+ * Check a move against the CompanyHQ's transition policy
+ * @param {Object} contact - { crmId, email, contactCompanyId }
+ * @param {Object|null} current - Current Pipeline / { pipeline, stage } (null for a contact without a Pipeline)
+ * @param {Object} target - { pipeline, stage } (stage defaults like setContactPipeline)
+ * @param {Object} options
+ * @param {Array} options.definitions - The CompanyHQ's PipelineDefinitions (optional - loaded if omitted)
+ * @returns {Promise<Object|null>} - Rejection, or null if the move is allowed
+ */
+export async function checkStageTransition(contact, current, target, { definitions = null } = {}) {
+  const from = current ? { pipeline: current.pipeline, stage: current.stage } : null;
+  const pipelines = definitions || await getPipelineDefinitions(contact.crmId);
+  const toPipeline = pipelines.find(p => p.key === target.pipeline);
+
+  // Unknown pipeline/stage is a validation problem, not a policy one
+  if (!toPipeline) {
+    return null;
+  }
+
+  const stage = target.stage || (from?.pipeline === target.pipeline ? from.stage : toPipeline.stages[0]?.key);
+  const to = { pipeline: target.pipeline, stage };
+
+  if (from && from.pipeline === to.pipeline && from.stage === to.stage) {
+    return null;
+  }
+
+  if (from) {
+    const fromStage = pipelines.find(p => p.key === from.pipeline)?.stages.find(s => s.key === from.stage);
+    const allowed = fromStage?.allowedNextStages;
+    const isAllowed = (entry) => {
+      const next = parseAllowedNextStage(from.pipeline, entry);
+      return next.pipeline === to.pipeline && next.stage === to.stage;
+    };
+    if (Array.isArray(allowed) && !allowed.some(isAllowed)) {
+      return {
+        reason: TRANSITION_REJECTION_REASONS.STAGE_NOT_ALLOWED,
+        message: `Cannot move from "${from.stage}" in ${from.pipeline} to "${to.stage}" in ${to.pipeline}. Allowed next stages: ${allowed.join(', ') || 'none'}`,
+        from,
+        to,
+        allowedNextStages: allowed
+      };
+    }
+  }
+
+  const toStage = toPipeline.stages.find(s => s.key === to.stage);
+  const requirements = Array.isArray(toStage?.entryRequirements) ? toStage.entryRequirements : [];
+  const unmet = await findUnmetRequirements(contact, requirements);
+
+  if (unmet.length > 0) {
+    return {
+      reason: TRANSITION_REJECTION_REASONS.REQUIREMENT_NOT_MET,
+      message: `Cannot enter "${to.stage}" in ${to.pipeline}. Unmet requirements: ${unmet.map(r => STAGE_ENTRY_REQUIREMENT_LABELS[r] || r).join('; ')}`,
+      from,
+      to,
+      unmetRequirements: unmet
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check a move and decide what to do with a rejection
+ * @param {Object} contact - { crmId, email, contactCompanyId }
+ * @param {Object|null} current - Current Pipeline / { pipeline, stage }
+ * @param {Object} target - { pipeline, stage }
+ * @param {Object} options
+ * @param {Object|null} options.override - { reason } when a CompanyHQ owner asked to bypass the policy
+ * @returns {Promise<Object>} - { overridden, overrideReason } to pass to setContactPipeline
+ * @throws {StageTransitionError} - When the move is rejected and not overridden
+ */
+export async function resolveStageTransition(contact, current, target, { override = null } = {}) {
+  const rejection = await checkStageTransition(contact, current, target);
+
+  if (!rejection) {
+    return { overridden: false, overrideReason: null };
+  }
+
+  if (!override) {
+    throw new StageTransitionError(rejection);
+  }
+
+  console.warn(`⚠️ Stage transition policy overridden (${rejection.reason}): ${rejection.message}`);
+  return {
+    overridden: true,
+    overrideReason: override.reason || `${rejection.reason}: ${rejection.message}`
+  };
+}
+
+/**
+ * Read an override request from a request body
+ * (authorizeTransitionOverride has already checked the caller is the CompanyHQ owner)
+ * @param {Object} body - { overrideTransitionRules, overrideReason }
+ * @returns {Object|null} - { reason } or null
+ */
+export function getTransitionOverride(body) {
+  return body?.overrideTransitionRules ? { reason: body.overrideReason || null } : null;
+}
@@ -0,0 +1,184 @@
+/**
+ * STRUCTURED OUTPUT SERVICE
+ * Gets AI responses that match a declared JSON schema (config/aiOutputSchemas.js)
+ *
+ * The response must be a bare JSON object that passes the schema (and the caller's own
+ * checks, e.g. a total that must equal its parts). On a violation the model is shown its
+ * response and the errors and asked to correct it, up to LLM_MAX_REPAIR_ATTEMPTS times.
+ * Nothing is clamped or patched - the caller gets valid data or a StructuredOutputError.
+ *
+ * Main functions:
+ * - Validate a value against a schema
+ * - Parse + validate a raw response
+ * - Generate a structured output (with the repair loop)
+ */
+
+import { completeChat } from './LLMProviderService.js';
+import { AI_OUTPUT_SCHEMAS } from '../config/aiOutputSchemas.js';
+import { LLM_MAX_REPAIR_ATTEMPTS } from '../config/llmConfig.js';
+
+/**
+ * Thrown when a response still doesn't match its schema after every repair attempt
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { task = null, errors = [], attempts = 0, rawResponse = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = 'AI_OUTPUT_INVALID';
+    this.task = task;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.rawResponse = rawResponse;
+  }
+}
+
+// JSON type of a value, with "integer" for whole numbers
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed value
+ * @param {Object} schema - JSON schema (supported keywords: see config/aiOutputSchemas.js)
+ * @param {string} path - Path shown in error messages (default: "$")
+ * @returns {string[]} - Errors, e.g. "$.point_of_need must be <= 20" (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`} (got ${typeOf(value)})`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertyValue, propertySchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a raw response and validate it
+ * @param {string} content - Raw model response (must be bare JSON)
+ * @param {Object} schema - JSON schema
+ * @param {Function} validate - (data) => string[] extra checks, run once the schema passes (optional)
+ * @returns {Object} - { data, errors } (errors empty when valid)
+ */
+export function parseStructuredOutput(content, schema, validate = null) {
+  let data;
+  try {
+    data = JSON.parse((content || '').trim());
+  } catch (error) {
+    return { data: null, errors: [`Response is not valid JSON (${error.message})`] };
+  }
+
+  const errors = validateSchema(data, schema);
+  if (errors.length === 0 && validate) {
+    errors.push(...validate(data));
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Ask the model for a structured output, re-prompting with the errors until it's valid
+ * @param {Object} request
+ * @param {string} request.task - One of LLM_TASKS
+ * @param {Array} request.messages - [{ role, content }]
+ * @param {Object} request.schema - Output schema (default: AI_OUTPUT_SCHEMAS[task])
+ * @param {Function} request.validate - (data) => string[] extra checks (optional)
+ * @param {number} request.maxTokens - Response token limit (optional)
+ * @param {number} request.maxRepairs - Re-prompts allowed (default: LLM_MAX_REPAIR_ATTEMPTS)
+ * @returns {Promise<Object>} - { data, model, provider, attempts, rawResponse }
+ * @throws {StructuredOutputError} - When the response is still invalid after maxRepairs re-prompts
+ * @throws {LLMProviderError} - When a provider call fails
+ */
+export async function generateStructuredOutput({
+  task,
+  messages,
+  schema = AI_OUTPUT_SCHEMAS[task],
+  validate = null,
+  maxTokens = null,
+  maxRepairs = LLM_MAX_REPAIR_ATTEMPTS
+}) {
+  if (!schema) {
+    throw new Error(`No output schema for AI task "${task}"`);
+  }
+
+  const conversation = [...messages];
+
+  for (let attempt = 1; ; attempt += 1) {
+    const { content, model, provider } = await completeChat({ task, messages: conversation, maxTokens });
+    const { data, errors } = parseStructuredOutput(content, schema, validate);
+
+    if (errors.length === 0) {
+      return { data, model, provider, attempts: attempt, rawResponse: content };
+    }
+
+    console.warn(`⚠️ ${task} output invalid (attempt ${attempt}):`, errors);
+
+    if (attempt > maxRepairs) {
+      throw new StructuredOutputError(
+        `AI ${task} output did not match its schema after ${attempt} attempt(s): ${errors.join('; ')}`,
+        { task, errors, attempts: attempt, rawResponse: content }
+      );
+    }
+
+    conversation.push(
+      { role: 'assistant', content: content || '' },
+      {
+        role: 'user',
+        content: `Your response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+It must be a single JSON object matching this JSON schema:
+${JSON.stringify(schema)}
+
+Return ONLY the corrected JSON object. No markdown, no code blocks, no explanation.`
+      }
+    );
+  }
+}
+
+export default generateStructuredOutput;
@@ -0,0 +1,162 @@
+/**
+ * TRASH SERVICE
+ * Soft delete, restore and purge for contacts, proposals and personas
+ *
+ * Main functions:
+ * - Move a record to the trash (sets deletedAt, keeps relations like Pipeline intact)
+ * - List a CompanyHQ's trash
+ * - Restore a record from the trash
+ * - Purge records older than the retention window (permanent delete)
+ *
+ * Proposals: Company.proposalId is cleared when a proposal is trashed and
+ * re-linked on restore (if the company hasn't picked up another proposal since)
+ */
+
+import prisma from '../db.js';
+import { TRASH_TYPES, TRASH_RETENTION_DAYS } from '../config/trashConfig.js';
+
+// Where clause fragment excluding trashed records - spread into every list/get query
+export const NOT_DELETED = { deletedAt: null };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_INCLUDES = {
+  contacts: { pipeline: true, contactCompany: true },
+  proposals: { company: true },
+  personas: { product: { select: { id: true, name: true } } }
+};
+
+/**
+ * Date a trashed record becomes eligible for purge
+ */
+export const purgeDateFor = (deletedAt, retentionDays = TRASH_RETENTION_DAYS) => (
+  new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS)
+);
+
+/**
+ * Move a contact to the trash
+ * Pipeline and activities stay attached so a restore brings everything back
+ */
+export async function softDeleteContact(contactId) {
+  return prisma.contact.update({
+    where: { id: contactId },
+    data: { deletedAt: new Date() }
+  });
+}
+
+/**
+ * Move a proposal to the trash and unlink it from its company
+ */
+export async function softDeleteProposal(proposal) {
+  return prisma.$transaction(async (tx) => {
+    if (proposal.companyId) {
+      await tx.company.updateMany({
+        where: { id: proposal.companyId, proposalId: proposal.id },
+        data: { proposalId: null }
+      });
+    }
+
+    return tx.proposal.update({
+      where: { id: proposal.id },
+      data: { deletedAt: new Date() }
+    });
+  });
+}
+
+/**
+ * Move a persona to the trash
+ */
+export async function softDeletePersona(personaId) {
+  return prisma.persona.update({
+    where: { id: personaId },
+    data: { deletedAt: new Date() }
+  });
+}
+
+/**
+ * List trashed records for a CompanyHQ
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @param {string[]} types - Subset of TRASH_TYPES keys (default: all)
+ * @returns {Promise<Object>} - { contacts, proposals, personas } each item with a purgeAt date
+ */
+export async function listTrash(companyHQId, types = Object.keys(TRASH_TYPES)) {
+  const results = await Promise.all(types.map(type => {
+    const { model, tenantField } = TRASH_TYPES[type];
+    return prisma[model].findMany({
+      where: {
+        [tenantField]: companyHQId,
+        deletedAt: { not: null }
+      },
+      include: TRASH_INCLUDES[type],
+      orderBy: { deletedAt: 'desc' }
+    });
+  }));
+
+  return Object.fromEntries(types.map((type, index) => [
+    type,
+    results[index].map(item => ({ ...item, purgeAt: purgeDateFor(item.deletedAt) }))
+  ]));
+}
+
+/**
+ * Find a trashed record by type and id
+ * @returns {Promise<Object|null>} - Record (only if it is in the trash)
+ */
+export async function findTrashedRecord(type, id) {
+  const { model } = TRASH_TYPES[type];
+  return prisma[model].findFirst({
+    where: { id, deletedAt: { not: null } }
+  });
+}
+
+/**
+ * Restore a trashed record
+ * @param {string} type - TRASH_TYPES key
+ * @param {Object} record - Trashed record (from findTrashedRecord)
+ * @returns {Promise<Object>} - Restored record with relations
+ */
+export async function restoreFromTrash(type, record) {
+  const { model } = TRASH_TYPES[type];
+
+  return prisma.$transaction(async (tx) => {
+    const restored = await tx[model].update({
+      where: { id: record.id },
+      data: { deletedAt: null },
+      include: TRASH_INCLUDES[type]
+    });
+
+    if (type === 'proposals' && record.companyId) {
+      await tx.company.updateMany({
+        where: { id: record.companyId, proposalId: null },
+        data: { proposalId: record.id }
+      });
+    }
+
+    return restored;
+  });
+}
+
+/**
+ * Permanently delete trashed records older than the retention window
+ * @param {number} retentionDays - Days to keep trashed records (default: TRASH_RETENTION_DAYS)
+ * @returns {Promise<Object>} - Counts purged per type { contacts, proposals, personas }
+ */
+export async function purgeExpiredTrash(retentionDays = TRASH_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const purged = {};
+
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    // Contacts cascade to Pipeline and activities
+    const result = await prisma[model].deleteMany({
+      where: { deletedAt: { lt: cutoff } }
+    });
+    purged[type] = result.count;
+  }
+
+  const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    console.log(`🗑️ Trash purge: permanently deleted ${total} records older than ${retentionDays} days`, purged);
+  }
+
+  return purged;
+}
@@ -0,0 +1,260 @@
+/**
+ * UNIVERSAL CONTACT SERVICE
+ * Shared Contact + Company + Pipeline upsert used by universal-create and CSV import
+ *
+ * Main functions:
+ * - Check a Company belongs to a CompanyHQ
+ * - Find or create a prospect/client Company by name (case-insensitive, per CompanyHQ)
+ * - Find a Contact by email (case-insensitive, per CompanyHQ)
+ * - Create a Contact, or update the existing one matched by email
+ */
+
+import prisma from '../db.js';
+import { NOT_DELETED } from './TrashService.js';
+import { setContactPipeline } from './PipelineHistoryService.js';
+import { resolveStageTransition } from './StageTransitionPolicyService.js';
+import { inferWebsiteFromEmail } from './CompanyEnrichmentService.js';
+
+/**
+ * Thrown when a contactCompanyId names a Company outside the contact's CompanyHQ
+ */
+export class ContactCompanyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContactCompanyError';
+  }
+}
+
+/**
+ * Whether a Company exists and belongs to a CompanyHQ
+ * Callers linking a Company by ID (contacts, proposals) must check this first
+ * @param {string} companyId - Company ID
+ * @param {string} companyHQId - CompanyHQId (tenant identifier)
+ * @returns {Promise<boolean>}
+ */
+export async function isCompanyInCompanyHQ(companyId, companyHQId) {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { companyHQId: true }
+  });
+
+  return Boolean(company) && company.companyHQId === companyHQId;
+}
+
+/**
+ * Find or create a Company under a CompanyHQ (case-insensitive name match)
+ * Infers the website from the contact's email when none is provided
+ *
+ * @param {string} crmId - CompanyHQId (tenant identifier)
+ * @param {Object} companyData - { companyName, address, industry, website, revenue, yearsInBusiness }
+ * @param {string} contactEmail - Contact email used for website inference (optional)
+ * @returns {Promise<Object>} - Company record
+ */
+export async function findOrCreateContactCompany(crmId, companyData, contactEmail = null) {
+  // Normalize company name for lookup (trim, case-insensitive)
+  const normalizedCompanyName = companyData.companyName.trim();
+
+  // Infer website from email if not provided
+  let websiteUrl = companyData.website || companyData.url || companyData.companyURL;
+  if (!websiteUrl && contactEmail) {
+    websiteUrl = inferWebsiteFromEmail(contactEmail);
+    if (websiteUrl) {
+      console.log(`✅ Inferred website from email: ${websiteUrl}`);
+    }
+  }
+
+  // Find or create Company (case-insensitive lookup)
+  const allCompanies = await prisma.company.findMany({
+    where: {
+      companyHQId: crmId
+    }
+  });
+
+  // Find existing company by normalized name (case-insensitive)
+  let company = allCompanies.find(c =>
+    c.companyName && c.companyName.trim().toLowerCase() === normalizedCompanyName.toLowerCase()
+  );
+
+  if (company) {
+    // Fetch full company record
+    company = await prisma.company.findUnique({
+      where: { id: company.id }
+    });
+  }
+
+  if (!company) {
+    company = await prisma.company.create({
+      data: {
+        companyHQId: crmId,
+        companyName: normalizedCompanyName,  // Store normalized name
+        address: companyData.address || null,
+        industry: companyData.industry || null,
+        website: websiteUrl || null,  // Store inferred or manually entered website
+        revenue: companyData.revenue || null,
+        yearsInBusiness: companyData.yearsInBusiness || null
+      }
+    });
+    console.log(`✅ Created new company: ${normalizedCompanyName} for companyHQId: ${crmId}`);
+    if (websiteUrl) {
+      console.log(`✅ Stored website URL: ${websiteUrl}`);
+    }
+  } else {
+    console.log(`✅ Found existing company: ${company.companyName} (id: ${company.id})`);
+    if (websiteUrl && !company.website) {
+      // Company exists but no website - update with inferred URL
+      company = await prisma.company.update({
+        where: { id: company.id },
+        data: { website: websiteUrl }
+      });
+      console.log(`✅ Updated company with inferred website URL: ${websiteUrl}`);
+    }
+  }
+
+  return company;
+}
+
+/**
+ * Find a CompanyHQ's Contact by email (case-insensitive, trashed contacts excluded)
+ *
+ * @param {string} crmId - CompanyHQId (tenant identifier)
+ * @param {string} email - Email to match
+ * @returns {Promise<Object|null>} - Contact with pipeline
+ */
+export async function findContactByEmail(crmId, email) {
+  // Normalize email for comparison (lowercase, trimmed)
+  const normalizedEmail = email.toLowerCase().trim();
+
+  // Find contacts with matching email (case-insensitive by normalizing in query)
+  const allContacts = await prisma.contact.findMany({
+    where: {
+      crmId: crmId,
+      email: { not: null },
+      ...NOT_DELETED
+    },
+    include: {
+      pipeline: true
+    }
+  });
+
+  // Find existing contact by normalized email comparison
+  return allContacts.find(c =>
+    c.email && c.email.toLowerCase().trim() === normalizedEmail
+  ) || null;
+}
+
+/**
+ * Create or update a Contact with its Company and Pipeline in one call
+ * Existing contacts are matched by email (case-insensitive) within the CompanyHQ
+ *
+ * @param {Object} payload
+ * @param {Object} payload.contact - { crmId, firstName, lastName, goesBy, email, phone, title, buyerDecision, howMet, notes, contactCompanyId }
+ * @param {Object} payload.company - { companyName, address, industry, website, revenue, yearsInBusiness } (optional)
+ * @param {Object} payload.pipeline - { pipeline, stage } (optional)
+ * @param {Object} options
+ * @param {string} options.actorId - Owner making the change (recorded in the stage history)
+ * @param {Object} options.override - { reason } to bypass the stage transition policy (CompanyHQ owners only - checked by the caller)
+ * @returns {Promise<{ contact: Object, action: 'created'|'updated' }>}
+ * @throws {ContactCompanyError} - When contactCompanyId is not a Company in the contact's CompanyHQ
+ * @throws {StageTransitionError} - When the pipeline move breaks the stage transition policy (the contact is not written)
+ */
+export async function upsertUniversalContact({ contact: contactData, company: companyData, pipeline: pipelineData }, { actorId = null, override = null } = {}) {
+  const crmId = contactData.crmId;
+
+  // Handle Company creation/finding if companyData is provided
+  let contactCompanyId = contactData.contactCompanyId || null;
+  if (contactCompanyId && !(await isCompanyInCompanyHQ(contactCompanyId, crmId))) {
+    throw new ContactCompanyError('contactCompanyId must be a Company in this CompanyHQ');
+  }
+
+  if (companyData && companyData.companyName) {
+    const company = await findOrCreateContactCompany(crmId, companyData, contactData.email);
+    contactCompanyId = company.id;
+  } else if (contactData.email) {
+    // No company data provided, but we have email - could create company from email domain
+    // For now, we'll just log it (user can add company later)
+    const inferredUrl = inferWebsiteFromEmail(contactData.email);
+    if (inferredUrl) {
+      console.log(`💡 Could create company from email domain: ${inferredUrl}`);
+    }
+  }
+
+  // Check if contact already exists (by email + crmId for uniqueness)
+  const existingContact = contactData.email ? await findContactByEmail(crmId, contactData.email) : null;
+
+  // Enforce the stage transition policy before the contact is written
+  let transitionPolicy = {};
+  if (pipelineData && pipelineData.pipeline) {
+    transitionPolicy = await resolveStageTransition({
+      crmId,
+      email: contactData.email || existingContact?.email || null,
+      contactCompanyId: contactCompanyId || existingContact?.contactCompanyId || null
+    }, existingContact?.pipeline || null, pipelineData, { override });
+  }
+
+  // Set Pipeline if provided (recorded in the stage history)
+  const applyPipeline = async (contact) => {
+    if (!pipelineData || !pipelineData.pipeline) {
+      return contact;
+    }
+    const { pipeline } = await setContactPipeline(contact.id, pipelineData, { actorId, ...transitionPolicy });
+    return { ...contact, pipeline };
+  };
+
+  // If found, update it
+  if (existingContact) {
+    console.log('⚠️ Contact already exists with this email - updating instead of creating:', existingContact.id);
+
+    let contact = await prisma.contact.update({
+      where: { id: existingContact.id },
+      data: {
+        firstName: contactData.firstName || existingContact.firstName,
+        lastName: contactData.lastName || existingContact.lastName,
+        goesBy: contactData.goesBy || existingContact.goesBy,
+        phone: contactData.phone || existingContact.phone,
+        title: contactData.title || existingContact.title,
+        contactCompanyId: contactCompanyId || existingContact.contactCompanyId,
+        buyerDecision: contactData.buyerDecision || existingContact.buyerDecision,
+        howMet: contactData.howMet || existingContact.howMet,
+        notes: contactData.notes || existingContact.notes
+      },
+      include: {
+        pipeline: true,
+        contactCompany: true
+      }
+    });
+
+    contact = await applyPipeline(contact);
+
+    console.log('✅ Contact updated (universal):', contact.id);
+    return { contact, action: 'updated' };
+  }
+
+  // Create new contact (no email, or no existing match)
+  let contact = await prisma.contact.create({
+    data: {
+      crmId: crmId,
+      firstName: contactData.firstName || null,
+      lastName: contactData.lastName || null,
+      goesBy: contactData.goesBy || null,
+      email: contactData.email ? contactData.email.toLowerCase().trim() : null,
+      phone: contactData.phone || null,
+      title: contactData.title || null,
+      contactCompanyId: contactCompanyId,
+      buyerDecision: contactData.buyerDecision || null,
+      howMet: contactData.howMet || null,
+      notes: contactData.notes || null
+    },
+    include: {
+      pipeline: true,
+      contactCompany: true
+    }
+  });
+
+  contact = await applyPipeline(contact);
+
+  console.log(
+    contactData.email ? '✅ Contact created (universal):' : '✅ Contact created (universal, no email):',
+    contact.id
+  );
+  return { contact, action: 'created' };
+}
@@ -20,6 +20,10 @@ assessmentDemoService(testAssessment)
   .then(result => {
     console.log('\n✅ Assessment Demo Result:');
     console.log('Success:', result.success);
+    if (!result.success) {
+      console.log(`Error (${result.code}):`, result.error);
+      return;
+    }
     console.log('\n📝 Relate with User:');
     console.log(result.assessmentDemo.relateWithUser);
     console.log('\n🎯 Growth Needs:');